@@ -13,33 +13,39 @@ async function run() {
     const inputs = {
       issueNumber: core.getInput('issue-number'),
       geminiApiKey: core.getInput('gemini-api-key'),
+      openaiApiKey: core.getInput('openai-api-key'),
+      anthropicApiKey: core.getInput('anthropic-api-key'),
       githubToken: core.getInput('github-token'),
       safetyMode: core.getInput('safety-mode') || 'normal',
       dryRun: core.getInput('dry-run') === 'true',
-      geminiModel: core.getInput('gemini-model') || 'gemini-2.5-pro-preview-06-05',
+      // 未指定の項目はリポジトリ設定（.issue-solver.yml）・既定値に任せる
+      geminiModel: core.getInput('gemini-model'),
       enableReview: core.getInput('enable-review') === 'true',
       runTests: core.getInput('run-tests') !== 'false',
       runLinter: core.getInput('run-linter') === 'true',
       strictMode: core.getInput('strict-mode') === 'true',
       targetFiles: core.getInput('target-files'),
-      forceImplementation: core.getInput('force-implementation') === 'true'
+      forceImplementation: core.getInput('force-implementation') === 'true',
+      testCommand: core.getInput('test-command'),
+      lintCommand: core.getInput('lint-command'),
+      baseBranch: core.getInput('base-branch'),
+      prLabels: core.getInput('pr-labels'),
+      prReviewers: core.getInput('pr-reviewers'),
+      botLogin: core.getInput('bot-login')
     };
 
     // 必須パラメータの検証
     if (!inputs.issueNumber) {
       throw new Error('issue-number is required');
     }
-    if (!inputs.geminiApiKey) {
-      throw new Error('gemini-api-key is required');
-    }
+    // APIキーは、選択されたプロバイダーの分だけ ConfigManager.validateWithDiagnostics で検証する
+    // （@local やリポジトリ設定の provider: local では、どのキーも不要）
 
     // 環境変数を設定（既存のコードとの互換性のため）
     process.env.ISSUE_NUMBER = inputs.issueNumber;
-    process.env.GEMINI_API_KEY = inputs.geminiApiKey;
     process.env.GITHUB_TOKEN = inputs.githubToken;
     process.env.SAFETY_MODE = inputs.safetyMode;
     process.env.DRY_RUN = inputs.dryRun.toString();
-    process.env.GEMINI_MODEL = inputs.geminiModel;
     process.env.ENABLE_REVIEW = inputs.enableReview.toString();
     process.env.RUN_TESTS = inputs.runTests.toString();
     process.env.RUN_LINTER = inputs.runLinter.toString();
@@ -49,6 +55,24 @@ async function run() {
     if (inputs.targetFiles) {
       process.env.TARGET_FILES = inputs.targetFiles;
     }
+    
+    const optionalInputs = {
+      GEMINI_API_KEY: inputs.geminiApiKey,
+      OPENAI_API_KEY: inputs.openaiApiKey,
+      ANTHROPIC_API_KEY: inputs.anthropicApiKey,
+      GEMINI_MODEL: inputs.geminiModel,
+      TEST_COMMAND: inputs.testCommand,
+      LINT_COMMAND: inputs.lintCommand,
+      BASE_BRANCH: inputs.baseBranch,
+      PR_LABELS: inputs.prLabels,
+      PR_REVIEWERS: inputs.prReviewers,
+      BOT_LOGIN: inputs.botLogin
+    };
+    Object.entries(optionalInputs).forEach(([name, value]) => {
+      if (value) {
+        process.env[name] = value;
+      }
+    });
 
     // GitHub コンテキストを設定
     const octokit = github.getOctokit(inputs.githubToken);
@@ -63,7 +87,7 @@ async function run() {
     console.log(`Issue番号: ${inputs.issueNumber}`);
     console.log(`安全モード: ${inputs.safetyMode}`);
     console.log(`ドライラン: ${inputs.dryRun}`);
-    console.log(`モデル: ${inputs.geminiModel}`);
+    console.log(`モデル: ${inputs.geminiModel || '(リポジトリ設定・既定値)'}`);
 
     // メイン処理を実行
     const result = await enhancedMain(octokit, context);
@@ -1,12 +1,13 @@
 const { RepositoryAnalyzer } = require('./repository-analyzer');
 const { FileAnalyzer } = require('./file-analyzer');
-const fs = require('fs');
+const { RepoFileEnumerator } = require('./repo-file-enumerator');
 const path = require('path');
 
 class RepoAnalyzer {
   constructor() {
-    this.repositoryAnalyzer = new RepositoryAnalyzer();
-    this.fileAnalyzer = new FileAnalyzer();
+    this.fileEnumerator = new RepoFileEnumerator();
+    this.repositoryAnalyzer = new RepositoryAnalyzer({ fileEnumerator: this.fileEnumerator });
+    this.fileAnalyzer = new FileAnalyzer({ fileEnumerator: this.fileEnumerator });
   }
 
   /**
@@ -44,29 +45,9 @@ class RepoAnalyzer {
    */
   getRelevantFiles() {
     const relevantExtensions = ['.js', '.json', '.md', '.ts', '.jsx', '.tsx'];
-    const files = [];
     
-    const scanDirectory = (dir) => {
-      if (!fs.existsSync(dir) || dir.includes('node_modules')) return;
-      
-      const entries = fs.readdirSync(dir, { withFileTypes: true });
-      
-      for (const entry of entries) {
-        const fullPath = path.join(dir, entry.name);
-        
-        if (entry.isDirectory() && !entry.name.startsWith('.')) {
-          scanDirectory(fullPath);
-        } else if (entry.isFile()) {
-          const ext = path.extname(entry.name);
-          if (relevantExtensions.includes(ext)) {
-            files.push(fullPath);
-          }
-        }
-      }
-    };
-    
-    scanDirectory('./');
-    return files.slice(0, 20); // 最大20ファイルに制限
+    // .gitignore・ビルド成果物を除いた一覧から選ぶ
+    return this.fileEnumerator.listByExtension(relevantExtensions).slice(0, 20); // 最大20ファイルに制限
   }
 
   /**
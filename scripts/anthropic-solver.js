@@ -0,0 +1,103 @@
+const { withTimeout } = require('./issue-solver');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Claude プロバイダー（Messages API）
+ *
+ * Structured Outputsは使用せず、システムプロンプトでJSONのみの応答を要求する。
+ * コードフェンス付きの応答などは共通のパース処理で吸収する。
+ */
+class AnthropicProvider {
+  constructor(apiKey, config) {
+    this.apiKey = apiKey;
+    this.config = config;
+    this.baseUrl = (config.anthropicBaseUrl || 'https://api.anthropic.com').replace(/\/+$/, '');
+    this.name = 'anthropic';
+    this.displayName = 'Claude';
+    this.triggerName = 'claude';
+    this.fileFormat = 'object';
+  }
+
+  get model() {
+    return this.config.anthropicModel;
+  }
+
+  get maxRetries() {
+    return this.config.anthropicMaxRetries || 3;
+  }
+
+  get retryDelay() {
+    return this.config.anthropicRetryDelay || 2000;
+  }
+
+  get timeout() {
+    return this.config.anthropicTimeout || 600000; // 10分
+  }
+
+  async generate(prompt, _schema, options = {}) {
+    const result = await this.callAnthropicWithTimeout({
+      model: this.model,
+      max_tokens: this.config.anthropicMaxTokens || 32000,
+      temperature: options.temperature ?? 0.2,
+      system: 'You are an expert software developer that provides solutions in JSON format. Respond with a single valid JSON object only, without markdown code fences or any surrounding text.',
+      messages: [
+        { role: 'user', content: prompt }
+      ]
+    }, options.timeout || this.timeout);
+
+    return this.extractResponseText(result);
+  }
+
+  extractResponseText(result) {
+    if (!result || !Array.isArray(result.content)) {
+      throw new Error('レスポンスにcontentが見つかりません');
+    }
+
+    if (result.stop_reason === 'max_tokens') {
+      console.warn('⚠️ レスポンスがトークン制限に達しました。ANTHROPIC_MAX_TOKENSを増加するか、プロンプトを短縮してください。');
+    }
+
+    const text = result.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    if (!text) {
+      throw new Error('レスポンスにテキストコンテンツが見つかりません');
+    }
+    return text;
+  }
+
+  async callAnthropicWithTimeout(requestBody, timeout) {
+    const controller = new AbortController();
+
+    const request = fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: JSON.stringify(requestBody),
+      signal: controller.signal
+    }).then(async response => {
+      const payload = await response.json().catch(() => null);
+      if (!response.ok) {
+        const message = payload?.error?.message || response.statusText;
+        const error = new Error(`Anthropic API error (${response.status}): ${message}`);
+        error.status = response.status;
+        throw error;
+      }
+      return payload;
+    });
+
+    try {
+      return await withTimeout(request, timeout, 'Anthropic');
+    } finally {
+      controller.abort();
+    }
+  }
+}
+
+module.exports = { AnthropicProvider };
@@ -0,0 +1,318 @@
+const { StackTraceParser } = require('./stack-trace-parser');
+const { TestFailureReport } = require('./test-failure-report');
+const { PlanComment } = require('./plan-comment');
+const { stripAnsi } = require('./terminal-output');
+
+const CHECK_NAME = 'Issue Solver';
+
+// 1回のリクエストで送れるアノテーションの上限（GitHub API の制限）
+const ANNOTATIONS_PER_REQUEST = 50;
+
+// 多すぎるアノテーションは差分ビューの妨げになるため打ち切る
+const MAX_ANNOTATIONS = 200;
+
+// Check Run の summary / text の上限（65535文字）に余裕を持たせた値
+const MAX_OUTPUT_LENGTH = 60000;
+
+// "path:line:col: message"（eslint -f unix・flake8・tsc --pretty false など）
+const LINT_LINE = /^([^\s:][^:]*):(\d+)(?::(\d+))?:?\s+(.+)$/;
+
+// テスト出力の失敗ブロックの見出し（jest の "●"・pytest の "____ test ____"）
+const TEST_HEADING = /^\s*●\s+(.+)$|^_{3,}\s(.+?)\s_{3,}$/;
+
+const SOURCE_LABELS = {
+  validator: 'バリデーター',
+  edit: '変更の適用',
+  lint: 'リント',
+  test: 'テスト'
+};
+
+const PHASE_STATUS = {
+  completed: '✅ 完了',
+  failed: '❌ 失敗'
+};
+
+/**
+ * 解決の実行結果を、PRの先頭コミットの Check Run として公開する
+ *
+ * フェーズごとの結果をサマリーに、バリデーターの拒否・リントエラー・失敗したテストを
+ * ファイルと行のアノテーションにして、レビュアーが差分ビューで指摘を確認できるようにする。
+ * 診断は {source, path, line, level, title, message} の形で EnhancedWorkflow が集める。
+ */
+class CheckRunReporter {
+  constructor(github, context) {
+    this.github = github;
+    this.context = context;
+  }
+
+  /**
+   * Check Run を作成する（失敗しても解決自体は止めない）
+   * @param {{headSha: string|null, issueNumber?: string|number, checkpoints?: object[], diagnostics?: object[], verificationErrors?: string[], error?: Error|null}} run
+   * @returns {Promise<object|null>} 作成した Check Run
+   */
+  async publish({ headSha, ...run }) {
+    if (!headSha || !this.github.rest.checks) {
+      return null;
+    }
+
+    try {
+      const { conclusion, output, annotations } = CheckRunReporter.build(run);
+      const [first = [], ...rest] = CheckRunReporter.chunk(annotations, ANNOTATIONS_PER_REQUEST);
+
+      const { data: checkRun } = await this.github.rest.checks.create({
+        ...this.context.repo,
+        name: CHECK_NAME,
+        head_sha: headSha,
+        status: 'completed',
+        conclusion,
+        completed_at: new Date().toISOString(),
+        ...(this.getDetailsUrl() && { details_url: this.getDetailsUrl() }),
+        output: { ...output, annotations: first }
+      });
+
+      // 51件目以降のアノテーションは更新で追加する
+      for (const batch of rest) {
+        await this.github.rest.checks.update({
+          ...this.context.repo,
+          check_run_id: checkRun.id,
+          output: { title: output.title, summary: output.summary, annotations: batch }
+        });
+      }
+
+      console.log(`✅ Check Run を作成: ${conclusion} (${headSha.substring(0, 7)}, アノテーション${annotations.length}件)`);
+      return checkRun;
+    } catch (error) {
+      console.warn(`⚠️ Check Run を作成できません: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * ワークフローの実行ログへのリンク
+   */
+  getDetailsUrl() {
+    if (!this.context.runId) {
+      return null;
+    }
+    const serverUrl = this.context.serverUrl || 'https://github.com';
+    return `${serverUrl}/${this.context.repo.owner}/${this.context.repo.repo}/actions/runs/${this.context.runId}`;
+  }
+
+  /**
+   * 結論・出力・アノテーションを組み立てる
+   */
+  static build({ issueNumber = null, checkpoints = [], diagnostics = [], verificationErrors = [], error = null }) {
+    const located = diagnostics.filter(diagnostic => diagnostic.path);
+    const annotations = CheckRunReporter.dedupe(located).slice(0, MAX_ANNOTATIONS).map(CheckRunReporter.toAnnotation);
+    const failures = diagnostics.filter(diagnostic => diagnostic.level === 'failure').length;
+
+    let conclusion = 'success';
+    if (error || failures > 0 || verificationErrors.length > 0) {
+      conclusion = 'failure';
+    } else if (diagnostics.length > 0) {
+      conclusion = 'neutral';
+    }
+
+    const failedPhase = checkpoints.find(checkpoint => checkpoint.status === 'failed')?.phase;
+    let title = '✅ すべてのフェーズが完了しました';
+    if (error) {
+      title = failedPhase ? `❌ ${failedPhase}フェーズで失敗しました` : '❌ 実行に失敗しました';
+    } else if (conclusion !== 'success') {
+      title = `⚠️ 検証で${Math.max(diagnostics.length, verificationErrors.length)}件の問題が見つかりました`;
+    }
+
+    const summary = CheckRunReporter.truncate(CheckRunReporter.renderSummary({ issueNumber, checkpoints, diagnostics, verificationErrors, error, annotations }));
+    const text = CheckRunReporter.renderUnlocated(diagnostics.filter(diagnostic => !diagnostic.path));
+
+    return {
+      conclusion,
+      annotations,
+      output: { title, summary, ...(text && { text: CheckRunReporter.truncate(text) }) }
+    };
+  }
+
+  static renderSummary({ issueNumber, checkpoints, diagnostics, verificationErrors, error, annotations }) {
+    const lines = [];
+    if (issueNumber) {
+      lines.push(`Issue #${issueNumber} の解決結果です。`, '');
+    }
+
+    if (checkpoints.length > 0) {
+      lines.push('| フェーズ | 結果 | 所要時間 |', '|---------|------|---------|');
+      checkpoints.forEach(checkpoint => {
+        const status = PHASE_STATUS[checkpoint.status] || checkpoint.status;
+        const detail = checkpoint.error ? `: ${CheckRunReporter.cell(checkpoint.error)}` : '';
+        lines.push(`| ${checkpoint.phase} | ${status}${detail} | ${CheckRunReporter.formatDuration(checkpoint.duration)} |`);
+      });
+      lines.push('');
+    }
+
+    if (error) {
+      lines.push('### エラー', '', error.message, '');
+    }
+
+    if (verificationErrors.length > 0) {
+      lines.push('### 検証エラー', '', ...verificationErrors.map(message => `- ${message.split('\n')[0]}`), '');
+    }
+
+    if (diagnostics.length > 0) {
+      const counts = Object.entries(SOURCE_LABELS)
+        .map(([source, label]) => [label, diagnostics.filter(diagnostic => diagnostic.source === source).length])
+        .filter(([, count]) => count > 0)
+        .map(([label, count]) => `${label} ${count}件`);
+      lines.push('### 指摘', '', counts.join(' / '), '');
+      const omitted = diagnostics.filter(diagnostic => diagnostic.path).length - annotations.length;
+      if (omitted > 0) {
+        lines.push(`アノテーションは${annotations.length}件まで表示しています（重複を含む${omitted}件を省略）。`, '');
+      }
+    }
+
+    return lines.join('\n').trim();
+  }
+
+  /**
+   * ファイルや行を特定できない指摘（差分ビューには表示できない）
+   */
+  static renderUnlocated(diagnostics) {
+    if (diagnostics.length === 0) {
+      return '';
+    }
+
+    const lines = ['### 位置を特定できない指摘', ''];
+    diagnostics.forEach(diagnostic => {
+      const fence = PlanComment.fence(diagnostic.message);
+      lines.push(`**${SOURCE_LABELS[diagnostic.source] || diagnostic.source}: ${diagnostic.title}**`, '', fence, diagnostic.message, fence, '');
+    });
+    return lines.join('\n').trim();
+  }
+
+  static toAnnotation(diagnostic) {
+    return {
+      path: diagnostic.path,
+      start_line: diagnostic.line || 1,
+      end_line: diagnostic.line || 1,
+      annotation_level: diagnostic.level,
+      title: `${SOURCE_LABELS[diagnostic.source] || diagnostic.source}: ${diagnostic.title}`.substring(0, 255),
+      message: CheckRunReporter.truncate(diagnostic.message, 4000)
+    };
+  }
+
+  /**
+   * SafeFileManager のエラー（検証での拒否・適用できなかった操作）の診断
+   */
+  static fromFileErrors(error) {
+    const rejections = (error?.rejections || []).map(rejection => ({
+      source: 'validator',
+      path: rejection.path,
+      line: 1,
+      level: 'failure',
+      title: '変更が拒否されました',
+      message: rejection.reason
+    }));
+    const failures = (error?.failures || []).map(failure => ({
+      source: 'edit',
+      path: failure.path,
+      line: (failure.blocks || []).find(block => block.line)?.line || 1,
+      level: 'failure',
+      title: `${failure.action || '変更'}を適用できませんでした`,
+      message: failure.reason
+    }));
+    return [...rejections, ...failures];
+  }
+
+  /**
+   * "path:line:col: message" 形式のリント出力の診断
+   * リポジトリ外のファイルは除き、ESLint の警告（[Warning/...]）は warning にする
+   * @param {string} output
+   * @param {string[]} repoFiles - リポジトリ内のファイル一覧（相対パス）
+   */
+  static fromLintOutput(output, repoFiles, root = process.cwd()) {
+    return stripAnsi(output).split('\n').flatMap(line => {
+      const match = line.match(LINT_LINE);
+      const path = match && StackTraceParser.toRepoPath(match[1], repoFiles, root);
+      if (!path) {
+        return [];
+      }
+      const message = match[4].trim();
+      const rule = message.match(/\[(?:Error|Warning)\/([^\]]+)\]$/)?.[1];
+      return [{
+        source: 'lint',
+        path,
+        line: Number(match[2]),
+        level: /\[Warning\//.test(message) ? 'warning' : 'failure',
+        title: rule || message.split(/\s/)[0],
+        message: message.replace(/\s*\[(?:Error|Warning)\/[^\]]+\]$/, '')
+      }];
+    });
+  }
+
+  /**
+   * テスト出力の失敗ブロックごとに、スタックトレースのうちリポジトリ内で最も近いフレームの診断
+   * フレームがなければ path: null（サマリーの本文に表示する）
+   */
+  static fromTestOutput(output, repoFiles, root = process.cwd()) {
+    const text = stripAnsi(output);
+    const blocks = [];
+    text.split('\n').forEach(line => {
+      const heading = line.match(TEST_HEADING);
+      if (heading) {
+        blocks.push({ title: (heading[1] || heading[2]).trim(), lines: [line] });
+      } else if (blocks.length > 0) {
+        blocks[blocks.length - 1].lines.push(line);
+      }
+    });
+    if (blocks.length === 0 && text.trim()) {
+      blocks.push({ title: 'テストが失敗しました', lines: text.split('\n') });
+    }
+
+    return blocks.map(block => {
+      const body = block.lines.join('\n');
+      const [frame] = StackTraceParser.resolveFrames(StackTraceParser.parse(body), repoFiles, root);
+      const fallback = frame ? null : CheckRunReporter.fromLintOutput(body, repoFiles, root)[0];
+      return {
+        source: 'test',
+        path: frame?.path || fallback?.path || null,
+        line: frame?.line || fallback?.line || 1,
+        level: 'failure',
+        title: block.title,
+        message: TestFailureReport.trim(body, { maxChars: 2000 })
+      };
+    });
+  }
+
+  /**
+   * 同じ位置・同じ見出しの指摘をまとめる
+   */
+  static dedupe(diagnostics) {
+    const seen = new Set();
+    return diagnostics.filter(diagnostic => {
+      const key = `${diagnostic.path}:${diagnostic.line}:${diagnostic.title}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  static chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+      chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+  }
+
+  static truncate(text, maxLength = MAX_OUTPUT_LENGTH) {
+    return text.length > maxLength ? `${text.substring(0, maxLength - 10)}\n... (省略)` : text;
+  }
+
+  static formatDuration(ms) {
+    if (typeof ms !== 'number') return '-';
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  static cell(text) {
+    return String(text || '').split('\n')[0].replace(/\|/g, '\\|');
+  }
+}
+
+module.exports = { CheckRunReporter };
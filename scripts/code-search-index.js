@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { RepoFileEnumerator } = require('./repo-file-enumerator');
+
+// インデックス形式を変えたら上げる（古いキャッシュを無効化するため）
+const INDEX_VERSION = 1;
+
+// 索引対象の拡張子
+const INDEXED_EXTENSIONS = new Set([
+  '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.svelte',
+  '.py', '.rb', '.java', '.kt', '.go', '.rs', '.php', '.c', '.h', '.cpp', '.hpp', '.cs', '.swift',
+  '.sh', '.css', '.scss', '.html', '.json', '.yml', '.yaml', '.toml', '.md'
+]);
+
+// コード・コメント・文字列・パスごとの重み（BM25F風に語の出現回数へ掛ける）
+const DEFAULT_FIELD_WEIGHTS = { path: 3, code: 1, comment: 0.6, string: 0.4 };
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'was', 'one', 'our', 'has', 'had',
+  'this', 'that', 'with', 'from', 'when', 'what', 'should', 'would', 'could', 'there', 'into', 'its',
+  'const', 'let', 'var', 'function', 'return', 'new', 'true', 'false', 'null', 'undefined', 'if', 'else',
+  'def', 'self', 'none', 'import', 'export', 'require', 'module', 'exports', 'is', 'in', 'of', 'to', 'it', 'be', 'an', 'or', 'on', 'at'
+]);
+
+// 言語ごとのコメント・文字列の記法
+const HASH_COMMENT_EXTENSIONS = new Set(['.py', '.rb', '.sh', '.yml', '.yaml', '.toml']);
+const PROSE_EXTENSIONS = new Set(['.md']);
+
+/**
+ * リポジトリ内のファイル内容に対するBM25検索インデックス
+ *
+ * 識別子は camelCase / snake_case で分割して索引し、コメントと文字列は
+ * コードとは別の重みで数える。インデックスはコミットSHAごとに .git 配下へキャッシュする。
+ */
+class CodeSearchIndex {
+  constructor(options = {}) {
+    // 省略時は実行時のカレントディレクトリ（ワークフロー中にchdirされるため遅延評価）
+    this.root = options.root || null;
+    this.cacheDir = options.cacheDir || null;
+    this.fileEnumerator = options.fileEnumerator || new RepoFileEnumerator({ root: this.root });
+    this.weights = { ...DEFAULT_FIELD_WEIGHTS, ...(options.weights || {}) };
+    this.k1 = options.k1 || 1.2;
+    this.b = options.b !== undefined ? options.b : 0.75;
+    this.maxFileSize = options.maxFileSize || 256 * 1024;
+    this.maxFiles = options.maxFiles || 5000;
+    this.index = null;
+  }
+
+  getRoot() {
+    return this.root || process.cwd();
+  }
+
+  /**
+   * 識別子を分割して小文字の語にする
+   * parseUserName → parse, user, name, parseusername / MAX_RETRY_COUNT → max, retry, count, max_retry_count
+   */
+  static tokenize(text) {
+    const tokens = [];
+    const identifiers = (text || '').match(/[A-Za-z_$][A-Za-z0-9_$]*/g) || [];
+
+    for (const identifier of identifiers) {
+      const parts = identifier
+        .split(/[_$]+/)
+        .flatMap(part => part.match(/[A-Z]+(?=[A-Z][a-z])|[A-Z]?[a-z]+|[A-Z]+|\d+/g) || [])
+        .map(part => part.toLowerCase())
+        .filter(part => part.length >= 2 && !/^\d+$/.test(part) && !STOP_WORDS.has(part));
+
+      tokens.push(...parts);
+      const whole = identifier.toLowerCase();
+      if (parts.length > 1 && !STOP_WORDS.has(whole)) {
+        tokens.push(whole);
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * ファイル内容をコード・コメント・文字列に分ける（簡易スキャナ）
+   * @returns {{code: string, comment: string, string: string}}
+   */
+  static segment(content, extension) {
+    if (PROSE_EXTENSIONS.has(extension)) {
+      return { code: '', comment: content, string: '' };
+    }
+
+    const hashComments = HASH_COMMENT_EXTENSIONS.has(extension);
+    const segments = { code: [], comment: [], string: [] };
+    let i = 0;
+    let start = 0;
+
+    const flush = (field, end) => {
+      if (end > start) segments[field].push(content.substring(start, end));
+      start = end;
+    };
+
+    while (i < content.length) {
+      const char = content[i];
+      const next = content[i + 1];
+      let field = null;
+      let end = -1;
+
+      if (!hashComments && char === '/' && next === '/') {
+        field = 'comment';
+        end = content.indexOf('\n', i);
+      } else if (!hashComments && char === '/' && next === '*') {
+        field = 'comment';
+        end = content.indexOf('*/', i + 2);
+        end = end === -1 ? -1 : end + 2;
+      } else if (hashComments && char === '#') {
+        field = 'comment';
+        end = content.indexOf('\n', i);
+      } else if (extension === '.py' && (content.startsWith('"""', i) || content.startsWith('\'\'\'', i))) {
+        // Pythonのdocstringはコメントとして扱う
+        field = 'comment';
+        end = content.indexOf(content.substr(i, 3), i + 3);
+        end = end === -1 ? -1 : end + 3;
+      } else if (char === '"' || char === '\'' || (char === '`' && !hashComments)) {
+        field = 'string';
+        end = CodeSearchIndex.findStringEnd(content, i, char);
+      }
+
+      if (!field) {
+        i++;
+        continue;
+      }
+
+      flush('code', i);
+      i = end === -1 ? content.length : end;
+      flush(field, i);
+    }
+    flush('code', content.length);
+
+    return {
+      code: segments.code.join(' '),
+      comment: segments.comment.join(' '),
+      string: segments.string.join(' ')
+    };
+  }
+
+  static findStringEnd(content, start, quote) {
+    for (let i = start + 1; i < content.length; i++) {
+      if (content[i] === '\\') {
+        i++;
+      } else if (content[i] === quote) {
+        return i + 1;
+      } else if (content[i] === '\n' && quote !== '`') {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * インデックスを読み込む（キャッシュがなければ構築して保存）
+   */
+  load() {
+    if (this.index) {
+      return this.index;
+    }
+
+    const sha = this.getCommitSha();
+    const cacheFile = sha ? this.getCacheFile(sha) : null;
+    if (cacheFile && fs.existsSync(cacheFile)) {
+      try {
+        const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        if (cached.version === INDEX_VERSION && cached.sha === sha) {
+          this.index = cached;
+          return this.index;
+        }
+      } catch (error) {
+        console.log('⚠️ 検索インデックスのキャッシュを読み込めませんでした:', error.message);
+      }
+    }
+
+    const startedAt = Date.now();
+    this.index = this.build(this.listFiles());
+    this.index.sha = sha;
+    console.log(`🔎 検索インデックスを構築しました: ${this.index.docs.length}ファイル (${Date.now() - startedAt}ms)`);
+
+    if (cacheFile) {
+      this.save(cacheFile);
+    }
+    return this.index;
+  }
+
+  /**
+   * @param {string[]} files - ルートからの相対パス
+   */
+  build(files) {
+    const docs = [];
+    // constructor などの語がプロトタイプのプロパティと衝突しないようにする
+    const postings = Object.create(null);
+    let totalLength = 0;
+
+    for (const file of files) {
+      const content = this.readText(file);
+      if (content === null) continue;
+
+      const extension = path.extname(file).toLowerCase();
+      const fields = { path: file, ...CodeSearchIndex.segment(content, extension) };
+      const frequencies = new Map();
+      let length = 0;
+
+      for (const [field, text] of Object.entries(fields)) {
+        for (const token of CodeSearchIndex.tokenize(text)) {
+          frequencies.set(token, (frequencies.get(token) || 0) + this.weights[field]);
+          length += this.weights[field];
+        }
+      }
+
+      const docId = docs.length;
+      docs.push({ path: file, length: Math.round(length * 10) / 10 });
+      totalLength += length;
+      for (const [token, frequency] of frequencies) {
+        (postings[token] = postings[token] || []).push([docId, Math.round(frequency * 10) / 10]);
+      }
+    }
+
+    return {
+      version: INDEX_VERSION,
+      docs,
+      postings,
+      averageLength: docs.length > 0 ? totalLength / docs.length : 0
+    };
+  }
+
+  /**
+   * クエリ（Issueのタイトル・本文・エラー文など）に対してファイルをBM25でランク付けする
+   * @returns {Array<{path: string, score: number}>}
+   */
+  search(query, limit = 20) {
+    const index = this.load();
+    if (index.docs.length === 0) {
+      return [];
+    }
+
+    const queryTerms = new Map();
+    for (const token of CodeSearchIndex.tokenize(query)) {
+      queryTerms.set(token, (queryTerms.get(token) || 0) + 1);
+    }
+
+    const scores = new Map();
+    const documentCount = index.docs.length;
+    for (const [term, queryFrequency] of queryTerms) {
+      if (!Object.prototype.hasOwnProperty.call(index.postings, term)) continue;
+      const posting = index.postings[term];
+
+      const idf = Math.log(1 + (documentCount - posting.length + 0.5) / (posting.length + 0.5));
+      // 同じ語が何度も出るエラー文などで一語だけが支配しないよう、クエリ側の回数は対数で効かせる
+      const queryWeight = 1 + Math.log(queryFrequency);
+      for (const [docId, frequency] of posting) {
+        const norm = 1 - this.b + this.b * (index.docs[docId].length / (index.averageLength || 1));
+        const termScore = idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * norm);
+        scores.set(docId, (scores.get(docId) || 0) + termScore * queryWeight);
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1] || index.docs[a[0]].path.localeCompare(index.docs[b[0]].path))
+      .slice(0, limit)
+      .map(([docId, score]) => ({ path: index.docs[docId].path, score: Math.round(score * 1000) / 1000 }));
+  }
+
+  /**
+   * 索引対象のファイルを列挙（.gitignore・バイナリ・生成ファイルは RepoFileEnumerator で除外済み）
+   */
+  listFiles() {
+    return this.fileEnumerator.listByExtension([...INDEXED_EXTENSIONS]).slice(0, this.maxFiles);
+  }
+
+  readText(file) {
+    try {
+      const fullPath = path.join(this.getRoot(), file);
+      const stats = fs.statSync(fullPath);
+      if (!stats.isFile() || stats.size > this.maxFileSize) {
+        return null;
+      }
+      const content = fs.readFileSync(fullPath, 'utf8');
+      return content.includes('\0') ? null : content;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getCommitSha() {
+    try {
+      return execSync('git rev-parse HEAD', { cwd: this.getRoot(), encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getCacheFile(sha) {
+    let cacheDir = this.cacheDir;
+    if (!cacheDir) {
+      try {
+        const gitDir = execSync('git rev-parse --git-dir', { cwd: this.getRoot(), encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+        cacheDir = path.join(path.resolve(this.getRoot(), gitDir), 'issue-solver');
+      } catch (error) {
+        return null;
+      }
+    }
+    return path.join(cacheDir, `search-index-${sha}.json`);
+  }
+
+  /**
+   * キャッシュを保存し、他のコミットの古いキャッシュは削除する
+   */
+  save(cacheFile) {
+    try {
+      const cacheDir = path.dirname(cacheFile);
+      fs.mkdirSync(cacheDir, { recursive: true });
+      for (const entry of fs.readdirSync(cacheDir)) {
+        if (entry.startsWith('search-index-') && entry !== path.basename(cacheFile)) {
+          fs.unlinkSync(path.join(cacheDir, entry));
+        }
+      }
+      fs.writeFileSync(cacheFile, JSON.stringify(this.index));
+    } catch (error) {
+      console.log('⚠️ 検索インデックスのキャッシュを保存できませんでした:', error.message);
+    }
+  }
+}
+
+module.exports = { CodeSearchIndex };
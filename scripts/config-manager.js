@@ -1,10 +1,16 @@
+const path = require('path');
 const { EnhancedIssueFetcher } = require('./enhanced-issue-fetcher');
+const { RepoConfig } = require('./repo-config');
+const { SlashCommandParser } = require('./slash-command-parser');
 
 class ConfigManager {
   constructor() {
     this.geminiApiKey = process.env.GEMINI_API_KEY || process.env['INPUT_GEMINI-API-KEY'];
     this.openaiApiKey = process.env.OPENAI_API_KEY || process.env['INPUT_OPENAI-API-KEY'];
+    this.anthropicApiKey = process.env.ANTHROPIC_API_KEY || process.env['INPUT_ANTHROPIC-API-KEY'];
     this.githubToken = process.env.GITHUB_TOKEN;
+    // コメントを投稿するボットのログイン名（GitHub Appのトークンを使う場合は <appのslug>[bot]）
+    this.botLogin = process.env.BOT_LOGIN || null;
     
     // 基本的なIssue情報（環境変数から - 後でAPI取得データで上書きされる）
     this.issueTitle = process.env.ISSUE_TITLE;
@@ -13,12 +19,25 @@ class ConfigManager {
     this.issueLabels = process.env.ISSUE_LABELS;
     this.commentBody = process.env.COMMENT_BODY;
     
+    // リポジトリ設定（.issue-solver.yml）
+    // 優先順位: 既定値 < 設定ファイル < Actionの入力（環境変数） < コメントでの指定
+    const repoConfig = RepoConfig.load();
+    this.repoConfigFile = repoConfig.file;
+    this.repoSettings = repoConfig.settings;
+    
+    // コメントのスラッシュコマンド（/solve --model pro など）
+    this.command = SlashCommandParser.resolve(SlashCommandParser.parse(this.commentBody));
+    
     // API取得した完全なIssue情報（初期化後に設定される）
     this.completeIssueData = null;
+    // PRのコメントからの依頼の場合のPR情報（既存のブランチに追加のコミットを積む）
+    this.pullRequest = null;
     // モデル選択ロジック
     this.aiProvider = this.selectAIProvider();
     this.geminiModel = this.selectGeminiModel();
     this.openaiModel = this.selectOpenAIModel();
+    this.localModel = this.selectLocalModel();
+    this.anthropicModel = this.selectAnthropicModel();
     this.forceImplementation = process.env.FORCE_IMPLEMENTATION === 'true';
     this.targetFiles = process.env.TARGET_FILES || '';
     this.executionMode = process.env.EXECUTION_MODE || 'auto';
@@ -31,13 +50,87 @@ class ConfigManager {
     
     // Test phase configuration
     this.runTests = process.env.RUN_TESTS !== 'false'; // デフォルトは true
-    this.testCommand = process.env.TEST_COMMAND || 'npm test';
+    this.dryRun = process.env.DRY_RUN === 'true';
+    // 明示的に指定されたテストコマンド（未指定ならモノレポの対象パッケージのテストを優先）
+    this.customTestCommand = process.env.TEST_COMMAND || this.repoSettings.test_command || null;
+    this.testCommand = this.customTestCommand || 'npm test';
+    this.lintCommand = process.env.LINT_COMMAND || this.repoSettings.lint_command || null;
     this.testMaxRetries = parseInt(process.env.TEST_MAX_RETRIES || '3', 10);
     
+    // 変更を許可・禁止するパスと拡張子、変更ファイル数の上限
+    this.fileRules = {
+      allowedPaths: this.repoSettings.allowed_paths,
+      protectedPaths: this.repoSettings.protected_paths,
+      allowedExtensions: this.repoSettings.allowed_extensions
+    };
+    this.maxFilesChanged = parseInt(process.env.MAX_FILES_CHANGED || '0', 10) || this.repoSettings.max_files_changed;
+    
+    // Pull Request の設定（マージ先が未指定ならリポジトリのデフォルトブランチ。resolveBaseBranch で確定する）
+    this.baseBranch = process.env.BASE_BRANCH || this.repoSettings.base_branch;
+    this.prLabels = this.parseList(process.env.PR_LABELS) || this.repoSettings.pull_request.labels;
+    this.prReviewers = this.parseList(process.env.PR_REVIEWERS) || this.repoSettings.pull_request.reviewers;
+    this.prTeamReviewers = this.repoSettings.pull_request.team_reviewers;
+    
+    // コミットの方法（api: Git Data API、git: git コマンドでプッシュ。api が使えなければ git で代替）
+    this.commitBackend = process.env.COMMIT_BACKEND || 'api';
+    
+    // プロンプトに追加するリポジトリ固有の指示
+    this.promptAdditions = this.repoSettings.prompt_additions;
+    
+    // ファイル操作の適用失敗時にAIへ修復を依頼する最大回数
+    this.editRepairMaxTurns = parseInt(process.env.EDIT_REPAIR_MAX_TURNS || '2', 10);
+    
+    // プロンプトに含めるコンテキストの上限トークン数（未指定ならモデルのコンテキストウィンドウから算出）
+    this.contextMaxTokens = parseInt(process.env.CONTEXT_MAX_TOKENS || '0', 10) || null;
+    
+    // エージェントモード（ツール呼び出しでリポジトリを調査）の設定
+    this.agentMode = process.env.AGENT_MODE === 'true';
+    this.agentMaxToolCalls = parseInt(process.env.AGENT_MAX_TOOL_CALLS || '25', 10);
+    
     // OpenAI API retry and timeout configuration
     this.openaiMaxRetries = parseInt(process.env.OPENAI_MAX_RETRIES || '3', 10);
     this.openaiRetryDelay = parseInt(process.env.OPENAI_RETRY_DELAY || '2000', 10); // 2秒
     this.openaiTimeout = parseInt(process.env.OPENAI_TIMEOUT || '30000', 10); // 30秒
+    
+    // OpenAI互換ローカルサーバー（Ollama, vLLM, llama.cpp server など）の設定
+    this.localBaseUrl = process.env.LOCAL_BASE_URL || 'http://localhost:11434/v1';
+    this.localApiKey = process.env.LOCAL_API_KEY || '';
+    this.localJsonMode = process.env.LOCAL_JSON_MODE || 'json_object'; // json_object | prompt
+    this.localMaxRetries = parseInt(process.env.LOCAL_MAX_RETRIES || '3', 10);
+    this.localRetryDelay = parseInt(process.env.LOCAL_RETRY_DELAY || '2000', 10); // 2秒
+    this.localTimeout = parseInt(process.env.LOCAL_TIMEOUT || '600000', 10); // 10分
+    
+    // Anthropic API retry and timeout configuration
+    this.anthropicBaseUrl = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+    this.anthropicMaxTokens = parseInt(process.env.ANTHROPIC_MAX_TOKENS || '32000', 10);
+    this.anthropicMaxRetries = parseInt(process.env.ANTHROPIC_MAX_RETRIES || '3', 10);
+    this.anthropicRetryDelay = parseInt(process.env.ANTHROPIC_RETRY_DELAY || '2000', 10); // 2秒
+    this.anthropicTimeout = parseInt(process.env.ANTHROPIC_TIMEOUT || '600000', 10); // 10分
+    
+    // フェイクプロバイダー（オフラインE2Eテスト用）の設定
+    this.fakeFixturesDir = path.resolve(process.env.FAKE_FIXTURES_DIR || 'tests/fixtures/solutions');
+    this.fakeModel = process.env.FAKE_MODEL || 'fake';
+    
+    this.applyCommandOptions();
+  }
+
+  /**
+   * スラッシュコマンドのオプションを設定に反映する
+   */
+  applyCommandOptions() {
+    const { options } = this.command || { options: {} };
+    if (options.files) {
+      this.targetFiles = options.files.join(',');
+    }
+    if (options.noTests) {
+      this.runTests = false;
+    }
+    if (options.dryRun) {
+      this.dryRun = true;
+    }
+    if (options.base) {
+      this.baseBranch = options.base;
+    }
   }
 
   async validate() {
@@ -49,7 +142,20 @@ class ConfigManager {
     console.log('✅ Configuration validated');
     console.log('実行モード:', this.executionMode);
     console.log('AIプロバイダー:', this.aiProvider);
-    console.log('使用モデル:', this.aiProvider === 'openai' ? this.openaiModel : this.geminiModel);
+    console.log('使用モデル:', this.getSelectedModel());
+  }
+
+  /**
+   * 選択中のAIプロバイダーで使用するモデル名
+   */
+  getSelectedModel() {
+    const models = {
+      openai: this.openaiModel,
+      local: this.localModel,
+      anthropic: this.anthropicModel,
+      fake: this.fakeModel
+    };
+    return models[this.aiProvider] || this.geminiModel;
   }
 
   async validateWithDiagnostics() {
@@ -62,6 +168,16 @@ class ConfigManager {
       if (!this.openaiApiKey) {
         this.throwDetailedOpenAIError();
       }
+    } else if (this.aiProvider === 'anthropic') {
+      if (!this.anthropicApiKey) {
+        this.throwDetailedAnthropicError();
+      }
+    } else if (this.aiProvider === 'fake') {
+      // フェイクプロバイダーはネットワークを使用しない
+      console.log(`🧪 フェイクプロバイダー: ${this.fakeFixturesDir}`);
+    } else if (this.aiProvider === 'local') {
+      // ローカルサーバーはAPIキー不要（必要な場合はLOCAL_API_KEYで指定）
+      console.log(`🏠 ローカルLLMサーバー: ${this.localBaseUrl}`);
     } else {
       if (!this.geminiApiKey) {
         this.throwDetailedGeminiError();
@@ -92,7 +208,15 @@ class ConfigManager {
     try {
       console.log('🔍 GitHub APIからIssue情報を完全取得中...');
       
-      const fetcher = new EnhancedIssueFetcher(github, context);
+      const fetcher = new EnhancedIssueFetcher(github, context, { botLogin: this.botLogin });
+      
+      // PRへのコメントの場合は、PRが解決しようとしているIssueを対象にする
+      const pullNumber = EnhancedIssueFetcher.getPullRequestNumber(context.payload);
+      if (pullNumber) {
+        this.pullRequest = await fetcher.fetchPullRequestData(pullNumber, context.payload.comment);
+        this.issueNumber = String(this.pullRequest.issueNumber || pullNumber);
+      }
+      
       this.completeIssueData = await fetcher.fetchCompleteIssueData(parseInt(this.issueNumber));
       
       // 取得したデータで既存のプロパティを更新
@@ -100,9 +224,13 @@ class ConfigManager {
       this.issueBody = this.completeIssueData.body;
       this.issueLabels = this.completeIssueData.labels.join(',');
       
-      // 最新の@gemini/@gptコメントがあれば、それを優先
-      if (this.completeIssueData.latestGeminiComment) {
+      // PRのコメントが依頼そのもの。それ以外は最新のトリガーコメント（スラッシュコマンド・@メンション）を優先
+      if (this.pullRequest) {
+        this.applyPullRequestComment();
+      } else if (this.completeIssueData.latestGeminiComment) {
         this.commentBody = this.completeIssueData.latestGeminiComment.body;
+        this.command = this.completeIssueData.command;
+        this.applyCommandOptions();
         console.log(`🎯 最新のAIトリガーコメントを検出: ${this.completeIssueData.latestGeminiComment.author}`);
       }
       
@@ -110,6 +238,8 @@ class ConfigManager {
       this.aiProvider = this.selectAIProvider();
       this.geminiModel = this.selectGeminiModel();
       this.openaiModel = this.selectOpenAIModel();
+      this.localModel = this.selectLocalModel();
+      this.anthropicModel = this.selectAnthropicModel();
       
       console.log('✅ Issue情報の完全取得完了');
       console.log(`📋 Issue: "${this.issueTitle}"`);
@@ -120,6 +250,57 @@ class ConfigManager {
       console.error('❌ Issue情報の完全取得に失敗:', error.message);
       console.log('⚠️ 環境変数の情報を使用して続行します。');
     }
+    
+    await this.resolveBaseBranch(github, context);
+  }
+
+  /**
+   * PRのマージ先ブランチを確定する
+   * /solve --base・環境変数 BASE_BRANCH・設定ファイルの base_branch のいずれもなければ、リポジトリのデフォルトブランチ
+   */
+  async resolveBaseBranch(github, context) {
+    if (this.baseBranch) {
+      console.log(`🌿 マージ先ブランチ: ${this.baseBranch}`);
+      return this.baseBranch;
+    }
+
+    try {
+      const { data } = await github.rest.repos.get({ owner: context.repo.owner, repo: context.repo.repo });
+      this.baseBranch = data.default_branch;
+    } catch (error) {
+      this.baseBranch = context.payload?.repository?.default_branch || 'main';
+      console.warn(`⚠️ デフォルトブランチを取得できません（${error.message}）。${this.baseBranch} を使用します`);
+    }
+    console.log(`🌿 マージ先ブランチ（デフォルトブランチ）: ${this.baseBranch}`);
+    return this.baseBranch;
+  }
+
+  /**
+   * PRのコメントを依頼として反映する（対象ファイルの既定はコメントの位置とPRの変更ファイル）
+   */
+  applyPullRequestComment() {
+    const { comment, changedFiles } = this.pullRequest;
+    this.commentBody = comment?.body || '';
+    this.command = SlashCommandParser.resolve(comment?.command || null);
+    if (this.command && ['plan', 'approve'].includes(this.command.name)) {
+      this.command = {
+        ...this.command,
+        errors: [...this.command.errors, `/${this.command.name}: PRのコメントでは使用できません（追加の変更は @gemini または /solve で依頼してください）`]
+      };
+    }
+    this.applyCommandOptions();
+
+    if (!this.targetFiles) {
+      this.targetFiles = [...new Set([comment?.path, ...changedFiles].filter(Boolean))].join(',');
+    }
+    console.log(`🔁 PR #${this.pullRequest.number} (${this.pullRequest.branch}) への追加の依頼: ${comment?.author || '不明'}`);
+  }
+
+  /**
+   * 返信・ステータスコメントの投稿先（PRからの依頼ならPR、それ以外はIssue）
+   */
+  getCommentIssueNumber() {
+    return parseInt(this.pullRequest?.number || this.issueNumber);
   }
 
   /**
@@ -132,8 +313,8 @@ class ConfigManager {
         body: this.completeIssueData.fullContent, // 完全なコンテンツ
         analysisContext: this.completeIssueData.analysisContext, // AI分析用コンテキスト
         labels: this.completeIssueData.labels,
-        hasGeminiTrigger: this.completeIssueData.hasGeminiTrigger,
-        latestRequest: this.completeIssueData.analysisContext?.primaryRequest || this.completeIssueData.body,
+        hasGeminiTrigger: Boolean(this.pullRequest) || this.completeIssueData.hasGeminiTrigger,
+        latestRequest: this.pullRequest?.request || this.completeIssueData.analysisContext?.primaryRequest || this.completeIssueData.body,
         comments: this.completeIssueData.comments || [],
         errorInfo: this.completeIssueData.analysisContext?.errorInfo || [],
         technicalContext: this.completeIssueData.analysisContext?.technicalContext || { technologies: [], hasCodeBlocks: false }
@@ -157,156 +338,186 @@ class ConfigManager {
     return this.targetFiles ? this.targetFiles.split(',').map(f => f.trim()) : [];
   }
 
+  /**
+   * カンマ区切りの入力をリストに（未指定なら null）
+   */
+  parseList(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+  }
+
+  /**
+   * 設定ファイルで指定されたモデル（provider が一致する場合のみ）
+   */
+  getRepoModel(provider) {
+    return this.repoSettings.provider === provider ? this.repoSettings.model : null;
+  }
+
   selectAIProvider() {
-    // 1. 環境変数から明示的に指定されている場合
+    // 1. コメントでの指定（スラッシュコマンド、次に@メンション。機密コードを外部に送らないため@localを優先）
+    if (this.command?.options.provider) {
+      console.log(`🎯 /${this.command.name} コマンドからAIプロバイダーを使用:`, this.command.options.provider);
+      return this.command.options.provider;
+    }
+    const commentProvider = this.detectProviderTrigger(this.commentBody, 'コメント');
+    if (commentProvider) {
+      return commentProvider;
+    }
+
+    // 2. Actionの入力・環境変数で明示的に指定されている場合
     if (process.env.AI_PROVIDER) {
       console.log('環境変数からAIプロバイダーを使用:', process.env.AI_PROVIDER);
       return process.env.AI_PROVIDER.toLowerCase();
     }
 
-    // 2. コメントボディから@gptパターンを検索（大文字小文字を区別しない）
-    if (this.commentBody) {
-      const gptPatterns = [
-        /@gpt/i,
-        /use.*gpt/i,
-        /openai/i
-      ];
-
-      for (const pattern of gptPatterns) {
-        if (pattern.test(this.commentBody)) {
-          console.log('🎯 コメントから@gptトリガーを検出: OpenAI');
-          return 'openai';
-        }
-      }
+    // 3. リポジトリ設定ファイル
+    if (this.repoSettings.provider) {
+      console.log(`⚙️  ${this.repoConfigFile}からAIプロバイダーを使用:`, this.repoSettings.provider);
+      return this.repoSettings.provider;
     }
 
-    // 3. Issue ボディから@gptパターンを検索（大文字小文字を区別しない）
-    if (this.issueBody) {
-      const gptPatterns = [
-        /@gpt/i,
-        /use.*gpt/i,
-        /openai/i
-      ];
-
-      for (const pattern of gptPatterns) {
-        if (pattern.test(this.issueBody)) {
-          console.log('🎯 Issue本文から@gptトリガーを検出: OpenAI');
-          return 'openai';
-        }
-      }
+    // 4. Issue本文での指定
+    const issueProvider = this.detectProviderTrigger(this.issueBody, 'Issue本文');
+    if (issueProvider) {
+      return issueProvider;
     }
 
-    // 4. デフォルトはGemini
+    // 5. デフォルトはGemini
     console.log('📌 デフォルトAIプロバイダーを使用: Gemini');
     return 'gemini';
   }
 
-  selectOpenAIModel() {
-    // 1. 環境変数から明示的に指定されている場合
-    if (process.env.OPENAI_MODEL) {
-      console.log('環境変数からOpenAIモデルを使用:', process.env.OPENAI_MODEL);
-      return process.env.OPENAI_MODEL;
+  /**
+   * @local / @claude / @gpt トリガーの検出（大文字小文字を区別しない）
+   * 明示的なメンションのみを対象とし、文中の "OpenAI" などの単語や @claudette・@claude-bot のような別名では切り替えない
+   */
+  detectProviderTrigger(text, source) {
+    if (!text) {
+      return null;
     }
 
-    // 2. コメントボディから指定を検索
-    if (this.commentBody) {
-      // モデル切り替えパターン
-      const modelPatterns = [
-        { pattern: /@gpt-o3/i, model: 'o3-2025-04-16' },
-        { pattern: /codex-mini-latest/i, model: 'codex-mini-latest' },
-        { pattern: /gpt-4o-mini/i, model: 'gpt-4o-mini' },
-        { pattern: /gpt-4o/i, model: 'gpt-4o' },
-        { pattern: /gpt-4\.1-mini/i, model: 'gpt-4.1-mini' },
-        { pattern: /gpt-4\.1/i, model: 'gpt-4.1' },
-        { pattern: /gpt-3\.5-turbo/i, model: 'gpt-3.5-turbo' },
-        { pattern: /o3-mini/i, model: 'o3-mini' },
-        { pattern: /o4-mini/i, model: 'o4-mini' }
-      ];
-
-      for (const { pattern, model } of modelPatterns) {
-        if (pattern.test(this.commentBody)) {
-          console.log(`🎯 コメントからOpenAIモデルを検出: ${model}`);
-          return model;
-        }
-      }
+    if (/@local(?![\w-])/i.test(text)) {
+      console.log(`🎯 ${source}から@localトリガーを検出: Local LLM`);
+      return 'local';
     }
 
-    // 3. Issue ボディから指定を検索
-    if (this.issueBody) {
-      const modelPatterns = [
-        { pattern: /@gpt-o3/i, model: 'o3-2025-04-16' },
-        { pattern: /codex-mini-latest/i, model: 'codex-mini-latest' },
-        { pattern: /gpt-4o-mini/i, model: 'gpt-4o-mini' },
-        { pattern: /gpt-4o/i, model: 'gpt-4o' },
-        { pattern: /gpt-4\.1-mini/i, model: 'gpt-4.1-mini' },
-        { pattern: /gpt-4\.1/i, model: 'gpt-4.1' },
-        { pattern: /gpt-3\.5-turbo/i, model: 'gpt-3.5-turbo' }
-      ];
-
-      for (const { pattern, model } of modelPatterns) {
-        if (pattern.test(this.issueBody)) {
-          console.log(`🎯 Issue本文からOpenAIモデルを検出: ${model}`);
-          return model;
-        }
-      }
+    if (/@claude(?:-(?:opus|sonnet|haiku))?(?![\w-])/i.test(text)) {
+      console.log(`🎯 ${source}から@claudeトリガーを検出: Anthropic`);
+      return 'anthropic';
     }
 
-    // 4. デフォルトモデル (codex-mini-latest)
-    const defaultModel = 'codex-mini-latest';
-    console.log('📌 デフォルトOpenAIモデルを使用:', defaultModel);
-    return defaultModel;
+    if (/@gpt(?:-o3)?(?![\w-])/i.test(text)) {
+      console.log(`🎯 ${source}から@gptトリガーを検出: OpenAI`);
+      return 'openai';
+    }
+
+    return null;
   }
 
-  selectGeminiModel() {
-    // 1. 環境変数から明示的に指定されている場合
-    if (process.env.GEMINI_MODEL) {
-      console.log('環境変数からモデルを使用:', process.env.GEMINI_MODEL);
-      return process.env.GEMINI_MODEL;
+  /**
+   * モデルの選択（コマンドの --model > 環境変数 > 設定ファイル > Issue本文 > デフォルト）
+   * コメントの文中のモデル名では切り替えない
+   */
+  selectModel({ label, provider, envName, issuePatterns, defaultModel }) {
+    // 1. スラッシュコマンドの --model
+    if (this.command?.options.model && this.command.options.provider === provider) {
+      console.log(`🎯 /${this.command.name} コマンドから${label}を使用: ${this.command.options.model}`);
+      return this.command.options.model;
     }
 
-    // 2. コメントボディから指定を検索
-    if (this.commentBody) {
-      // モデル切り替えパターン
-      const modelPatterns = [
-        { pattern: /@gemini-flash/i, model: 'gemini-2.5-flash-preview-05-20' },
-        { pattern: /@gemini-pro/i, model: 'gemini-2.5-pro-preview-06-05' },
-        { pattern: /model:\s*flash/i, model: 'gemini-2.5-flash-preview-05-20' },
-        { pattern: /model:\s*pro/i, model: 'gemini-2.5-pro-preview-06-05' },
-        { pattern: /use\s+flash/i, model: 'gemini-2.5-flash-preview-05-20' },
-        { pattern: /use\s+pro/i, model: 'gemini-2.5-pro-preview-06-05' }
-      ];
-
-      for (const { pattern, model } of modelPatterns) {
-        if (pattern.test(this.commentBody)) {
-          console.log(`🎯 コメントからモデルを検出: ${model}`);
-          return model;
-        }
-      }
+    // 2. Actionの入力・環境変数で明示的に指定されている場合
+    if (process.env[envName]) {
+      console.log(`環境変数から${label}を使用:`, process.env[envName]);
+      return process.env[envName];
     }
 
-    // 3. Issue ボディから指定を検索
-    if (this.issueBody) {
-      const modelPatterns = [
-        { pattern: /@gemini-flash/i, model: 'gemini-2.5-flash-preview-05-20' },
-        { pattern: /@gemini-pro/i, model: 'gemini-2.5-pro-preview-06-05' },
-        { pattern: /model:\s*flash/i, model: 'gemini-2.5-flash-preview-05-20' },
-        { pattern: /model:\s*pro/i, model: 'gemini-2.5-pro-preview-06-05' }
-      ];
-
-      for (const { pattern, model } of modelPatterns) {
-        if (pattern.test(this.issueBody)) {
-          console.log(`🎯 Issue本文からモデルを検出: ${model}`);
-          return model;
-        }
-      }
+    // 3. リポジトリ設定ファイル
+    const repoModel = this.getRepoModel(provider);
+    if (repoModel) {
+      console.log(`⚙️  ${this.repoConfigFile}から${label}を使用:`, repoModel);
+      return repoModel;
     }
 
-    // 4. デフォルトモデル (gemini-2.5-pro-preview-06-05)
-    const defaultModel = 'gemini-2.5-pro-preview-06-05';
-    console.log('📌 デフォルトモデルを使用:', defaultModel);
+    // 4. Issue本文から指定を検索
+    const fromIssue = this.issueBody && issuePatterns.find(({ pattern }) => pattern.test(this.issueBody));
+    if (fromIssue) {
+      console.log(`🎯 Issue本文から${label}を検出: ${fromIssue.model}`);
+      return fromIssue.model;
+    }
+
+    // 5. デフォルトモデル
+    console.log(`📌 デフォルト${label}を使用:`, defaultModel);
     return defaultModel;
   }
 
+  selectOpenAIModel() {
+    const issuePatterns = [
+      { pattern: /@gpt-o3/i, model: 'o3-2025-04-16' },
+      { pattern: /codex-mini-latest/i, model: 'codex-mini-latest' },
+      { pattern: /gpt-4o-mini/i, model: 'gpt-4o-mini' },
+      { pattern: /gpt-4o/i, model: 'gpt-4o' },
+      { pattern: /gpt-4\.1-mini/i, model: 'gpt-4.1-mini' },
+      { pattern: /gpt-4\.1/i, model: 'gpt-4.1' },
+      { pattern: /gpt-3\.5-turbo/i, model: 'gpt-3.5-turbo' }
+    ];
+
+    return this.selectModel({
+      label: 'OpenAIモデル',
+      provider: 'openai',
+      envName: 'OPENAI_MODEL',
+      issuePatterns,
+      defaultModel: 'codex-mini-latest'
+    });
+  }
+
+  selectAnthropicModel() {
+    const modelPatterns = [
+      { pattern: /@claude-opus/i, model: 'claude-opus-4-20250514' },
+      { pattern: /@claude-sonnet/i, model: 'claude-sonnet-4-20250514' },
+      { pattern: /@claude-haiku/i, model: 'claude-3-5-haiku-20241022' },
+      { pattern: /claude-opus-4/i, model: 'claude-opus-4-20250514' },
+      { pattern: /claude-sonnet-4/i, model: 'claude-sonnet-4-20250514' },
+      { pattern: /claude-3[.-]5-haiku/i, model: 'claude-3-5-haiku-20241022' }
+    ];
+
+    return this.selectModel({
+      label: 'Anthropicモデル',
+      provider: 'anthropic',
+      envName: 'ANTHROPIC_MODEL',
+      issuePatterns: modelPatterns,
+      defaultModel: 'claude-sonnet-4-20250514'
+    });
+  }
+
+  selectLocalModel() {
+    // @local:<model> 指定
+    const match = this.issueBody && this.issueBody.match(/@local:([\w.:/-]+)/i);
+
+    return this.selectModel({
+      label: 'ローカルモデル',
+      provider: 'local',
+      envName: 'LOCAL_MODEL',
+      issuePatterns: match ? [{ pattern: /@local:/i, model: match[1] }] : [],
+      defaultModel: 'qwen2.5-coder:14b'
+    });
+  }
+
+  selectGeminiModel() {
+    const issuePatterns = [
+      { pattern: /@gemini-flash/i, model: 'gemini-2.5-flash-preview-05-20' },
+      { pattern: /@gemini-pro/i, model: 'gemini-2.5-pro-preview-06-05' },
+      { pattern: /model:\s*flash/i, model: 'gemini-2.5-flash-preview-05-20' },
+      { pattern: /model:\s*pro/i, model: 'gemini-2.5-pro-preview-06-05' }
+    ];
+
+    return this.selectModel({
+      label: 'モデル',
+      provider: 'gemini',
+      envName: 'GEMINI_MODEL',
+      issuePatterns,
+      defaultModel: 'gemini-2.5-pro-preview-06-05'
+    });
+  }
+
   /**
    * 詳細な診断情報をログ出力
    */
@@ -315,6 +526,10 @@ class ConfigManager {
     console.log(`選択されたAIプロバイダー: ${this.aiProvider}`);
     console.log(`GEMINI_API_KEY存在: ${this.geminiApiKey ? 'はい' : 'いいえ'}`);
     console.log(`OPENAI_API_KEY存在: ${this.openaiApiKey ? 'はい' : 'いいえ'}`);
+    console.log(`ANTHROPIC_API_KEY存在: ${this.anthropicApiKey ? 'はい' : 'いいえ'}`);
+    if (this.aiProvider === 'local') {
+      console.log(`LOCAL_BASE_URL: ${this.localBaseUrl}`);
+    }
     
     // セキュリティ上の理由により、APIキーの詳細な情報は表示しない
     if (this.geminiApiKey) {
@@ -329,22 +544,9 @@ class ConfigManager {
     console.log(`Issue本文: "${this.issueBody}"`);
     console.log(`コメント本文: "${this.commentBody || 'なし'}"`);
     
-    // トリガーパターンの詳細チェック
-    if (this.issueBody) {
-      const gptPatterns = [/@gpt/i, /use.*gpt/i, /openai/i];
-      const geminiPatterns = [/@gemini/i, /use.*gemini/i];
-      
-      console.log('\nGPTトリガーマッチ:');
-      gptPatterns.forEach(pattern => {
-        const match = pattern.test(this.issueBody);
-        console.log(`  ${pattern.source}: ${match ? 'マッチ' : 'なし'}`);
-      });
-      
-      console.log('\nGeminiトリガーマッチ:');
-      geminiPatterns.forEach(pattern => {
-        const match = pattern.test(this.issueBody);
-        console.log(`  ${pattern.source}: ${match ? 'マッチ' : 'なし'}`);
-      });
+    console.log(`スラッシュコマンド: ${this.command ? this.command.line : 'なし'}`);
+    if (this.command) {
+      console.log(`  オプション: ${JSON.stringify(this.command.options)}`);
     }
     
     console.log('\n🔍 === 環境変数情報 ===');
@@ -383,6 +585,7 @@ class ConfigManager {
     console.log(`INPUT_OPENAI_API_KEY: ${process.env['INPUT_OPENAI_API_KEY'] ? '設定済み' : '未設定'}`);
     console.log(`INPUT_GEMINI-API-KEY: ${process.env['INPUT_GEMINI-API-KEY'] ? '設定済み' : '未設定'}`);
     console.log(`INPUT_GEMINI_API_KEY: ${process.env['INPUT_GEMINI_API_KEY'] ? '設定済み' : '未設定'}`);
+    console.log(`INPUT_ANTHROPIC-API-KEY: ${process.env['INPUT_ANTHROPIC-API-KEY'] ? '設定済み' : '未設定'}`);
     
     console.log('=== 環境変数デバッグ終了 ===');
     
@@ -438,6 +641,37 @@ class ConfigManager {
     throw new Error('OPENAI_API_KEY is required when using @gpt trigger. Please check the diagnostic information above.');
   }
 
+  /**
+   * Anthropic API キーエラーの詳細情報を出力
+   */
+  throwDetailedAnthropicError() {
+    const errorMessage = [
+      '\n❌ === Anthropic API KEY エラー詳細 ===',
+      '',
+      '🎯 問題: @claude トリガーが検出されましたが、ANTHROPIC_API_KEY が設定されていません',
+      '',
+      '📋 解決方法:',
+      '1. GitHub リポジトリの Settings → Secrets and variables → Actions に移動',
+      '2. "New repository secret" をクリック',
+      '3. Name: ANTHROPIC_API_KEY',
+      '4. Secret: Anthropic APIキーを貼り付け',
+      '5. ワークフローで anthropic-api-key: ${{ secrets.ANTHROPIC_API_KEY }} を指定',
+      '',
+      '🔗 Anthropic APIキー取得方法:',
+      '   https://console.anthropic.com/settings/keys',
+      '',
+      '🔍 現在の検出状況:',
+      `   AIプロバイダー: ${this.aiProvider}`,
+      `   Issue本文: "${this.issueBody}"`,
+      `   コメント: "${this.commentBody || 'なし'}"`,
+      '',
+      '=== エラー詳細終了 ==='
+    ].join('\n');
+    
+    console.error(errorMessage);
+    throw new Error('ANTHROPIC_API_KEY is required when using @claude trigger. Please check the diagnostic information above.');
+  }
+
   /**
    * Gemini API キーエラーの詳細情報を出力
    */
@@ -0,0 +1,169 @@
+/**
+ * モデルのコンテキストウィンドウ（トークン数）
+ * 上から順に最初に一致したものを使用する
+ */
+const MODEL_CONTEXT_WINDOWS = [
+  { pattern: /gemini-1\.5-pro/i, tokens: 2097152 },
+  { pattern: /gemini-(2\.5|2\.0|1\.5)/i, tokens: 1048576 },
+  { pattern: /gemini/i, tokens: 1048576 },
+  { pattern: /gpt-4\.1/i, tokens: 1047576 },
+  { pattern: /gpt-4o/i, tokens: 128000 },
+  { pattern: /gpt-3\.5/i, tokens: 16385 },
+  { pattern: /^(o3|o4|o1)|codex-mini/i, tokens: 200000 },
+  { pattern: /claude/i, tokens: 200000 },
+  { pattern: /qwen2\.5-coder/i, tokens: 32768 },
+  { pattern: /llama3\.[123]/i, tokens: 131072 }
+];
+
+// 不明なモデル（ローカルLLMなど）は控えめに見積もる
+const DEFAULT_CONTEXT_WINDOW = 32768;
+
+// ファイル全体を入れるのは、1ファイルが予算のこの割合以下の場合のみ
+const MAX_WHOLE_FILE_SHARE = 0.25;
+
+// シンボル（宣言）行とみなすパターン
+const SYMBOL_PATTERNS = [
+  /^\s*(export\s+)?(default\s+)?(async\s+)?(function\*?|class|interface|type|enum)\s+[\w$]+/,
+  /^(export\s+)?(const|let|var)\s+[\w$]+\s*=/,
+  /^\s*(module\.)?exports(\.[\w$]+)?\s*=/,
+  /^\s*(async\s+)?def\s+\w+|^\s*class\s+\w+/,
+  /^\s{2,4}(static\s+)?(async\s+)?(get\s+|set\s+)?(?!(if|for|while|switch|catch|return)\b)[\w$]+\s*\([^)]*\)\s*\{\s*$/,
+  /^\s*(public|private|protected)\s+[\w<>[\], ]+\s+\w+\s*\(/,
+  /^\s*func\s+/
+];
+
+/**
+ * トークン予算に合わせてプロンプトに含めるファイル内容を選ぶ
+ *
+ * 関連度スコアの高い順に、小さいファイルは全体を、大きいファイルは
+ * シンボル宣言とIssueのキーワード周辺だけを抜粋して予算を埋める。
+ */
+class ContextPacker {
+  constructor(options = {}) {
+    this.model = options.model || '';
+    this.promptRatio = options.promptRatio || 0.6;
+    this.maxTokens = options.maxTokens || null;
+  }
+
+  static getContextWindow(model) {
+    const entry = MODEL_CONTEXT_WINDOWS.find(({ pattern }) => pattern.test(model || ''));
+    return entry ? entry.tokens : DEFAULT_CONTEXT_WINDOW;
+  }
+
+  /**
+   * トークン数の概算（ASCIIは約4文字で1トークン、日本語などそれ以外は1文字1トークン）
+   */
+  static estimateTokens(text) {
+    if (!text) {
+      return 0;
+    }
+    const nonAscii = (text.match(/[^\t\n\r\x20-\x7E]/g) || []).length;
+    return Math.ceil((text.length - nonAscii) / 4) + nonAscii;
+  }
+
+  /**
+   * プロンプト全体に使えるトークン数（出力分を残すためウィンドウの一部のみ）
+   */
+  getPromptBudget() {
+    const budget = Math.floor(ContextPacker.getContextWindow(this.model) * this.promptRatio);
+    return this.maxTokens ? Math.min(budget, this.maxTokens) : budget;
+  }
+
+  /**
+   * @param {Array<{path: string, content: string, score: number}>} files
+   * @param {number} budget - ファイル内容に使えるトークン数
+   * @param {string[]} keywords - 抜粋時に優先するIssueのキーワード
+   * @returns {{files: Array<{path: string, content: string, mode: string, tokens: number}>, omitted: string[], usedTokens: number}}
+   */
+  pack(files, budget, keywords = []) {
+    const ordered = files
+      .map((file, index) => ({ ...file, index, tokens: ContextPacker.estimateTokens(file.content) }))
+      .sort((a, b) => (b.score - a.score) || (a.index - b.index));
+
+    const packed = [];
+    const omitted = [];
+    let remaining = budget;
+
+    for (const file of ordered) {
+      const overhead = ContextPacker.estimateTokens(`=== ${file.path} ===\n\n\n`);
+      const available = remaining - overhead;
+      if (available <= 0) {
+        omitted.push(file.path);
+        continue;
+      }
+
+      if (file.tokens <= available && file.tokens <= Math.max(budget * MAX_WHOLE_FILE_SHARE, 200)) {
+        packed.push({ path: file.path, content: file.content, mode: 'full', tokens: file.tokens });
+        remaining -= file.tokens + overhead;
+        continue;
+      }
+
+      const limit = Math.min(available, Math.floor(budget * MAX_WHOLE_FILE_SHARE));
+      const excerpt = this.excerpt(file.content, keywords, limit);
+      if (!excerpt) {
+        omitted.push(file.path);
+        continue;
+      }
+      const tokens = ContextPacker.estimateTokens(excerpt);
+      packed.push({ path: file.path, content: excerpt, mode: 'excerpt', tokens });
+      remaining -= tokens + overhead;
+    }
+
+    return { files: packed, omitted, usedTokens: budget - remaining };
+  }
+
+  /**
+   * シンボル宣言行とキーワード周辺の行だけを残した抜粋を作る（行番号付き）
+   * キーワード周辺 → シンボル宣言の順に、予算内で行を採用する
+   */
+  excerpt(content, keywords, maxTokens) {
+    const lines = content.split('\n');
+    const lowerKeywords = keywords.map(keyword => keyword.toLowerCase()).filter(keyword => keyword.length >= 3);
+    const candidates = [];
+
+    lines.forEach((line, index) => {
+      const lower = line.toLowerCase();
+      if (lowerKeywords.some(keyword => lower.includes(keyword))) {
+        for (let i = Math.max(0, index - 2); i <= Math.min(lines.length - 1, index + 2); i++) {
+          candidates.push({ index: i, priority: 0 });
+        }
+      }
+    });
+    lines.forEach((line, index) => {
+      if (SYMBOL_PATTERNS.some(pattern => pattern.test(line))) {
+        candidates.push({ index, priority: 1 });
+      }
+    });
+
+    const selected = new Set();
+    let tokens = ContextPacker.estimateTokens(`(excerpt: ${lines.length} lines)\n`);
+    for (const { index } of candidates.sort((a, b) => a.priority - b.priority || a.index - b.index)) {
+      if (selected.has(index)) continue;
+      const cost = ContextPacker.estimateTokens(`${index + 1}| ${lines[index]}\n... (0 lines omitted)\n`);
+      if (tokens + cost > maxTokens) continue;
+      selected.add(index);
+      tokens += cost;
+    }
+
+    if (selected.size === 0) {
+      return null;
+    }
+
+    const output = [`(excerpt: ${selected.size}/${lines.length} lines, declarations and lines related to the issue)`];
+    let previous = -1;
+    [...selected].sort((a, b) => a - b).forEach(index => {
+      if (index > previous + 1) {
+        output.push(`... (${index - previous - 1} lines omitted)`);
+      }
+      output.push(`${index + 1}| ${lines[index]}`);
+      previous = index;
+    });
+    if (previous < lines.length - 1) {
+      output.push(`... (${lines.length - 1 - previous} lines omitted)`);
+    }
+
+    return output.join('\n');
+  }
+}
+
+module.exports = { ContextPacker, MODEL_CONTEXT_WINDOWS };
@@ -3,10 +3,27 @@
  * GitHub APIからIssue情報（本文 + 全コメント）を完全に取得
  */
 
+const { SlashCommandParser } = require('./slash-command-parser');
+const { PlanComment, DEFAULT_BOT_LOGIN } = require('./plan-comment');
+
+// 明示的な@メンションによるトリガー
+const MENTION_TRIGGER = /@(gemini|gpt|claude|local|ai)\b/i;
+
+// Issue Solver が作成するブランチ（gemini-issue-<Issue番号>-<タイムスタンプ>）
+const SOLVER_BRANCH_PATTERN = /^gemini-issue-(\d+)-/;
+
+// PR本文でIssueを参照するキーワード（Closes #12 など）
+const LINKED_ISSUE_PATTERN = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s+#(\d+)/i;
+
 class EnhancedIssueFetcher {
-  constructor(github, context) {
+  /**
+   * @param {object} options
+   * @param {string} [options.botLogin] - /plan のプランを投稿するボットのログイン名
+   */
+  constructor(github, context, options = {}) {
     this.github = github;
     this.context = context;
+    this.botLogin = options.botLogin || DEFAULT_BOT_LOGIN;
   }
 
   /**
@@ -30,14 +47,15 @@ class EnhancedIssueFetcher {
       const comments = await this.getAllComments(issueNumber);
       console.log(`💬 コメント ${comments.length}件を取得`);
 
-      // 3. @geminiトリガーコメントを特定
+      // 3. トリガーコメント（スラッシュコマンド・@メンション）を特定
       const geminiTriggerComments = this.findGeminiTriggerComments(comments);
-      console.log(`🎯 @geminiトリガーコメント ${geminiTriggerComments.length}件を発見`);
+      console.log(`🎯 トリガーコメント ${geminiTriggerComments.length}件を発見`);
 
-      // 4. 最新の@geminiコメントを特定
+      // 4. 最新のトリガーコメントを特定
       const latestGeminiComment = geminiTriggerComments.length > 0 
         ? geminiTriggerComments[geminiTriggerComments.length - 1]
         : null;
+      const command = this.resolveLatestCommand(geminiTriggerComments);
 
       // 5. 完全なIssue情報を構築
       const completeIssueData = {
@@ -59,6 +77,10 @@ class EnhancedIssueFetcher {
         geminiTriggerComments: geminiTriggerComments,
         latestGeminiComment: latestGeminiComment,
         hasGeminiTrigger: geminiTriggerComments.length > 0,
+        command,
+        
+        // /plan で投稿された最新のプラン（/approve で実装する）
+        plan: PlanComment.findLatest(comments, this.botLogin),
 
         // 分析用の統合テキスト
         fullContent: this.buildFullContent(issue, comments, latestGeminiComment),
@@ -78,6 +100,119 @@ class EnhancedIssueFetcher {
     }
   }
 
+  /**
+   * イベントのペイロードが対象とするPRの番号（Issueへのコメントなら null）
+   * PRの会話へのコメントは issue_comment（issue.pull_request あり）、
+   * 差分へのレビューコメントは pull_request_review_comment として届く
+   */
+  static getPullRequestNumber(payload = {}) {
+    if (payload.pull_request) {
+      return payload.pull_request.number;
+    }
+    return payload.issue?.pull_request ? payload.issue.number : null;
+  }
+
+  /**
+   * PRの情報と、依頼元のコメント（レビューコメントならファイル・行の位置つき）を取得
+   */
+  async fetchPullRequestData(pullNumber, comment = null) {
+    console.log(`🔍 PR #${pullNumber} の情報を取得中...`);
+
+    const { owner, repo } = this.context.repo;
+    const { data: pr } = await this.github.rest.pulls.get({ owner, repo, pull_number: pullNumber });
+    const changedFiles = await this.getPullRequestFiles(pullNumber);
+
+    const branch = pr.head.ref;
+    const solverBranch = branch.match(SOLVER_BRANCH_PATTERN);
+    const linkedIssue = (pr.body || '').match(LINKED_ISSUE_PATTERN);
+
+    const pullRequest = {
+      number: pr.number,
+      title: pr.title,
+      body: pr.body || '',
+      url: pr.html_url,
+      branch,
+      baseBranch: pr.base.ref,
+      headSha: pr.head.sha,
+      // フォークのブランチにはプッシュできないため、同じリポジトリのブランチに限る
+      isSolverBranch: Boolean(solverBranch) && pr.head.repo?.full_name === `${owner}/${repo}`,
+      issueNumber: solverBranch ? parseInt(solverBranch[1]) : (linkedIssue ? parseInt(linkedIssue[1]) : null),
+      changedFiles,
+      comment: comment ? this.buildPullRequestComment(comment) : null
+    };
+    pullRequest.request = this.buildPullRequestRequest(pullRequest);
+
+    console.log(`📋 PRを取得: "${pr.title}" (${branch} → ${pr.base.ref})`);
+    if (pullRequest.comment?.path) {
+      console.log(`📍 レビューコメントの位置: ${pullRequest.comment.path}:${pullRequest.comment.line || '-'}`);
+    }
+    return pullRequest;
+  }
+
+  /**
+   * PRで変更されたファイル（取得できなければ空）
+   */
+  async getPullRequestFiles(pullNumber) {
+    try {
+      const response = await this.github.rest.pulls.listFiles({
+        owner: this.context.repo.owner,
+        repo: this.context.repo.repo,
+        pull_number: pullNumber,
+        per_page: 100
+      });
+      return response.data.map(file => file.filename);
+    } catch (error) {
+      console.warn(`⚠️ PRの変更ファイルを取得できません: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * PRのコメント（会話へのコメント・差分へのレビューコメント）を正規化
+   */
+  buildPullRequestComment(comment) {
+    return {
+      id: comment.id,
+      // レビューコメントの返信はスレッドの最初のコメントに付ける
+      threadId: comment.in_reply_to_id || comment.id,
+      kind: comment.path ? 'review' : 'conversation',
+      author: comment.user?.login,
+      body: comment.body || '',
+      command: SlashCommandParser.parse(comment.body),
+      path: comment.path || null,
+      // 古い差分へのコメントは line が null になるため元の行番号を使う
+      line: comment.line ?? comment.original_line ?? null,
+      startLine: comment.start_line ?? comment.original_start_line ?? null,
+      diffHunk: comment.diff_hunk || null,
+      html_url: comment.html_url
+    };
+  }
+
+  /**
+   * PRへの追加の依頼（レビューコメントの位置と差分を含める）
+   */
+  buildPullRequestRequest(pullRequest) {
+    const { comment } = pullRequest;
+    const lines = [
+      `Follow-up request on pull request #${pullRequest.number} "${pullRequest.title}" (branch ${pullRequest.branch}).`,
+      'The branch already contains the previous solution. Change it only as far as the comment below asks.'
+    ];
+
+    if (comment?.path) {
+      const range = comment.startLine && comment.startLine !== comment.line
+        ? `lines ${comment.startLine}-${comment.line}`
+        : `line ${comment.line}`;
+      lines.push('', `Review comment on ${comment.path}${comment.line ? ` ${range}` : ''}:`);
+      if (comment.diffHunk) {
+        const fence = PlanComment.fence(comment.diffHunk);
+        lines.push(`${fence}diff`, comment.diffHunk, fence);
+      }
+    }
+
+    lines.push('', `Request from @${comment?.author || 'unknown'}:`, comment?.body || pullRequest.body);
+    return lines.join('\n');
+  }
+
   /**
    * すべてのコメントを取得（ページネーション対応）
    */
@@ -123,30 +258,37 @@ class EnhancedIssueFetcher {
   }
 
   /**
-   * @geminiトリガーコメントを検索（@gpt/@GPTトリガーも含む）
+   * トリガーコメントを検索
+   * スラッシュコマンド（/solve など）か、@gemini/@gpt/@claude/@local/@ai の明示的なメンションのみ
+   * ボット（このワークフロー自身のステータスコメントを含む）のコメントは対象外
    */
   findGeminiTriggerComments(comments) {
-    const geminiTriggerPatterns = [
-      /@gemini/i,
-      /@gpt/i,  
-      /@ai/i,
-      /gemini/i,
-      /solve this/i,
-      /fix this/i,
-      /help with this/i
-    ];
+    return comments
+      .filter(comment => comment.user?.type !== 'Bot')
+      .map(comment => ({ comment, command: SlashCommandParser.parse(comment.body) }))
+      .filter(({ comment, command }) => command || MENTION_TRIGGER.test(comment.body || ''))
+      .map(({ comment, command }) => ({
+        id: comment.id,
+        author: comment.user.login,
+        body: comment.body,
+        command,
+        created_at: comment.created_at,
+        updated_at: comment.updated_at,
+        html_url: comment.html_url
+      }));
+  }
 
-    return comments.filter(comment => {
-      const body = comment.body || '';
-      return geminiTriggerPatterns.some(pattern => pattern.test(body));
-    }).map(comment => ({
-      id: comment.id,
-      author: comment.user.login,
-      body: comment.body,
-      created_at: comment.created_at,
-      updated_at: comment.updated_at,
-      html_url: comment.html_url
-    }));
+  /**
+   * 最新のトリガーコメントのコマンド（/retry は直前の /solve・/plan で補完）
+   */
+  resolveLatestCommand(triggerComments) {
+    if (triggerComments.length === 0) {
+      return null;
+    }
+
+    const latest = triggerComments[triggerComments.length - 1];
+    const history = triggerComments.slice(0, -1).map(comment => comment.command);
+    return SlashCommandParser.resolve(latest.command, history);
   }
 
   /**
@@ -203,9 +345,7 @@ class EnhancedIssueFetcher {
       // 追加のコンテキスト
       labels: issue.labels.map(l => l.name),
       commentCount: comments.length,
-      hasMultipleRequests: comments.filter(c => 
-        c.body && (/@gemini|@gpt|@ai/i.test(c.body))
-      ).length > 1,
+      hasMultipleRequests: this.findGeminiTriggerComments(comments).length > 1,
       
       // エラー情報（全コメントから抽出）
       errorInfo: this.extractErrorsFromAllContent([issue.body, ...comments.map(c => c.body)]),
@@ -255,7 +395,7 @@ class EnhancedIssueFetcher {
     
     const flow = [];
     comments.forEach((comment, index) => {
-      const isGeminiTrigger = /@gemini|@gpt|@ai|gemini/i.test(comment.body);
+      const isGeminiTrigger = Boolean(SlashCommandParser.parse(comment.body)) || MENTION_TRIGGER.test(comment.body || '');
       flow.push({
         index: index + 1,
         author: comment.user.login,
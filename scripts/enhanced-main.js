@@ -5,11 +5,14 @@
 
 const { EnhancedWorkflow } = require('./enhanced-workflow');
 const { ConfigManager } = require('./config-manager');
-const { GeminiIssueSolver } = require('./gemini-solver');
-const { OpenAIIssueSolver } = require('./openai-solver');
+const { createSolver } = require('./provider-registry');
 const { StatusCommentManager } = require('./status-comment-manager');
 const { EnhancedSolutionHandler } = require('./enhanced-solution-handler');
 const { ReportGenerator } = require('./report-generator');
+const { SlashCommandParser } = require('./slash-command-parser');
+const { PlanComment } = require('./plan-comment');
+const { CheckRunReporter } = require('./check-run-reporter');
+const { execFileSync } = require('child_process');
 
 /**
  * GitHub Actions対応のメイン関数
@@ -17,6 +20,7 @@ const { ReportGenerator } = require('./report-generator');
 async function enhancedMain(github, context) {
   let config;
   let statusManager;
+  let workflow;
   
   try {
     console.log('🚀 Enhanced Gemini Issue Solver 開始');
@@ -29,12 +33,34 @@ async function enhancedMain(github, context) {
     // GitHub APIからIssueの完全な情報を取得
     await config.loadCompleteIssueData(github, context);
     
+    // /approve は /plan で投稿されたプランを実装する
+    const approval = config.command?.name === 'approve' ? getApprovedPlan(config) : null;
+    
+    // スラッシュコマンドの誤り・/cancel・承認できないプランはAIを呼ばずに返信して終了
+    const commandResult = await handleCommandReply(github, context, config, approval);
+    if (commandResult) {
+      return commandResult;
+    }
+    
+    // PRのコメントからの依頼は既存のブランチ、それ以外はマージ先ブランチの最新のHEADの上で解決する
+    const solutionHandler = new EnhancedSolutionHandler(github, context, config);
+    if (config.pullRequest) {
+      if (!(await solutionHandler.checkoutPullRequestBranch())) {
+        return { success: false, pullRequest: config.pullRequest.number, notSolverBranch: true };
+      }
+    } else {
+      solutionHandler.checkoutBaseBranch();
+    }
+    
     // Issue情報取得後に診断情報を出力し、詳細な検証を実行
     await config.validateWithDiagnostics();
     
     // 最終的なプロバイダーを確認
     console.log(`📌 最終的なAIプロバイダー: ${config.aiProvider}`);
     
+    // AIプロバイダーに応じてsolverを初期化
+    const solver = createSolver(config);
+    
     // ステータスコメントマネージャーを初期化
     statusManager = new StatusCommentManager(github, context);
     
@@ -42,34 +68,35 @@ async function enhancedMain(github, context) {
     await statusManager.createInitialComment();
     await statusManager.updateStatus('starting', {
       mode: process.env.EXECUTION_MODE || 'enhanced',
-      safety: process.env.DRY_RUN === 'true' ? 'dry-run' : 'live',
+      safety: config.dryRun ? 'dry-run' : 'live',
       provider: config.aiProvider,
-      model: config.aiProvider === 'openai' ? config.openaiModel : config.geminiModel
+      model: solver.provider.model
     });
     
-    // AIプロバイダーに応じてsolverを初期化
-    let solver;
-    if (config.aiProvider === 'openai') {
-      console.log('🤖 OpenAI GPTを使用してIssueを解決します');
-      solver = new OpenAIIssueSolver(config.openaiApiKey, config);
-    } else {
-      console.log('🤖 Google Geminiを使用してIssueを解決します');
-      solver = new GeminiIssueSolver(config.geminiApiKey, config);
-    }
-    
     // Enhanced workflowを実行
-    const workflow = new EnhancedWorkflow(config, solver);
+    workflow = new EnhancedWorkflow(config, solver);
     
     // ワークフローの実行
     await statusManager.updateStatus('executing');
-    const result = await workflow.execute();
+    const planOnly = config.command?.name === 'plan';
+    const result = await workflow.execute({ planOnly, solution: approval?.solution });
+    
+    // /plan はプランと差分プレビューを投稿して終了
+    if (planOnly) {
+      const planUrl = await postPlan(github, context, config, solver, result.preview);
+      await statusManager.updateStatus('planned', {
+        planUrl,
+        filesCount: solver.solution.files?.length || 0
+      });
+      console.log('✅ Plan posted successfully');
+      return { ...result, planUrl };
+    }
     
     // レポート生成
     const reportGenerator = new ReportGenerator(solver, config);
     await reportGenerator.generateReport();
     
-    // ソリューションハンドラーでPR作成とコメント投稿
-    const solutionHandler = new EnhancedSolutionHandler(github, context, config);
+    // ソリューションハンドラーでPR作成（PRからの依頼ならコミット追加）とコメント投稿
     const solutionResult = await solutionHandler.handle(solver.solution, {
       issueNumber: config.issueNumber,
       issueTitle: config.issueTitle,
@@ -78,6 +105,15 @@ async function enhancedMain(github, context) {
       analysis: solver.issueAnalysis
     });
     
+    // 作成したコミットにフェーズの結果と検証の指摘を Check Run として公開
+    await new CheckRunReporter(github, context).publish({
+      headSha: solutionResult.commitSha,
+      issueNumber: config.issueNumber,
+      checkpoints: result.checkpoints,
+      diagnostics: workflow.diagnostics,
+      verificationErrors: workflow.verificationErrors
+    });
+    
     console.log('✅ Enhanced workflow completed successfully');
     return { ...result, ...solutionResult };
     
@@ -92,6 +128,18 @@ async function enhancedMain(github, context) {
       });
     }
     
+    // PRからの依頼で失敗した場合は、失敗の理由をPRの先頭コミットに表示する
+    if (workflow && config?.pullRequest) {
+      await new CheckRunReporter(github, context).publish({
+        headSha: config.pullRequest.headSha,
+        issueNumber: config.issueNumber,
+        checkpoints: workflow.checkpoints,
+        diagnostics: workflow.diagnostics,
+        verificationErrors: workflow.verificationErrors,
+        error
+      });
+    }
+    
     // GitHub Actionsの場合は詳細なエラー情報を出力
     if (process.env.GITHUB_ACTIONS) {
       console.log('::error::Enhanced workflow failed: ' + error.message);
@@ -106,6 +154,104 @@ async function enhancedMain(github, context) {
   }
 }
 
+/**
+ * /approve の対象となる最新のプランに --skip / --only を適用する
+ */
+function getApprovedPlan(config) {
+  const latest = config.completeIssueData?.plan;
+  if (!latest) {
+    return { errors: ['承認できるプランが見つかりません。先に `/plan` を実行してください'] };
+  }
+
+  const { solution, skipped, errors } = PlanComment.applyEdits(latest.plan, config.command.options);
+  // プランの差分はプラン作成時のマージ先ブランチに対するもの
+  if (latest.plan.baseBranch) {
+    config.baseBranch = latest.plan.baseBranch;
+  }
+  console.log(`📋 プランを承認: ${latest.url || latest.commentId}（${solution.files.length}ファイル）`);
+  if (skipped.length > 0) {
+    console.log(`⏭️  除外するファイル: ${skipped.join(', ')}`);
+  }
+  const headSha = getHeadSha();
+  if (latest.plan.baseSha && headSha && latest.plan.baseSha !== headSha) {
+    console.warn(`⚠️ プラン作成後にコードが更新されています (${latest.plan.baseSha.substring(0, 7)} → ${headSha.substring(0, 7)})`);
+  }
+  return { solution, skipped, errors };
+}
+
+/**
+ * プランと差分プレビューをコメントとして投稿し、そのURLを返す
+ */
+async function postPlan(github, context, config, solver, preview) {
+  const plan = {
+    issueNumber: config.issueNumber,
+    provider: config.aiProvider,
+    model: solver.provider.model,
+    baseBranch: config.baseBranch,
+    baseSha: getHeadSha(),
+    createdAt: new Date().toISOString(),
+    solution: solver.solution
+  };
+
+  const comment = await github.rest.issues.createComment({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    issue_number: parseInt(config.issueNumber),
+    body: PlanComment.format(plan, preview)
+  });
+  return comment.data.html_url;
+}
+
+function getHeadSha() {
+  try {
+    return execFileSync('git', ['rev-parse', 'HEAD'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 解釈できないスラッシュコマンド・/cancel・承認できない /approve への返信
+ * 処理を続ける場合は null
+ */
+async function handleCommandReply(github, context, config, approval = null) {
+  const command = config.command;
+  if (!command) {
+    return null;
+  }
+
+  let body;
+  let result;
+  if (command.errors.length > 0) {
+    console.log(`⚠️ /${command.name} コマンドを解釈できません: ${command.errors.join(' / ')}`);
+    body = SlashCommandParser.formatErrorReply(command);
+    result = { success: false, commandErrors: command.errors };
+  } else if (approval && approval.errors.length > 0) {
+    console.log(`⚠️ プランを承認できません: ${approval.errors.join(' / ')}`);
+    body = ['❌ プランを承認できませんでした。', '', ...approval.errors.map(error => `- ${error}`)].join('\n');
+    result = { success: false, commandErrors: approval.errors };
+  } else if (command.name === 'cancel') {
+    // 実行中のジョブはワークフローの concurrency（cancel-in-progress）で停止される
+    console.log('🛑 /cancel コマンドを受け付けました');
+    body = '🛑 `/cancel` を受け付けました。このIssueで実行中の処理はキャンセルされます。';
+    result = { success: true, cancelled: true };
+  } else {
+    return null;
+  }
+
+  try {
+    await github.rest.issues.createComment({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: config.getCommentIssueNumber(),
+      body
+    });
+  } catch (error) {
+    console.warn('⚠️ コマンドへの返信に失敗:', error.message);
+  }
+  return result;
+}
+
 /**
  * 後方互換性のためのレガシーメイン関数
  * 既存のmain.jsと同じインターフェース
@@ -1,6 +1,10 @@
 const fs = require('fs');
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 const { StatusCommentManager } = require('./status-comment-manager');
+const { GitDataCommitter } = require('./git-data-committer');
+
+// Issue Solver が作成するブランチの接頭辞（gemini-issue-<Issue番号>-<タイムスタンプ>）
+const SOLVER_BRANCH_PREFIX = 'gemini-issue-';
 
 class EnhancedSolutionHandler {
   constructor(github, context, config) {
@@ -18,10 +22,11 @@ class EnhancedSolutionHandler {
       // ステータスマネージャーの初期化
       this.statusManager = new StatusCommentManager(this.github, this.context);
       
-      // 既存のGeminiコメントを探すか、新しいコメントを作成
-      const existingCommentId = await this.statusManager.findExistingGeminiComment(this.config.issueNumber);
+      // 既存のGeminiコメントを探すか、新しいコメントを作成（PRからの依頼はPRに投稿）
+      const commentIssueNumber = this.config.pullRequest ? this.config.pullRequest.number : this.config.issueNumber;
+      const existingCommentId = await this.statusManager.findExistingGeminiComment(commentIssueNumber);
       if (!existingCommentId) {
-        await this.statusManager.createInitialComment(this.config.issueNumber);
+        await this.statusManager.createInitialComment(commentIssueNumber);
       }
 
       // Gitリポジトリの初期化確認
@@ -35,7 +40,8 @@ class EnhancedSolutionHandler {
       }
 
       // 変更の確認
-      const gitStatus = execSync('git status --porcelain', { encoding: 'utf8' });
+      // 新しいディレクトリ内のファイルも1件ずつ列挙する
+      const gitStatus = execSync('git status --porcelain --untracked-files=all', { encoding: 'utf8' });
       
       if (!gitStatus.trim()) {
         console.log('No changes to commit');
@@ -55,7 +61,7 @@ class EnhancedSolutionHandler {
       }
 
       // DRY_RUNモードの場合はここで終了
-      if (process.env.DRY_RUN === 'true') {
+      if (this.config.dryRun) {
         console.log('🔍 DRY_RUN mode - skipping commit and PR creation');
         await this.statusManager.updateStatus('completed', {
           hasChanges: true,
@@ -65,23 +71,51 @@ class EnhancedSolutionHandler {
         return { hasChanges: true, dryRun: true };
       }
 
+      // PRからの依頼は既存のブランチにコミットを追加し、スレッドに返信
+      if (this.config.pullRequest) {
+        const commitSha = await this.pushFollowUpCommit(report, meaningfulFiles);
+        await this.statusManager.updateStatus('completed', {
+          hasChanges: true,
+          prUrl: this.config.pullRequest.url,
+          followUp: true,
+          report
+        });
+        return {
+          hasChanges: true,
+          prUrl: this.config.pullRequest.url,
+          branchName: this.config.pullRequest.branch,
+          commitSha,
+          followUp: true
+        };
+      }
+
+      // 同じIssueに対して作成済みのPRがあれば、最新のものを更新し、残りはクローズする
+      const [existingPull, ...duplicatePulls] = await this.findSolverPullRequests(report.issueNumber);
+
       // ブランチ作成とコミット
-      const branchName = await this.createBranchAndCommit(report, meaningfulFiles);
+      const { branchName, commitSha } = await this.createBranchAndCommit(report, meaningfulFiles, existingPull);
       
-      // Pull Request作成
-      const pr = await this.createPullRequest(branchName, report);
+      // Pull Request作成（既存のPRは説明を更新）
+      const pr = existingPull
+        ? await this.updatePullRequest(existingPull.number, report)
+        : await this.createPullRequest(branchName, report);
+      const closedPulls = await this.closeDuplicatePullRequests(duplicatePulls, pr.data.number);
       
       // 完了ステータスの更新（コメントも含む）
       await this.statusManager.updateStatus('completed', {
         hasChanges: true,
         prUrl: pr.data.html_url,
+        updated: Boolean(existingPull),
         report: report
       });
 
       return { 
         hasChanges: true, 
         prUrl: pr.data.html_url,
-        branchName: branchName 
+        branchName: branchName,
+        commitSha,
+        updatedPullRequest: existingPull ? existingPull.number : null,
+        closedPullRequests: closedPulls
       };
 
     } catch (error) {
@@ -106,13 +140,238 @@ class EnhancedSolutionHandler {
       hasChanges: false,
       report: report
     });
+
+    if (this.config.pullRequest) {
+      const description = report.solution?.description || report.solution?.analysis;
+      await this.replyToPullRequest(['💬 コメントを確認しましたが、コードの変更は必要ないと判断しました。', ...(description ? ['', description] : [])].join('\n'));
+    }
+  }
+
+  /**
+   * マージ先ブランチの最新のHEADから作業を始める
+   * 作業ツリーに変更がある場合は、変更を失わないよう現在のHEADのまま続ける
+   * @returns {boolean} チェックアウトした場合は true
+   */
+  checkoutBaseBranch() {
+    const base = this.config.baseBranch;
+    if (!base) {
+      return false;
+    }
+
+    try {
+      if (this.git(['status', '--porcelain'])) {
+        console.warn(`⚠️ 作業ツリーに変更があるため、${base} をチェックアウトせずに現在のHEADから作業します`);
+        return false;
+      }
+      this.git(['fetch', 'origin', `+refs/heads/${base}:refs/remotes/origin/${base}`]);
+      this.git(['checkout', '-B', base, `origin/${base}`]);
+      console.log(`🌿 マージ先ブランチ ${base} の最新 (${this.git(['rev-parse', '--short', 'HEAD'])}) から作業を開始`);
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ マージ先ブランチ ${base} を取得できません。現在のHEADから作業します: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * PRのブランチをチェックアウトする
+   * 追加のコミットを積むのは Issue Solver が作成したブランチのみ（それ以外はスレッドで断る）
+   * @returns {Promise<boolean>} チェックアウトした場合は true
+   */
+  async checkoutPullRequestBranch() {
+    const { number, branch, isSolverBranch } = this.config.pullRequest;
+    if (!isSolverBranch) {
+      console.log(`⚠️ PR #${number} のブランチ ${branch} はIssue Solverが作成したものではありません`);
+      await this.replyToPullRequest(`⚠️ このPRのブランチ（\`${branch}\`）はIssue Solverが作成したものではないため、変更をコミットできません。Issueで \`/solve\` を実行してください。`);
+      return false;
+    }
+
+    console.log(`🔀 PR #${number} のブランチをチェックアウト: ${branch}`);
+    this.git(['fetch', 'origin', `+refs/heads/${branch}:refs/remotes/origin/${branch}`]);
+    this.git(['checkout', '-B', branch, `origin/${branch}`]);
+    return true;
+  }
+
+  /**
+   * PRのブランチにコミットを追加してプッシュし、依頼元のスレッドに返信する
+   * @returns {Promise<string>} 追加したコミットのSHA
+   */
+  async pushFollowUpCommit(report, meaningfulFiles) {
+    const { number, branch } = this.config.pullRequest;
+    const commitSha = await this.commitChanges(branch, meaningfulFiles, this.generateFollowUpCommitMessage(report));
+    console.log(`✅ PR #${number} にコミットを追加: ${commitSha.substring(0, 7)}`);
+
+    await this.replyToPullRequest(this.generateFollowUpReply(report, commitSha, meaningfulFiles));
+    return commitSha;
+  }
+
+  /**
+   * 依頼元に返信（レビューコメントはそのスレッド、会話へのコメントはPRの会話）
+   */
+  async replyToPullRequest(body) {
+    const { owner, repo } = this.context.repo;
+    const { number, comment } = this.config.pullRequest;
+
+    try {
+      if (comment?.kind === 'review') {
+        await this.github.rest.pulls.createReplyForReviewComment({
+          owner,
+          repo,
+          pull_number: number,
+          comment_id: comment.threadId,
+          body
+        });
+      } else {
+        await this.github.rest.issues.createComment({ owner, repo, issue_number: number, body });
+      }
+    } catch (error) {
+      console.warn(`⚠️ PRへの返信に失敗: ${error.message}`);
+    }
+  }
+
+  git(args) {
+    return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
   }
 
   /**
-   * ブランチ作成とコミット
+   * このIssueに対してIssue Solverが作成したオープンなPR（更新日時の新しい順）
+   * ブランチ名の接頭辞か、PR本文の目印で判別する（フォークのPRは対象外）
    */
-  async createBranchAndCommit(report, meaningfulFiles) {
-    // Git設定確認・設定
+  async findSolverPullRequests(issueNumber) {
+    const { owner, repo } = this.context.repo;
+    try {
+      // オープンなPRが100件を超えるリポジトリでも古いPRを見落とさないよう、すべてのページを取得する
+      const openPulls = await this.github.paginate(this.github.rest.pulls.list, {
+        owner,
+        repo,
+        state: 'open',
+        sort: 'updated',
+        direction: 'desc',
+        per_page: 100
+      });
+      const pulls = openPulls.filter(pull =>
+        pull.head.repo?.full_name === `${owner}/${repo}` &&
+        (pull.head.ref.startsWith(`${SOLVER_BRANCH_PREFIX}${issueNumber}-`) || (pull.body || '').includes(EnhancedSolutionHandler.pullRequestMarker(issueNumber)))
+      );
+      if (pulls.length > 0) {
+        console.log(`🔎 Issue #${issueNumber} の既存のPR: ${pulls.map(pull => `#${pull.number}`).join(', ')}`);
+      }
+      return pulls;
+    } catch (error) {
+      console.warn(`⚠️ 既存のPRを検索できません: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * PR本文に埋め込む目印（ブランチ名を変えても同じIssueのPRとして見つけられるように）
+   */
+  static pullRequestMarker(issueNumber) {
+    return `<!-- issue-solver:issue-${issueNumber} -->`;
+  }
+
+  /**
+   * ブランチ作成とコミット（既存のPRがあればそのブランチを更新）
+   * 既存のブランチは、その上で作業していればコミットを追加し、そうでなければ今回の内容で置き換える
+   * （置き換えはPRの先頭が取得時から変わっていない場合のみ）
+   * @returns {Promise<{branchName: string, commitSha: string}>}
+   */
+  async createBranchAndCommit(report, meaningfulFiles, existingPull = null) {
+    const branchName = existingPull
+      ? existingPull.head.ref
+      : `${SOLVER_BRANCH_PREFIX}${report.issueNumber}-${Date.now()}`;
+    const force = Boolean(existingPull) && !this.isAncestor(existingPull.head.sha);
+    if (existingPull) {
+      console.log(force ? `♻️  既存のブランチ ${branchName} を今回の解決策で置き換え` : `➕ 既存のブランチ ${branchName} にコミットを追加`);
+    }
+
+    const commitSha = await this.commitChanges(branchName, meaningfulFiles, this.generateCommitMessage(report), {
+      force,
+      expectedSha: existingPull ? existingPull.head.sha : null
+    });
+    return { branchName, commitSha };
+  }
+
+  /**
+   * 現在のHEADの上に変更をコミットしてブランチに反映する
+   * Git Data API（署名付きのボットのコミット）を優先し、使えない場合は git コマンドでプッシュする
+   * @returns {Promise<string>} コミットのSHA
+   */
+  async commitChanges(branchName, files, message, { force = false, expectedSha = null } = {}) {
+    if (this.config.commitBackend !== 'git' && this.github.rest.git) {
+      try {
+        const committer = new GitDataCommitter(this.github, this.context);
+        return await committer.commit({
+          branch: branchName,
+          parentSha: this.git(['rev-parse', 'HEAD']),
+          files,
+          message,
+          force,
+          expectedSha
+        });
+      } catch (error) {
+        console.warn(`⚠️ Git Data API でコミットできないため、git コマンドでプッシュします: ${error.message}`);
+      }
+    }
+    return this.commitWithGit(branchName, files, message, { force, expectedSha });
+  }
+
+  /**
+   * git コマンドでコミットしてプッシュする（引数はシェルを介さずに渡す）
+   */
+  commitWithGit(branchName, files, message, { force, expectedSha }) {
+    this.ensureGitIdentity();
+
+    this.git(['checkout', '-B', branchName]);
+    files.forEach(file => this.git(['add', '--', file]));
+    this.git(['commit', '-m', message]);
+
+    const refspec = `HEAD:refs/heads/${branchName}`;
+    this.git(force
+      ? ['push', `--force-with-lease=refs/heads/${branchName}:${expectedSha}`, 'origin', refspec]
+      : ['push', 'origin', refspec]);
+    return this.git(['rev-parse', 'HEAD']);
+  }
+
+  isAncestor(sha) {
+    try {
+      this.git(['merge-base', '--is-ancestor', sha, 'HEAD']);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 置き換えられた重複PRにコメントしてクローズする
+   * @returns {Promise<number[]>} クローズしたPRの番号
+   */
+  async closeDuplicatePullRequests(pulls, keptNumber) {
+    const { owner, repo } = this.context.repo;
+    const closed = [];
+
+    for (const pull of pulls) {
+      try {
+        await this.github.rest.issues.createComment({
+          owner,
+          repo,
+          issue_number: pull.number,
+          body: `🔁 #${keptNumber} に置き換えられたため、このPRをクローズします。`
+        });
+        await this.github.rest.pulls.update({ owner, repo, pull_number: pull.number, state: 'closed' });
+        console.log(`🗑️  重複したPR #${pull.number} をクローズ`);
+        closed.push(pull.number);
+      } catch (error) {
+        console.warn(`⚠️  PR #${pull.number} のクローズに失敗: ${error.message}`);
+      }
+    }
+    return closed;
+  }
+
+  /**
+   * Git設定確認・設定
+   */
+  ensureGitIdentity() {
     try {
       const userName = execSync('git config user.name', { encoding: 'utf8' }).trim();
       const userEmail = execSync('git config user.email', { encoding: 'utf8' }).trim();
@@ -123,24 +382,6 @@ class EnhancedSolutionHandler {
       execSync('git config user.name "Gemini Issue Solver"');
       console.log('✅ Git設定完了: Gemini Issue Solver <gemini-bot@github-actions.local>');
     }
-
-    // ブランチ作成
-    const branchName = `gemini-issue-${report.issueNumber}-${Date.now()}`;
-    execSync(`git checkout -b ${branchName}`);
-    
-    // ファイルを追加（既にフィルタリング済み）
-    meaningfulFiles.forEach(file => {
-      execSync(`git add "${file}"`);
-    });
-
-    // コミット
-    const commitMessage = this.generateCommitMessage(report);
-    execSync(`git commit -m "${commitMessage}"`);
-    
-    // プッシュ
-    execSync(`git push origin ${branchName}`);
-
-    return branchName;
   }
 
   /**
@@ -181,6 +422,41 @@ Files changed: ${report.solution?.filesChanged || 0}
 Generated by Gemini Issue Solver`;
   }
 
+  /**
+   * PRへの追加コミットのメッセージ（依頼したコメントの位置と1行目を含める）
+   */
+  generateFollowUpCommitMessage(report) {
+    const { number, comment } = this.config.pullRequest;
+    const location = comment?.path ? ` (${comment.path}${comment.line ? `:${comment.line}` : ''})` : '';
+    const request = (comment?.body || '').split('\n').find(line => line.trim()) || '';
+
+    return `fix: address review on #${number}${location}
+
+Requested by @${comment?.author || 'unknown'}: ${request.trim().substring(0, 72)}
+Solution type: ${report.solution?.type || 'fix'}
+Confidence: ${report.solution?.confidence || 'medium'}
+
+Generated by Gemini Issue Solver`;
+  }
+
+  /**
+   * 追加コミットを知らせる返信
+   */
+  generateFollowUpReply(report, commitSha, files) {
+    const solution = report.solution || {};
+    const lines = [
+      `🔁 コメントに対応するコミット ${commitSha.substring(0, 7)} をこのPRに追加しました。`,
+      '',
+      '**変更したファイル:**',
+      ...files.map(file => `- \`${file}\``)
+    ];
+    const description = solution.description || solution.analysis;
+    if (description) {
+      lines.push('', description);
+    }
+    return lines.join('\n');
+  }
+
   /**
    * Pull Request作成
    */
@@ -192,14 +468,65 @@ Generated by Gemini Issue Solver`;
       repo: this.context.repo.repo,
       title: this.generatePRTitle(report),
       head: branchName,
-      base: 'main',
+      base: this.config.baseBranch,
       body: prBody
     });
 
     console.log('Pull request created:', pr.data.html_url);
+    await this.applyPullRequestSettings(pr.data.number);
+    return pr;
+  }
+
+  /**
+   * 既存のPRのタイトルと説明を今回の解決策で更新
+   */
+  async updatePullRequest(pullNumber, report) {
+    const pr = await this.github.rest.pulls.update({
+      owner: this.context.repo.owner,
+      repo: this.context.repo.repo,
+      pull_number: pullNumber,
+      title: this.generatePRTitle(report),
+      body: this.generatePRDescription(report)
+    });
+
+    console.log('Pull request updated:', pr.data.html_url);
     return pr;
   }
 
+  /**
+   * リポジトリ設定のラベルとレビュアーをPRに付ける（失敗してもPR作成は成功扱い）
+   */
+  async applyPullRequestSettings(pullNumber) {
+    const { owner, repo } = this.context.repo;
+    const labels = this.config.prLabels || [];
+    const reviewers = this.config.prReviewers || [];
+    const teamReviewers = this.config.prTeamReviewers || [];
+
+    if (labels.length > 0) {
+      try {
+        await this.github.rest.issues.addLabels({ owner, repo, issue_number: pullNumber, labels });
+        console.log(`🏷️  ラベルを追加: ${labels.join(', ')}`);
+      } catch (error) {
+        console.warn(`⚠️  ラベルの追加に失敗: ${error.message}`);
+      }
+    }
+
+    if (reviewers.length > 0 || teamReviewers.length > 0) {
+      try {
+        await this.github.rest.pulls.requestReviewers({
+          owner,
+          repo,
+          pull_number: pullNumber,
+          reviewers,
+          team_reviewers: teamReviewers
+        });
+        console.log(`👀 レビューを依頼: ${[...reviewers, ...teamReviewers.map(team => `@${owner}/${team}`)].join(', ')}`);
+      } catch (error) {
+        console.warn(`⚠️  レビュー依頼に失敗: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * PRタイトル生成
    */
@@ -244,7 +571,9 @@ ${report.checkpoints ? report.checkpoints.filter(c => c.status === 'completed').
 
 ---
 Closes #${report.issueNumber}
-*Gemini Issue Solver により自動生成*`;
+*Gemini Issue Solver により自動生成*
+
+${EnhancedSolutionHandler.pullRequestMarker(report.issueNumber)}`;
   }
 }
 
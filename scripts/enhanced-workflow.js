@@ -1,5 +1,12 @@
 const { SafeFileManager } = require('./safe-file-manager');
-const { exec } = require('child_process');
+const { TestFailureReport } = require('./test-failure-report');
+const { RepoFileEnumerator } = require('./repo-file-enumerator');
+const { WorkspaceDetector } = require('./workspace-detector');
+const { CheckRunReporter } = require('./check-run-reporter');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exec, execFileSync } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
 
@@ -7,14 +14,21 @@ class EnhancedWorkflow {
   constructor(config, solver) {
     this.config = config;
     this.solver = solver;
-    this.fileManager = new SafeFileManager();
+    this.fileManager = new SafeFileManager({ ...config.fileRules, dryRun: config.dryRun });
     this.checkpoints = [];
+    // Check Run のアノテーションにする指摘（バリデーターの拒否・リントエラー・失敗したテスト）
+    this.diagnostics = [];
+    this.verificationErrors = [];
+    this.changedPaths = new Set();
   }
 
   /**
    * 改善されたIssue解決ワークフロー
+   * @param {object} options
+   * @param {boolean} [options.planOnly] - 計画と差分プレビューまでで終了する（/plan）
+   * @param {object} [options.solution] - 承認済みのプラン。AIに再生成させずにそのまま実装する（/approve）
    */
-  async execute() {
+  async execute(options = {}) {
     console.log('🚀 Enhanced Issue Solver ワークフロー開始\n');
     
     try {
@@ -25,12 +39,27 @@ class EnhancedWorkflow {
       
       // 2. 計画フェーズ（AI解決策の生成）
       await this.executePhase('planning', async () => {
-        await this.solver.generateSolution();
+        if (options.solution) {
+          console.log('📋 承認済みのプランを実装します');
+          this.solver.solution = options.solution;
+        } else {
+          await this.solver.generateSolution();
+        }
         
         // 解決策の妥当性チェック
         this.validateSolution(this.solver.solution);
       });
       
+      // /plan はファイルを変更せず、差分のプレビューを返して終了
+      if (options.planOnly) {
+        let preview = [];
+        await this.executePhase('preview', async () => {
+          preview = await this.previewSolution();
+        });
+        console.log('\n✅ プランを作成しました');
+        return { success: true, planOnly: true, preview, checkpoints: this.checkpoints };
+      }
+      
       // 3. レビューフェーズ（オプション）
       if (process.env.ENABLE_REVIEW === 'true') {
         await this.executePhase('review', async () => {
@@ -87,6 +116,9 @@ class EnhancedWorkflow {
       console.log(`✅ ${phaseName}フェーズ完了 (${checkpoint.duration}ms)`);
       
     } catch (error) {
+      // 再スローするとファイルごとの失敗情報が失われるため、ここで記録する
+      this.diagnostics.push(...CheckRunReporter.fromFileErrors(error));
+      
       const checkpoint = {
         phase: phaseName,
         timestamp: new Date().toISOString(),
@@ -108,6 +140,12 @@ class EnhancedWorkflow {
     
     // ファイル操作の検証
     if (solution.files && solution.files.length > 0) {
+      // リポジトリ設定の上限を超える変更は実装しない
+      const maxFiles = this.config.maxFilesChanged;
+      if (maxFiles && solution.files.length > maxFiles) {
+        throw new Error(`変更ファイル数 (${solution.files.length}) が上限 (max_files_changed: ${maxFiles}) を超えています`);
+      }
+      
       // 大量のファイル変更を警告
       if (solution.files.length > 50) {
         issues.push(`大量のファイル変更 (${solution.files.length}ファイル)`);
@@ -141,7 +179,8 @@ class EnhancedWorkflow {
   }
 
   /**
-   * 解決策のレビュー（人間による確認）
+   * 解決策のレビュー（ログへの出力とドライラン）
+   * 人間による承認は /plan → /approve で行う
    */
   async reviewSolution() {
     console.log('\n👀 解決策のレビュー:');
@@ -153,23 +192,128 @@ class EnhancedWorkflow {
     if (this.solver.solution.files) {
       await this.fileManager.safeExecute(this.solver.solution.files);
     }
-    
-    // インタラクティブモードの場合は確認を求める
-    if (process.env.INTERACTIVE === 'true') {
-      const readline = require('readline').createInterface({
-        input: process.stdin,
-        output: process.stdout
+  }
+
+  /**
+   * 解決策をいったん適用してファイルごとの差分を取り、元の状態に戻す
+   * @returns {Promise<Array<{path: string, action: string, diff: string, error: string|null}>>}
+   */
+  async previewSolution() {
+    const operations = this.solver.solution.files || [];
+    const manager = new SafeFileManager({ ...this.config.fileRules, dryRun: false });
+    // 変更前のファイルはバイナリや実行権限を保ったまま一時ディレクトリにコピーしておく（存在しなければ null）
+    const backupDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-solver-plan-'));
+    const originals = new Map();
+    const createdDirectories = new Set();
+    const errors = new Map();
+
+    const saveOriginal = filePath => {
+      if (!fs.existsSync(filePath)) {
+        originals.set(filePath, null);
+      } else {
+        const backupPath = path.join(backupDir, String(originals.size));
+        fs.copyFileSync(filePath, backupPath);
+        originals.set(filePath, backupPath);
+      }
+
+      // 新しく作られるディレクトリは復元時に削除する
+      let directory = path.dirname(filePath);
+      let topmostMissing = null;
+      while (directory !== '.' && directory !== path.dirname(directory) && !fs.existsSync(directory)) {
+        topmostMissing = directory;
+        directory = path.dirname(directory);
+      }
+      if (topmostMissing) {
+        createdDirectories.add(topmostMissing);
+      }
+    };
+    const isChanged = (filePath, backupPath) => {
+      const exists = fs.existsSync(filePath);
+      if (!exists || backupPath === null) {
+        return exists !== (backupPath !== null);
+      }
+      return !fs.readFileSync(filePath).equals(fs.readFileSync(backupPath));
+    };
+
+    try {
+      for (const operation of operations) {
+        try {
+          const validation = manager.validateAllOperations([operation]);
+          if (!validation.valid) {
+            errors.set(operation.path, validation.errors.join(', '));
+            continue;
+          }
+          if (!originals.has(operation.path)) {
+            saveOriginal(operation.path);
+          }
+          const { failures } = await manager.executeOperations([operation]);
+          failures.forEach(failure => errors.set(failure.path, failure.reason));
+        } catch (error) {
+          // ディレクトリを指定された場合など、この操作だけをエラーとして報告する
+          errors.set(operation.path, error.message);
+        }
+      }
+
+      const paths = [...new Set(operations.map(operation => operation.path))];
+      return paths.map(filePath => {
+        const backupPath = originals.get(filePath) ?? null;
+        const original = backupPath === null ? null : fs.readFileSync(backupPath, 'utf8');
+        return {
+          path: filePath,
+          action: operations.find(operation => operation.path === filePath).action,
+          diff: errors.has(filePath) ? '' : this.diffContents(filePath, original, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null),
+          error: errors.get(filePath) || null
+        };
       });
-      
-      const answer = await new Promise(resolve => {
-        readline.question('続行しますか？ (y/n): ', resolve);
+    } finally {
+      // 実際に変更されたファイルだけを元に戻す
+      originals.forEach((backupPath, filePath) => {
+        if (!isChanged(filePath, backupPath)) {
+          return;
+        }
+        if (backupPath === null) {
+          fs.rmSync(filePath, { force: true });
+        } else {
+          fs.mkdirSync(path.dirname(filePath), { recursive: true });
+          fs.copyFileSync(backupPath, filePath);
+        }
       });
-      
-      readline.close();
-      
-      if (answer.toLowerCase() !== 'y') {
-        throw new Error('ユーザーによってキャンセルされました');
+      createdDirectories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+      fs.rmSync(backupDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * 変更前後の内容の unified diff（null はファイルが存在しない）
+   */
+  diffContents(filePath, before, after) {
+    if (before === after) {
+      return '';
+    }
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-solver-preview-'));
+    const side = (name, content) => {
+      if (content === null) return '/dev/null';
+      const file = path.join(tmpDir, name);
+      fs.writeFileSync(file, content);
+      return file;
+    };
+
+    try {
+      let output;
+      try {
+        output = execFileSync('git', ['diff', '--no-index', '--no-color', '--', side('before', before), side('after', after)], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+      } catch (error) {
+        // 差分がある場合は終了コード1
+        output = error.stdout || '';
       }
+
+      // 一時ファイル名のヘッダーを対象ファイルのパスに置き換える
+      const hunks = output.substring(output.indexOf('\n@@') + 1);
+      const header = `--- ${before === null ? '/dev/null' : `a/${filePath}`}\n+++ ${after === null ? '/dev/null' : `b/${filePath}`}`;
+      return output.includes('\n@@') ? `${header}\n${hunks}`.trimEnd() : '';
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
     }
   }
 
@@ -182,8 +326,13 @@ class EnhancedWorkflow {
       return;
     }
     
-    // 安全なファイルマネージャーを使用
-    const results = await this.fileManager.safeExecute(this.solver.solution.files);
+    this.trackChangedPaths(this.solver.solution.files);
+    
+    // 安全なファイルマネージャーを使用（適用に失敗した操作はAIに修復を依頼）
+    const results = await this.fileManager.safeExecute(this.solver.solution.files, {
+      repair: (failures, turn) => this.solver.repairOperations(failures, turn),
+      maxRepairTurns: this.config.editRepairMaxTurns ?? 2
+    });
     
     console.log(`\n📝 ${results.length}個のファイル操作を完了しました`);
   }
@@ -222,6 +371,7 @@ class EnhancedWorkflow {
     const results = await Promise.allSettled(verificationSteps);
     
     const failures = results.filter(r => r.status === 'rejected');
+    this.verificationErrors = failures.map(f => f.reason?.message || String(f.reason));
     if (failures.length > 0) {
       console.error('\n❌ 検証エラー:');
       failures.forEach(f => console.error(`   - ${f.reason}`));
@@ -236,6 +386,9 @@ class EnhancedWorkflow {
    * Node.jsプロジェクトの存在チェック
    */
   async hasNodeProject() {
+    if (this.getTargetPackage()?.scripts.length > 0) {
+      return true;
+    }
     try {
       await execAsync('test -f package.json');
       return true;
@@ -244,16 +397,37 @@ class EnhancedWorkflow {
     }
   }
 
+  /**
+   * モノレポで分析フェーズが特定した対象パッケージ
+   */
+  getTargetPackage() {
+    return this.solver.issueAnalysis?.repositoryContext?.targetPackage || null;
+  }
+
+  /**
+   * 対象パッケージのスクリプト（test / lint）を実行するコマンド
+   */
+  getPackageScriptCommand(script) {
+    const command = WorkspaceDetector.getScriptCommand(this.getTargetPackage(), script);
+    if (command) {
+      console.log(`📦 対象パッケージの${script}スクリプトを使用: ${command}`);
+    }
+    return command;
+  }
+
+  /**
+   * テストコマンド（TEST_COMMAND・設定ファイルで未指定のモノレポでは対象パッケージのテスト）
+   */
+  getTestCommand() {
+    return this.config.customTestCommand || this.getPackageScriptCommand('test') || this.config.testCommand;
+  }
+
   /**
    * JavaScriptファイルの存在チェック
    */
   async hasJavaScriptFiles() {
-    try {
-      const { stdout } = await execAsync('find . -name "*.js" -o -name "*.jsx" -o -name "*.ts" -o -name "*.tsx" | head -1');
-      return stdout.trim().length > 0;
-    } catch {
-      return false;
-    }
+    // node_modules や .gitignore 対象・ビルド成果物は数えない（適用後の未追跡ファイルは含む）
+    return new RepoFileEnumerator().listByExtension(['.js', '.jsx', '.ts', '.tsx']).length > 0;
   }
 
   /**
@@ -273,12 +447,7 @@ class EnhancedWorkflow {
    * Pythonファイルの存在チェック
    */
   async hasPythonFiles() {
-    try {
-      const { stdout } = await execAsync('find . -name "*.py" | head -1');
-      return stdout.trim().length > 0;
-    } catch {
-      return false;
-    }
+    return new RepoFileEnumerator().listByExtension(['.py']).length > 0;
   }
 
   /**
@@ -292,10 +461,18 @@ class EnhancedWorkflow {
       // ESLintが利用可能か確認
       try {
         await execAsync('npx eslint --version');
-        const { stdout, stderr } = await execAsync('npx eslint . --max-warnings 0');
+        const { stdout, stderr } = await execAsync('npx eslint . --max-warnings 0 -f unix');
         console.log('✅ ESLintチェック完了');
       } catch (error) {
-        console.warn('⚠️  ESLintチェックをスキップ（ESLintが設定されていません）');
+        // 指摘があれば変更したファイルの分だけ記録し、設定がない場合などはスキップする
+        const lintDiagnostics = CheckRunReporter.fromLintOutput(error.stdout, this.listRepoFiles());
+        if (lintDiagnostics.length > 0) {
+          const changed = this.filterChangedPaths(lintDiagnostics);
+          this.diagnostics.push(...changed);
+          console.warn(`⚠️  ESLintの指摘: ${lintDiagnostics.length}件（変更したファイル: ${changed.length}件）`);
+        } else {
+          console.warn('⚠️  ESLintチェックをスキップ（ESLintが設定されていません）');
+        }
       }
     } else {
       console.log('ℹ️  Node.jsプロジェクトではありません（package.jsonが見つかりません）');
@@ -338,13 +515,15 @@ class EnhancedWorkflow {
     }
     
     let lastError = null;
+    const testCommand = this.getTestCommand();
     
     for (let attempt = 1; attempt <= this.config.testMaxRetries; attempt++) {
       try {
         console.log(`テスト実行 (試行 ${attempt}/${this.config.testMaxRetries})...`);
         
-        const { stdout, stderr } = await execAsync(this.config.testCommand, {
-          timeout: 300000 // 5分のタイムアウト
+        const { stdout, stderr } = await execAsync(testCommand, {
+          timeout: 300000, // 5分のタイムアウト
+          maxBuffer: 64 * 1024 * 1024 // 冗長なテスト出力でも ENOBUFS にしない
         });
         
         console.log('✅ すべてのテストが成功しました');
@@ -355,20 +534,30 @@ class EnhancedWorkflow {
         console.error(`❌ テストが失敗しました (試行 ${attempt}/${this.config.testMaxRetries}):`, error.message);
         
         if (attempt < this.config.testMaxRetries) {
-          console.log('\n🔄 テスト失敗のため、再度分析・実装を実行します...');
+          console.log('\n🔄 テスト失敗のため、テスト出力をもとに前回の実装を修正します...');
           
-          // 再分析・再実装
-          await this.executePhase('re-analysis', async () => {
-            await this.solver.analyzeIssue();
-          });
-          
-          await this.executePhase('re-planning', async () => {
-            await this.solver.generateSolution();
-            this.validateSolution(this.solver.solution);
+          // 失敗したテストの出力と現在の差分をAIに渡し、前回の実装の上に修正を重ねる
+          let fix = null;
+          await this.executePhase('test-repair', async () => {
+            fix = await this.solver.generateTestFix({
+              command: testCommand,
+              output: TestFailureReport.trim(`${error.stdout || ''}\n${error.stderr || ''}`.trim() || error.message),
+              diff: TestFailureReport.getCurrentDiff(),
+              attempt
+            });
+            this.validateSolution(fix);
           });
           
           await this.executePhase('re-implementation', async () => {
-            await this.implementSolution();
+            if (!fix.files || fix.files.length === 0) {
+              console.log('ℹ️  追加のファイル変更はありません');
+              return;
+            }
+            this.trackChangedPaths(fix.files);
+            await this.fileManager.safeExecute(fix.files, {
+              repair: (failures, turn) => this.solver.repairOperations(failures, turn),
+              maxRepairTurns: this.config.editRepairMaxTurns ?? 2
+            });
           });
           
           console.log('\n🧪 再実装後のテストを実行します...');
@@ -376,6 +565,10 @@ class EnhancedWorkflow {
       }
     }
     
+    this.diagnostics.push(...CheckRunReporter.fromTestOutput(
+      `${lastError?.stdout || ''}\n${lastError?.stderr || ''}`.trim() || lastError?.message,
+      this.listRepoFiles()
+    ));
     throw new Error(`テストが${this.config.testMaxRetries}回失敗しました: ${lastError?.message}`);
   }
 
@@ -386,7 +579,7 @@ class EnhancedWorkflow {
     console.log('\n📏 リンター実行中...');
     
     // プロジェクトの種類に応じてリントコマンドを決定
-    let lintCommand = process.env.LINT_COMMAND;
+    let lintCommand = this.config.lintCommand || this.getPackageScriptCommand('lint');
     
     if (!lintCommand) {
       if (await this.hasNodeProject()) {
@@ -407,10 +600,28 @@ class EnhancedWorkflow {
       console.log('✅ リントチェック完了');
       return { success: true };
     } catch (error) {
+      this.diagnostics.push(...this.filterChangedPaths(
+        CheckRunReporter.fromLintOutput(`${error.stdout || ''}\n${error.stderr || ''}`, this.listRepoFiles())
+      ));
       throw new Error(`リントエラー: ${error.message}`);
     }
   }
 
+  /**
+   * 変更したファイルを記録する（既存のリントエラーを今回の変更の指摘にしないため）
+   */
+  trackChangedPaths(operations = []) {
+    operations.forEach(operation => this.changedPaths.add(path.normalize(operation.path)));
+  }
+
+  filterChangedPaths(diagnostics) {
+    return diagnostics.filter(diagnostic => this.changedPaths.has(path.normalize(diagnostic.path)));
+  }
+
+  listRepoFiles() {
+    return new RepoFileEnumerator().list();
+  }
+
   /**
    * レポートを生成
    */
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * 決定的なフェイクプロバイダー（オフラインE2Eテスト用）
+ *
+ * ネットワークには一切アクセスせず、フィクスチャディレクトリの
+ * ソリューションJSONをそのまま返す。フィクスチャは以下の順で探索する:
+ *   1. issue-<Issue番号>.json
+ *   2. prompt-<プロンプトのSHA-256先頭16文字>.json
+ *   3. default.json
+ * フィクスチャが配列の場合は呼び出しごとに順番に返し、末尾に達したら最後の要素を返し続ける。
+ */
+class FakeProvider {
+  constructor(config) {
+    this.config = config;
+    this.fixturesDir = config.fakeFixturesDir;
+    this.name = 'fake';
+    this.displayName = 'Fake';
+    this.triggerName = 'fake';
+    this.fileFormat = 'object';
+    this.calls = [];
+  }
+
+  get model() {
+    return this.config.fakeModel || 'fake';
+  }
+
+  get maxRetries() {
+    return this.config.fakeMaxRetries || 3;
+  }
+
+  get retryDelay() {
+    return 1; // 待機は不要
+  }
+
+  get timeout() {
+    return 60000;
+  }
+
+  async generate(prompt, _schema, _options = {}) {
+    const promptHash = FakeProvider.hashPrompt(prompt);
+    const fixturePath = this.resolveFixture(promptHash);
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+    const callIndex = this.calls.filter(call => call.fixturePath === fixturePath).length;
+    this.calls.push({ fixturePath, promptHash });
+
+    const response = Array.isArray(fixture)
+      ? fixture[Math.min(callIndex, fixture.length - 1)]
+      : fixture;
+
+    console.log(`🧪 フィクスチャを再生: ${path.basename(fixturePath)} (prompt ${promptHash})`);
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  resolveFixture(promptHash) {
+    const candidates = [
+      this.config.issueNumber ? `issue-${this.config.issueNumber}.json` : null,
+      `prompt-${promptHash}.json`,
+      'default.json'
+    ].filter(Boolean);
+
+    for (const candidate of candidates) {
+      const fixturePath = path.join(this.fixturesDir, candidate);
+      if (fs.existsSync(fixturePath)) {
+        return fixturePath;
+      }
+    }
+
+    throw new Error(`フィクスチャが見つかりません: ${candidates.join(', ')} (ディレクトリ: ${this.fixturesDir})`);
+  }
+
+  static hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(prompt || '').digest('hex').substring(0, 16);
+  }
+}
+
+module.exports = { FakeProvider };
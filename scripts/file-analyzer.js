@@ -1,7 +1,24 @@
 const fs = require('fs');
 const path = require('path');
+const { CodeSearchIndex } = require('./code-search-index');
+const { RepoFileEnumerator } = require('./repo-file-enumerator');
+const { SymbolIndex } = require('./symbol-index');
+const { StackTraceParser } = require('./stack-trace-parser');
 
 class FileAnalyzer {
+  constructor(options = {}) {
+    // リポジトリ内のファイル一覧（.gitignore・バイナリ・生成ファイルを除外）
+    this.fileEnumerator = options.fileEnumerator || new RepoFileEnumerator();
+    this.searchIndex = options.searchIndex || new CodeSearchIndex({ fileEnumerator: this.fileEnumerator });
+    // 内容検索でヒットしたファイルの相対スコア（0〜1、calculateFileScoreで加点）
+    this.searchScores = new Map();
+    this.symbolIndex = options.symbolIndex || new SymbolIndex({ fileEnumerator: this.fileEnumerator });
+    // Issueで言及されたシンボルを定義しているファイル
+    this.symbolFiles = new Set();
+    // スタックトレースに現れたリポジトリ内のファイル
+    this.crashFiles = new Set();
+  }
+
   findRelevantFiles(title, body, repositoryContext = {}) {
     let files = [];
     const text = (title + ' ' + body).toLowerCase();
@@ -9,7 +26,16 @@ class FileAnalyzer {
     // 1. 直接言及されたファイル名を検索
     const fileMatches = text.match(/[a-zA-Z0-9_/-]+\.(?:js|ts|tsx|jsx|py|java|cpp|c|go|rs|php|md|json|yml|yaml|html|css|vue|svelte)\b/g);
     if (fileMatches) {
-      files.push(...fileMatches);
+      // CIの絶対パスはリポジトリ相対パスに戻す（リポジトリ外のパスは除外）
+      const repoFiles = this.getRepositoryFiles();
+      fileMatches.forEach(file => {
+        if (!file.startsWith('/')) {
+          files.push(file);
+        } else if (repoFiles.length > 0) {
+          const repoPath = StackTraceParser.toRepoPath(file, repoFiles);
+          if (repoPath) files.push(repoPath);
+        }
+      });
     }
     
     // 2. プロジェクト構造に基づく関連ファイル検索
@@ -21,8 +47,12 @@ class FileAnalyzer {
     // 4. エラー・バグ修正関連ファイルの検索
     files.push(...this.findErrorRelatedFiles(text, body));
     
-    // 5. 既存ファイルの実際の検索
-    files.push(...this.searchExistingFiles(text));
+    // 5. 既存ファイルの内容検索（タイトル・本文・エラー文でBM25ランク付け）
+    const errorInfo = this.extractErrorInfo(body);
+    files.push(...this.searchExistingFiles([title, body, ...errorInfo.errors, ...errorInfo.stackTraces].join('\n')));
+    
+    // 6. 言及されたシンボルの定義ファイルと、それをimportしているファイル
+    files.push(...this.findSymbolFiles(`${title}\n${body}`));
     
     // 重複除去と優先順位付け
     const prioritizedFiles = this.prioritizeFiles([...new Set(files)], text, repositoryContext);
@@ -116,16 +146,11 @@ class FileAnalyzer {
       return files;
     }
     
-    // スタックトレースからファイル名を抽出
-    const stackTraceMatches = body.match(/\s+at\s+[^\(]*\(([^:]+):\d+:\d+\)/g);
-    if (stackTraceMatches) {
-      stackTraceMatches.forEach(match => {
-        const fileMatch = match.match(/\(([^:]+):/);
-        if (fileMatch && fileMatch[1]) {
-          files.push(fileMatch[1]);
-        }
-      });
-    }
+    // スタックトレースのフレームをリポジトリ内のファイルに解決
+    this.resolveStackFrames(body).forEach(frame => {
+      this.crashFiles.add(frame.path);
+      files.push(frame.path);
+    });
     
     // ファイルパスの言及
     const pathMatches = body.match(/(?:src\/|lib\/|dist\/)[a-zA-Z0-9\/_-]+\.[a-z]+/g);
@@ -136,23 +161,102 @@ class FileAnalyzer {
     return files;
   }
   
+  // スタックトレース（Node.js・Python・Java）のフレームをリポジトリ相対パスに解決
+  resolveStackFrames(text) {
+    const frames = StackTraceParser.parse(text);
+    if (frames.length === 0) {
+      return [];
+    }
+    
+    const repoFiles = this.getRepositoryFiles();
+    if (repoFiles.length > 0) {
+      return StackTraceParser.resolveFrames(frames, repoFiles);
+    }
+    // ファイル一覧が取れない場合は相対パスで存在するものだけ
+    return frames
+      .filter(frame => !path.isAbsolute(frame.file) && fs.existsSync(frame.file))
+      .map(frame => ({ ...frame, path: path.normalize(frame.file) }));
+  }
+  
+  getRepositoryFiles() {
+    try {
+      return this.fileEnumerator.list();
+    } catch (error) {
+      console.log('ファイル一覧の取得に失敗:', error.message);
+      return [];
+    }
+  }
+  
+  // 上位のスタックフレーム周辺のソース（クラッシュ箇所）
+  getCrashSites(text, limit = 3, radius = 30) {
+    const sites = [];
+    
+    for (const frame of this.resolveStackFrames(text)) {
+      if (sites.length >= limit) break;
+      try {
+        if (fs.statSync(frame.path).size > 512 * 1024) continue;
+        const window = StackTraceParser.getSourceWindow(fs.readFileSync(frame.path, 'utf8'), frame.line, radius);
+        if (window) {
+          sites.push({ path: frame.path, line: frame.line, frame: StackTraceParser.describe(frame), ...window });
+        }
+      } catch (error) {
+        // 読めないファイルは飛ばす
+      }
+    }
+    
+    return sites;
+  }
+  
+  // Issueで言及された関数・クラスなどのシンボル（定義箇所とimport元）
+  findMentionedSymbols(text) {
+    try {
+      return this.symbolIndex.findMentionedSymbols(text);
+    } catch (error) {
+      console.log('シンボル検索エラー:', error.message);
+      return [];
+    }
+  }
+  
+  // シンボルの定義ファイル → それをimportしているファイルの順に列挙
+  findSymbolFiles(text) {
+    const files = [];
+    
+    this.findMentionedSymbols(text).forEach(symbol => {
+      symbol.definitions.forEach(definition => {
+        this.symbolFiles.add(definition.path);
+        files.push(definition.path);
+      });
+      files.push(...symbol.importers);
+    });
+    
+    return files;
+  }
+  
   // 既存ファイルの実際の検索
   searchExistingFiles(text) {
     const files = [];
     
     try {
-      // キーワードベースの検索
-      const keywords = this.extractKeywords(text);
-      
-      // よく使われるディレクトリを検索
-      const searchDirs = ['src/', 'lib/', 'app/', 'components/', 'utils/', 'services/', 'api/', 'models/'];
-      
-      searchDirs.forEach(dir => {
-        if (fs.existsSync(dir)) {
-          const dirFiles = this.searchInDirectory(dir, keywords);
-          files.push(...dirFiles);
-        }
-      });
+      // ファイル内容の検索インデックスでランク付け
+      const results = this.searchIndex.search(text, 15);
+      if (results.length > 0) {
+        const topScore = results[0].score;
+        results.forEach(result => {
+          this.searchScores.set(result.path, result.score / topScore);
+          files.push(result.path);
+        });
+      } else {
+        // インデックスが使えない場合はファイル名でキーワード検索
+        const keywords = this.extractKeywords(text);
+        const searchDirs = ['src/', 'lib/', 'app/', 'components/', 'utils/', 'services/', 'api/', 'models/'];
+        
+        searchDirs.forEach(dir => {
+          if (fs.existsSync(dir)) {
+            const dirFiles = this.searchInDirectory(dir, keywords);
+            files.push(...dirFiles);
+          }
+        });
+      }
       
       // ルートディレクトリの重要ファイル
       const rootFiles = ['package.json', 'tsconfig.json', 'README.md', 'index.js', 'index.ts', 'main.py'];
@@ -169,37 +273,17 @@ class FileAnalyzer {
     return files;
   }
   
-  // ディレクトリ内検索
-  searchInDirectory(dir, keywords, maxDepth = 2, currentDepth = 0) {
-    const files = [];
-    
-    if (currentDepth >= maxDepth) return files;
-    
-    try {
-      const items = fs.readdirSync(dir);
-      
-      items.forEach(item => {
-        const fullPath = `${dir}${item}`;
-        const stats = fs.statSync(fullPath);
-        
-        if (stats.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
-          files.push(...this.searchInDirectory(fullPath + '/', keywords, maxDepth, currentDepth + 1));
-        } else if (stats.isFile()) {
-          // ファイル名にキーワードが含まれるかチェック
-          const hasKeyword = keywords.some(keyword => 
-            item.toLowerCase().includes(keyword.toLowerCase())
-          );
-          
-          if (hasKeyword || this.isImportantFile(fullPath)) {
-            files.push(fullPath);
-          }
-        }
+  // ディレクトリ内検索（.gitignore・生成ファイルを除いた一覧から）
+  searchInDirectory(dir, keywords) {
+    const prefix = dir.endsWith('/') ? dir : `${dir}/`;
+    
+    return this.getRepositoryFiles()
+      .filter(file => file.startsWith(prefix))
+      .filter(file => {
+        // ファイル名にキーワードが含まれるかチェック
+        const name = path.basename(file).toLowerCase();
+        return keywords.some(keyword => name.includes(keyword.toLowerCase())) || this.isImportantFile(file);
       });
-    } catch (error) {
-      // アクセス権限エラーなどは無視
-    }
-    
-    return files;
   }
   
   // キーワード抽出
@@ -257,6 +341,17 @@ class FileAnalyzer {
     // 既存ファイルへのボーナス
     if (fs.existsSync(filePath)) score += 3;
     
+    // スタックトレースに現れたファイル
+    if (this.crashFiles && this.crashFiles.has(filePath)) score += 9;
+    
+    // 言及されたシンボルの定義ファイル
+    if (this.symbolFiles && this.symbolFiles.has(filePath)) score += 8;
+    
+    // 内容検索の順位に応じたボーナス（最上位で+6）
+    if (this.searchScores && this.searchScores.has(filePath)) {
+      score += Math.round(6 * this.searchScores.get(filePath));
+    }
+    
     return score;
   }
   
@@ -276,10 +371,10 @@ class FileAnalyzer {
             if (dirContents) {
               contents[filePath] = dirContents;
             }
-          } else if (stats.size > 20000) { // 20KB以上のファイルは切り詰め
-            const content = fs.readFileSync(filePath, 'utf8');
-            contents[filePath] = content.substring(0, 3000) + '\n... (truncated for brevity)';
+          } else if (stats.size > 512 * 1024) { // 生成物などの巨大ファイルは読み込まない
+            contents[filePath] = `(File too large for context: ${stats.size} bytes)`;
           } else {
+            // 切り詰めはプロンプト構築時にトークン予算に合わせて行う（ContextPacker）
             contents[filePath] = fs.readFileSync(filePath, 'utf8');
           }
           
@@ -300,7 +395,15 @@ class FileAnalyzer {
   // ディレクトリ内容の取得
   getDirectoryContents(dirPath) {
     try {
-      const items = fs.readdirSync(dirPath).slice(0, 10); // 最大10項目
+      // 無視・生成ファイルを除いた直下の項目
+      const prefix = dirPath.replace(/^\.\//, '').replace(/\/?$/, '/');
+      const children = [...new Set(this.getRepositoryFiles()
+        .filter(file => file.startsWith(prefix))
+        .map(file => {
+          const [name, ...rest] = file.substring(prefix.length).split('/');
+          return rest.length > 0 ? `${name}/` : name;
+        }))];
+      const items = (children.length > 0 ? children : fs.readdirSync(dirPath)).slice(0, 10); // 最大10項目
       return `Directory contents:\n${items.map(item => `- ${item}`).join('\n')}`;
     } catch (error) {
       return null;
@@ -331,6 +434,7 @@ class FileAnalyzer {
       return {
         errors: [],
         stackTraces: [],
+        frames: [],
         hasErrorInfo: false
       };
     }
@@ -350,6 +454,10 @@ class FileAnalyzer {
       stackTraces.push(...stackMatches.slice(0, 10)); // 最大10行
     }
     
+    // フレームを構造化（Python・Javaのフレームも含む）
+    const frames = StackTraceParser.parse(issueBody);
+    frames.filter(frame => frame.language === 'python').slice(0, 10).forEach(frame => stackTraces.push(frame.raw));
+    
     // ログレベルの情報も抽出
     const logPatterns = [
       /\[ERROR\] .+/g,
@@ -368,6 +476,7 @@ class FileAnalyzer {
     return {
       errors: [...new Set(errors)],
       stackTraces: [...new Set(stackTraces)],
+      frames,
       hasErrorInfo: errors.length > 0 || stackTraces.length > 0
     };
   }
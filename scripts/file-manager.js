@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const { FileValidator } = require('./file-validator');
+const { PatchApplier } = require('./patch-applier');
+const { SearchReplaceApplier } = require('./search-replace-applier');
 
 class FileManager {
   constructor() {
@@ -282,6 +284,24 @@ describe('${title}', () => {
             modifiedContent = currentContent.replace(new RegExp(fileAction.replace_from, 'g'), fileAction.replace_to);
           }
           break;
+        case 'patch': {
+          const patcher = new PatchApplier({ fuzz: parseInt(process.env.PATCH_FUZZ || '2', 10) });
+          const result = patcher.apply(currentContent, fileAction.modification_content || '', { path: filePath });
+          if (!result.success) {
+            throw new Error(`パッチの適用に失敗: ${filePath}\n${patcher.formatRejectionReport(result)}`);
+          }
+          modifiedContent = result.content;
+          break;
+        }
+        case 'search_replace': {
+          const applier = new SearchReplaceApplier();
+          const result = applier.apply(currentContent, fileAction.edits || []);
+          if (!result.success) {
+            throw new Error(`search/replaceの適用に失敗: ${filePath}\n${applier.formatFailureReport(result, filePath)}`);
+          }
+          modifiedContent = result.content;
+          break;
+        }
         default:
           // Fall back to existing logic
           break;
@@ -1,16 +1,27 @@
 const path = require('path');
 const fs = require('fs');
 const vm = require('vm');
+const { GitignoreMatcher } = require('./repo-file-enumerator');
 
 class FileValidator {
-  constructor() {
-    // 許可されたファイル拡張子
-    this.ALLOWED_EXTENSIONS = [
-      '.js', '.jsx', '.ts', '.tsx',
-      '.json', '.md', '.txt', '.yml', '.yaml',
-      '.css', '.scss', '.html', '.xml',
-      '.py', '.rb', '.go', '.java', '.cpp', '.c'
-    ];
+  /**
+   * @param {{allowedPaths?: string[], protectedPaths?: string[], allowedExtensions?: string[]}} options
+   *   リポジトリ設定（.issue-solver.yml）による変更可能な範囲の指定。パスは .gitignore 形式
+   */
+  constructor(options = {}) {
+    // 許可されたファイル拡張子（リポジトリ設定があれば置き換え）
+    this.ALLOWED_EXTENSIONS = options.allowedExtensions && options.allowedExtensions.length > 0
+      ? options.allowedExtensions.map(extension => extension.toLowerCase())
+      : [
+        '.js', '.jsx', '.ts', '.tsx',
+        '.json', '.md', '.txt', '.yml', '.yaml',
+        '.css', '.scss', '.html', '.xml',
+        '.py', '.rb', '.go', '.java', '.cpp', '.c'
+      ];
+    
+    // リポジトリ設定で変更を許可・禁止するパス
+    this.allowedPaths = FileValidator.compilePaths(options.allowedPaths);
+    this.protectedPaths = FileValidator.compilePaths(options.protectedPaths);
     
     // 保護されたパスとファイル
     this.PROTECTED_PATHS = [
@@ -70,6 +81,39 @@ class FileValidator {
     }
   }
 
+  /**
+   * リポジトリ設定の allowed_paths / protected_paths で変更が許可されているかを検証
+   */
+  isPathAllowed(filePath) {
+    const relative = path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+    
+    if (this.protectedPaths && FileValidator.matchesPath(this.protectedPaths, relative)) {
+      return { valid: false, reason: `Path is protected by the repository config: ${relative}` };
+    }
+    if (this.allowedPaths && !FileValidator.matchesPath(this.allowedPaths, relative)) {
+      return { valid: false, reason: `Path is outside allowed_paths in the repository config: ${relative}` };
+    }
+    
+    return { valid: true };
+  }
+
+  static compilePaths(patterns) {
+    return patterns && patterns.length > 0 ? new GitignoreMatcher().add(patterns.join('\n')) : null;
+  }
+
+  /**
+   * パス自身または親ディレクトリのいずれかがパターンに一致するか
+   */
+  static matchesPath(matcher, relative) {
+    const segments = relative.split('/');
+    for (let depth = 1; depth < segments.length; depth++) {
+      if (matcher.ignores(segments.slice(0, depth).join('/'), true)) {
+        return true;
+      }
+    }
+    return matcher.ignores(relative, false);
+  }
+
   /**
    * ファイルタイプが許可されているかを検証
    */
@@ -141,6 +185,11 @@ class FileValidator {
       return pathValidation;
     }
     
+    const ruleValidation = this.isPathAllowed(filePath);
+    if (!ruleValidation.valid) {
+      return ruleValidation;
+    }
+    
     // ファイルタイプを検証
     const typeValidation = this.isAllowedFileType(filePath);
     if (!typeValidation.valid) {
@@ -157,7 +206,10 @@ class FileValidator {
     
     // 作成・更新操作の場合、コンテンツを検証
     if ((action === 'create' || action === 'modify') && content) {
-      const contentValidation = this.isContentSafe(content, filePath);
+      // 変更オブジェクト（replace/append等）は断片なので、構文チェックせず危険パターンのみ検証
+      const contentValidation = typeof content === 'object' && content.type
+        ? this.isContentSafe(this.getAddedText(content))
+        : this.isContentSafe(content, filePath);
       if (!contentValidation.valid) {
         return contentValidation;
       }
@@ -166,6 +218,24 @@ class FileValidator {
     return { valid: true };
   }
 
+  /**
+   * 変更オブジェクトから追加されるテキストを取り出す
+   */
+  getAddedText(changes) {
+    if (changes.type === 'patch') {
+      // 削除行は検証対象外（危険なコードの除去を妨げないため）
+      return (changes.diff || '')
+        .split('\n')
+        .filter(line => line.startsWith('+') && !line.startsWith('+++'))
+        .map(line => line.substring(1))
+        .join('\n');
+    }
+    if (changes.type === 'search_replace') {
+      return (changes.blocks || []).map(block => block?.replace || '').join('\n');
+    }
+    return changes.content ?? changes.to ?? '';
+  }
+
   /**
    * バックアップファイルを作成
    */
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Git Data API（blob → tree → commit → ref）でコミットを作成する
+ *
+ * ローカルの git にリモートやプッシュ用の認証情報がなくてもコミットでき、
+ * コミットはトークンのユーザー（github-actions[bot] など）の署名付きコミットになる。
+ */
+class GitDataCommitter {
+  constructor(github, context, root = process.cwd()) {
+    this.github = github;
+    this.context = context;
+    this.root = root;
+  }
+
+  /**
+   * 作業ツリーのファイルで parentSha の上にコミットを作り、ブランチをそのコミットに更新する
+   * @param {{branch: string, parentSha: string, files: string[], message: string, force?: boolean, expectedSha?: string|null}} options
+   *   force: 早送りでない更新を許可する / expectedSha: 更新前のブランチの先頭（異なる場合は更新しない）
+   * @returns {Promise<string>} 作成したコミットのSHA
+   */
+  async commit({ branch, parentSha, files, message, force = false, expectedSha = null }) {
+    const { data: parent } = await this.github.rest.git.getCommit({ ...this.context.repo, commit_sha: parentSha });
+
+    const entries = [];
+    for (const file of files) {
+      entries.push(await this.createTreeEntry(file));
+    }
+    const { data: tree } = await this.github.rest.git.createTree({ ...this.context.repo, base_tree: parent.tree.sha, tree: entries });
+    const { data: commit } = await this.github.rest.git.createCommit({ ...this.context.repo, message, tree: tree.sha, parents: [parentSha] });
+
+    await this.updateBranch(branch, commit.sha, { force, expectedSha });
+    console.log(`✅ Git Data API でコミットを作成: ${commit.sha.substring(0, 7)} (${branch}, ${files.length}ファイル)`);
+    return commit.sha;
+  }
+
+  /**
+   * ファイルのblobを作成してツリーの項目にする（削除されたファイルは sha: null）
+   */
+  async createTreeEntry(file) {
+    const fullPath = path.join(this.root, file);
+    if (!fs.existsSync(fullPath)) {
+      return { path: file, mode: '100644', type: 'blob', sha: null };
+    }
+
+    const { data: blob } = await this.github.rest.git.createBlob({
+      ...this.context.repo,
+      content: fs.readFileSync(fullPath).toString('base64'),
+      encoding: 'base64'
+    });
+    const executable = (fs.statSync(fullPath).mode & 0o111) !== 0;
+    return { path: file, mode: executable ? '100755' : '100644', type: 'blob', sha: blob.sha };
+  }
+
+  /**
+   * ブランチを作成、または更新する
+   */
+  async updateBranch(branch, sha, { force, expectedSha }) {
+    const current = await this.getBranchSha(branch);
+    if (current === null) {
+      await this.github.rest.git.createRef({ ...this.context.repo, ref: `refs/heads/${branch}`, sha });
+      return;
+    }
+
+    // git push --force-with-lease と同様に、取得後に更新されたブランチは上書きしない
+    if (expectedSha && current !== expectedSha) {
+      throw new Error(`ブランチ ${branch} は ${expectedSha.substring(0, 7)} から ${current.substring(0, 7)} に更新されています`);
+    }
+    await this.github.rest.git.updateRef({ ...this.context.repo, ref: `heads/${branch}`, sha, force });
+  }
+
+  /**
+   * ブランチの先頭のSHA（ブランチがなければ null）
+   */
+  async getBranchSha(branch) {
+    try {
+      const { data } = await this.github.rest.git.getRef({ ...this.context.repo, ref: `heads/${branch}` });
+      return data.object.sha;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { GitDataCommitter };
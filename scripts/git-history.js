@@ -0,0 +1,186 @@
+const { execFileSync } = require('child_process');
+
+// 未コミットの行に git blame が付けるSHA
+const UNCOMMITTED_SHA = /^0{40}$/;
+
+/**
+ * 関連ファイルの変更履歴と、スタックトレースのフレーム付近の blame
+ *
+ * リグレッションは直近の変更で説明できることが多いため、
+ * 対象ファイルに触れた最近のコミットと、クラッシュ行を最後に変更したコミットを集める。
+ */
+class GitHistory {
+  constructor(options = {}) {
+    // 省略時は実行時のカレントディレクトリ（ワークフロー中にchdirされるため遅延評価）
+    this.root = options.root || null;
+    this.commitsPerFile = options.commitsPerFile || 3;
+    this.maxFiles = options.maxFiles || 5;
+    this.blameRadius = options.blameRadius || 5;
+    this.timeout = options.timeout || 5000;
+  }
+
+  getRoot() {
+    return this.root || process.cwd();
+  }
+
+  git(args) {
+    return execFileSync('git', args, {
+      cwd: this.getRoot(),
+      encoding: 'utf8',
+      timeout: this.timeout,
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 16 * 1024 * 1024
+    });
+  }
+
+  /**
+   * 関連ファイルとクラッシュ箇所の履歴をまとめて取得する
+   * @param {string[]} files - 関連ファイル（関連度順）
+   * @param {Array<{path: string, line: number}>} crashSites
+   * @returns {{files: Array<{path: string, commits: Array}>, blame: Array<{path: string, line: number, startLine: number, endLine: number, commits: Array}>}}
+   */
+  collect(files = [], crashSites = []) {
+    const history = { files: [], blame: [] };
+
+    files.slice(0, this.maxFiles).forEach(file => {
+      const commits = this.getFileCommits(file);
+      if (commits.length > 0) {
+        history.files.push({ path: file, commits });
+      }
+    });
+
+    crashSites.forEach(site => {
+      const startLine = Math.max(1, site.line - this.blameRadius);
+      const endLine = site.line + this.blameRadius;
+      const commits = this.blame(site.path, startLine, endLine, site.line);
+      if (commits.length > 0) {
+        history.blame.push({ path: site.path, line: site.line, startLine, endLine, commits });
+      }
+    });
+
+    return history;
+  }
+
+  /**
+   * ファイルに触れた直近のコミット（リネームも追跡）
+   * @returns {Array<{sha: string, date: string, author: string, subject: string}>}
+   */
+  getFileCommits(file, limit = this.commitsPerFile) {
+    try {
+      return this.git(['log', `-n${limit}`, '--follow', '--date=short', '--format=%h%x1f%ad%x1f%an%x1f%s', '--', file])
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+          const [sha, date, author, subject] = line.split('\x1f');
+          return { sha, date, author, subject };
+        });
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * 指定範囲の行を最後に変更したコミット（新しい順）
+   * @param {number} [focusLine] - このコミットが変更した行であれば containsLine を立てる
+   * @returns {Array<{sha: string, date: string, author: string, summary: string, lines: number[][], containsLine: boolean}>}
+   */
+  blame(file, startLine, endLine, focusLine = null) {
+    let output;
+    try {
+      output = this.git(['blame', '--porcelain', '-L', `${startLine},${endLine}`, '--', file]);
+    } catch (error) {
+      // 範囲がファイル末尾を超える場合は末尾までに縮めて再試行
+      try {
+        output = this.git(['blame', '--porcelain', '-L', `${startLine},`, '--', file]);
+      } catch (retryError) {
+        return [];
+      }
+    }
+
+    const lines = GitHistory.parseBlame(output).filter(({ line }) => line <= endLine);
+    return GitHistory.summarizeBlame(lines, focusLine);
+  }
+
+  /**
+   * `git blame --porcelain` の出力 → 行ごとのコミット
+   * @returns {Array<{line: number, sha: string, author: string, time: number, summary: string}>}
+   */
+  static parseBlame(output) {
+    const commits = new Map();
+    const lines = [];
+    let current = null;
+
+    output.split('\n').forEach(text => {
+      const header = text.match(/^([0-9a-f]{40}) \d+ (\d+)(?: \d+)?$/);
+      if (header) {
+        if (!commits.has(header[1])) {
+          commits.set(header[1], { sha: header[1], author: '', time: 0, summary: '' });
+        }
+        current = { commit: commits.get(header[1]), line: Number(header[2]) };
+        return;
+      }
+      if (!current) return;
+
+      if (text.startsWith('\t')) {
+        lines.push({ line: current.line, ...current.commit });
+        current = null;
+      } else if (text.startsWith('author ')) {
+        current.commit.author = text.substring(7);
+      } else if (text.startsWith('author-time ')) {
+        current.commit.time = Number(text.substring(12));
+      } else if (text.startsWith('summary ')) {
+        current.commit.summary = text.substring(8);
+      }
+    });
+
+    return lines;
+  }
+
+  /**
+   * 行ごとのコミットをコミット単位にまとめ、連続する行を範囲にする
+   */
+  static summarizeBlame(lines, focusLine = null) {
+    const byCommit = new Map();
+    const times = new Map();
+
+    lines.forEach(({ line, sha, author, time, summary }) => {
+      if (!byCommit.has(sha)) {
+        const uncommitted = UNCOMMITTED_SHA.test(sha);
+        byCommit.set(sha, {
+          sha: uncommitted ? 'uncommitted' : sha.substring(0, 7),
+          date: uncommitted ? '' : new Date(time * 1000).toISOString().substring(0, 10),
+          author: uncommitted ? '' : author,
+          summary: uncommitted ? 'Not committed yet' : summary,
+          lines: [],
+          containsLine: false
+        });
+        // 未コミットの変更は最も新しい扱い
+        times.set(sha, uncommitted ? Infinity : time);
+      }
+
+      const commit = byCommit.get(sha);
+      const last = commit.lines[commit.lines.length - 1];
+      if (last && last[1] === line - 1) {
+        last[1] = line;
+      } else {
+        commit.lines.push([line, line]);
+      }
+      if (line === focusLine) {
+        commit.containsLine = true;
+      }
+    });
+
+    return [...byCommit.keys()]
+      .sort((a, b) => times.get(b) - times.get(a))
+      .map(sha => byCommit.get(sha));
+  }
+
+  /**
+   * 行範囲の表示（"10-12, 15"）
+   */
+  static formatRanges(ranges) {
+    return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+  }
+}
+
+module.exports = { GitHistory };
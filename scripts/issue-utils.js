@@ -11,8 +11,8 @@ async function getIssueInfo(github, context) {
     });
     issue = response.data;
   } else {
-    // 自動実行の場合、イベントから情報を取得
-    issue = context.payload.issue;
+    // 自動実行の場合、イベントから情報を取得（PRのレビューコメントはPRの情報）
+    issue = context.payload.issue || context.payload.pull_request;
   }
   
   console.log(`Processing Issue #${issue.number}: ${issue.title}`);
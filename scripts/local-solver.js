@@ -0,0 +1,101 @@
+const OpenAI = require('openai');
+const { withTimeout } = require('./issue-solver');
+
+const JSON_ONLY_INSTRUCTION = 'Respond with a single valid JSON object only. Do not wrap it in markdown code fences and do not add any text before or after it.';
+
+/**
+ * OpenAI互換のローカルプロバイダー（Ollama, vLLM, llama.cpp server など）
+ *
+ * /responses エンドポイントやStructured Outputsは前提にせず、
+ * /chat/completions のJSONモードを使用する。サーバーがJSONモードに
+ * 対応していない場合はプロンプトでJSONを強制し、パースは共通の
+ * フォールバック処理に任せる。
+ */
+class LocalProvider {
+  constructor(config) {
+    this.client = new OpenAI({
+      apiKey: config.localApiKey || 'local',
+      baseURL: config.localBaseUrl
+    });
+    this.config = config;
+    this.name = 'local';
+    this.displayName = 'Local LLM';
+    this.triggerName = 'local';
+    this.fileFormat = 'object';
+    // 'json_object': response_formatを指定 / 'prompt': プロンプトのみでJSONを要求
+    this.jsonMode = config.localJsonMode === 'prompt' ? 'prompt' : 'json_object';
+  }
+
+  get model() {
+    return this.config.localModel;
+  }
+
+  get maxRetries() {
+    return this.config.localMaxRetries || 3;
+  }
+
+  get retryDelay() {
+    return this.config.localRetryDelay || 2000;
+  }
+
+  get timeout() {
+    return this.config.localTimeout || 600000; // 10分
+  }
+
+  async generate(prompt, schema, options = {}) {
+    const timeout = options.timeout || this.timeout;
+    const messages = this.buildMessages(prompt, schema);
+
+    try {
+      return await this.callLocalWithTimeout(messages, options, timeout);
+    } catch (error) {
+      if (this.jsonMode === 'json_object' && this.isUnsupportedJsonModeError(error)) {
+        console.warn('⚠️ サーバーがJSONモードに未対応のため、プロンプトでJSONを強制します');
+        this.jsonMode = 'prompt';
+        return this.callLocalWithTimeout(messages, options, timeout);
+      }
+      throw error;
+    }
+  }
+
+  buildMessages(prompt, schema) {
+    let systemPrompt = `You are an expert software developer that provides solutions in JSON format. ${JSON_ONLY_INSTRUCTION}`;
+    if (schema) {
+      systemPrompt += `\n\nThe JSON object must follow this JSON schema:\n${JSON.stringify(schema)}`;
+    }
+
+    return [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: prompt }
+    ];
+  }
+
+  async callLocalWithTimeout(messages, options, timeout) {
+    const request = {
+      model: this.model,
+      messages,
+      temperature: options.temperature ?? 0.2
+    };
+    if (this.jsonMode === 'json_object') {
+      request.response_format = { type: 'json_object' };
+    }
+
+    const result = await withTimeout(this.client.chat.completions.create(request), timeout, 'Local LLM');
+
+    const content = result?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('レスポンスにテキストコンテンツが見つかりません');
+    }
+    return content;
+  }
+
+  // response_format を受け付けないサーバーのエラーかどうか
+  isUnsupportedJsonModeError(error) {
+    const status = error?.status;
+    const message = (error?.message || '').toLowerCase();
+    return (status === 400 || status === 422 || status === 501) &&
+      (message.includes('response_format') || message.includes('json'));
+  }
+}
+
+module.exports = { LocalProvider };
@@ -2,6 +2,7 @@ const { GeminiIssueSolver } = require('./gemini-solver');
 const { ConfigManager } = require('./config-manager');
 const { ReportGenerator } = require('./report-generator');
 const { StatusCommentManager } = require('./status-comment-manager');
+const { TestFailureReport } = require('./test-failure-report');
 const { execSync } = require('child_process');
 
 async function main(github = null, context = null) {
@@ -136,21 +137,28 @@ async function runTestsWithRetry(config, solver, statusManager) {
     console.log(`\n🧪 テスト実行中... (試行 ${testAttempt}/${config.testMaxRetries})`);
     
     try {
-      // テストコマンドを実行
-      execSync(config.testCommand, { 
-        stdio: 'inherit',
-        encoding: 'utf8'
+      // テストコマンドを実行（失敗時の出力をAIに渡すため取得してから表示）
+      // 既定の maxBuffer（1MB）では冗長なテスト出力が ENOBUFS になり、テストの失敗と区別できない
+      const output = execSync(config.testCommand, { 
+        stdio: 'pipe',
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024
       });
+      process.stdout.write(output);
       
       console.log('✅ テストが成功しました！');
       return true;
       
     } catch (error) {
       lastError = error;
+      const output = `${error.stdout || ''}\n${error.stderr || ''}`.trim();
+      if (output) {
+        console.log(output);
+      }
       console.error(`❌ テストが失敗しました (試行 ${testAttempt}/${config.testMaxRetries}):`, error.message);
       
       if (testAttempt < config.testMaxRetries) {
-        console.log('\n🔄 テスト失敗のため、再度プラン・実装・テストのサイクルを実行します...');
+        console.log('\n🔄 テスト失敗のため、テスト出力をもとに前回の実装を修正します...');
         
         if (statusManager) {
           await statusManager.updateStatus('retrying', {
@@ -160,15 +168,17 @@ async function runTestsWithRetry(config, solver, statusManager) {
         }
         
         try {
-          // 再度分析・計画・実装を実行
-          console.log('\n📊 再分析フェーズ...');
-          await solver.analyzeIssue();
-          
-          console.log('\n📝 再計画フェーズ...');
-          await solver.generateSolution();
+          // 失敗したテストの出力と現在の差分を渡し、前回の実装の上に修正を重ねる
+          console.log('\n📝 テスト修正フェーズ...');
+          const fix = await solver.generateTestFix({
+            command: config.testCommand,
+            output: TestFailureReport.trim(output || error.message),
+            diff: TestFailureReport.getCurrentDiff(),
+            attempt: testAttempt
+          });
           
           console.log('\n🔧 再実装フェーズ...');
-          await solver.implementSolution();
+          await solver.applyFileActions(fix.files || []);
           
         } catch (retryError) {
           console.error('再試行中にエラーが発生:', retryError.message);
@@ -0,0 +1,271 @@
+/**
+ * unified diff 形式のパッチを適用する
+ *
+ * 行番号はヒントとしてのみ使い、コンテキスト行の一致で適用位置を決める。
+ * 一致しない場合は fuzz の範囲で先頭・末尾のコンテキスト行を無視して再探索する（GNU patch と同様）。
+ * 適用できなかったハンクは rejected に理由付きで記録する。
+ */
+class PatchApplier {
+  constructor(options = {}) {
+    this.fuzz = Number.isInteger(options.fuzz) && options.fuzz >= 0 ? options.fuzz : 2;
+  }
+
+  /**
+   * unified diff をハンクの配列に分解
+   * 複数ファイルの diff では、各ハンクに +++ ヘッダーのファイル名（file）を記録する
+   */
+  parse(diff) {
+    if (typeof diff !== 'string' || !diff.trim()) {
+      throw new Error('diffが空です');
+    }
+
+    const hunks = [];
+    let current = null;
+    let file = null;
+
+    for (const line of diff.replace(/\r\n/g, '\n').split('\n')) {
+      const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+      if (header) {
+        current = {
+          header: header[0],
+          file,
+          oldStart: parseInt(header[1], 10),
+          oldCount: header[2] === undefined ? 1 : parseInt(header[2], 10),
+          newStart: parseInt(header[3], 10),
+          newCount: header[4] === undefined ? 1 : parseInt(header[4], 10),
+          lines: []
+        };
+        hunks.push(current);
+        continue;
+      }
+
+      // 次のファイルのヘッダーでハンクを終える（行数を数え終えたハンクの後の ---/+++ もヘッダー）
+      if (line.startsWith('diff --git ') || (this.isComplete(current) && /^(---|\+\+\+|index) /.test(line))) {
+        current = null;
+      }
+
+      // ハンク外のヘッダー行（diff --git, index, ---, +++）は無視
+      if (!current) {
+        const newFile = line.match(/^\+\+\+ (?:b\/)?(\S+)/);
+        if (newFile) {
+          file = newFile[1] === '/dev/null' ? null : newFile[1];
+        }
+        continue;
+      }
+
+      if (line.startsWith('\\')) {
+        // "\ No newline at end of file"
+        continue;
+      }
+
+      const marker = line[0];
+      if (marker === ' ' || marker === '-' || marker === '+') {
+        current.lines.push({ type: marker, text: line.substring(1) });
+      } else if (line === '') {
+        // 空のコンテキスト行は先頭の空白が落とされていることが多い
+        current.lines.push({ type: ' ', text: '' });
+      } else {
+        throw new Error(`${current.header}: 不正な行です: "${line.substring(0, 80)}"`);
+      }
+    }
+
+    // 末尾の空行（diff末尾の改行由来）はコンテキストとして扱わない
+    for (const hunk of hunks) {
+      while (hunk.lines.length > 0) {
+        const last = hunk.lines[hunk.lines.length - 1];
+        if (last.type !== ' ' || last.text !== '') break;
+        const counted = hunk.lines.filter(l => l.type !== '+').length;
+        if (counted <= hunk.oldCount) break;
+        hunk.lines.pop();
+      }
+    }
+
+    if (hunks.length === 0) {
+      throw new Error('diffに @@ で始まるハンクが含まれていません');
+    }
+
+    return hunks;
+  }
+
+  /**
+   * ヘッダーの行数（旧・新）をすべて読み終えたハンクか
+   */
+  isComplete(hunk) {
+    if (!hunk) {
+      return false;
+    }
+    const oldLines = hunk.lines.filter(l => l.type !== '+').length;
+    const newLines = hunk.lines.filter(l => l.type !== '-').length;
+    return oldLines >= hunk.oldCount && newLines >= hunk.newCount;
+  }
+
+  /**
+   * 複数ファイルの diff から filePath のハンクだけを選ぶ（ファイル名のないハンクはそのまま使う）
+   */
+  selectHunks(hunks, filePath) {
+    if (!filePath || hunks.every(hunk => !hunk.file)) {
+      return hunks;
+    }
+
+    const normalize = value => value.replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+    const target = normalize(filePath);
+    const matches = file => file === target || target.endsWith(`/${file}`) || file.endsWith(`/${target}`);
+    const selected = hunks.filter(hunk => !hunk.file || matches(normalize(hunk.file)));
+    if (selected.length === 0) {
+      const files = [...new Set(hunks.map(hunk => hunk.file))].join(', ');
+      throw new Error(`diffに ${filePath} のハンクが含まれていません（diff のファイル: ${files}）`);
+    }
+    return selected;
+  }
+
+  /**
+   * ファイル内容にパッチを適用
+   * options.path を指定すると、複数ファイルの diff のうちそのファイルのハンクだけを適用する
+   * @returns {{content: string, applied: Array, rejected: Array, success: boolean}}
+   */
+  apply(content, diff, options = {}) {
+    const fuzz = Number.isInteger(options.fuzz) && options.fuzz >= 0 ? options.fuzz : this.fuzz;
+    const hunks = this.selectHunks(this.parse(diff), options.path);
+
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const hasTrailingNewline = content === '' || content.endsWith('\n');
+    const lines = content === '' ? [] : content.split(/\r?\n/);
+    if (hasTrailingNewline && lines.length > 0) {
+      lines.pop();
+    }
+
+    const applied = [];
+    const rejected = [];
+    let offset = 0;
+    let minPosition = 0;
+
+    hunks.forEach((hunk, index) => {
+      const match = this.locateHunk(lines, hunk, offset, minPosition, fuzz);
+
+      if (!match) {
+        rejected.push({
+          hunk: index + 1,
+          header: hunk.header,
+          line: Math.max(1, hunk.oldStart + offset),
+          reason: `コンテキストが一致しません (fuzz ${fuzz})`,
+          expected: hunk.lines.filter(l => l.type !== '+').map(l => l.text)
+        });
+        return;
+      }
+
+      lines.splice(match.position, match.oldLines.length, ...match.newLines);
+      offset = match.position - match.expected + (match.newLines.length - match.oldLines.length);
+      minPosition = match.position + match.newLines.length;
+
+      applied.push({
+        hunk: index + 1,
+        header: hunk.header,
+        line: match.position + 1,
+        offset: match.position - match.expected,
+        fuzz: match.fuzz
+      });
+    });
+
+    let result = lines.join(eol);
+    if (hasTrailingNewline && lines.length > 0) {
+      result += eol;
+    }
+
+    return {
+      content: result,
+      applied,
+      rejected,
+      success: rejected.length === 0
+    };
+  }
+
+  /**
+   * ハンクの適用位置を探す（期待位置に近い順、fuzzを段階的に緩める）
+   */
+  locateHunk(lines, hunk, offset, minPosition, maxFuzz) {
+    const leading = this.countContext(hunk.lines);
+    const trailing = this.countContext([...hunk.lines].reverse());
+
+    for (let fuzz = 0; fuzz <= maxFuzz; fuzz++) {
+      const skipStart = Math.min(fuzz, leading);
+      const skipEnd = Math.min(fuzz, trailing);
+      // これ以上コンテキストを削れない場合は同じ探索になるので打ち切る
+      if (fuzz > 0 && skipStart === Math.min(fuzz - 1, leading) && skipEnd === Math.min(fuzz - 1, trailing)) {
+        break;
+      }
+
+      const body = hunk.lines.slice(skipStart, hunk.lines.length - skipEnd);
+      const oldLines = body.filter(l => l.type !== '+').map(l => l.text);
+      const newLines = body.filter(l => l.type !== '-').map(l => l.text);
+      // 挿入のみのハンクでコンテキストをすべて削ると位置の根拠がなくなる
+      if (oldLines.length === 0 && leading + trailing > 0) {
+        break;
+      }
+      // 新規ファイル相当のハンク（-0,0）は oldStart が 0 になる
+      const expected = Math.max(0, hunk.oldStart - 1) + skipStart + offset;
+
+      const position = this.findNearest(lines, oldLines, expected, minPosition);
+      if (position !== -1) {
+        return { position, expected, oldLines, newLines, fuzz };
+      }
+    }
+
+    return null;
+  }
+
+  countContext(hunkLines) {
+    let count = 0;
+    while (count < hunkLines.length && hunkLines[count].type === ' ') {
+      count++;
+    }
+    return count;
+  }
+
+  findNearest(lines, pattern, expected, minPosition) {
+    const maxPosition = lines.length - pattern.length;
+    if (maxPosition < minPosition) {
+      return -1;
+    }
+
+    if (pattern.length === 0) {
+      return Math.min(Math.max(expected, minPosition), lines.length);
+    }
+
+    const start = Math.min(Math.max(expected, minPosition), maxPosition);
+    for (let distance = 0; distance <= lines.length; distance++) {
+      const candidates = distance === 0 ? [start] : [start + distance, start - distance];
+      for (const position of candidates) {
+        if (position >= minPosition && position <= maxPosition && this.matchesAt(lines, pattern, position)) {
+          return position;
+        }
+      }
+      if (start + distance > maxPosition && start - distance < minPosition) {
+        break;
+      }
+    }
+
+    return -1;
+  }
+
+  matchesAt(lines, pattern, position) {
+    for (let i = 0; i < pattern.length; i++) {
+      if (lines[position + i] !== pattern[i]) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 適用できなかったハンクのレポートを生成
+   */
+  formatRejectionReport(result) {
+    return result.rejected.map(rejection => {
+      const expected = rejection.expected.slice(0, 8).map(line => `    | ${line}`).join('\n');
+      const more = rejection.expected.length > 8 ? `\n    | ... (他${rejection.expected.length - 8}行)` : '';
+      return `  ハンク #${rejection.hunk} ${rejection.header}: ${rejection.reason}\n    期待した内容:\n${expected}${more}`;
+    }).join('\n');
+  }
+}
+
+module.exports = { PatchApplier };
@@ -0,0 +1,192 @@
+const zlib = require('zlib');
+
+// 隠しペイロードの目印（<!-- issue-solver-plan:v1:... -->）
+const PAYLOAD_PATTERN = /<!-- issue-solver-plan:v1:([A-Za-z0-9+/=]+) -->/;
+
+// GitHubのコメント本文の上限（65536文字）に余裕を持たせた値
+const MAX_COMMENT_LENGTH = 60000;
+
+// プランを投稿するユーザー（GITHUB_TOKEN の場合）。GitHub Appのトークンでは <appのslug>[bot]
+const DEFAULT_BOT_LOGIN = 'github-actions[bot]';
+
+// 差分プレビューを収めるため、ファイルごとの上限を順に下げて描画する
+const PREVIEW_LIMITS = [6000, 2000, 600, 0];
+
+/**
+ * /plan の結果を投稿するコメントと、/approve まで解決策を保持する隠しペイロード
+ *
+ * Actionsの実行間で状態を共有できないため、解決策のJSONを圧縮してコメントに埋め込む。
+ * ペイロードはこのワークフローのボット（ログイン名で照合）のコメントからのみ読み取り、
+ * 他のユーザーが投稿した偽のプランを実装しないようにする。
+ */
+class PlanComment {
+  /**
+   * @param {{solution: object, issueNumber: string|number, provider: string, model: string, baseBranch: string, baseSha: string|null, createdAt: string}} plan
+   */
+  static encode(plan) {
+    const data = zlib.gzipSync(Buffer.from(JSON.stringify(plan), 'utf8')).toString('base64');
+    return `<!-- issue-solver-plan:v1:${data} -->`;
+  }
+
+  /**
+   * コメント本文からプランを取り出す（なければ null）
+   */
+  static decode(body) {
+    const match = (body || '').match(PAYLOAD_PATTERN);
+    if (!match) {
+      return null;
+    }
+    try {
+      return JSON.parse(zlib.gunzipSync(Buffer.from(match[1], 'base64')).toString('utf8'));
+    } catch (error) {
+      console.warn('⚠️ プランのペイロードを読み取れません:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * ボットが投稿した最新のプラン（他のボットやユーザーのコメントは無視する）
+   * @param {object[]} comments
+   * @param {string} botLogin - プランを投稿したボットのログイン名
+   * @returns {{plan: object, commentId: number, url: string}|null}
+   */
+  static findLatest(comments, botLogin = DEFAULT_BOT_LOGIN) {
+    for (const comment of [...comments].reverse()) {
+      if (comment.user?.type !== 'Bot' || comment.user.login !== botLogin) continue;
+      const plan = PlanComment.decode(comment.body);
+      if (plan && Array.isArray(plan.solution?.files)) {
+        return { plan, commentId: comment.id, url: comment.html_url };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * /approve の --skip / --only をプランに適用する
+   * @returns {{solution: object, skipped: string[], errors: string[]}}
+   */
+  static applyEdits(plan, { skip = [], only = null } = {}) {
+    const paths = plan.solution.files.map(file => file.path);
+    const errors = [];
+
+    [['skip', skip], ['only', only || []]].forEach(([flag, requested]) => {
+      requested.filter(file => !paths.includes(file)).forEach(file => {
+        errors.push(`--${flag}: "${file}" はプランに含まれていません（プランのファイル: ${paths.join(', ')}）`);
+      });
+    });
+
+    const files = plan.solution.files.filter(file => (!only || only.includes(file.path)) && !skip.includes(file.path));
+    if (errors.length === 0 && paths.length > 0 && files.length === 0) {
+      errors.push('すべてのファイルが除外されました');
+    }
+
+    return {
+      solution: { ...plan.solution, files },
+      skipped: paths.filter(file => !files.some(kept => kept.path === file)),
+      errors
+    };
+  }
+
+  /**
+   * プランのコメント本文（上限を超える場合は差分プレビューを縮める）
+   * @param {object} plan
+   * @param {Array<{path: string, action: string, diff: string, error: string|null}>} previews
+   */
+  static format(plan, previews = [], maxLength = MAX_COMMENT_LENGTH) {
+    const payload = PlanComment.encode(plan);
+    const storable = payload.length < maxLength / 2;
+
+    let body = '';
+    for (const limit of PREVIEW_LIMITS) {
+      body = PlanComment.render(plan, previews, limit, storable ? payload : null);
+      if (body.length <= maxLength) break;
+    }
+    return body;
+  }
+
+  static render(plan, previews, previewLimit, payload) {
+    const { solution } = plan;
+    const files = solution.files || [];
+    const lines = [
+      '## 📋 解決プラン',
+      '',
+      `**タイプ:** ${solution.type || '-'} / **信頼度:** ${solution.confidence || '-'} / **モデル:** ${plan.model || '-'}`,
+      ''
+    ];
+
+    if (solution.analysis) {
+      lines.push('### 分析', '', solution.analysis, '');
+    }
+    if (Array.isArray(solution.planning) && solution.planning.length > 0) {
+      lines.push('### 手順', '', ...solution.planning.map((step, i) => `${i + 1}. ${step}`), '');
+    }
+
+    lines.push(`### 変更予定のファイル (${files.length})`, '');
+    if (files.length > 0) {
+      lines.push('| ファイル | 操作 | 内容 |', '|---------|------|------|');
+      files.forEach(file => {
+        lines.push(`| \`${file.path}\` | ${file.action} | ${PlanComment.cell(file.changes)} |`);
+      });
+      lines.push('');
+    }
+
+    if (previewLimit > 0 && previews.length > 0) {
+      lines.push('### 差分プレビュー', '');
+      previews.forEach(preview => {
+        lines.push(...PlanComment.renderPreview(preview, previewLimit), '');
+      });
+    }
+
+    lines.push('---', '');
+    if (payload) {
+      lines.push(
+        'このプランで実装する場合は `/approve` とコメントしてください。',
+        '一部のファイルを除外する場合は `/approve --skip src/a.js`、指定したファイルだけ実装する場合は `/approve --only src/a.js` のように指定できます。',
+        '方針を変える場合は、要望をコメントしてから `/plan` を再実行してください。',
+        '',
+        payload
+      );
+    } else {
+      lines.push('⚠️ プランが大きすぎるため保存できませんでした。`/solve` で実装してください。');
+    }
+
+    return lines.join('\n');
+  }
+
+  static renderPreview({ path, diff, error }, limit) {
+    if (error) {
+      return [`⚠️ \`${path}\`: 現在のファイルに適用できませんでした（${error}）`];
+    }
+    if (!diff) {
+      return [`\`${path}\`: 変更なし`];
+    }
+
+    const added = diff.split('\n').filter(line => line.startsWith('+') && !line.startsWith('+++')).length;
+    const removed = diff.split('\n').filter(line => line.startsWith('-') && !line.startsWith('---')).length;
+    const shown = diff.length > limit ? `${diff.substring(0, limit)}\n... (省略)` : diff;
+    const fence = PlanComment.fence(shown);
+
+    return [
+      `<details><summary><code>${path}</code> (+${added} −${removed})</summary>`,
+      '',
+      `${fence}diff`,
+      shown,
+      fence,
+      '</details>'
+    ];
+  }
+
+  /**
+   * 内容に含まれるバッククォートより長いコードフェンス
+   */
+  static fence(text) {
+    const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(Math.max(3, longest + 1));
+  }
+
+  static cell(text) {
+    return String(text || '').replace(/\r?\n/g, ' ').replace(/\|/g, '\\|');
+  }
+}
+
+module.exports = { PlanComment, DEFAULT_BOT_LOGIN };
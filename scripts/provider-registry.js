@@ -0,0 +1,86 @@
+/**
+ * AIプロバイダーのレジストリ
+ * config.aiProvider の値から対応するプロバイダーとソルバーを生成する
+ */
+
+const { IssueSolver } = require('./issue-solver');
+const { GeminiProvider } = require('./gemini-solver');
+const { OpenAIProvider } = require('./openai-solver');
+const { LocalProvider } = require('./local-solver');
+const { AnthropicProvider } = require('./anthropic-solver');
+const { FakeProvider } = require('./fake-solver');
+
+const providers = new Map();
+
+/**
+ * プロバイダーを登録
+ * @param {string} name - AI_PROVIDER で指定する名前
+ * @param {{label: string, create: function(ConfigManager): object}} definition
+ */
+function registerProvider(name, definition) {
+  if (!definition || typeof definition.create !== 'function') {
+    throw new Error(`プロバイダー定義にはcreate関数が必要です: ${name}`);
+  }
+  providers.set(name.toLowerCase(), definition);
+}
+
+function hasProvider(name) {
+  return providers.has((name || '').toLowerCase());
+}
+
+function getProviderNames() {
+  return Array.from(providers.keys());
+}
+
+/**
+ * 設定からプロバイダーを生成
+ */
+function createProvider(name, config) {
+  const definition = providers.get((name || '').toLowerCase());
+  if (!definition) {
+    throw new Error(`未対応のAIプロバイダーです: ${name} (利用可能: ${getProviderNames().join(', ')})`);
+  }
+
+  console.log(`🤖 ${definition.label}を使用してIssueを解決します`);
+  return definition.create(config);
+}
+
+/**
+ * 設定からIssueソルバーを生成
+ */
+function createSolver(config) {
+  return new IssueSolver(createProvider(config.aiProvider, config), config);
+}
+
+registerProvider('gemini', {
+  label: 'Google Gemini',
+  create: config => new GeminiProvider(config.geminiApiKey, config)
+});
+
+registerProvider('openai', {
+  label: 'OpenAI GPT',
+  create: config => new OpenAIProvider(config.openaiApiKey, config)
+});
+
+registerProvider('anthropic', {
+  label: 'Anthropic Claude',
+  create: config => new AnthropicProvider(config.anthropicApiKey, config)
+});
+
+registerProvider('local', {
+  label: 'ローカルLLM (OpenAI互換)',
+  create: config => new LocalProvider(config)
+});
+
+registerProvider('fake', {
+  label: 'フェイクプロバイダー (フィクスチャ再生)',
+  create: config => new FakeProvider(config)
+});
+
+module.exports = {
+  registerProvider,
+  hasProvider,
+  getProviderNames,
+  createProvider,
+  createSolver
+};
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// 探索するリポジトリ設定ファイル（先に見つかったものを使う）
+const CONFIG_FILES = ['.issue-solver.yml', '.issue-solver.yaml', '.github/issue-solver.yml'];
+
+const PROVIDERS = ['gemini', 'openai', 'anthropic', 'local', 'fake'];
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+/**
+ * .issue-solver.yml のスキーマ（JSON Schema のサブセット）
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    provider: { type: 'string', enum: PROVIDERS, description: '既定のAIプロバイダー' },
+    model: { type: 'string', minLength: 1, description: 'provider で使用するモデル' },
+    test_command: { type: 'string', minLength: 1, description: '実装後に実行するテストコマンド' },
+    lint_command: { type: 'string', minLength: 1, description: '実装後に実行するリントコマンド' },
+    allowed_paths: { ...stringList, description: '変更を許可するパス（.gitignore 形式、未指定なら全体）' },
+    protected_paths: { ...stringList, description: '変更を禁止するパス（.gitignore 形式）' },
+    allowed_extensions: { type: 'array', items: { type: 'string', pattern: '^\\.[\\w.-]+$' }, description: '変更を許可する拡張子' },
+    max_files_changed: { type: 'integer', minimum: 1, description: '1回の解決で変更できるファイル数の上限' },
+    base_branch: { type: 'string', minLength: 1, description: 'PRのマージ先ブランチ（未指定ならリポジトリのデフォルトブランチ）' },
+    pull_request: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        labels: stringList,
+        reviewers: stringList,
+        team_reviewers: stringList
+      }
+    },
+    prompt_additions: { type: 'string', description: 'プロンプトに追加するリポジトリ固有の指示' }
+  },
+  dependencies: {
+    model: ['provider']
+  }
+};
+
+const DEFAULT_REPO_CONFIG = {
+  provider: null,
+  model: null,
+  test_command: null,
+  lint_command: null,
+  allowed_paths: [],
+  protected_paths: [],
+  allowed_extensions: [],
+  max_files_changed: null,
+  base_branch: null,
+  pull_request: { labels: [], reviewers: [], team_reviewers: [] },
+  prompt_additions: ''
+};
+
+/**
+ * リポジトリにコミットされた設定ファイル（.issue-solver.yml）
+ *
+ * 優先順位は 既定値 < 設定ファイル < Actionの入力（環境変数） < コメントでの指定。
+ * ここでは既定値と設定ファイルを合成し、それより上の層は ConfigManager が重ねる。
+ */
+class RepoConfig {
+  /**
+   * 設定ファイルを読み込み、検証して既定値と合成する
+   * 検証エラーは error.errors に項目ごとのメッセージを持つ Error として投げる
+   * @returns {{file: string|null, settings: object}}
+   */
+  static load(root = process.cwd()) {
+    const file = CONFIG_FILES.find(candidate => fs.existsSync(path.join(root, candidate)));
+    if (!file) {
+      return { file: null, settings: RepoConfig.withDefaults({}) };
+    }
+
+    const settings = RepoConfig.parse(fs.readFileSync(path.join(root, file), 'utf8'), file);
+    console.log(`⚙️  リポジトリ設定を読み込みました: ${file}`);
+    return { file, settings: RepoConfig.withDefaults(settings) };
+  }
+
+  /**
+   * YAMLを解析してスキーマで検証する（空のファイルは設定なし）
+   */
+  static parse(text, file = CONFIG_FILES[0]) {
+    let value;
+    try {
+      value = yaml.load(text);
+    } catch (error) {
+      const location = error.mark ? ` (${error.mark.line + 1}行目)` : '';
+      throw RepoConfig.error(file, [`YAMLの構文エラー${location}: ${error.reason || error.message}`]);
+    }
+    if (value === undefined || value === null) {
+      return {};
+    }
+
+    const errors = RepoConfig.validate(value);
+    if (errors.length > 0) {
+      throw RepoConfig.error(file, errors);
+    }
+    return value;
+  }
+
+  static error(file, errors) {
+    const error = new Error(`${file} の設定が不正です:\n${errors.map(message => `  - ${message}`).join('\n')}`);
+    error.errors = errors;
+    return error;
+  }
+
+  /**
+   * スキーマで検証し、読みやすいエラーメッセージの一覧を返す
+   */
+  static validate(value, schema = CONFIG_SCHEMA, at = '') {
+    const label = at || '設定';
+    const actual = RepoConfig.typeOf(value);
+
+    if (schema.type && actual !== schema.type && !(schema.type === 'number' && actual === 'integer')) {
+      return [`${label}: ${RepoConfig.describeType(schema.type)}で指定してください（${RepoConfig.describeType(actual)}が指定されています）`];
+    }
+
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${label}: ${JSON.stringify(value)} は使用できません（${schema.enum.join(', ')} のいずれか）`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${label}: 空の文字列は指定できません`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${label}: ${JSON.stringify(value)} の形式が正しくありません（例: ".js"）`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${label}: ${schema.minimum} 以上を指定してください`);
+    }
+
+    if (schema.type === 'array' && schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...RepoConfig.validate(item, schema.items, `${label}[${index}]`));
+      });
+    }
+
+    if (schema.type === 'object') {
+      const known = Object.keys(schema.properties || {});
+      Object.entries(value).forEach(([key, child]) => {
+        const childPath = at ? `${at}.${key}` : key;
+        if (schema.properties && schema.properties[key]) {
+          errors.push(...RepoConfig.validate(child, schema.properties[key], childPath));
+        } else if (schema.additionalProperties === false) {
+          const suggestion = RepoConfig.suggest(key, known);
+          errors.push(`${childPath}: 不明な設定項目です${suggestion ? `（${suggestion} の誤りではありませんか？）` : `（使用できる項目: ${known.join(', ')}）`}`);
+        }
+      });
+      Object.entries(schema.dependencies || {}).forEach(([key, required]) => {
+        if (key in value) {
+          required.filter(name => !(name in value)).forEach(name => {
+            errors.push(`${at ? `${at}.` : ''}${key}: ${name} も指定してください`);
+          });
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  static typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  static describeType(type) {
+    const names = { object: 'キーと値の組', array: 'リスト', string: '文字列', integer: '整数', number: '数値', boolean: 'true/false', null: '空の値' };
+    return names[type] || type;
+  }
+
+  /**
+   * タイプミスと思われる項目名の候補（編集距離2以内）
+   */
+  static suggest(key, candidates) {
+    let best = null;
+    candidates.forEach(candidate => {
+      const distance = RepoConfig.editDistance(key.toLowerCase().replace(/-/g, '_'), candidate);
+      if (distance <= 2 && (!best || distance < best.distance)) {
+        best = { candidate, distance };
+      }
+    });
+    return best ? best.candidate : null;
+  }
+
+  static editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  }
+
+  static withDefaults(settings) {
+    return {
+      ...DEFAULT_REPO_CONFIG,
+      ...settings,
+      pull_request: { ...DEFAULT_REPO_CONFIG.pull_request, ...settings.pull_request }
+    };
+  }
+}
+
+module.exports = { RepoConfig, CONFIG_SCHEMA, CONFIG_FILES, DEFAULT_REPO_CONFIG };
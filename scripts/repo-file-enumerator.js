@@ -0,0 +1,318 @@
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+// gitの設定に関係なく常に除外するディレクトリ
+const ALWAYS_IGNORED_DIRS = new Set(['.git', 'node_modules']);
+
+// ビルド成果物・取り込まれた外部コードのディレクトリ
+const GENERATED_DIRS = /(^|\/)(dist|build|out|vendor|third_party|coverage|\.next|\.nuxt|__pycache__|\.venv|venv)\//;
+
+// 生成ファイル・ロックファイル・ソースマップ
+const GENERATED_FILES = /\.min\.(js|css|mjs)$|\.(map|lock|pyc|class|o|so|dll|exe)$|(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|poetry\.lock|Cargo\.lock|composer\.lock)$/;
+
+// 中身を読まずにバイナリと判断できる拡張子
+const BINARY_EXTENSIONS = new Set([
+  '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.webp', '.pdf', '.zip', '.gz', '.tgz', '.tar', '.7z',
+  '.woff', '.woff2', '.ttf', '.eot', '.otf', '.mp3', '.mp4', '.mov', '.wav', '.jar', '.wasm', '.bin'
+]);
+
+// ファイル先頭にあれば生成コードとみなす目印
+const GENERATED_MARKERS = /@generated|Code generated .* DO NOT EDIT|webpackBootstrap|This file is automatically generated/;
+
+const SNIFF_BYTES = 8000;
+
+/**
+ * .gitignore のパターン照合（gitが使えない環境用）
+ * 否定（!）、ディレクトリ指定（末尾の /）、ルート固定（/ を含むパターン）、*, **, ?, [...] に対応する
+ */
+class GitignoreMatcher {
+  constructor() {
+    this.rules = [];
+  }
+
+  /**
+   * @param {string} content - .gitignore の内容
+   * @param {string} base - .gitignore のあるディレクトリ（ルートからの相対パス、ルートは ''）
+   */
+  add(content, base = '') {
+    content.split(/\r?\n/).forEach(rawLine => {
+      let line = rawLine.replace(/(?<!\\)\s+$/, '');
+      if (!line || line.startsWith('#')) return;
+
+      const negated = line.startsWith('!');
+      if (negated) line = line.substring(1);
+      line = line.replace(/^\\([#!])/, '$1');
+
+      const directoryOnly = line.endsWith('/');
+      if (directoryOnly) line = line.replace(/\/+$/, '');
+      const anchored = line.includes('/');
+      line = line.replace(/^\//, '');
+
+      const body = GitignoreMatcher.toRegexSource(line);
+      const prefix = base ? `${GitignoreMatcher.escape(base)}/` : '';
+      const regex = anchored
+        ? new RegExp(`^${prefix}${body}$`)
+        : new RegExp(`^${prefix}(?:.*/)?${body}$`);
+
+      this.rules.push({ regex, negated, directoryOnly });
+    });
+    return this;
+  }
+
+  static escape(text) {
+    return text.replace(/[.+^${}()|\\]/g, '\\$&');
+  }
+
+  static toRegexSource(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '*' && pattern[i + 1] === '*') {
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const end = pattern.indexOf(']', i + 1);
+        if (end === -1) {
+          source += '\\[';
+        } else {
+          source += `[${pattern.substring(i + 1, end).replace(/^!/, '^')}]`;
+          i = end;
+        }
+      } else if (char === '\\' && i + 1 < pattern.length) {
+        source += GitignoreMatcher.escape(pattern[i + 1]);
+        i += 1;
+      } else {
+        source += GitignoreMatcher.escape(char);
+      }
+    }
+    return source;
+  }
+
+  /**
+   * @param {string} relativePath - ルートからの相対パス（区切りは /）
+   * @param {boolean} isDirectory
+   */
+  ignores(relativePath, isDirectory = false) {
+    let ignored = false;
+    for (const rule of this.rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.regex.test(relativePath)) {
+        ignored = !rule.negated;
+      }
+    }
+    return ignored;
+  }
+}
+
+/**
+ * リポジトリ内のファイル列挙（各アナライザー共通）
+ *
+ * git が使える場合は `git ls-files`（追跡中＋無視されていない未追跡ファイル）を、
+ * 使えない場合は .gitignore を解釈してディレクトリを走査する。
+ * どちらの場合もバイナリ・minify済み・ビルド成果物などの生成ファイルは除外する。
+ */
+class RepoFileEnumerator {
+  constructor(options = {}) {
+    // 省略時は実行時のカレントディレクトリ（ワークフロー中にchdirされるため遅延評価）
+    this.root = options.root || null;
+    this.maxFileSize = options.maxFileSize || 1024 * 1024;
+    this.includeGenerated = options.includeGenerated || false;
+    this.cache = null;
+  }
+
+  getRoot() {
+    return this.root || process.cwd();
+  }
+
+  /**
+   * テキストのソースファイル一覧（ルートからの相対パス、ソート済み）
+   */
+  list() {
+    const root = this.getRoot();
+    if (this.cache && this.cache.root === root) {
+      return this.cache.files;
+    }
+
+    const files = (this.listWithGit(root) || this.listWithGitignore(root))
+      .filter(file => !file.split('/').some(segment => ALWAYS_IGNORED_DIRS.has(segment)))
+      .filter(file => this.isSourceFile(root, file))
+      .sort();
+
+    this.cache = { root, files };
+    return files;
+  }
+
+  /**
+   * ファイル追加などの後に一覧を作り直す
+   */
+  refresh() {
+    this.cache = null;
+    return this.list();
+  }
+
+  /**
+   * 拡張子（'.js' など）で絞り込んだ一覧
+   */
+  listByExtension(extensions) {
+    const wanted = new Set(extensions.map(extension => extension.toLowerCase()));
+    return this.list().filter(file => wanted.has(path.extname(file).toLowerCase()));
+  }
+
+  /**
+   * ファイル一覧から求めたディレクトリ（指定した深さまで）
+   */
+  listDirectories(maxDepth = 3) {
+    const directories = new Set();
+    this.list().forEach(file => {
+      const segments = file.split('/').slice(0, -1);
+      for (let depth = 1; depth <= Math.min(maxDepth, segments.length); depth++) {
+        directories.add(segments.slice(0, depth).join('/'));
+      }
+    });
+    return [...directories].sort();
+  }
+
+  /**
+   * 拡張子（ドットなし）ごとのファイル数
+   */
+  countByExtension() {
+    const counts = {};
+    this.list().forEach(file => {
+      const extension = path.extname(file).substring(1).toLowerCase();
+      if (extension) {
+        counts[extension] = (counts[extension] || 0) + 1;
+      }
+    });
+    return counts;
+  }
+
+  listWithGit(root) {
+    try {
+      return execSync('git ls-files -z --cached --others --exclude-standard', {
+        cwd: root,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+        maxBuffer: 64 * 1024 * 1024
+      })
+        .split('\0')
+        .filter(Boolean)
+        // 削除済みでまだコミットされていないファイルを除く
+        .filter(file => fs.existsSync(path.join(root, file)));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  listWithGitignore(root) {
+    const matcher = new GitignoreMatcher();
+    const files = [];
+
+    const walk = (directory) => {
+      const gitignore = path.join(root, directory, '.gitignore');
+      if (fs.existsSync(gitignore)) {
+        matcher.add(fs.readFileSync(gitignore, 'utf8'), directory);
+      }
+
+      let entries;
+      try {
+        entries = fs.readdirSync(path.join(root, directory), { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      entries.sort((a, b) => a.name.localeCompare(b.name)).forEach(entry => {
+        const relative = directory ? `${directory}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          // 無視されたディレクトリの中は（git と同様に）否定パターンがあっても対象外
+          if (!ALWAYS_IGNORED_DIRS.has(entry.name) && !matcher.ignores(relative, true)) {
+            walk(relative);
+          }
+        } else if (entry.isFile() && !matcher.ignores(relative, false)) {
+          files.push(relative);
+        }
+      });
+    };
+
+    const exclude = path.join(root, '.git', 'info', 'exclude');
+    if (fs.existsSync(exclude)) {
+      matcher.add(fs.readFileSync(exclude, 'utf8'));
+    }
+    walk('');
+    return files;
+  }
+
+  /**
+   * 解析対象のテキストファイルか（バイナリ・巨大・生成ファイルを除く）
+   */
+  isSourceFile(root, file) {
+    if (BINARY_EXTENSIONS.has(path.extname(file).toLowerCase())) {
+      return false;
+    }
+    if (!this.includeGenerated && (GENERATED_DIRS.test(file) || GENERATED_FILES.test(file))) {
+      return false;
+    }
+
+    try {
+      const fullPath = path.join(root, file);
+      const stats = fs.statSync(fullPath);
+      if (!stats.isFile() || stats.size > this.maxFileSize) {
+        return false;
+      }
+
+      const { head, tail } = RepoFileEnumerator.sniff(fullPath, stats.size);
+      if (head.includes('\0')) {
+        return false;
+      }
+      return this.includeGenerated || !RepoFileEnumerator.isGenerated(head, tail);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static sniff(fullPath, size) {
+    const fd = fs.openSync(fullPath, 'r');
+    try {
+      const headBuffer = Buffer.alloc(Math.min(size, SNIFF_BYTES));
+      fs.readSync(fd, headBuffer, 0, headBuffer.length, 0);
+      let tail = '';
+      if (size > SNIFF_BYTES) {
+        const tailBuffer = Buffer.alloc(512);
+        fs.readSync(fd, tailBuffer, 0, 512, size - 512);
+        tail = tailBuffer.toString('utf8');
+      }
+      return { head: headBuffer.toString('utf8'), tail };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * minify済み・バンドル・自動生成のファイルか（先頭と末尾から判定）
+   */
+  static isGenerated(head, tail = '') {
+    if (GENERATED_MARKERS.test(head.substring(0, 1000))) {
+      return true;
+    }
+    // バンドルやトランスパイル結果にはソースマップの参照が付く
+    if (/\/\/# sourceMappingURL=\S+\s*$/.test(tail || head)) {
+      return true;
+    }
+
+    // minify済み: 極端に長い行が大部分を占める
+    const lines = head.split('\n');
+    const longLines = lines.filter(line => line.length > 500).length;
+    return head.length >= 1000 && (longLines / lines.length > 0.5 || head.length / lines.length > 300);
+  }
+}
+
+module.exports = { RepoFileEnumerator, GitignoreMatcher };
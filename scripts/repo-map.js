@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const { ContextPacker } = require('./context-packer');
+
+// プロンプトに含めるリポジトリマップの上限（トークン）
+const DEFAULT_REPO_MAP_TOKENS = 2000;
+
+// 予算に収まるまで、上から順に詳細度を下げて描画する
+const DETAIL_LEVELS = [
+  { depth: Infinity, exportsPerFile: 8, filesPerDir: Infinity },
+  { depth: Infinity, exportsPerFile: 3, filesPerDir: 30 },
+  { depth: 3, exportsPerFile: 3, filesPerDir: 15 },
+  { depth: 2, exportsPerFile: 2, filesPerDir: 10 },
+  { depth: 1, exportsPerFile: 0, filesPerDir: 10 },
+  { depth: 0, exportsPerFile: 0, filesPerDir: 20 }
+];
+
+/**
+ * リポジトリマップ（ディレクトリツリー・ファイルサイズ・トップレベルのエクスポート）
+ *
+ * 新しいコードの置き場所やリポジトリの構成をモデルが把握できるよう、
+ * トークン予算に収まる範囲でツリーを描画する。
+ */
+class RepoMap {
+  /**
+   * ファイル一覧とシンボルインデックスからマップの元データを集める
+   * @returns {Array<{path: string, size: number, exports: string[]}>}
+   */
+  static collect(fileEnumerator, symbolIndex) {
+    const root = fileEnumerator.getRoot();
+    let modules = {};
+    try {
+      modules = symbolIndex ? symbolIndex.load().modules : {};
+    } catch (error) {
+      console.log('⚠️ リポジトリマップ用のシンボル解析に失敗:', error.message);
+    }
+
+    return fileEnumerator.list().map(file => {
+      let size = 0;
+      try {
+        size = fs.statSync(path.join(root, file)).size;
+      } catch (error) {
+        // 列挙後に消えたファイルはサイズ0として扱う
+      }
+      return { path: file, size, exports: modules[file]?.exports || [] };
+    });
+  }
+
+  /**
+   * @param {Array<{path: string, size: number, exports: string[]}>} files
+   * @param {number} maxTokens
+   */
+  static render(files, maxTokens = DEFAULT_REPO_MAP_TOKENS) {
+    if (!files || files.length === 0) {
+      return '';
+    }
+
+    const tree = RepoMap.buildTree(files);
+    for (const level of DETAIL_LEVELS) {
+      const text = RepoMap.renderTree(tree, level);
+      if (ContextPacker.estimateTokens(text) <= maxTokens) {
+        return text;
+      }
+    }
+
+    // 最も粗い描画でも収まらない場合は行単位で切り詰める
+    const lines = RepoMap.renderTree(tree, DETAIL_LEVELS[DETAIL_LEVELS.length - 1]).split('\n');
+    const kept = [];
+    let tokens = 0;
+    for (const line of lines) {
+      const cost = ContextPacker.estimateTokens(`${line}\n`);
+      if (tokens + cost > maxTokens - 10) break;
+      kept.push(line);
+      tokens += cost;
+    }
+    return `${kept.join('\n')}\n... (${lines.length - kept.length} more entries)`;
+  }
+
+  static buildTree(files) {
+    const root = { name: '', dirs: new Map(), files: [], fileCount: 0, size: 0 };
+    files.forEach(file => {
+      const segments = file.path.split('/');
+      let node = root;
+      node.fileCount++;
+      node.size += file.size;
+      segments.slice(0, -1).forEach(segment => {
+        if (!node.dirs.has(segment)) {
+          node.dirs.set(segment, { name: segment, dirs: new Map(), files: [], fileCount: 0, size: 0 });
+        }
+        node = node.dirs.get(segment);
+        node.fileCount++;
+        node.size += file.size;
+      });
+      node.files.push({ ...file, name: segments[segments.length - 1] });
+    });
+    return root;
+  }
+
+  static renderTree(tree, level) {
+    const lines = [];
+
+    const walk = (node, depth) => {
+      const indent = '  '.repeat(depth);
+      [...node.dirs.values()].sort((a, b) => a.name.localeCompare(b.name)).forEach(dir => {
+        if (depth < level.depth) {
+          lines.push(`${indent}${dir.name}/`);
+          walk(dir, depth + 1);
+        } else {
+          lines.push(`${indent}${dir.name}/ (${dir.fileCount} files, ${RepoMap.formatSize(dir.size)})`);
+        }
+      });
+
+      const files = [...node.files].sort((a, b) => a.name.localeCompare(b.name));
+      files.slice(0, level.filesPerDir).forEach(file => {
+        let line = `${indent}${file.name} (${RepoMap.formatSize(file.size)})`;
+        if (level.exportsPerFile > 0 && file.exports.length > 0) {
+          const shown = file.exports.slice(0, level.exportsPerFile);
+          const more = file.exports.length > shown.length ? `, +${file.exports.length - shown.length}` : '';
+          line += ` — ${shown.join(', ')}${more}`;
+        }
+        lines.push(line);
+      });
+      if (files.length > level.filesPerDir) {
+        lines.push(`${indent}... (+${files.length - level.filesPerDir} files)`);
+      }
+    };
+
+    walk(tree, 0);
+    return lines.join('\n');
+  }
+
+  static formatSize(bytes) {
+    if (bytes < 1024) {
+      return `${bytes}B`;
+    }
+    if (bytes < 1024 * 1024) {
+      return `${(bytes / 1024).toFixed(1)}KB`;
+    }
+    return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  }
+}
+
+module.exports = { RepoMap, DEFAULT_REPO_MAP_TOKENS };
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const { FileValidator } = require('./file-validator');
+const { RepoFileEnumerator } = require('./repo-file-enumerator');
+
+// grep の pattern と、pattern を照合する1行の長さの上限（正規表現の実行時間を抑える）
+const MAX_GREP_PATTERN_LENGTH = 200;
+const MAX_GREP_LINE_LENGTH = 1000;
+
+/**
+ * エージェントモードでモデルに公開するツール定義（JSON Schema）
+ * プロバイダーごとの形式（Gemini の functionDeclarations、OpenAI の function tools）へは各プロバイダーで変換する
+ */
+const REPO_TOOLS = [
+  {
+    name: 'read_file',
+    description: 'Read a file in the repository. Returns numbered lines. Use start_line/end_line to read a range of a large file.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Repository-relative file path' },
+        start_line: { type: 'integer', description: 'First line to read (1-based, optional)' },
+        end_line: { type: 'integer', description: 'Last line to read (inclusive, optional)' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'list_dir',
+    description: 'List the entries of a directory in the repository. Directories end with "/".',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Repository-relative directory path ("." for the root)' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'grep',
+    description: 'Search file contents with a regular expression (JavaScript syntax). Returns "path:line: text" matches.',
+    parameters: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string', description: 'Regular expression to search for (up to 200 characters; patterns with nested quantifiers such as (a+)+ are searched as literal text)' },
+        path: { type: 'string', description: 'Directory or file to search in (optional, defaults to the repository root)' }
+      },
+      required: ['pattern']
+    }
+  },
+  {
+    name: 'propose_edit',
+    description: 'Propose one file operation for the final solution. The operation is validated against the current file and the result is returned. Proposing the same path again replaces the earlier proposal.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Repository-relative file path' },
+        action: { type: 'string', enum: ['create', 'modify', 'delete'] },
+        changes: { type: 'string', description: 'Description of the change in Japanese' },
+        content: { type: 'string', description: 'Complete file content for create, otherwise ""' },
+        modification_type: {
+          type: 'string',
+          enum: ['append', 'prepend', 'replace', 'patch', 'search_replace', ''],
+          description: 'Modify strategy ("" for create/delete)'
+        },
+        modification_content: { type: 'string', description: 'Text for append/prepend or the unified diff for patch' },
+        replace_from: { type: 'string', description: 'Text to find for replace' },
+        replace_to: { type: 'string', description: 'Replacement text for replace' },
+        edits: {
+          type: 'array',
+          description: 'Ordered search/replace blocks for search_replace. Each search must match exactly once',
+          items: {
+            type: 'object',
+            properties: {
+              search: { type: 'string' },
+              replace: { type: 'string' }
+            },
+            required: ['search', 'replace']
+          }
+        }
+      },
+      required: ['path', 'action', 'changes']
+    }
+  }
+];
+
+/**
+ * リポジトリを読み取るツールの実装
+ * すべてのパスは FileValidator.isPathSafe を通し、プロジェクト外・保護パスへのアクセスを拒否する
+ */
+class RepoTools {
+  constructor(options = {}) {
+    this.validator = options.validator || new FileValidator();
+    this.maxReadLines = options.maxReadLines || 400;
+    this.maxOutputChars = options.maxOutputChars || 20000;
+    this.maxGrepMatches = options.maxGrepMatches || 100;
+    this.maxListEntries = options.maxListEntries || 200;
+    this.maxFileSize = options.maxFileSize || 1024 * 1024;
+    this.fileEnumerator = options.fileEnumerator || new RepoFileEnumerator({ maxFileSize: this.maxFileSize });
+  }
+
+  /**
+   * ツールを実行（例外は投げず、エラーは { error } として返す）
+   * @returns {{output?: string, error?: string}}
+   */
+  execute(name, args = {}) {
+    try {
+      switch (name) {
+      case 'read_file':
+        return { output: this.readFile(args.path, args.start_line, args.end_line) };
+      case 'list_dir':
+        return { output: this.listDir(args.path || '.') };
+      case 'grep':
+        return { output: this.grep(args.pattern, args.path || '.') };
+      default:
+        return { error: `不明なツールです: ${name}` };
+      }
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * パスを検証し、プロジェクトルートからの相対パスを返す
+   */
+  resolve(filePath) {
+    if (typeof filePath !== 'string' || filePath.trim() === '') {
+      throw new Error('pathを指定してください');
+    }
+
+    const safety = this.validator.isPathSafe(filePath);
+    if (!safety.valid) {
+      throw new Error(`アクセスできないパスです (${filePath}): ${safety.reason}`);
+    }
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`パスが存在しません: ${filePath}`);
+    }
+    // シンボリックリンク経由でプロジェクト外を読まないよう実体のパスも確認する
+    const root = fs.realpathSync(process.cwd());
+    const real = fs.realpathSync(filePath);
+    if (real !== root && !real.startsWith(root + path.sep)) {
+      throw new Error(`アクセスできないパスです (${filePath}): Path is outside project directory`);
+    }
+
+    return path.relative(process.cwd(), path.resolve(filePath)) || '.';
+  }
+
+  readFile(filePath, startLine, endLine) {
+    const relative = this.resolve(filePath);
+    const stats = fs.statSync(relative);
+    if (stats.isDirectory()) {
+      throw new Error(`${filePath} はディレクトリです。list_dirを使用してください`);
+    }
+    // 巨大なログやダンプをメモリに読み込まないよう、サイズの上限を超えるファイルは読まない
+    if (stats.size > this.maxFileSize) {
+      throw new Error(`${filePath} は大きすぎます（${stats.size}バイト。上限は${this.maxFileSize}バイト）。grepで該当箇所を探してください`);
+    }
+    if (this.isBinary(relative)) {
+      throw new Error(`${filePath} はバイナリファイルです`);
+    }
+
+    const lines = fs.readFileSync(relative, 'utf8').split('\n');
+    const start = Math.max(1, parseInt(startLine, 10) || 1);
+    const requestedEnd = parseInt(endLine, 10) || lines.length;
+    const end = Math.min(lines.length, requestedEnd, start + this.maxReadLines - 1);
+
+    const body = lines.slice(start - 1, end).map((line, index) => `${start + index}| ${line}`).join('\n');
+    const more = end < Math.min(lines.length, requestedEnd) ? `\n... (${end}行目まで表示。続きは start_line=${end + 1} で取得してください)` : '';
+    return this.truncate(`${relative} (${start}-${end}行目 / 全${lines.length}行)\n${body}${more}`);
+  }
+
+  listDir(dirPath) {
+    const relative = this.resolve(dirPath);
+    if (!fs.statSync(relative).isDirectory()) {
+      throw new Error(`${dirPath} はディレクトリではありません`);
+    }
+
+    const entries = fs.readdirSync(relative, { withFileTypes: true })
+      .filter(entry => this.validator.isPathSafe(path.join(relative, entry.name)).valid)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(entry => {
+        if (entry.isDirectory()) {
+          return `${entry.name}/`;
+        }
+        return `${entry.name} (${fs.statSync(path.join(relative, entry.name)).size} bytes)`;
+      });
+
+    const shown = entries.slice(0, this.maxListEntries);
+    const more = entries.length > shown.length ? `\n... (他${entries.length - shown.length}件)` : '';
+    return `${relative}/\n${shown.join('\n')}${more}`;
+  }
+
+  grep(pattern, searchPath) {
+    if (typeof pattern !== 'string' || pattern === '') {
+      throw new Error('patternを指定してください');
+    }
+    if (pattern.length > MAX_GREP_PATTERN_LENGTH) {
+      throw new Error(`patternが長すぎます（${MAX_GREP_PATTERN_LENGTH}文字まで）`);
+    }
+
+    const literal = () => new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    let regex;
+    let note = '';
+    if (RepoTools.hasNestedQuantifier(pattern)) {
+      // (a+)+ のような入れ子の量指定子はバックトラックで実行が終わらないことがあるため、文字列として検索する
+      regex = literal();
+      note = '⚠️ 入れ子の量指定子を含むため、patternを文字列として検索しました\n';
+    } else {
+      try {
+        regex = new RegExp(pattern);
+      } catch (error) {
+        // 正規表現として不正な場合は文字列として検索する
+        regex = literal();
+      }
+    }
+
+    const matches = [];
+    for (const file of this.walk(this.resolve(searchPath))) {
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      for (let i = 0; i < lines.length; i++) {
+        if (regex.test(lines[i].substring(0, MAX_GREP_LINE_LENGTH))) {
+          matches.push(`${file}:${i + 1}: ${lines[i].trim().substring(0, 200)}`);
+          if (matches.length >= this.maxGrepMatches) {
+            return this.truncate(`${note}${matches.join('\n')}\n... (${this.maxGrepMatches}件で打ち切りました。patternかpathを絞り込んでください)`);
+          }
+        }
+      }
+    }
+
+    return matches.length > 0 ? this.truncate(`${note}${matches.join('\n')}`) : `${note}一致する行はありません: ${pattern}`;
+  }
+
+  /**
+   * 量指定子や | を含むグループに、さらに量指定子が付いているか（(a+)+・(\w*)*・(a|aa)+ など）
+   */
+  static hasNestedQuantifier(pattern) {
+    const groups = [];
+    let inClass = false;
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '\\') {
+        i++;
+      } else if (inClass) {
+        inClass = char !== ']';
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === '(') {
+        groups.push(false);
+      } else if (char === ')') {
+        const repeating = groups.pop();
+        const quantified = /^(?:[+*]|\{\d+,)/.test(pattern.substring(i + 1));
+        if (repeating && quantified) {
+          return true;
+        }
+        if (groups.length > 0 && (repeating || quantified)) {
+          groups[groups.length - 1] = true;
+        }
+      } else if ((char === '+' || char === '*' || char === '|' || (char === '{' && /^\{\d+,/.test(pattern.substring(i)))) && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 検索対象のテキストファイルを列挙
+   * .gitignore・バイナリ・巨大ファイル・生成ファイルは RepoFileEnumerator で除外済み、保護パスとシンボリックリンクはここで除外する
+   */
+  * walk(target) {
+    const prefix = target === '.' ? '' : `${target.replace(/\/+$/, '')}/`;
+
+    for (const file of this.fileEnumerator.list()) {
+      if (file !== target && !file.startsWith(prefix)) continue;
+      if (!this.validator.isPathSafe(file).valid || fs.lstatSync(file).isSymbolicLink()) continue;
+      yield file;
+    }
+  }
+
+  isBinary(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(512);
+      const bytesRead = fs.readSync(fd, buffer, 0, 512, 0);
+      return buffer.subarray(0, bytesRead).includes(0);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  truncate(text) {
+    if (text.length <= this.maxOutputChars) {
+      return text;
+    }
+    return text.substring(0, this.maxOutputChars) + `\n... (${text.length - this.maxOutputChars}文字省略)`;
+  }
+}
+
+module.exports = { RepoTools, REPO_TOOLS };
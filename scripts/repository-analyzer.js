@@ -1,8 +1,21 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { SymbolIndex } = require('./symbol-index');
+const { RepoFileEnumerator } = require('./repo-file-enumerator');
+const { RepoMap } = require('./repo-map');
+const { GitHistory } = require('./git-history');
+const { WorkspaceDetector } = require('./workspace-detector');
 
 class RepositoryAnalyzer {
+  constructor(options = {}) {
+    // .gitignore・生成ファイルを除いたファイル一覧（他のアナライザーと共有できる）
+    this.fileEnumerator = options.fileEnumerator || new RepoFileEnumerator();
+    this.symbolIndex = options.symbolIndex || new SymbolIndex({ fileEnumerator: this.fileEnumerator });
+    this.gitHistory = options.gitHistory || new GitHistory();
+    this.workspaceDetector = options.workspaceDetector || new WorkspaceDetector({ fileEnumerator: this.fileEnumerator });
+  }
+
   async getRepositoryContext() {
     console.log('📋 リポジトリコンテキストを分析中...');
     
@@ -23,6 +36,9 @@ class RepositoryAnalyzer {
         mainDependencies: this.getMainDependencies(),
         devDependencies: this.getDevDependencies(),
         
+        // モノレポのパッケージ一覧
+        workspace: this.getWorkspace(),
+        
         // プロジェクト構造
         directoryStructure: this.getDirectoryStructure(),
         fileCount: this.getFileCount(),
@@ -34,6 +50,12 @@ class RepositoryAnalyzer {
         // 設定ファイル
         configFiles: this.getConfigFiles(),
         
+        // シンボル・import関係の概要
+        symbolGraph: this.getSymbolGraph(),
+        
+        // リポジトリマップ（ファイルごとのサイズとエクスポート）
+        repoMap: this.getRepoMap(),
+        
         // プロジェクトメタデータ
         projectSize: this.assessProjectSize(),
         codeQuality: this.assessCodeQuality()
@@ -62,8 +84,7 @@ class RepositoryAnalyzer {
     return null;
   }
   
-  detectFramework() {
-    const packageInfo = this.getPackageInfo();
+  detectFramework(packageInfo = this.getPackageInfo()) {
     if (!packageInfo) return null;
     
     const deps = { ...packageInfo.dependencies, ...packageInfo.devDependencies };
@@ -86,16 +107,9 @@ class RepositoryAnalyzer {
     const extensions = { js: 0, ts: 0, py: 0, java: 0, cpp: 0, go: 0 };
     
     try {
-      const output = execSync(
-        'find . -type f \\( -name "*.js" -o -name "*.ts" -o -name "*.py" -o -name "*.java" -o -name "*.cpp" -o -name "*.go" \\) | grep -v node_modules | grep -v .git',
-        { encoding: 'utf8', timeout: 5000 }
-      );
-      
-      output.split('\n').forEach(file => {
-        const ext = file.split('.').pop();
-        if (extensions.hasOwnProperty(ext)) {
-          extensions[ext]++;
-        }
+      const counts = this.fileEnumerator.countByExtension();
+      Object.keys(extensions).forEach(ext => {
+        extensions[ext] = counts[ext] || 0;
       });
       
       const primary = Object.keys(extensions).reduce((a, b) => 
@@ -114,27 +128,55 @@ class RepositoryAnalyzer {
            (this.getPackageInfo()?.dependencies?.typescript);
   }
   
-  getMainDependencies() {
-    const packageInfo = this.getPackageInfo();
+  getMainDependencies(packageInfo = this.getPackageInfo()) {
     if (!packageInfo?.dependencies) return [];
     
     return Object.keys(packageInfo.dependencies).slice(0, 10);
   }
   
-  getDevDependencies() {
-    const packageInfo = this.getPackageInfo();
+  getDevDependencies(packageInfo = this.getPackageInfo()) {
     if (!packageInfo?.devDependencies) return [];
     
     return Object.keys(packageInfo.devDependencies).slice(0, 10);
   }
   
+  getWorkspace() {
+    try {
+      const { tool, packages } = this.workspaceDetector.detect();
+      return tool ? { tool, packages: packages.map(pkg => ({ name: pkg.name, path: pkg.path })) } : null;
+    } catch (error) {
+      console.log('ワークスペースの検出に失敗:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * モノレポでは関連ファイルが属するパッケージを対象とし、
+   * そのパッケージの package.json でフレームワーク・依存関係・モジュール形式を置き換える
+   */
+  applyTargetPackage(context, files) {
+    try {
+      const pkg = this.workspaceDetector.findPackage(files);
+      if (!pkg) return null;
+      
+      context.targetPackage = { name: pkg.name, path: pkg.path, tool: pkg.tool, scripts: pkg.scripts };
+      if (pkg.manifest) {
+        context.rootPackageInfo = context.packageInfo;
+        context.packageInfo = pkg.manifest;
+        context.framework = this.detectFramework(pkg.manifest) || context.framework;
+        context.mainDependencies = this.getMainDependencies(pkg.manifest);
+        context.devDependencies = this.getDevDependencies(pkg.manifest);
+      }
+      return context.targetPackage;
+    } catch (error) {
+      console.log('対象パッケージの特定に失敗:', error.message);
+      return null;
+    }
+  }
+  
   getDirectoryStructure() {
     try {
-      const output = execSync(
-        'find . -maxdepth 3 -type d | grep -v node_modules | grep -v .git | head -20',
-        { encoding: 'utf8', timeout: 3000 }
-      );
-      return output.trim().split('\n').filter(d => d && d !== '.');
+      return this.fileEnumerator.listDirectories(3).slice(0, 20);
     } catch (error) {
       return [];
     }
@@ -142,22 +184,13 @@ class RepositoryAnalyzer {
   
   getFileCount() {
     try {
-      const counts = {};
+      const counts = this.fileEnumerator.countByExtension();
       const extensions = ['js', 'ts', 'py', 'md', 'json', 'yml', 'yaml'];
       
-      extensions.forEach(ext => {
-        try {
-          const output = execSync(
-            `find . -name "*.${ext}" | grep -v node_modules | grep -v .git | wc -l`,
-            { encoding: 'utf8', timeout: 2000 }
-          );
-          counts[ext] = parseInt(output.trim()) || 0;
-        } catch (e) {
-          counts[ext] = 0;
-        }
-      });
-      
-      return counts;
+      return extensions.reduce((result, ext) => {
+        result[ext] = counts[ext] || 0;
+        return result;
+      }, {});
     } catch (error) {
       return {};
     }
@@ -174,6 +207,18 @@ class RepositoryAnalyzer {
     }
   }
   
+  /**
+   * 関連ファイルの直近のコミットと、クラッシュ箇所付近の blame
+   */
+  getChangeHistory(files, crashSites = []) {
+    try {
+      return this.gitHistory.collect(files, crashSites);
+    } catch (error) {
+      console.log('変更履歴の取得に失敗:', error.message);
+      return { files: [], blame: [] };
+    }
+  }
+  
   getCurrentBranch() {
     try {
       return execSync('git branch --show-current', { 
@@ -185,6 +230,24 @@ class RepositoryAnalyzer {
     }
   }
   
+  getSymbolGraph() {
+    try {
+      return this.symbolIndex.getSummary();
+    } catch (error) {
+      console.log('シンボル解析に失敗:', error.message);
+      return null;
+    }
+  }
+  
+  getRepoMap() {
+    try {
+      return RepoMap.collect(this.fileEnumerator, this.symbolIndex);
+    } catch (error) {
+      console.log('リポジトリマップの作成に失敗:', error.message);
+      return [];
+    }
+  }
+  
   getConfigFiles() {
     const configFiles = [];
     const commonConfigs = [
@@ -241,11 +304,14 @@ class RepositoryAnalyzer {
       hasTypeScript: false,
       mainDependencies: [],
       devDependencies: [],
+      workspace: null,
       directoryStructure: [],
       fileCount: {},
       recentCommits: 'Gitヒストリーが利用できません',
       currentBranch: 'unknown',
       configFiles: [],
+      symbolGraph: null,
+      repoMap: [],
       projectSize: 'unknown',
       codeQuality: 'unknown'
     };
@@ -1,19 +1,27 @@
 const fs = require('fs');
 const path = require('path');
 const { FileValidator } = require('./file-validator');
+const { PatchApplier } = require('./patch-applier');
+const { SearchReplaceApplier } = require('./search-replace-applier');
 
 class SafeFileManager {
-  constructor() {
-    this.validator = new FileValidator();
+  /**
+   * @param {object} options - FileValidator に渡す変更可能な範囲の指定（allowedPaths など）と dryRun
+   */
+  constructor(options = {}) {
+    this.validator = new FileValidator(options);
     this.pendingOperations = [];
     this.backups = new Map();
-    this.dryRun = process.env.DRY_RUN === 'true';
+    this.dryRun = options.dryRun ?? process.env.DRY_RUN === 'true';
   }
 
   /**
    * ファイル操作を安全に実行
+   *
+   * options.repair が指定された場合、適用に失敗した操作の構造化された失敗情報を渡して
+   * 置き換え用の操作を受け取り、options.maxRepairTurns 回まで再適用する。
    */
-  async safeExecute(fileOperations) {
+  async safeExecute(fileOperations, options = {}) {
     // ドライランモード
     if (this.dryRun) {
       console.log('🔍 ドライランモード: 実際のファイル変更は行いません');
@@ -21,22 +29,47 @@ class SafeFileManager {
     }
 
     // 全ての操作を事前検証
-    const validationResults = this.validateAllOperations(fileOperations);
-    if (!validationResults.valid) {
-      throw new Error(`ファイル操作の検証に失敗: ${validationResults.errors.join(', ')}`);
-    }
+    this.assertOperationsValid(fileOperations);
 
     // バックアップを作成
-    const backupResults = await this.createBackups(fileOperations);
+    await this.createBackups(fileOperations);
     
     try {
       // 操作を実行
-      const results = await this.executeOperations(fileOperations);
+      const { results, failures } = await this.executeOperations(fileOperations);
+      let remainingFailures = failures;
+      const maxRepairTurns = options.maxRepairTurns ?? 2;
+
+      // 失敗した操作だけをAIに再生成させる
+      for (let turn = 1; remainingFailures.length > 0 && options.repair && turn <= maxRepairTurns; turn++) {
+        console.log(`\n🔁 修復ターン ${turn}/${maxRepairTurns}: ${remainingFailures.length}件の失敗した操作を再生成します`);
+        const repairedOperations = await options.repair(remainingFailures, turn);
+        if (!repairedOperations || repairedOperations.length === 0) {
+          console.warn('⚠️  修復用の操作が得られませんでした');
+          break;
+        }
+
+        this.assertOperationsValid(repairedOperations);
+        await this.createBackups(repairedOperations);
+
+        const repairResult = await this.executeOperations(repairedOperations);
+        results.push(...repairResult.results);
+        remainingFailures = repairResult.failures;
+      }
+
+      if (remainingFailures.length > 0) {
+        const error = new Error(remainingFailures.map(failure => `操作失敗 (${failure.path}): ${failure.reason}`).join('\n'));
+        error.failures = remainingFailures;
+        throw error;
+      }
       
       // 成功した場合、バックアップをクリーンアップ（オプション）
       if (process.env.KEEP_BACKUPS !== 'true') {
         this.cleanupBackups();
       }
+
+      // 確定した操作は以降の safeExecute のロールバック対象にしない
+      this.pendingOperations = [];
       
       return results;
     } catch (error) {
@@ -48,28 +81,38 @@ class SafeFileManager {
     }
   }
 
+  assertOperationsValid(operations) {
+    const validationResults = this.validateAllOperations(operations);
+    if (!validationResults.valid) {
+      const error = new Error(`ファイル操作の検証に失敗: ${validationResults.errors.join(', ')}`);
+      error.rejections = validationResults.rejections;
+      throw error;
+    }
+  }
+
   /**
    * 全ての操作を事前検証
    */
   validateAllOperations(operations) {
-    const errors = [];
+    const rejections = [];
     
     for (const operation of operations) {
       // GitHub Actionsワークフローファイルのチェック
       if (this.isWorkflowFile(operation.path)) {
-        errors.push(`${operation.path}: GitHub App workflow files require 'workflows' permission`);
+        rejections.push({ path: operation.path, reason: 'GitHub App workflow files require \'workflows\' permission' });
         continue;
       }
       
       const validation = this.validator.validateFileOperation(operation);
       if (!validation.valid) {
-        errors.push(`${operation.path}: ${validation.reason}`);
+        rejections.push({ path: operation.path, reason: validation.reason });
       }
     }
     
     return {
-      valid: errors.length === 0,
-      errors
+      valid: rejections.length === 0,
+      errors: rejections.map(rejection => `${rejection.path}: ${rejection.reason}`),
+      rejections
     };
   }
 
@@ -88,6 +131,10 @@ class SafeFileManager {
     console.log('📦 バックアップを作成中...');
     
     for (const operation of operations) {
+      // 修復ターンでは最初のバックアップ（変更前の状態）を保持する
+      if (this.backups.has(operation.path)) {
+        continue;
+      }
       if (operation.action === 'modify' || operation.action === 'delete') {
         const backupPath = this.validator.createBackup(operation.path);
         if (backupPath) {
@@ -101,10 +148,12 @@ class SafeFileManager {
   }
 
   /**
-   * 操作を実行
+   * 操作を実行（失敗した操作は中断せずに構造化して収集）
+   * @returns {{results: Array, failures: Array}}
    */
   async executeOperations(operations) {
     const results = [];
+    const failures = [];
     
     for (const operation of operations) {
       try {
@@ -112,11 +161,42 @@ class SafeFileManager {
         results.push(result);
         this.pendingOperations.push(operation);
       } catch (error) {
-        throw new Error(`操作失敗 (${operation.path}): ${error.message}`);
+        console.error(`❌ 操作失敗 (${operation.path}): ${error.message.split('\n')[0]}`);
+        failures.push(this.describeFailure(operation, error));
       }
     }
     
-    return results;
+    return { results, failures };
+  }
+
+  /**
+   * 失敗した操作をAIへのフィードバック用に構造化
+   */
+  describeFailure(operation, error) {
+    const currentContent = fs.existsSync(operation.path) ? fs.readFileSync(operation.path, 'utf8') : null;
+    const blocks = (error.blocks || []).map(block => ({
+      ...block,
+      nearby: currentContent !== null && block.line ? this.excerptAround(currentContent, block.line) : null
+    }));
+
+    return {
+      path: operation.path,
+      action: operation.action,
+      operation,
+      reason: error.message.split('\n')[0],
+      blocks,
+      nearby: blocks.length === 0 && currentContent !== null ? this.excerptAround(currentContent, 1) : null
+    };
+  }
+
+  /**
+   * 指定行の周辺を行番号付きで抜き出す
+   */
+  excerptAround(content, line, before = 3, after = 8) {
+    const lines = content.split('\n');
+    const start = Math.max(0, line - 1 - before);
+    const end = Math.min(lines.length, line + after);
+    return lines.slice(start, end).map((text, i) => `${start + i + 1}| ${text}`).join('\n');
   }
 
   /**
@@ -265,6 +345,10 @@ class SafeFileManager {
       newContent = changes.content + '\n' + currentContent;
     } else if (changes && changes.type === 'replace') {
       newContent = currentContent.replace(changes.from, changes.to);
+    } else if (changes && changes.type === 'patch') {
+      newContent = this.applyPatch(filePath, currentContent, changes);
+    } else if (changes && changes.type === 'search_replace') {
+      newContent = this.applySearchReplace(filePath, currentContent, changes);
     } else if (changes && changes.type === 'full-replace') {
       // 明示的な全置換
       console.log('🔄 全置換モード: ファイル全体を置換');
@@ -277,6 +361,60 @@ class SafeFileManager {
     return { action: 'modified', path: filePath };
   }
 
+  /**
+   * unified diff を適用（1つでも適用できないハンクがあればファイルは変更しない）
+   */
+  applyPatch(filePath, currentContent, changes) {
+    const fuzz = Number.isInteger(changes.fuzz) ? changes.fuzz : parseInt(process.env.PATCH_FUZZ || '2', 10);
+    const patcher = new PatchApplier({ fuzz });
+    const result = patcher.apply(currentContent, changes.diff, { fuzz, path: filePath });
+
+    result.applied
+      .filter(hunk => hunk.offset !== 0 || hunk.fuzz > 0)
+      .forEach(hunk => console.log(`  ↪ ハンク #${hunk.hunk} を ${hunk.line}行目に適用 (offset ${hunk.offset}, fuzz ${hunk.fuzz})`));
+
+    if (!result.success) {
+      const report = patcher.formatRejectionReport(result);
+      const error = new Error(`パッチの適用に失敗 (${result.rejected.length}/${result.rejected.length + result.applied.length}ハンク): ${filePath}\n${report}`);
+      error.blocks = result.rejected.map(rejection => ({
+        block: rejection.hunk,
+        header: rejection.header,
+        reason: rejection.reason,
+        line: rejection.line,
+        expected: rejection.expected
+      }));
+      throw error;
+    }
+
+    console.log(`🩹 パッチ適用: ${result.applied.length}ハンク`);
+    return result.content;
+  }
+
+  /**
+   * search/replaceブロックを適用（1つでも失敗すればファイルは変更しない）
+   */
+  applySearchReplace(filePath, currentContent, changes) {
+    const applier = new SearchReplaceApplier();
+    const result = applier.apply(currentContent, changes.blocks);
+
+    result.applied
+      .filter(block => block.strategy !== 'exact')
+      .forEach(block => console.log(`  ↪ ブロック #${block.block} を ${block.line}行目に適用 (${block.strategy})`));
+
+    if (!result.success) {
+      const error = new Error(`search/replaceの適用に失敗 (${result.failures.length}/${(changes.blocks || []).length}ブロック): ${filePath}\n${applier.formatFailureReport(result, filePath)}`);
+      error.blocks = result.failures.map(failure => ({
+        block: failure.block,
+        reason: failure.reason,
+        line: failure.hint?.line || failure.lines?.[0] || null
+      }));
+      throw error;
+    }
+
+    console.log(`✂️ search/replace適用: ${result.applied.length}ブロック`);
+    return result.content;
+  }
+
   /**
    * ファイルを削除
    */
@@ -0,0 +1,236 @@
+/**
+ * search/replace ブロックを順番に適用する
+ *
+ * 各ブロックの search はファイル内でちょうど1箇所に一致する必要がある。
+ * 完全一致で見つからない場合は、行末空白の違い → インデントの違いの順に許容して再探索する。
+ * 見つからない・複数箇所に一致する場合は理由と手がかりを failures に記録する。
+ */
+class SearchReplaceApplier {
+  /**
+   * @param {string} content - 現在のファイル内容
+   * @param {Array<{search: string, replace: string}>} blocks
+   * @returns {{content: string, applied: Array, failures: Array, success: boolean}}
+   */
+  apply(content, blocks) {
+    const applied = [];
+    const failures = [];
+    let current = content;
+
+    (blocks || []).forEach((block, index) => {
+      const number = index + 1;
+
+      if (!block || typeof block.search !== 'string' || typeof block.replace !== 'string') {
+        failures.push({ block: number, reason: 'searchとreplaceは文字列である必要があります' });
+        return;
+      }
+      if (block.search.trim() === '') {
+        failures.push({ block: number, reason: 'searchが空です。変更箇所を特定できる既存のコードを指定してください' });
+        return;
+      }
+
+      const match = this.findMatch(current, block.search);
+      if (match.error) {
+        failures.push({ block: number, search: block.search, ...match.error });
+        return;
+      }
+
+      const replacement = match.strategy === 'indentation'
+        ? this.reindent(block.replace, match.indentFrom, match.indentTo)
+        : block.replace;
+
+      current = current.substring(0, match.start) + replacement + current.substring(match.end);
+      applied.push({ block: number, strategy: match.strategy, line: this.lineNumberAt(current, match.start) });
+    });
+
+    return {
+      content: current,
+      applied,
+      failures,
+      success: failures.length === 0
+    };
+  }
+
+  /**
+   * 完全一致 → 行末空白無視 → インデント無視 の順に一意な一致を探す
+   */
+  findMatch(content, search) {
+    const exact = this.findAllExact(content, search);
+    if (exact.length === 1) {
+      return { strategy: 'exact', start: exact[0], end: exact[0] + search.length };
+    }
+    if (exact.length > 1) {
+      return { error: this.ambiguousError(content, exact, 'exact') };
+    }
+
+    for (const strategy of ['trailing-whitespace', 'indentation']) {
+      const matches = this.findLineMatches(content, search, strategy);
+      if (matches.length === 1) {
+        return { strategy, ...matches[0] };
+      }
+      if (matches.length > 1) {
+        return { error: this.ambiguousError(content, matches.map(m => m.start), strategy) };
+      }
+    }
+
+    return { error: { reason: 'searchに一致する箇所が見つかりません', hint: this.findClosest(content, search) } };
+  }
+
+  findAllExact(content, search) {
+    const positions = [];
+    let index = content.indexOf(search);
+    while (index !== -1) {
+      positions.push(index);
+      index = content.indexOf(search, index + 1);
+    }
+    return positions;
+  }
+
+  /**
+   * 行単位で比較して一致範囲（文字オフセット）を返す
+   */
+  findLineMatches(content, search, strategy) {
+    const normalize = strategy === 'indentation'
+      ? line => line.trim()
+      : line => line.trimEnd();
+
+    const lines = this.splitLines(content);
+    const searchLines = search.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+    const target = searchLines.map(normalize);
+    const matches = [];
+
+    for (let i = 0; i + target.length <= lines.length; i++) {
+      let matched = true;
+      for (let j = 0; j < target.length; j++) {
+        if (normalize(lines[i + j].text) !== target[j]) {
+          matched = false;
+          break;
+        }
+      }
+      if (!matched) continue;
+
+      const last = lines[i + target.length - 1];
+      // searchが改行で終わる場合は改行も置換範囲に含める
+      const end = /\n$/.test(search) ? last.end + last.eol.length : last.end;
+      const firstIndex = searchLines.findIndex(line => line.trim() !== '');
+      matches.push({
+        start: lines[i].start,
+        end,
+        indentFrom: firstIndex === -1 ? '' : this.indentOf(searchLines[firstIndex]),
+        indentTo: firstIndex === -1 ? '' : this.indentOf(lines[i + firstIndex].text)
+      });
+    }
+
+    return matches;
+  }
+
+  splitLines(content) {
+    const lines = [];
+    const pattern = /([^\r\n]*)(\r\n|\n|$)/g;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      lines.push({ text: match[1], start: match.index, end: match.index + match[1].length, eol: match[2] });
+      if (match[2] === '') break;
+    }
+    return lines;
+  }
+
+  indentOf(line) {
+    return line.match(/^\s*/)[0];
+  }
+
+  /**
+   * searchのインデント基準からファイル側のインデント基準へreplaceを揃える
+   */
+  reindent(text, indentFrom, indentTo) {
+    if (indentFrom === indentTo) {
+      return text;
+    }
+    return text.split('\n').map(line => {
+      if (line.trim() === '') return line;
+      if (line.startsWith(indentFrom)) {
+        return indentTo + line.substring(indentFrom.length);
+      }
+      return indentTo + line.trimStart();
+    }).join('\n');
+  }
+
+  lineNumberAt(content, offset) {
+    return content.substring(0, offset).split('\n').length;
+  }
+
+  ambiguousError(content, positions, strategy) {
+    const lines = positions.map(position => this.lineNumberAt(content, position));
+    const label = strategy === 'exact' ? '' : ` (${strategy === 'indentation' ? 'インデント無視' : '行末空白無視'})`;
+    return {
+      reason: `searchが${positions.length}箇所に一致しました${label}: ${lines.join(', ')}行目。前後の行を含めて一意にしてください`,
+      lines
+    };
+  }
+
+  /**
+   * 最も似ている範囲を手がかりとして返す
+   */
+  findClosest(content, search) {
+    const lines = this.splitLines(content).map(line => line.text);
+    const searchLines = search.split('\n').map(line => line.trim()).filter(Boolean);
+    if (searchLines.length === 0 || lines.length === 0) {
+      return null;
+    }
+
+    let best = { score: 0, exact: 0, line: -1 };
+    for (let i = 0; i < lines.length; i++) {
+      let score = 0;
+      let exact = 0;
+      for (let j = 0; j < searchLines.length && i + j < lines.length; j++) {
+        const similarity = this.lineSimilarity(lines[i + j].trim(), searchLines[j]);
+        score += similarity;
+        if (similarity === 1) exact++;
+      }
+      if (score > best.score) {
+        best = { score, exact, line: i };
+      }
+    }
+
+    // 半分以上似ている箇所がなければ手がかりなし
+    if (best.line === -1 || best.score < 0.5) {
+      return null;
+    }
+
+    const excerpt = lines.slice(best.line, best.line + Math.max(searchLines.length, 3));
+    return {
+      line: best.line + 1,
+      matchedLines: best.exact,
+      totalLines: searchLines.length,
+      excerpt: excerpt.join('\n')
+    };
+  }
+
+  /**
+   * 先頭からの一致率で行の類似度を求める（完全一致は1）
+   */
+  lineSimilarity(a, b) {
+    if (a === b) return 1;
+    const length = Math.max(a.length, b.length);
+    let prefix = 0;
+    while (prefix < length && a[prefix] === b[prefix]) {
+      prefix++;
+    }
+    return prefix / length * 0.9;
+  }
+
+  /**
+   * 失敗したブロックのレポートを生成（モデルへのフィードバックにも使用）
+   */
+  formatFailureReport(result, filePath) {
+    return result.failures.map(failure => {
+      let message = `  ${filePath} ブロック #${failure.block}: ${failure.reason}`;
+      if (failure.hint) {
+        const excerpt = failure.hint.excerpt.split('\n').map(line => `    | ${line}`).join('\n');
+        message += `\n    最も近い箇所 (${failure.hint.line}行目, ${failure.hint.matchedLines}/${failure.hint.totalLines}行一致):\n${excerpt}`;
+      }
+      return message;
+    }).join('\n');
+  }
+}
+
+module.exports = { SearchReplaceApplier };
@@ -0,0 +1,273 @@
+const { RepoConfig } = require('./repo-config');
+
+const PROVIDERS = ['gemini', 'openai', 'anthropic', 'local'];
+
+/**
+ * --model に指定できる別名
+ */
+const MODEL_ALIASES = {
+  pro: { provider: 'gemini', model: 'gemini-2.5-pro-preview-06-05' },
+  flash: { provider: 'gemini', model: 'gemini-2.5-flash-preview-05-20' },
+  opus: { provider: 'anthropic', model: 'claude-opus-4-20250514' },
+  sonnet: { provider: 'anthropic', model: 'claude-sonnet-4-20250514' },
+  haiku: { provider: 'anthropic', model: 'claude-3-5-haiku-20241022' },
+  o3: { provider: 'openai', model: 'o3-2025-04-16' },
+  codex: { provider: 'openai', model: 'codex-mini-latest' }
+};
+
+// 別名以外のモデル名からプロバイダーを推定する
+const MODEL_PREFIXES = [
+  { pattern: /^gemini-/i, provider: 'gemini' },
+  { pattern: /^claude-/i, provider: 'anthropic' },
+  { pattern: /^(gpt-|o\d|codex-)/i, provider: 'openai' }
+];
+
+/**
+ * オプションの定義（value: 値を取るか、option: 解析結果のキー）
+ */
+const FLAGS = {
+  model: { value: '<モデル>', option: 'model', description: `使用するモデル（${Object.keys(MODEL_ALIASES).join(', ')} またはモデル名）` },
+  provider: { value: '<プロバイダー>', option: 'provider', description: `AIプロバイダー（${PROVIDERS.join(', ')}）` },
+  files: { value: '<a.js,b.js>', option: 'files', description: '対象ファイル（カンマ区切り）' },
+  base: { value: '<ブランチ>', option: 'base', description: 'PRのマージ先ブランチ（既定はリポジトリのデフォルトブランチ）' },
+  skip: { value: '<a.js,b.js>', option: 'skip', description: 'プランから除外するファイル（/approve）' },
+  only: { value: '<a.js,b.js>', option: 'only', description: 'プランのうち実装するファイル（/approve）' },
+  'dry-run': { option: 'dryRun', description: 'ファイルを変更せずに結果だけ確認' },
+  'no-tests': { option: 'noTests', description: 'テストを実行しない' }
+};
+
+/**
+ * コマンドの定義
+ */
+const COMMANDS = {
+  solve: { flags: ['model', 'provider', 'files', 'base', 'dry-run', 'no-tests'], description: 'Issueを解決してPRを作成' },
+  plan: { flags: ['model', 'provider', 'files', 'base'], description: 'コードを変更せずに解決プランと差分を提示' },
+  approve: { flags: ['skip', 'only', 'dry-run', 'no-tests'], description: '直前の /plan のプランをそのまま実装' },
+  retry: { flags: ['model', 'provider', 'files', 'base', 'dry-run', 'no-tests'], description: '直前の /solve・/plan をやり直す（オプションは上書き）' },
+  cancel: { flags: [], description: '実行中の処理をキャンセル' }
+};
+
+/**
+ * Issueコメントのスラッシュコマンド（/solve --model pro --files a.js,b.js --dry-run など）
+ *
+ * 行頭の既知のコマンドだけを解釈し、文中の単語からプロバイダーを推測することはしない。
+ * コードブロック内の行と、他のボットのコマンド（/assign など）は無視する。
+ */
+class SlashCommandParser {
+  /**
+   * コメント本文から最初のコマンドを取り出す（なければ null）
+   * @returns {{name: string, options: object, errors: string[], line: string}|null}
+   */
+  static parse(text) {
+    if (!text) {
+      return null;
+    }
+
+    let inFence = false;
+    for (const line of text.split(/\r?\n/)) {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        continue;
+      }
+      if (inFence) continue;
+
+      const match = line.match(/^\s*\/([a-z][\w-]*)(?=\s|$)(.*)$/i);
+      if (match && COMMANDS[match[1].toLowerCase()]) {
+        return SlashCommandParser.parseCommand(match[1].toLowerCase(), match[2], line.trim());
+      }
+    }
+    return null;
+  }
+
+  static parseCommand(name, rest, line) {
+    const spec = COMMANDS[name];
+    const options = {};
+    const errors = [];
+    const tokens = SlashCommandParser.tokenize(rest);
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const flag = token.match(/^--([\w-]+)(?:=(.*))?$/);
+      if (!flag) {
+        errors.push(`"${token}": 不明な引数です（オプションは --名前 の形式で指定してください）`);
+        continue;
+      }
+
+      const flagName = flag[1].toLowerCase();
+      if (!spec.flags.includes(flagName)) {
+        errors.push(SlashCommandParser.unknownFlagMessage(name, flagName));
+        continue;
+      }
+
+      const definition = FLAGS[flagName];
+      if (!definition.value) {
+        if (flag[2] !== undefined) {
+          errors.push(`--${flagName}: 値は指定できません`);
+        } else {
+          options[definition.option] = true;
+        }
+        continue;
+      }
+
+      let value = flag[2];
+      if (value === undefined && i + 1 < tokens.length && !tokens[i + 1].startsWith('--')) {
+        value = tokens[++i];
+      }
+      if (!value) {
+        errors.push(`--${flagName}: 値を指定してください（例: --${flagName} ${SlashCommandParser.example(flagName)}）`);
+        continue;
+      }
+      options[definition.option] = value;
+    }
+
+    SlashCommandParser.normalizeOptions(options, errors);
+    return { name, options, errors, line };
+  }
+
+  /**
+   * 空白区切り（引用符で囲まれた値は1つのトークン）
+   */
+  static tokenize(text) {
+    const tokens = [];
+    const pattern = /(--[\w-]+=)?(?:"([^"]*)"|'([^']*)'|(\S+))/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      tokens.push(`${match[1] || ''}${match[2] ?? match[3] ?? match[4]}`);
+    }
+    return tokens;
+  }
+
+  /**
+   * プロバイダー・モデル・ブランチ・ファイルの値を検証して正規化する
+   */
+  static normalizeOptions(options, errors) {
+    if (options.provider !== undefined) {
+      const provider = options.provider.toLowerCase();
+      if (PROVIDERS.includes(provider)) {
+        options.provider = provider;
+      } else {
+        errors.push(`--provider: "${options.provider}" は使用できません（${PROVIDERS.join(', ')} のいずれか）`);
+        delete options.provider;
+      }
+    }
+
+    if (options.model !== undefined) {
+      const resolved = SlashCommandParser.resolveModel(options.model, options.provider);
+      if (resolved.error) {
+        errors.push(resolved.error);
+        delete options.model;
+      } else {
+        options.provider = resolved.provider;
+        options.model = resolved.model;
+      }
+    }
+
+    // git の引数として渡すため、オプションと紛らわしい名前は受け付けない
+    if (options.base !== undefined && !/^(?!-)[\w./-]+$/.test(options.base)) {
+      errors.push(`--base: "${options.base}" はブランチ名として使用できません`);
+      delete options.base;
+    }
+
+    ['files', 'skip', 'only'].filter(key => options[key] !== undefined).forEach(key => {
+      options[key] = options[key].split(',').map(file => file.trim().replace(/^\.\//, '')).filter(Boolean);
+      if (options[key].length === 0) {
+        errors.push(`--${key}: ファイルを指定してください（例: --${key} ${SlashCommandParser.example(key)}）`);
+        delete options[key];
+      }
+    });
+  }
+
+  /**
+   * --model の値 → プロバイダーとモデル名
+   * --provider が指定されている場合、別名以外のモデル名はそのまま使う
+   */
+  static resolveModel(value, provider) {
+    const alias = MODEL_ALIASES[value.toLowerCase()];
+    if (provider) {
+      if (alias && alias.provider !== provider) {
+        return { error: `--model: "${value}" は ${alias.provider} のモデルです（--provider ${provider} と一致しません）` };
+      }
+      return { provider, model: alias ? alias.model : value };
+    }
+    if (alias) {
+      return alias;
+    }
+
+    const prefix = MODEL_PREFIXES.find(({ pattern }) => pattern.test(value));
+    if (!prefix) {
+      return { error: `--model: "${value}" のプロバイダーを判別できません（${Object.keys(MODEL_ALIASES).join(', ')} のいずれか、または --provider と合わせて指定してください）` };
+    }
+    return { provider: prefix.provider, model: value };
+  }
+
+  static unknownFlagMessage(name, flagName) {
+    const allowed = COMMANDS[name].flags;
+    if (allowed.length === 0) {
+      return `--${flagName}: /${name} にはオプションを指定できません`;
+    }
+
+    let best = null;
+    allowed.forEach(candidate => {
+      const distance = RepoConfig.editDistance(flagName, candidate);
+      if (distance <= 2 && (!best || distance < best.distance)) {
+        best = { candidate, distance };
+      }
+    });
+    return best
+      ? `--${flagName}: 不明なオプションです（--${best.candidate} の誤りではありませんか？）`
+      : `--${flagName}: 不明なオプションです（/${name} で使用できるオプション: ${allowed.map(flag => `--${flag}`).join(', ')}）`;
+  }
+
+  static example(flagName) {
+    return { model: 'pro', provider: 'anthropic', base: 'develop' }[flagName] || 'src/a.js,src/b.js';
+  }
+
+  /**
+   * /retry を直前の /solve・/plan の内容で置き換える（/retry のオプションが優先）
+   * @param {object|null} command
+   * @param {object[]} history - それ以前のコマンド（古い順）
+   */
+  static resolve(command, history = []) {
+    if (!command || command.name !== 'retry' || command.errors.length > 0) {
+      return command;
+    }
+
+    const previous = [...history].reverse().find(entry => entry && entry.errors.length === 0 && ['solve', 'plan'].includes(entry.name));
+    if (!previous) {
+      return { ...command, name: 'solve', retry: true };
+    }
+    return { ...command, name: previous.name, options: { ...previous.options, ...command.options }, retry: true };
+  }
+
+  /**
+   * コマンドの使い方（1行ずつ）
+   */
+  static usage(names = Object.keys(COMMANDS)) {
+    return names.map(name => {
+      const flags = COMMANDS[name].flags.map(flag => (FLAGS[flag].value ? `[--${flag} ${FLAGS[flag].value}]` : `[--${flag}]`));
+      return [`/${name}`, ...flags].join(' ');
+    });
+  }
+
+  /**
+   * 解釈できなかったコマンドへの返信
+   */
+  static formatErrorReply(command) {
+    const lines = [
+      `❌ \`/${command.name}\` コマンドを解釈できませんでした。`,
+      '',
+      ...command.errors.map(error => `- ${error}`),
+      '',
+      '**使い方:**',
+      '```',
+      ...SlashCommandParser.usage(),
+      '```',
+      '',
+      '**オプション:**',
+      ...Object.entries(FLAGS).map(([flag, definition]) => `- \`--${flag}\`: ${definition.description}`)
+    ];
+    return lines.join('\n');
+  }
+}
+
+module.exports = { SlashCommandParser, COMMANDS, MODEL_ALIASES };
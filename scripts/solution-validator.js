@@ -1,3 +1,6 @@
+const fs = require('fs');
+const { SearchReplaceApplier } = require('./search-replace-applier');
+
 /**
  * Geminiのソリューションレスポンスを検証し、安全性を確保
  */
@@ -15,10 +18,11 @@ class SolutionValidator {
       return { valid: false, errors, warnings };
     }
 
-    // ファイル操作の検証
+    // ファイル操作の検証（同じファイルへの操作は、前の操作を適用した内容に対して検証する）
     if (solution.files && Array.isArray(solution.files)) {
+      const workingCopies = new Map();
       solution.files.forEach((file, index) => {
-        const fileValidation = this.validateFileAction(file, index);
+        const fileValidation = this.validateFileAction(file, index, workingCopies);
         errors.push(...fileValidation.errors);
         warnings.push(...fileValidation.warnings);
       });
@@ -38,8 +42,9 @@ class SolutionValidator {
 
   /**
    * 個別のファイルアクションを検証
+   * @param {Map<string, string|null>} [workingCopies] - ソリューション内の前の操作を適用したファイル内容（null は内容を追跡できない）
    */
-  validateFileAction(fileAction, index) {
+  validateFileAction(fileAction, index, workingCopies = new Map()) {
     const errors = [];
     const warnings = [];
     const prefix = `files[${index}]`;
@@ -65,10 +70,18 @@ class SolutionValidator {
         const contentValidation = this.validateModifyContent(fileAction.content);
         if (!contentValidation.valid) {
           errors.push(`${prefix}: ${contentValidation.error}`);
+        } else if (fileAction.content.type === 'search_replace') {
+          errors.push(...this.validateSearchReplaceBlocks(fileAction, prefix, workingCopies));
+        } else {
+          workingCopies.set(fileAction.path, null);
         }
       }
     }
 
+    if (fileAction.path && fileAction.action !== 'modify') {
+      workingCopies.set(fileAction.path, fileAction.action === 'create' && typeof fileAction.content === 'string' ? fileAction.content : null);
+    }
+
     // createアクションの検証
     if (fileAction.action === 'create') {
       if (!fileAction.content) {
@@ -87,7 +100,7 @@ class SolutionValidator {
     if (typeof content === 'string') {
       return {
         valid: false,
-        error: 'modifyアクションでは文字列contentは許可されません。{type: "append/prepend/replace", ...} 形式を使用してください'
+        error: 'modifyアクションでは文字列contentは許可されません。{type: "append/prepend/replace/patch/search_replace", ...} 形式を使用してください'
       };
     }
 
@@ -96,14 +109,14 @@ class SolutionValidator {
       if (!content.type) {
         return {
           valid: false,
-          error: 'content.typeは必須です (append/prepend/replace)'
+          error: 'content.typeは必須です (append/prepend/replace/patch/search_replace)'
         };
       }
 
-      if (!['append', 'prepend', 'replace'].includes(content.type)) {
+      if (!['append', 'prepend', 'replace', 'patch', 'search_replace'].includes(content.type)) {
         return {
           valid: false,
-          error: 'content.typeは append/prepend/replace のいずれかである必要があります'
+          error: 'content.typeは append/prepend/replace/patch/search_replace のいずれかである必要があります'
         };
       }
 
@@ -127,6 +140,30 @@ class SolutionValidator {
             };
           }
           break;
+
+        case 'patch':
+          if (typeof content.diff !== 'string' || !/^@@ -\d+(,\d+)? \+\d+(,\d+)? @@/m.test(content.diff)) {
+            return {
+              valid: false,
+              error: 'patch操作にはcontent.diffとして "@@ -開始,行数 +開始,行数 @@" のハンクを含むunified diff文字列が必要です'
+            };
+          }
+          break;
+
+        case 'search_replace':
+          if (!Array.isArray(content.blocks) || content.blocks.length === 0) {
+            return {
+              valid: false,
+              error: 'search_replace操作にはcontent.blocksとして {search, replace} の配列が必要です'
+            };
+          }
+          if (content.blocks.some(block => !block || typeof block.search !== 'string' || typeof block.replace !== 'string')) {
+            return {
+              valid: false,
+              error: 'search_replace操作の各ブロックにはsearchとreplaceが文字列として必要です'
+            };
+          }
+          break;
       }
 
       return { valid: true };
@@ -138,6 +175,32 @@ class SolutionValidator {
     };
   }
 
+  /**
+   * search/replaceブロックが現在のファイルに一意に適用できるかを検証
+   * エラーはリトライ時にそのままモデルへフィードバックされる
+   * 同じファイルへの前の操作は SafeFileManager と同じ順に適用した内容（workingCopies）で検証する
+   */
+  validateSearchReplaceBlocks(fileAction, prefix, workingCopies = new Map()) {
+    const tracked = workingCopies.has(fileAction.path);
+    if (tracked && workingCopies.get(fileAction.path) === null) {
+      // append・patch などの後の内容は追跡しないため、適用時の検証に任せる
+      return [];
+    }
+    if (!tracked && (!fileAction.path || !fs.existsSync(fileAction.path))) {
+      return [`${prefix}: search/replace対象のファイルが存在しません (${fileAction.path})。新規ファイルはcreateアクションを使用してください`];
+    }
+
+    const applier = new SearchReplaceApplier();
+    const current = tracked ? workingCopies.get(fileAction.path) : fs.readFileSync(fileAction.path, 'utf8');
+    const result = applier.apply(current, fileAction.content.blocks);
+    if (result.success) {
+      workingCopies.set(fileAction.path, result.content);
+      return [];
+    }
+
+    return [`${prefix}: search/replaceブロックを適用できません\n${applier.formatFailureReport(result, fileAction.path)}`];
+  }
+
   /**
    * ソリューションを安全に変換（レガシー互換性のため）
    */
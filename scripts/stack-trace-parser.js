@@ -0,0 +1,152 @@
+// Node.js: "at fn (file:line:col)" / "at file:line:col" / "at async fn (file:line:col)"
+const NODE_FRAME = /^\s*at\s+(?:(?:async\s+)?(.+?)\s+\()?(.+?):(\d+):(\d+)\)?\s*$/;
+
+// Python: File "path", line N, in func
+const PYTHON_FRAME = /^\s*File\s+"([^"]+)",\s+line\s+(\d+)(?:,\s+in\s+(\S+))?/;
+
+// Java/Kotlin: at com.example.Foo.bar(Foo.java:42)
+const JAVA_FRAME = /^\s*at\s+((?:[\w$]+\.)+)([\w$<>]+)\(([\w$]+\.(?:java|kt|scala|groovy)):(\d+)\)/;
+
+// リポジトリのコードではないフレーム
+const EXTERNAL_PATH = /(^|\/)(node_modules|site-packages|dist-packages)\/|^node:|^internal\/|^<|^\/usr\/lib\/python|\/lib\/python\d/;
+
+/**
+ * Issueに貼られたスタックトレース（Node.js・Python・Java）を解析する
+ *
+ * フレームは「例外が発生した場所に近い順」に並べ、CIの絶対パスは
+ * リポジトリ内のファイル一覧との後方一致でリポジトリ相対パスへ戻す。
+ */
+class StackTraceParser {
+  /**
+   * @returns {Array<{file: string, line: number, column: number|null, function: string|null, language: string, raw: string}>}
+   */
+  static parse(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const frames = [];
+    // Pythonは "most recent call last" なので、トレースバックごとに逆順にする
+    let pythonBlock = [];
+    const flushPython = () => {
+      frames.push(...pythonBlock.reverse());
+      pythonBlock = [];
+    };
+
+    for (const rawLine of text.split('\n')) {
+      const line = rawLine.replace(/\r$/, '');
+      let match;
+
+      if (/Traceback \(most recent call last\)/.test(line)) {
+        flushPython();
+      } else if ((match = line.match(PYTHON_FRAME))) {
+        pythonBlock.push({ file: match[1], line: Number(match[2]), column: null, function: match[3] || null, language: 'python', raw: line.trim() });
+      } else if ((match = line.match(JAVA_FRAME))) {
+        flushPython();
+        const packagePath = match[1].split('.').slice(0, -2).join('/');
+        frames.push({
+          file: packagePath ? `${packagePath}/${match[3]}` : match[3],
+          line: Number(match[4]),
+          column: null,
+          function: `${match[1].split('.').slice(-2, -1)[0]}.${match[2]}`,
+          language: 'java',
+          raw: line.trim()
+        });
+      } else if ((match = line.match(NODE_FRAME))) {
+        flushPython();
+        frames.push({
+          file: match[2].replace(/^file:\/\//, ''),
+          line: Number(match[3]),
+          column: Number(match[4]),
+          function: match[1] || null,
+          language: 'javascript',
+          raw: line.trim()
+        });
+      }
+    }
+    flushPython();
+
+    const seen = new Set();
+    return frames.filter(frame => {
+      const key = `${frame.file}:${frame.line}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * フレームのパスをリポジトリ相対パスへ解決する（解決できなければ null）
+   * /home/runner/work/repo/repo/src/a.js のようなCIの絶対パスも、パス末尾の一致で src/a.js に戻す
+   * @param {string} file - フレームのパス
+   * @param {string[]} repoFiles - リポジトリ内のファイル一覧（相対パス）
+   * @param {string} [root] - ローカルの絶対パスを相対化するときの基準
+   */
+  static toRepoPath(file, repoFiles, root = process.cwd()) {
+    if (!file) {
+      return null;
+    }
+
+    let normalized = file.replace(/\\/g, '/').replace(/^file:\/\//, '');
+    if (EXTERNAL_PATH.test(normalized)) {
+      return null;
+    }
+    const normalizedRoot = root.replace(/\\/g, '/');
+    if (normalized.startsWith(normalizedRoot + '/')) {
+      normalized = normalized.substring(normalizedRoot.length + 1);
+    }
+
+    const segments = normalized.replace(/^[A-Za-z]:/, '').split('/').filter(segment => segment && segment !== '.');
+    for (let i = 0; i < segments.length; i++) {
+      const candidate = segments.slice(i).join('/');
+      if (repoFiles.includes(candidate)) {
+        return candidate;
+      }
+      // Javaのパッケージパスは src/main/java/ などの下にある
+      const nested = repoFiles.filter(repoFile => repoFile.endsWith(`/${candidate}`));
+      if (nested.length === 1 || (nested.length > 1 && i === 0)) {
+        return nested[0];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * フレームをリポジトリ内のファイルに解決し、外部コードのフレームを除く
+   */
+  static resolveFrames(frames, repoFiles, root) {
+    return frames
+      .map(frame => ({ ...frame, path: StackTraceParser.toRepoPath(frame.file, repoFiles, root) }))
+      .filter(frame => frame.path);
+  }
+
+  /**
+   * クラッシュ箇所の前後の行を切り出す（行番号付き、該当行に ">" を付ける）
+   */
+  static getSourceWindow(content, line, radius = 30) {
+    const lines = content.split('\n');
+    if (line < 1 || line > lines.length) {
+      return null;
+    }
+
+    const start = Math.max(1, line - radius);
+    const end = Math.min(lines.length, line + radius);
+    const width = String(end).length;
+    const snippet = lines.slice(start - 1, end)
+      .map((text, index) => {
+        const number = start + index;
+        return `${number === line ? '>' : ' '}${String(number).padStart(width)}| ${text}`;
+      })
+      .join('\n');
+
+    return { startLine: start, endLine: end, snippet };
+  }
+
+  static describe(frame) {
+    const location = `${frame.path || frame.file}:${frame.line}${frame.column ? `:${frame.column}` : ''}`;
+    return frame.function ? `${frame.function} (${location})` : location;
+  }
+}
+
+module.exports = { StackTraceParser };
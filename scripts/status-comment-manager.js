@@ -3,7 +3,8 @@ class StatusCommentManager {
     this.github = github;
     this.context = context;
     this.commentId = null;
-    this.issueNumber = context.payload.issue?.number;
+    // PRの差分へのレビューコメントは issue ではなく pull_request として届く
+    this.issueNumber = context.payload.issue?.number || context.payload.pull_request?.number;
   }
 
   // 初期ステータスコメントを作成
@@ -196,6 +197,22 @@ class StatusCommentManager {
 - [x] テスト実行
 - [x] レポート生成 (実行中)
 
+*最終更新: ${timestamp}*`;
+
+      case 'planned':
+        return `**Gemini AI 計画完了**
+
+解決プランを作成しました（変更予定ファイル: ${data.filesCount || 0}件）。コードはまだ変更していません。
+
+**✅ 次のステップ:**
+1. [プランと差分プレビュー](${data.planUrl})を確認
+2. 問題なければ \`/approve\` とコメントして実装（\`/approve --skip <ファイル>\` で一部を除外）
+
+**進捗:**
+- [x] Issue 分析
+- [x] 解決策計画
+- [ ] コード実装（承認待ち）
+
 *最終更新: ${timestamp}*`;
 
       case 'completed':
@@ -224,12 +241,13 @@ class StatusCommentManager {
 
   // 完了時のコメント内容を生成
   generateCompletedComment(data, timestamp) {
-    const { hasChanges, prUrl, report } = data;
+    const { hasChanges, prUrl, followUp, updated, report } = data;
+    const prLabel = followUp ? 'コミットを追加したプルリクエスト' : (updated ? '更新したプルリクエスト' : '作成したプルリクエスト');
 
     if (hasChanges && prUrl) {
       return `**Gemini AI 分析完了**
 
-Issue を分析し、解決策を作成しました！
+${followUp ? 'コメントに対応し、プルリクエストにコミットを追加しました！' : `Issue を分析し、解決策を作成しました！${updated ? '（既存のプルリクエストを更新）' : ''}`}
 
 **📊 解決策サマリー:**
 - **タイプ:** ${report?.solution?.type || 'fix'}
@@ -242,7 +260,7 @@ Issue を分析し、解決策を作成しました！
 ${report?.solution?.planning ? report.solution.planning.map((step, i) => `${i+1}. ${step}`).join('\n') : '1. PR内の変更を確認\n2. 提案された解決策をテスト\n3. 問題が解決された場合はマージ'}
 
 **✅ 次のステップ:**
-1. [作成したプルリクエスト](${prUrl})を確認
+1. [${prLabel}](${prUrl})を確認
 2. 提案された解決策をテスト
 3. 修正が正しく動作する場合はマージ
 
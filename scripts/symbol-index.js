@@ -0,0 +1,393 @@
+const fs = require('fs');
+const path = require('path');
+const { RepoFileEnumerator } = require('./repo-file-enumerator');
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+const PYTHON_EXTENSIONS = ['.py'];
+
+// メソッド定義と誤認しやすい制御構文
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'with', 'elif', 'else']);
+
+// どこにでもあるため、Issueで言及されても手がかりにならない名前
+const IGNORED_SYMBOLS = new Set(['constructor', 'toString', 'valueOf', '__init__', 'main', 'index', 'default']);
+
+/**
+ * JS/TS・Pythonの軽量なシンボルインデックス
+ *
+ * 正規表現で定義（関数・クラス・メソッドなど）、エクスポート、require/import の依存関係を抽出し、
+ * Issueで言及されたシンボルの定義箇所とそれをimportしているファイルを引けるようにする。
+ */
+class SymbolIndex {
+  constructor(options = {}) {
+    this.root = options.root || null;
+    this.files = options.files || null;
+    this.fileEnumerator = options.fileEnumerator || new RepoFileEnumerator({ root: this.root });
+    this.maxFileSize = options.maxFileSize || 256 * 1024;
+    this.index = null;
+  }
+
+  getRoot() {
+    return this.root || process.cwd();
+  }
+
+  /**
+   * 1ファイルから定義・エクスポート・importを抽出する
+   * @returns {{definitions: Array<{name: string, kind: string, line: number, signature: string, container?: string}>, exports: string[], imports: Array<{source: string, names: string[], line: number}>}}
+   */
+  static extract(content, filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (PYTHON_EXTENSIONS.includes(extension)) {
+      return SymbolIndex.extractPython(content);
+    }
+    if (JS_EXTENSIONS.includes(extension)) {
+      return SymbolIndex.extractJavaScript(content);
+    }
+    return { definitions: [], exports: [], imports: [] };
+  }
+
+  static extractJavaScript(content) {
+    const definitions = [];
+    const exports = new Set();
+    const imports = [];
+    const lines = content.split('\n');
+    let currentClass = null;
+    let classIndent = 0;
+    let inBlockComment = false;
+
+    lines.forEach((line, index) => {
+      const lineNumber = index + 1;
+      const trimmed = line.trim();
+      if (inBlockComment) {
+        inBlockComment = !trimmed.includes('*/');
+        return;
+      }
+      if (trimmed.startsWith('/*')) {
+        inBlockComment = !trimmed.includes('*/');
+        return;
+      }
+      if (trimmed.startsWith('//') || trimmed.startsWith('*')) {
+        return;
+      }
+
+      const signature = SymbolIndex.toSignature(trimmed);
+      let match;
+
+      if ((match = trimmed.match(/^(export\s+)?(default\s+)?(abstract\s+)?class\s+([\w$]+)/))) {
+        definitions.push({ name: match[4], kind: 'class', line: lineNumber, signature });
+        if (match[1]) exports.add(match[4]);
+        currentClass = match[4];
+        classIndent = line.length - line.trimStart().length;
+      } else if ((match = trimmed.match(/^(export\s+)?(default\s+)?(async\s+)?function\*?\s+([\w$]+)\s*(<[^>]*>)?\s*\(/))) {
+        definitions.push({ name: match[4], kind: 'function', line: lineNumber, signature });
+        if (match[1]) exports.add(match[4]);
+      } else if ((match = trimmed.match(/^(export\s+)?(const|let|var)\s+([\w$]+)\s*(:\s*[^=]+)?=\s*(async\s+)?(function\b|\([^)]*\)\s*(:\s*[^=]+)?=>|[\w$]+\s*=>)/))) {
+        definitions.push({ name: match[3], kind: 'function', line: lineNumber, signature });
+        if (match[1]) exports.add(match[3]);
+      } else if ((match = trimmed.match(/^(export\s+)?(declare\s+)?(interface|type|enum)\s+([\w$]+)/)) &&
+        (match[3] !== 'type' || /^[^=]*[\w$>]\s*=/.test(trimmed))) {
+        definitions.push({ name: match[4], kind: match[3], line: lineNumber, signature });
+        if (match[1]) exports.add(match[4]);
+      } else if ((match = trimmed.match(/^export\s+(const|let|var)\s+([\w$]+)/))) {
+        definitions.push({ name: match[2], kind: 'variable', line: lineNumber, signature });
+        exports.add(match[2]);
+      } else if (currentClass && SymbolIndex.isMemberIndent(line, classIndent) &&
+        (match = trimmed.match(/^(public\s+|private\s+|protected\s+)?(static\s+)?(async\s+)?(get\s+|set\s+)?\*?([\w$]+)\s*(<[^>]*>)?\s*\(([^)]*\)\s*(:\s*[^{]+)?\{|[^)]*)\s*$/)) &&
+        !CONTROL_KEYWORDS.has(match[5])) {
+        definitions.push({ name: match[5], kind: 'method', line: lineNumber, signature, container: currentClass });
+      }
+
+      if (currentClass && /^\s*\}/.test(line) && line.length - line.trimStart().length <= classIndent) {
+        currentClass = null;
+      }
+    });
+
+    // エクスポート（module.exports / exports.x / export { } / export default）
+    let match;
+    const moduleExports = /module\.exports\s*=\s*\{([^}]*)\}/g;
+    while ((match = moduleExports.exec(content))) {
+      match[1].split(',')
+        .map(entry => entry.split(':')[0].trim())
+        .filter(name => /^[\w$]+$/.test(name))
+        .forEach(name => exports.add(name));
+    }
+    const singleExports = /(?:module\.exports|exports\.([\w$]+))\s*=\s*([\w$]+)\s*;?\s*$/gm;
+    while ((match = singleExports.exec(content))) {
+      exports.add(match[1] || match[2]);
+    }
+    const namedExports = /^export\s*\{([^}]*)\}/gm;
+    while ((match = namedExports.exec(content))) {
+      match[1].split(',')
+        .map(entry => entry.trim().split(/\s+as\s+/).pop().trim())
+        .filter(name => /^[\w$]+$/.test(name))
+        .forEach(name => exports.add(name));
+    }
+    const defaultExport = /^export\s+default\s+([\w$]+)\s*;?\s*$/gm;
+    while ((match = defaultExport.exec(content))) {
+      exports.add(match[1]);
+    }
+
+    // import / require / 再エクスポート
+    const importPatterns = [
+      /\bimport\s+(?:type\s+)?([^;'"`]+?)\s+from\s+['"]([^'"]+)['"]/g,
+      /\bexport\s+(?:type\s+)?([^;'"`]+?)\s+from\s+['"]([^'"]+)['"]/g,
+      /\bimport\s+()['"]([^'"]+)['"]/g,
+      /(?:(?:const|let|var)\s+([\w${},:\s]+?)\s*=\s*)?\brequire\(\s*['"]([^'"]+)['"]\s*\)/g,
+      /\bimport\(\s*()['"]([^'"]+)['"]\s*\)/g
+    ];
+    importPatterns.forEach(pattern => {
+      while ((match = pattern.exec(content))) {
+        imports.push({
+          source: match[2],
+          names: SymbolIndex.parseImportNames(match[1] || ''),
+          line: content.substring(0, match.index).split('\n').length
+        });
+      }
+    });
+
+    return { definitions, exports: [...exports], imports: imports.sort((a, b) => a.line - b.line) };
+  }
+
+  static extractPython(content) {
+    const definitions = [];
+    const imports = [];
+    const topLevel = [];
+    let explicitExports = null;
+    let currentClass = null;
+
+    content.split('\n').forEach((line, index) => {
+      const lineNumber = index + 1;
+      const signature = SymbolIndex.toSignature(line.trim());
+      let match;
+
+      if (/^\S/.test(line) && !/^(class|def|async\s+def|@|#)/.test(line)) {
+        currentClass = null;
+      }
+
+      if ((match = line.match(/^(\s*)class\s+(\w+)/))) {
+        definitions.push({ name: match[2], kind: 'class', line: lineNumber, signature });
+        if (match[1] === '') {
+          currentClass = match[2];
+          topLevel.push(match[2]);
+        }
+      } else if ((match = line.match(/^(\s*)(async\s+)?def\s+(\w+)\s*\(/))) {
+        if (match[1] === '') {
+          currentClass = null;
+          definitions.push({ name: match[3], kind: 'function', line: lineNumber, signature });
+          topLevel.push(match[3]);
+        } else if (currentClass) {
+          definitions.push({ name: match[3], kind: 'method', line: lineNumber, signature, container: currentClass });
+        }
+      } else if ((match = line.match(/^__all__\s*=\s*[[(]([^\])]*)/))) {
+        explicitExports = (match[1].match(/['"](\w+)['"]/g) || []).map(name => name.slice(1, -1));
+      } else if ((match = line.match(/^\s*from\s+([\w.]+)\s+import\s+\(?([^)#]+)/))) {
+        imports.push({ source: match[1], names: match[2].split(',').map(name => name.trim().split(/\s+as\s+/)[0]).filter(name => /^\w+$/.test(name)), line: lineNumber });
+      } else if ((match = line.match(/^\s*import\s+([\w., ]+)/))) {
+        match[1].split(',').map(entry => entry.trim().split(/\s+as\s+/)[0]).filter(Boolean).forEach(source => {
+          imports.push({ source, names: [], line: lineNumber });
+        });
+      }
+    });
+
+    const exports = explicitExports || topLevel.filter(name => !name.startsWith('_'));
+    return { definitions, exports, imports };
+  }
+
+  /**
+   * `{ a, b: c }` / `x, { y as z }` / `* as ns` から取り込む名前を取り出す
+   */
+  static parseImportNames(clause) {
+    return clause
+      .replace(/\*\s+as\s+[\w$]+/, '*')
+      .replace(/[{}]/g, ',')
+      .split(',')
+      .map(entry => entry.trim().split(/\s+as\s+|\s*:\s*/)[0].replace(/^type\s+/, '').trim())
+      .filter(name => name === '*' || /^[\w$]+$/.test(name));
+  }
+
+  /**
+   * クラス直下のメンバーのインデントか（メソッド本体の中の行を除外する）
+   */
+  static isMemberIndent(line, classIndent) {
+    const indent = line.length - line.trimStart().length;
+    return indent > classIndent && indent <= classIndent + 4;
+  }
+
+  static toSignature(line) {
+    return line.replace(/\s*\{\s*$/, '').replace(/\s*:\s*$/, '').substring(0, 160);
+  }
+
+  /**
+   * インデックスを構築（1インスタンスにつき一度だけ）
+   */
+  load() {
+    if (this.index) {
+      return this.index;
+    }
+
+    const extensions = [...JS_EXTENSIONS, ...PYTHON_EXTENSIONS];
+    const files = this.files
+      ? this.files.filter(file => extensions.includes(path.extname(file).toLowerCase()))
+      : this.fileEnumerator.listByExtension(extensions);
+    const fileSet = new Set(files);
+    const modules = {};
+    const definitions = new Map();
+    const edges = [];
+
+    for (const file of files) {
+      const content = this.readText(file);
+      if (content === null) continue;
+
+      const extracted = SymbolIndex.extract(content, file);
+      modules[file] = extracted;
+      extracted.definitions.forEach(definition => {
+        const entry = { ...definition, path: file, exported: extracted.exports.includes(definition.container || definition.name) };
+        const keys = definition.container ? [definition.name, `${definition.container}.${definition.name}`] : [definition.name];
+        keys.forEach(key => {
+          if (!definitions.has(key)) definitions.set(key, []);
+          definitions.get(key).push(entry);
+        });
+      });
+      extracted.imports.forEach(imported => {
+        const target = this.resolveImport(file, imported.source, fileSet);
+        if (target) {
+          edges.push({ from: file, to: target, names: imported.names, line: imported.line });
+        }
+      });
+    }
+
+    this.index = { modules, definitions, edges };
+    return this.index;
+  }
+
+  /**
+   * importのパスをリポジトリ内のファイルに解決する（外部パッケージは null）
+   */
+  resolveImport(fromFile, source, fileSet) {
+    const extension = path.extname(fromFile).toLowerCase();
+    const candidates = [];
+
+    if (PYTHON_EXTENSIONS.includes(extension)) {
+      const leadingDots = source.match(/^\.*/)[0].length;
+      const modulePath = source.substring(leadingDots).replace(/\./g, '/');
+      let base = '';
+      if (leadingDots > 0) {
+        base = path.posix.dirname(fromFile);
+        for (let i = 1; i < leadingDots; i++) base = path.posix.dirname(base);
+        base = base === '.' ? '' : base;
+      }
+      const joined = [base, modulePath].filter(Boolean).join('/');
+      candidates.push(`${joined}.py`, `${joined}/__init__.py`);
+      if (leadingDots === 0) {
+        // src レイアウトのパッケージ
+        candidates.push(`src/${joined}.py`, `src/${joined}/__init__.py`);
+      }
+    } else {
+      if (!source.startsWith('.')) {
+        return null;
+      }
+      const joined = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), source));
+      candidates.push(joined);
+      JS_EXTENSIONS.forEach(ext => candidates.push(`${joined}${ext}`));
+      JS_EXTENSIONS.forEach(ext => candidates.push(`${joined}/index${ext}`));
+      // TSではimportに .js と書いて .ts を参照することがある
+      if (/\.js$/.test(joined)) {
+        candidates.push(joined.replace(/\.js$/, '.ts'), joined.replace(/\.js$/, '.tsx'));
+      }
+    }
+
+    return candidates.find(candidate => fileSet.has(candidate)) || null;
+  }
+
+  /**
+   * テキスト（Issueのタイトル・本文など）で言及されたシンボルを探す
+   * コードらしい名前（camelCase・PascalCase・snake_case・`name()`・`Class.method`・バッククォート内）のみを対象にする
+   * @returns {Array<{name: string, definitions: Array, importers: string[]}>}
+   */
+  findMentionedSymbols(text, limit = 10) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const candidates = new Set();
+    const codeLike = /`([^`\n]+)`|\b([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)?)(\s*\()?/g;
+    let match;
+    while ((match = codeLike.exec(text))) {
+      if (match[1]) {
+        (match[1].match(/[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)?/g) || []).forEach(name => candidates.add(name));
+        continue;
+      }
+      const name = match[2];
+      const looksLikeCode = /[a-z0-9][A-Z]/.test(name) || /[a-zA-Z]_[a-zA-Z]/.test(name) || name.includes('.') || Boolean(match[3]);
+      if (looksLikeCode) {
+        candidates.add(name);
+      }
+    }
+
+    const index = this.load();
+    const results = [];
+    for (const candidate of candidates) {
+      const names = candidate.includes('.') ? [candidate, candidate.split('.').pop()] : [candidate];
+      const name = names.find(key => index.definitions.has(key) && !IGNORED_SYMBOLS.has(key));
+      if (!name || results.some(result => result.name === name)) continue;
+
+      // 多数の場所で定義されている名前は手がかりとして弱いので一部だけ使う
+      const definitions = index.definitions.get(name).slice(0, 5);
+      results.push({ name, definitions, importers: this.getImporters(definitions, name.split('.')[0]) });
+      if (results.length >= limit) break;
+    }
+
+    return results;
+  }
+
+  /**
+   * 定義ファイルをimportしているファイル（そのシンボルを名前で取り込んでいるものを先に）
+   */
+  getImporters(definitions, name, limit = 5) {
+    const { edges } = this.load();
+    const definitionFiles = new Set(definitions.map(definition => definition.path));
+    const importers = edges
+      .filter(edge => definitionFiles.has(edge.to) && !definitionFiles.has(edge.from))
+      .sort((a, b) => Number(b.names.includes(name)) - Number(a.names.includes(name)));
+
+    return [...new Set(importers.map(edge => edge.from))].slice(0, limit);
+  }
+
+  /**
+   * リポジトリ全体の概要（RepositoryAnalyzer.getRepositoryContext 用）
+   */
+  getSummary(limit = 5) {
+    const { modules, edges } = this.load();
+    const importerCounts = {};
+    edges.forEach(edge => {
+      importerCounts[edge.to] = importerCounts[edge.to] || new Set();
+      importerCounts[edge.to].add(edge.from);
+    });
+
+    const mostImported = Object.entries(importerCounts)
+      .map(([file, importers]) => ({ path: file, importers: importers.size, exports: modules[file].exports.slice(0, 10) }))
+      .sort((a, b) => b.importers - a.importers || a.path.localeCompare(b.path))
+      .slice(0, limit);
+
+    return {
+      files: Object.keys(modules).length,
+      definitions: Object.values(modules).reduce((total, module) => total + module.definitions.length, 0),
+      importEdges: edges.length,
+      mostImported
+    };
+  }
+
+  readText(file) {
+    try {
+      const fullPath = path.join(this.getRoot(), file);
+      const stats = fs.statSync(fullPath);
+      if (!stats.isFile() || stats.size > this.maxFileSize) {
+        return null;
+      }
+      return fs.readFileSync(fullPath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = { SymbolIndex };
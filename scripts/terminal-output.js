@@ -0,0 +1,12 @@
+// 色付けなどのANSIエスケープシーケンス（ESC [ ... m）
+const ESC = String.fromCharCode(0x1b);
+const ANSI_ESCAPE = new RegExp(`${ESC}\\[[0-9;]*m`, 'g');
+
+/**
+ * テスト・リンターの出力からANSIエスケープを除き、改行をLFにそろえる
+ */
+function stripAnsi(output) {
+  return String(output || '').replace(ANSI_ESCAPE, '').replace(/\r\n/g, '\n');
+}
+
+module.exports = { stripAnsi };
@@ -0,0 +1,113 @@
+const { execFileSync } = require('child_process');
+const { stripAnsi } = require('./terminal-output');
+
+// 失敗の起点とみなす行（jest / mocha / pytest / node:test など）
+const FAILURE_PATTERNS = [
+  /^\s*●\s/,
+  /^\s*(FAIL|FAILED|ERROR)\b/,
+  /^\s*✕\s/,
+  /^\s*not ok\b/,
+  /^\s*\d+\)\s/,
+  /^_{3,}\s.*\s_{3,}$/,
+  /^E\s{2,}/,
+  /^\s*(Expected|Received)\b/,
+  /\b(AssertionError|TypeError|ReferenceError|SyntaxError|RangeError|Error):/,
+  /^\s*Traceback \(most recent call last\)/
+];
+
+// 末尾に出るサマリー行
+const SUMMARY_PATTERNS = [
+  /^\s*Tests?:\s/,
+  /^\s*Test Suites:\s/,
+  /^\s*\d+ (passing|failing|pending)\b/,
+  /^=+ .*(passed|failed|error).* =+$/,
+  /^# (pass|fail)\s/
+];
+
+// 依存ライブラリや実行環境のスタックフレームは手がかりにならないので除外
+const NOISE_FRAME = /^\s*at .*(node_modules|node:internal|internal\/)/;
+
+/**
+ * テスト出力と作業ツリーの差分を、モデルに渡せる大きさに整形する
+ */
+class TestFailureReport {
+  /**
+   * テスト出力から失敗したテストとスタックフレームだけを抜き出す
+   * 失敗箇所が特定できない場合は末尾を返す
+   */
+  static trim(output, { maxChars = 4000, context = 3 } = {}) {
+    const text = stripAnsi(output);
+    const lines = text.split('\n');
+    const keep = new Set();
+
+    lines.forEach((line, index) => {
+      if (FAILURE_PATTERNS.some(pattern => pattern.test(line))) {
+        for (let i = Math.max(0, index - 1); i <= Math.min(lines.length - 1, index + context); i++) {
+          keep.add(i);
+        }
+      } else if (/^\s*at\s/.test(line) || /^\s*File ".*", line \d+/.test(line)) {
+        if (!NOISE_FRAME.test(line)) {
+          keep.add(index);
+        }
+      } else if (SUMMARY_PATTERNS.some(pattern => pattern.test(line))) {
+        keep.add(index);
+      }
+    });
+
+    if (keep.size === 0) {
+      return this.tail(text.trim(), maxChars);
+    }
+
+    const selected = [];
+    let previous = -1;
+    [...keep].sort((a, b) => a - b).forEach(index => {
+      if (NOISE_FRAME.test(lines[index])) return;
+      if (previous !== -1 && index > previous + 1) {
+        selected.push('...');
+      }
+      selected.push(lines[index]);
+      previous = index;
+    });
+
+    return this.truncate(selected.join('\n').trim(), maxChars);
+  }
+
+  /**
+   * 作業ツリーの差分（未追跡ファイルを含む）を取得
+   */
+  static getCurrentDiff({ maxChars = 6000 } = {}) {
+    // ファイル名はモデルが生成したものなので、シェルを介さずに引数として渡す
+    const git = args => {
+      try {
+        return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 10 * 1024 * 1024 });
+      } catch (error) {
+        // git diff --no-index は差分があると終了コード1を返す
+        return error.status === 1 ? error.stdout || '' : '';
+      }
+    };
+
+    let diff = git(['diff']);
+    const untracked = git(['ls-files', '--others', '--exclude-standard', '-z']).split('\0').filter(Boolean);
+    for (const file of untracked) {
+      diff += git(['diff', '--no-index', '--', '/dev/null', file]);
+    }
+
+    return this.truncate(diff.trim(), maxChars);
+  }
+
+  static truncate(text, maxChars) {
+    if (text.length <= maxChars) {
+      return text;
+    }
+    return text.substring(0, maxChars) + `\n... (${text.length - maxChars}文字省略)`;
+  }
+
+  static tail(text, maxChars) {
+    if (text.length <= maxChars) {
+      return text;
+    }
+    return `... (${text.length - maxChars}文字省略)\n` + text.substring(text.length - maxChars);
+  }
+}
+
+module.exports = { TestFailureReport };
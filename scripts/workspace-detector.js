@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { RepoFileEnumerator, GitignoreMatcher } = require('./repo-file-enumerator');
+
+// lerna.json に packages がない場合の既定値
+const LERNA_DEFAULT_PACKAGES = ['packages/*'];
+
+// シェルに渡すパッケージ名・パスとして安全な文字
+const SAFE_NAME = /^[\w@./-]+$/;
+
+/**
+ * モノレポ（npm/yarn/pnpm workspaces, lerna, nx）のパッケージ検出
+ *
+ * Issueの関連ファイルがどのパッケージに属するかを判定し、
+ * そのパッケージの package.json とテスト・リント用のコマンドを提供する。
+ */
+class WorkspaceDetector {
+  constructor(options = {}) {
+    this.root = options.root || null;
+    this.fileEnumerator = options.fileEnumerator || new RepoFileEnumerator({ root: options.root });
+    this.cache = null;
+  }
+
+  getRoot() {
+    return this.root || process.cwd();
+  }
+
+  /**
+   * @returns {{tool: string|null, packages: Array<{name: string, path: string, manifest: object|null, scripts: string[], tool: string}>}}
+   */
+  detect() {
+    const root = this.getRoot();
+    if (this.cache && this.cache.root === root) {
+      return this.cache.workspace;
+    }
+
+    const workspace = this.detectWorkspace(root);
+    this.cache = { root, workspace };
+    if (workspace.tool) {
+      console.log(`📦 ${workspace.tool} ワークスペース: ${workspace.packages.length}パッケージ`);
+    }
+    return workspace;
+  }
+
+  detectWorkspace(root) {
+    const rootManifest = WorkspaceDetector.readJson(path.join(root, 'package.json'));
+    const lerna = WorkspaceDetector.readJson(path.join(root, 'lerna.json'));
+    const pnpmPatterns = WorkspaceDetector.readPnpmPatterns(path.join(root, 'pnpm-workspace.yaml'));
+    const npmPatterns = Array.isArray(rootManifest?.workspaces)
+      ? rootManifest.workspaces
+      : rootManifest?.workspaces?.packages || [];
+
+    let tool = null;
+    if (fs.existsSync(path.join(root, 'nx.json'))) {
+      tool = 'nx';
+    } else if (lerna) {
+      tool = 'lerna';
+    } else if (pnpmPatterns) {
+      tool = 'pnpm';
+    } else if (npmPatterns.length > 0) {
+      tool = fs.existsSync(path.join(root, 'yarn.lock')) ? 'yarn' : 'npm';
+    }
+    if (!tool) {
+      return { tool: null, packages: [] };
+    }
+
+    const patterns = [...npmPatterns, ...(pnpmPatterns || [])];
+    if (lerna) {
+      patterns.push(...(lerna.packages || (npmPatterns.length > 0 ? [] : LERNA_DEFAULT_PACKAGES)));
+    }
+    const matches = WorkspaceDetector.compilePatterns(patterns);
+
+    // パッケージのディレクトリ → マニフェストの種類
+    const candidates = new Map();
+    this.fileEnumerator.list().forEach(file => {
+      const match = file.match(/^(.+)\/(package|project)\.json$/);
+      if (match) {
+        candidates.set(match[1], { ...candidates.get(match[1]), [match[2]]: true });
+      }
+    });
+
+    const packages = [];
+    candidates.forEach((kinds, directory) => {
+      // nx はワークスペース設定がなくても project.json のあるディレクトリをプロジェクトとみなす
+      if (!matches(directory) && !(tool === 'nx' && kinds.project)) return;
+
+      const manifest = kinds.package ? WorkspaceDetector.readJson(path.join(root, directory, 'package.json')) : null;
+      const project = kinds.project ? WorkspaceDetector.readJson(path.join(root, directory, 'project.json')) : null;
+      if (!manifest && !project) return;
+
+      packages.push({
+        name: project?.name || manifest?.name || path.basename(directory),
+        path: directory,
+        manifest: manifest ? { ...manifest, moduleType: manifest.type === 'module' ? 'ES6' : 'CommonJS' } : null,
+        scripts: [...new Set([...Object.keys(manifest?.scripts || {}), ...Object.keys(project?.targets || {})])],
+        tool
+      });
+    });
+
+    return { tool, packages: packages.sort((a, b) => a.path.localeCompare(b.path)) };
+  }
+
+  /**
+   * 関連ファイル（関連度順）が最も多く属するパッケージ
+   * 上位のファイルほど重みを大きくする
+   */
+  findPackage(files) {
+    const { packages } = this.detect();
+    if (packages.length === 0 || files.length === 0) {
+      return null;
+    }
+
+    // 入れ子のパッケージでは深い方を優先する
+    const byDepth = [...packages].sort((a, b) => b.path.length - a.path.length);
+    const weights = new Map();
+    files.forEach((file, index) => {
+      const owner = byDepth.find(pkg => file === pkg.path || file.startsWith(`${pkg.path}/`));
+      if (owner) {
+        weights.set(owner, (weights.get(owner) || 0) + (files.length - index));
+      }
+    });
+
+    let best = null;
+    weights.forEach((weight, pkg) => {
+      if (!best || weight > best.weight) {
+        best = { pkg, weight };
+      }
+    });
+    return best ? best.pkg : null;
+  }
+
+  /**
+   * パッケージのスクリプトをワークスペースのツール経由で実行するコマンド
+   * スクリプトがない場合やシェルに渡せない名前の場合は null
+   */
+  static getScriptCommand(pkg, script) {
+    if (!pkg || !pkg.scripts.includes(script) || !SAFE_NAME.test(pkg.name) || !SAFE_NAME.test(pkg.path)) {
+      return null;
+    }
+
+    switch (pkg.tool) {
+    case 'nx':
+      return `npx nx run ${pkg.name}:${script}`;
+    case 'lerna':
+      return `npx lerna run ${script} --scope ${pkg.name}`;
+    case 'pnpm':
+      return `pnpm --filter ${pkg.name} run ${script}`;
+    case 'yarn':
+      return `yarn workspace ${pkg.name} run ${script}`;
+    default:
+      return `npm run ${script} --workspace=${pkg.path}`;
+    }
+  }
+
+  /**
+   * workspaces のglobパターン（否定 ! 付きを含む）→ ディレクトリの判定関数
+   */
+  static compilePatterns(patterns) {
+    const compile = pattern => new RegExp(`^${GitignoreMatcher.toRegexSource(pattern.replace(/^\.\//, '').replace(/\/+$/, ''))}$`);
+    const include = patterns.filter(pattern => !pattern.startsWith('!')).map(compile);
+    const exclude = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => compile(pattern.substring(1)));
+
+    return directory => include.some(regex => regex.test(directory)) && !exclude.some(regex => regex.test(directory));
+  }
+
+  /**
+   * pnpm-workspace.yaml の packages 一覧（ファイルがなければ null）
+   */
+  static readPnpmPatterns(file) {
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    const patterns = [];
+    let inPackages = false;
+    fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach(line => {
+      if (/^packages:/.test(line)) {
+        inPackages = true;
+        const inline = line.match(/\[(.*)\]/);
+        if (inline) {
+          patterns.push(...inline[1].split(',').map(item => item.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean));
+          inPackages = false;
+        }
+        return;
+      }
+      if (!inPackages) return;
+
+      const item = line.match(/^\s+-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+      if (item) {
+        patterns.push(item[1]);
+      } else if (/^\S/.test(line)) {
+        inPackages = false;
+      }
+    });
+    return patterns;
+  }
+
+  static readJson(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = { WorkspaceDetector };
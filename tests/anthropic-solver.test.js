@@ -0,0 +1,107 @@
+const http = require('http');
+const { AnthropicProvider } = require('../scripts/anthropic-solver');
+const { IssueSolver } = require('../scripts/issue-solver');
+
+describe('AnthropicProvider', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let respond;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+        const { status, payload, delay = 0 } = respond();
+        setTimeout(() => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(payload));
+        }, delay);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const createConfig = (overrides = {}) => ({
+    anthropicBaseUrl: baseUrl,
+    anthropicModel: 'claude-test',
+    anthropicMaxTokens: 1024,
+    anthropicMaxRetries: 2,
+    anthropicRetryDelay: 1,
+    anthropicTimeout: 5000,
+    ...overrides
+  });
+
+  const message = (text, stopReason = 'end_turn') => ({
+    status: 200,
+    payload: {
+      id: 'msg_test',
+      type: 'message',
+      role: 'assistant',
+      content: [{ type: 'text', text }],
+      stop_reason: stopReason
+    }
+  });
+
+  test('should call the Messages API with version and key headers', async () => {
+    respond = () => message('{"type":"feature"}');
+    const provider = new AnthropicProvider('test-key', createConfig());
+
+    const text = await provider.generate('solve it', null, {});
+
+    expect(text).toBe('{"type":"feature"}');
+    expect(requests).toHaveLength(1);
+    expect(requests[0].url).toBe('/v1/messages');
+    expect(requests[0].headers['x-api-key']).toBe('test-key');
+    expect(requests[0].headers['anthropic-version']).toBe('2023-06-01');
+    expect(requests[0].body.model).toBe('claude-test');
+    expect(requests[0].body.max_tokens).toBe(1024);
+    expect(requests[0].body.messages).toEqual([{ role: 'user', content: 'solve it' }]);
+    expect(requests[0].body.system).toContain('JSON');
+  });
+
+  test('should surface API errors with status', async () => {
+    respond = () => ({ status: 401, payload: { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } } });
+    const provider = new AnthropicProvider('bad-key', createConfig());
+
+    await expect(provider.generate('solve it', null, {})).rejects.toThrow('Anthropic API error (401): invalid x-api-key');
+  });
+
+  test('should time out slow responses', async () => {
+    respond = () => ({ ...message('{}'), delay: 200 });
+    const provider = new AnthropicProvider('test-key', createConfig());
+
+    await expect(provider.generate('solve it', null, { timeout: 50 })).rejects.toThrow(/タイムアウト/);
+  });
+
+  test('should produce a solution through the shared solver', async () => {
+    respond = () => message('```json\n{"type":"bug_fix","confidence":"high","files":[]}\n```');
+    const config = createConfig();
+    const solver = new IssueSolver(new AnthropicProvider('test-key', config), config);
+    solver.issueAnalysis = {
+      title: 'Claude issue',
+      body: 'body',
+      labels: [],
+      relevantFiles: [],
+      fileContents: {},
+      errorInfo: [],
+      technicalContext: { technologies: [] }
+    };
+
+    const solution = await solver.generateSolution();
+
+    expect(solution.type).toBe('bug_fix');
+    expect(requests[0].body.messages[0].content).toContain('Has @claude trigger');
+  });
+});
@@ -0,0 +1,178 @@
+const { CheckRunReporter } = require('../scripts/check-run-reporter');
+
+describe('CheckRunReporter', () => {
+  const repoFiles = ['src/greet.js', 'src/util.js', 'tests/greet.test.js', 'app/main.py'];
+  const root = '/home/runner/work/app/app';
+  const checkpoints = [
+    { phase: 'analysis', status: 'completed', duration: 120 },
+    { phase: 'implementation', status: 'completed', duration: 2400 },
+    { phase: 'verification', status: 'completed', duration: 15000 }
+  ];
+
+  describe('build', () => {
+    test('should render the phase table and succeed without diagnostics', () => {
+      const { conclusion, output, annotations } = CheckRunReporter.build({ issueNumber: 42, checkpoints });
+
+      expect(conclusion).toBe('success');
+      expect(annotations).toEqual([]);
+      expect(output.title).toBe('✅ すべてのフェーズが完了しました');
+      expect(output.summary).toContain('Issue #42 の解決結果です。');
+      expect(output.summary).toContain('| analysis | ✅ 完了 | 120ms |');
+      expect(output.summary).toContain('| verification | ✅ 完了 | 15.0s |');
+      expect(output.text).toBeUndefined();
+    });
+
+    test('should fail with annotations and list diagnostics without a location in the text', () => {
+      const diagnostics = [
+        { source: 'lint', path: 'src/greet.js', line: 3, level: 'failure', title: 'no-undef', message: '\'nam\' is not defined.' },
+        { source: 'lint', path: 'src/greet.js', line: 3, level: 'failure', title: 'no-undef', message: '\'nam\' is not defined.' },
+        { source: 'lint', path: 'src/util.js', line: 8, level: 'warning', title: 'no-console', message: 'Unexpected console statement.' },
+        { source: 'test', path: null, line: 1, level: 'failure', title: 'greet › uses the name', message: 'Expected: "Hello, Alice"' }
+      ];
+
+      const { conclusion, output, annotations } = CheckRunReporter.build({
+        checkpoints,
+        diagnostics,
+        verificationErrors: ['テストが2回失敗しました: Command failed: npm test']
+      });
+
+      expect(conclusion).toBe('failure');
+      expect(output.title).toBe('⚠️ 検証で4件の問題が見つかりました');
+      expect(output.summary).toContain('- テストが2回失敗しました: Command failed: npm test');
+      expect(output.summary).toContain('リント 3件 / テスト 1件');
+      expect(annotations).toEqual([
+        { path: 'src/greet.js', start_line: 3, end_line: 3, annotation_level: 'failure', title: 'リント: no-undef', message: '\'nam\' is not defined.' },
+        { path: 'src/util.js', start_line: 8, end_line: 8, annotation_level: 'warning', title: 'リント: no-console', message: 'Unexpected console statement.' }
+      ]);
+      expect(output.text).toContain('**テスト: greet › uses the name**\n\n```\nExpected: "Hello, Alice"\n```');
+    });
+
+    test('should name the failed phase and be neutral for warnings only', () => {
+      const failed = CheckRunReporter.build({
+        checkpoints: [...checkpoints.slice(0, 1), { phase: 'implementation', status: 'failed', duration: 30, error: '操作失敗 (src/a.js): No match\n詳細' }],
+        error: new Error('implementationフェーズでエラー: 操作失敗 (src/a.js): No match')
+      });
+      expect(failed.conclusion).toBe('failure');
+      expect(failed.output.title).toBe('❌ implementationフェーズで失敗しました');
+      expect(failed.output.summary).toContain('| implementation | ❌ 失敗: 操作失敗 (src/a.js): No match | 30ms |');
+
+      const warned = CheckRunReporter.build({
+        checkpoints,
+        diagnostics: [{ source: 'lint', path: 'src/util.js', line: 8, level: 'warning', title: 'no-console', message: 'Unexpected console statement.' }]
+      });
+      expect(warned.conclusion).toBe('neutral');
+    });
+  });
+
+  describe('publish', () => {
+    let github;
+    const context = { repo: { owner: 'o', repo: 'r' }, runId: 99, serverUrl: 'https://github.com' };
+
+    beforeEach(() => {
+      github = {
+        rest: {
+          checks: {
+            create: jest.fn().mockResolvedValue({ data: { id: 5 } }),
+            update: jest.fn().mockResolvedValue({ data: { id: 5 } })
+          }
+        }
+      };
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should create a completed check run and send the remaining annotations in batches', async () => {
+      const diagnostics = Array.from({ length: 120 }, (_, i) => ({ source: 'lint', path: 'src/greet.js', line: i + 1, level: 'failure', title: 'semi', message: 'Missing semicolon.' }));
+
+      await new CheckRunReporter(github, context).publish({ headSha: 'abc1234def', checkpoints, diagnostics });
+
+      expect(github.rest.checks.create).toHaveBeenCalledWith(expect.objectContaining({
+        owner: 'o',
+        repo: 'r',
+        name: 'Issue Solver',
+        head_sha: 'abc1234def',
+        status: 'completed',
+        conclusion: 'failure',
+        details_url: 'https://github.com/o/r/actions/runs/99'
+      }));
+      expect(github.rest.checks.create.mock.calls[0][0].output.annotations).toHaveLength(50);
+      expect(github.rest.checks.update.mock.calls.map(([call]) => [call.check_run_id, call.output.annotations.length])).toEqual([[5, 50], [5, 20]]);
+    });
+
+    test('should skip without a commit and not fail the run when the API rejects it', async () => {
+      const reporter = new CheckRunReporter(github, context);
+
+      await expect(reporter.publish({ headSha: null, checkpoints })).resolves.toBeNull();
+      expect(github.rest.checks.create).not.toHaveBeenCalled();
+
+      github.rest.checks.create.mockRejectedValue(Object.assign(new Error('Resource not accessible by integration'), { status: 403 }));
+      await expect(reporter.publish({ headSha: 'abc1234', checkpoints })).resolves.toBeNull();
+      expect(console.warn).toHaveBeenCalledWith('⚠️ Check Run を作成できません: Resource not accessible by integration');
+    });
+  });
+
+  describe('diagnostics', () => {
+    test('should read validator rejections and edits that could not be applied', () => {
+      const error = Object.assign(new Error('failed'), {
+        rejections: [{ path: 'src/generated/api.js', reason: 'Path is protected by the repository config: src/generated/api.js' }],
+        failures: [{ path: 'src/greet.js', action: 'modify', reason: 'searchに一致する箇所が見つかりません', blocks: [{ block: 1, line: 12 }] }]
+      });
+
+      expect(CheckRunReporter.fromFileErrors(error)).toEqual([
+        { source: 'validator', path: 'src/generated/api.js', line: 1, level: 'failure', title: '変更が拒否されました', message: 'Path is protected by the repository config: src/generated/api.js' },
+        { source: 'edit', path: 'src/greet.js', line: 12, level: 'failure', title: 'modifyを適用できませんでした', message: 'searchに一致する箇所が見つかりません' }
+      ]);
+      expect(CheckRunReporter.fromFileErrors(new Error('other'))).toEqual([]);
+    });
+
+    test('should parse eslint unix and flake8 output within the repository', () => {
+      const output = [
+        `\x1b[4m${root}/src/greet.js\x1b[24m:3:10: 'nam' is not defined. [Error/no-undef]\r`,
+        `${root}/src/util.js:8:3: Unexpected console statement. [Warning/no-console]`,
+        '/usr/lib/node_modules/pkg/index.js:1:1: Parsing error [Error/parse]',
+        './app/main.py:1:1: F401 \'os\' imported but unused',
+        '',
+        '3 problems'
+      ].join('\n');
+
+      expect(CheckRunReporter.fromLintOutput(output, repoFiles, root)).toEqual([
+        { source: 'lint', path: 'src/greet.js', line: 3, level: 'failure', title: 'no-undef', message: '\'nam\' is not defined.' },
+        { source: 'lint', path: 'src/util.js', line: 8, level: 'warning', title: 'no-console', message: 'Unexpected console statement.' },
+        { source: 'lint', path: 'app/main.py', line: 1, level: 'failure', title: 'F401', message: 'F401 \'os\' imported but unused' }
+      ]);
+    });
+
+    test('should locate each failing jest test at its nearest repository frame', () => {
+      const output = [
+        'FAIL tests/greet.test.js',
+        '  ● greet › uses the name',
+        '',
+        '    Expected: "Hello, Alice"',
+        '    Received: "Hello, world"',
+        '',
+        `      at greet (${root}/src/greet.js:2:10)`,
+        `      at Object.<anonymous> (${root}/tests/greet.test.js:5:24)`,
+        '      at Promise.then.completed (node_modules/jest-circus/build/utils.js:298:28)',
+        '',
+        '  ● greet › times out',
+        '',
+        '    thrown: "Exceeded timeout of 5000 ms for a test."',
+        '',
+        'Tests:       2 failed, 2 total'
+      ].join('\n');
+
+      const diagnostics = CheckRunReporter.fromTestOutput(output, repoFiles, root);
+
+      expect(diagnostics.map(({ path, line, title }) => ({ path, line, title }))).toEqual([
+        { path: 'src/greet.js', line: 2, title: 'greet › uses the name' },
+        { path: null, line: 1, title: 'greet › times out' }
+      ]);
+      expect(diagnostics[0].message).toContain('Received: "Hello, world"');
+      expect(CheckRunReporter.fromTestOutput('Command failed: npm test', repoFiles, root)).toMatchObject([{ path: null, title: 'テストが失敗しました' }]);
+    });
+  });
+});
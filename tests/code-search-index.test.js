@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { CodeSearchIndex } = require('../scripts/code-search-index');
+
+describe('CodeSearchIndex', () => {
+  describe('tokenize', () => {
+    test('should split camelCase and snake_case identifiers and keep the whole identifier', () => {
+      expect(CodeSearchIndex.tokenize('parseUserName(MAX_RETRY_COUNT)')).toEqual([
+        'parse', 'user', 'name', 'parseusername', 'max', 'retry', 'count', 'max_retry_count'
+      ]);
+    });
+
+    test('should split acronyms and drop stop words', () => {
+      expect(CodeSearchIndex.tokenize('const XMLHttpRequest = new HTTPServer();')).toEqual([
+        'xml', 'http', 'request', 'xmlhttprequest', 'http', 'server', 'httpserver'
+      ]);
+    });
+  });
+
+  describe('segment', () => {
+    test('should separate code, comments and strings in JavaScript', () => {
+      const segments = CodeSearchIndex.segment([
+        '// retry the upload',
+        'const message = "upload failed: \\"quota\\"";',
+        '/* block */ sendUpload(message);'
+      ].join('\n'), '.js');
+
+      expect(segments.comment).toContain('retry the upload');
+      expect(segments.comment).toContain('block');
+      expect(segments.string).toContain('upload failed');
+      expect(segments.code).toContain('sendUpload(message)');
+      expect(segments.code).not.toContain('quota');
+    });
+
+    test('should treat Python hash comments and docstrings as comments', () => {
+      const segments = CodeSearchIndex.segment('def load():\n    """Load the cache."""\n    return cache_path  # fallback\n', '.py');
+
+      expect(segments.comment).toContain('Load the cache.');
+      expect(segments.comment).toContain('fallback');
+      expect(segments.code).toContain('cache_path');
+    });
+  });
+
+  describe('search', () => {
+    const originalCwd = process.cwd();
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-search-'));
+      process.chdir(tmpDir);
+      execSync('git init -q && git config user.email test@example.com && git config user.name Test');
+      fs.mkdirSync('src/auth', { recursive: true });
+      fs.writeFileSync('src/auth/session-store.js', [
+        'class SessionStore {',
+        '  refreshToken(session) {',
+        '    return this.tokenCache.get(session.userId);',
+        '  }',
+        '}'
+      ].join('\n'));
+      fs.writeFileSync('src/report.js', [
+        '// token refresh is handled elsewhere',
+        'function buildReport(rows) {',
+        '  return rows.map(row => row.total);',
+        '}'
+      ].join('\n'));
+      fs.writeFileSync('src/messages.js', 'module.exports = { expired: "token refresh failed, please log in" };\n');
+      fs.writeFileSync('README.md', '# Demo\n');
+      fs.writeFileSync('image.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0]));
+      execSync('git add -A && git commit -qm init');
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should rank code matches above comment and string matches', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const results = new CodeSearchIndex().search('refreshToken throws when the token cache is empty');
+      jest.restoreAllMocks();
+
+      expect(results[0].path).toBe('src/auth/session-store.js');
+      const paths = results.map(result => result.path);
+      expect(paths.indexOf('src/report.js')).toBeGreaterThan(0);
+      expect(paths).toContain('src/messages.js');
+      expect(paths).not.toContain('image.png');
+    });
+
+    test('should cache the index per commit SHA and rebuild after a new commit', () => {
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const sha = execSync('git rev-parse HEAD', { encoding: 'utf8' }).trim();
+      const cacheFile = path.join('.git', 'issue-solver', `search-index-${sha}.json`);
+
+      new CodeSearchIndex().search('report');
+      expect(fs.existsSync(cacheFile)).toBe(true);
+
+      // キャッシュがあれば再構築しない
+      logSpy.mockClear();
+      expect(new CodeSearchIndex().search('buildReport')[0].path).toBe('src/report.js');
+      expect(logSpy).not.toHaveBeenCalledWith(expect.stringContaining('検索インデックスを構築しました'));
+
+      fs.writeFileSync('src/invoice.js', 'function buildInvoice() {}\n');
+      execSync('git add -A && git commit -qm invoice');
+      expect(new CodeSearchIndex().search('buildInvoice')[0].path).toBe('src/invoice.js');
+      expect(fs.existsSync(cacheFile)).toBe(false);
+      jest.restoreAllMocks();
+    });
+
+    test('should not break on identifiers that collide with Object properties', () => {
+      fs.writeFileSync('src/widget.js', 'class Widget { constructor() { this.hasOwnProperty = 1; } }\n');
+
+      expect(() => new CodeSearchIndex().build(['src/widget.js'])).not.toThrow();
+      const index = new CodeSearchIndex();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      expect(index.search('constructor toString').map(result => result.path)).toEqual(['src/widget.js']);
+      jest.restoreAllMocks();
+    });
+  });
+});
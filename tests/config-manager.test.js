@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { ConfigManager } = require('../scripts/config-manager');
 
 describe('ConfigManager', () => {
@@ -126,78 +129,333 @@ describe('ConfigManager', () => {
       expect(config.geminiModel).toBe('gemini-1.5-pro');
     });
 
-    test('should detect flash model from comment body @gemini-flash', () => {
-      process.env.COMMENT_BODY = 'Please analyze this issue @gemini-flash';
+    test('should not switch models on model names in the comment body', () => {
+      process.env.GEMINI_MODEL = 'gemini-1.5-pro';
+      ['Please analyze this issue @gemini-flash', 'Please analyze this issue model: flash', 'try gpt-4o or o3-mini', '@claude-haiku'].forEach(body => {
+        process.env.COMMENT_BODY = body;
+
+        const config = new ConfigManager();
+
+        expect(config.geminiModel).toBe('gemini-1.5-pro');
+        expect(config.openaiModel).toBe('codex-mini-latest');
+        expect(config.anthropicModel).toBe('claude-sonnet-4-20250514');
+      });
+    });
+
+    test('should select the model from /solve --model flash', () => {
+      process.env.COMMENT_BODY = '/solve --model flash';
       
       const config = new ConfigManager();
       
+      expect(config.aiProvider).toBe('gemini');
       expect(config.geminiModel).toBe('gemini-2.5-flash-preview-05-20');
     });
 
-    test('should detect pro model from comment body @gemini-pro', () => {
-      process.env.COMMENT_BODY = 'Please analyze this issue @gemini-pro';
+    test('should not switch models on free-text mentions like "use flash"', () => {
+      process.env.COMMENT_BODY = 'Please use flash model';
       
       const config = new ConfigManager();
       
       expect(config.geminiModel).toBe('gemini-2.5-pro-preview-06-05');
     });
 
-    test('should detect flash model from comment body "model: flash"', () => {
-      process.env.COMMENT_BODY = 'Please analyze this issue model: flash';
+    test('should detect model from issue body when no comment', () => {
+      process.env.ISSUE_BODY = 'This is a bug @gemini-flash';
       
       const config = new ConfigManager();
       
       expect(config.geminiModel).toBe('gemini-2.5-flash-preview-05-20');
     });
 
-    test('should detect pro model from comment body "model: pro"', () => {
-      process.env.COMMENT_BODY = 'Please analyze this issue model: pro';
+    test('should prefer /solve --model over issue body', () => {
+      process.env.ISSUE_BODY = 'This is a bug @gemini-flash';
+      process.env.COMMENT_BODY = '/solve --model pro';
       
       const config = new ConfigManager();
       
       expect(config.geminiModel).toBe('gemini-2.5-pro-preview-06-05');
     });
 
-    test('should detect flash model from comment body "use flash"', () => {
-      process.env.COMMENT_BODY = 'Please use flash model';
+    test('should use default pro model when no specification found', () => {
+      process.env.ISSUE_BODY = 'This is a normal bug';
+      process.env.COMMENT_BODY = 'Please fix this';
       
       const config = new ConfigManager();
       
-      expect(config.geminiModel).toBe('gemini-2.5-flash-preview-05-20');
+      expect(config.geminiModel).toBe('gemini-2.5-pro-preview-06-05');
+    });
+  });
+
+  describe('Local provider selection', () => {
+    test('should select local provider from AI_PROVIDER', () => {
+      process.env.AI_PROVIDER = 'local';
+      
+      const config = new ConfigManager();
+      
+      expect(config.aiProvider).toBe('local');
+      expect(config.localBaseUrl).toBe('http://localhost:11434/v1');
     });
 
-    test('should detect pro model from comment body "use pro"', () => {
-      process.env.COMMENT_BODY = 'Please use pro model';
+    test('should detect @local trigger before other provider mentions', () => {
+      process.env.COMMENT_BODY = '@local please fix this, do not use OpenAI';
       
       const config = new ConfigManager();
       
-      expect(config.geminiModel).toBe('gemini-2.5-pro-preview-06-05');
+      expect(config.aiProvider).toBe('local');
     });
 
-    test('should detect model from issue body when no comment', () => {
-      process.env.ISSUE_BODY = 'This is a bug @gemini-flash';
+    test('should detect local model from @local:<model>', () => {
+      process.env.ISSUE_BODY = 'Fix this @local:llama3.1:8b';
       
       const config = new ConfigManager();
       
-      expect(config.geminiModel).toBe('gemini-2.5-flash-preview-05-20');
+      expect(config.aiProvider).toBe('local');
+      expect(config.localModel).toBe('llama3.1:8b');
+      expect(config.getSelectedModel()).toBe('llama3.1:8b');
     });
 
-    test('should prefer comment body over issue body', () => {
-      process.env.ISSUE_BODY = 'This is a bug @gemini-flash';
-      process.env.COMMENT_BODY = 'Fix this @gemini-pro';
+    test('should not require an API key for the local provider', async () => {
+      process.env.AI_PROVIDER = 'local';
       
       const config = new ConfigManager();
       
-      expect(config.geminiModel).toBe('gemini-2.5-pro-preview-06-05');
+      await expect(config.validateWithDiagnostics()).resolves.toBeUndefined();
     });
+  });
 
-    test('should use default pro model when no specification found', () => {
-      process.env.ISSUE_BODY = 'This is a normal bug';
-      process.env.COMMENT_BODY = 'Please fix this';
+  describe('Anthropic provider selection', () => {
+    test('should detect @claude trigger from comment body', () => {
+      process.env.COMMENT_BODY = '@claude please fix this';
       
       const config = new ConfigManager();
       
-      expect(config.geminiModel).toBe('gemini-2.5-pro-preview-06-05');
+      expect(config.aiProvider).toBe('anthropic');
+      expect(config.anthropicModel).toBe('claude-sonnet-4-20250514');
+    });
+
+    test('should not switch providers on mentions of other accounts', () => {
+      ['@claudette please review', 'cc @claude-bot', 'thanks @gpt4all', '@localhost is down'].forEach(body => {
+        process.env.COMMENT_BODY = body;
+
+        expect(new ConfigManager().aiProvider).toBe('gemini');
+      });
+    });
+
+    test('should select the Claude model from /solve --model opus', () => {
+      process.env.COMMENT_BODY = '/solve --model opus';
+      
+      const config = new ConfigManager();
+      
+      expect(config.anthropicModel).toBe('claude-opus-4-20250514');
+      expect(config.getSelectedModel()).toBe('claude-opus-4-20250514');
+    });
+
+    test('should use ANTHROPIC_MODEL when set', () => {
+      process.env.ANTHROPIC_MODEL = 'claude-custom';
+      process.env.ISSUE_BODY = '@claude-haiku';
+      
+      const config = new ConfigManager();
+      
+      expect(config.anthropicModel).toBe('claude-custom');
+    });
+
+    test('should prefer /solve --model over ANTHROPIC_MODEL', () => {
+      process.env.ANTHROPIC_MODEL = 'claude-custom';
+      process.env.COMMENT_BODY = '/solve --model haiku';
+      
+      const config = new ConfigManager();
+      
+      expect(config.anthropicModel).toBe('claude-3-5-haiku-20241022');
+    });
+
+    test('should require ANTHROPIC_API_KEY for @claude', async () => {
+      process.env.ISSUE_BODY = '@claude fix this';
+      
+      const config = new ConfigManager();
+      
+      await expect(config.validateWithDiagnostics()).rejects.toThrow('ANTHROPIC_API_KEY is required');
+    });
+  });
+
+  describe('Slash commands', () => {
+    test('should not switch providers when a comment merely mentions OpenAI', () => {
+      process.env.COMMENT_BODY = 'This started after we moved off the OpenAI SDK, please use gpt-like naming';
+      
+      const config = new ConfigManager();
+      
+      expect(config.aiProvider).toBe('gemini');
+    });
+
+    test('should take provider and model from /solve and let them beat AI_PROVIDER', () => {
+      process.env.AI_PROVIDER = 'gemini';
+      process.env.COMMENT_BODY = '/solve --model opus';
+      
+      const config = new ConfigManager();
+      
+      expect(config.aiProvider).toBe('anthropic');
+      expect(config.getSelectedModel()).toBe('claude-opus-4-20250514');
+    });
+
+    test('should apply --files, --dry-run and --no-tests', () => {
+      process.env.COMMENT_BODY = '/solve --files src/a.js,src/b.js --dry-run --no-tests';
+      
+      const config = new ConfigManager();
+      
+      expect(config.getTargetFiles()).toEqual(['src/a.js', 'src/b.js']);
+      expect(config.dryRun).toBe(true);
+      expect(config.runTests).toBe(false);
+    });
+
+    test('should parse /approve with the files to skip', () => {
+      process.env.COMMENT_BODY = '/approve --skip ./docs/usage.md';
+      
+      const config = new ConfigManager();
+      
+      expect(config.command).toMatchObject({ name: 'approve', options: { skip: ['docs/usage.md'] } });
+      expect(config.dryRun).toBe(false);
+    });
+
+    test('should use the command of the latest trigger comment from the API', async () => {
+      process.env.ISSUE_NUMBER = '7';
+      const comment = (id, body) => ({ id, body, user: { login: 'dev' }, created_at: '2024-01-01T00:00:00Z' });
+      const github = {
+        rest: {
+          issues: {
+            get: jest.fn().mockResolvedValue({ data: { number: 7, title: 'Bug', body: 'It breaks', labels: [], user: { login: 'dev' } } }),
+            listComments: jest.fn().mockResolvedValue({
+              data: [comment(1, '/solve --model sonnet --no-tests'), comment(2, 'still broken'), comment(3, '/retry --dry-run')]
+            })
+          }
+        }
+      };
+      const config = new ConfigManager();
+      
+      await config.loadCompleteIssueData(github, { repo: { owner: 'o', repo: 'r' } });
+      
+      expect(config.command).toMatchObject({ name: 'solve', retry: true });
+      expect(config.aiProvider).toBe('anthropic');
+      expect(config.anthropicModel).toBe('claude-sonnet-4-20250514');
+      expect(config.runTests).toBe(false);
+      expect(config.dryRun).toBe(true);
+    });
+  });
+
+  describe('Base branch', () => {
+    const github = defaultBranch => ({
+      rest: {
+        issues: {
+          get: jest.fn().mockResolvedValue({ data: { number: 7, title: 'Bug', body: '', labels: [], user: { login: 'dev' } } }),
+          listComments: jest.fn().mockResolvedValue({ data: [] })
+        },
+        repos: {
+          get: jest.fn().mockResolvedValue({ data: { default_branch: defaultBranch } })
+        }
+      }
+    });
+
+    beforeEach(() => {
+      process.env.ISSUE_NUMBER = '7';
+    });
+
+    test('should use the default branch of the repository', async () => {
+      const config = new ConfigManager();
+
+      await config.loadCompleteIssueData(github('master'), { repo: { owner: 'o', repo: 'r' } });
+
+      expect(config.baseBranch).toBe('master');
+    });
+
+    test('should prefer /solve --base over BASE_BRANCH and the default branch', async () => {
+      Object.assign(process.env, { BASE_BRANCH: 'develop', COMMENT_BODY: '/solve --base release/2.0' });
+      const api = github('master');
+      const config = new ConfigManager();
+
+      await config.loadCompleteIssueData(api, { repo: { owner: 'o', repo: 'r' } });
+
+      expect(config.baseBranch).toBe('release/2.0');
+      expect(api.rest.repos.get).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to the payload when the API is unavailable', async () => {
+      const api = github('master');
+      api.rest.repos.get.mockRejectedValue(new Error('Forbidden'));
+      const config = new ConfigManager();
+
+      await config.loadCompleteIssueData(api, { repo: { owner: 'o', repo: 'r' }, payload: { repository: { default_branch: 'trunk' } } });
+
+      expect(config.baseBranch).toBe('trunk');
+    });
+  });
+
+  describe('repository config file', () => {
+    const originalCwd = process.cwd();
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-manager-'));
+      fs.writeFileSync(path.join(tmpDir, '.issue-solver.yml'), [
+        'provider: openai',
+        'model: gpt-4.1',
+        'test_command: npm run test:unit',
+        'protected_paths: [migrations/]',
+        'max_files_changed: 5',
+        'base_branch: develop',
+        'pull_request:',
+        '  labels: [ai-generated]',
+        'prompt_additions: Prefer small functions.'
+      ].join('\n'));
+      process.chdir(tmpDir);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    test('should apply the file over the defaults', () => {
+      const config = new ConfigManager();
+
+      expect(config.aiProvider).toBe('openai');
+      expect(config.openaiModel).toBe('gpt-4.1');
+      expect(config.testCommand).toBe('npm run test:unit');
+      expect(config.customTestCommand).toBe('npm run test:unit');
+      expect(config.lintCommand).toBeNull();
+      expect(config.fileRules.protectedPaths).toEqual(['migrations/']);
+      expect(config.maxFilesChanged).toBe(5);
+      expect(config.baseBranch).toBe('develop');
+      expect(config.prLabels).toEqual(['ai-generated']);
+      expect(config.promptAdditions).toBe('Prefer small functions.');
+    });
+
+    test('should let action inputs override the file', () => {
+      Object.assign(process.env, { AI_PROVIDER: 'gemini', TEST_COMMAND: 'make test', BASE_BRANCH: 'main', PR_LABELS: 'bot, triage' });
+
+      const config = new ConfigManager();
+
+      expect(config.aiProvider).toBe('gemini');
+      expect(config.testCommand).toBe('make test');
+      expect(config.baseBranch).toBe('main');
+      expect(config.prLabels).toEqual(['bot', 'triage']);
+    });
+
+    test('should let comment directives override action inputs and the file', () => {
+      Object.assign(process.env, { AI_PROVIDER: 'gemini', COMMENT_BODY: '@claude please fix this' });
+
+      expect(new ConfigManager().aiProvider).toBe('anthropic');
+    });
+
+    test('should rank issue body mentions below the file', () => {
+      process.env.ISSUE_BODY = 'This breaks when @claude is mentioned in passing';
+
+      expect(new ConfigManager().aiProvider).toBe('openai');
+    });
+
+    test('should fail with readable errors for an invalid file', () => {
+      fs.writeFileSync('.issue-solver.yml', 'max_files_changed: many\n');
+
+      expect(() => new ConfigManager()).toThrow('max_files_changed: 整数で指定してください（文字列が指定されています）');
     });
   });
 });
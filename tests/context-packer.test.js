@@ -0,0 +1,111 @@
+const { ContextPacker } = require('../scripts/context-packer');
+const { IssueSolver } = require('../scripts/issue-solver');
+
+const bigFile = () => [
+  'const fs = require(\'fs\');',
+  '',
+  'class ReportBuilder {',
+  '  constructor(options) {',
+  ...Array.from({ length: 300 }, (_, i) => `    this.option${i} = options.value${i} || ${i};`),
+  '  }',
+  '',
+  '  formatTimestamp(date) {',
+  '    return date.toISOString();',
+  '  }',
+  '}',
+  '',
+  'module.exports = { ReportBuilder };'
+].join('\n');
+
+describe('ContextPacker', () => {
+  describe('getContextWindow', () => {
+    test.each([
+      ['gemini-2.5-pro-preview-06-05', 1048576],
+      ['gemini-2.5-flash-preview-05-20', 1048576],
+      ['gpt-4.1-mini', 1047576],
+      ['o3-2025-04-16', 200000],
+      ['gpt-4o', 128000],
+      ['claude-sonnet-4-20250514', 200000],
+      ['some-local-model', 32768]
+    ])('%s → %i tokens', (model, tokens) => {
+      expect(ContextPacker.getContextWindow(model)).toBe(tokens);
+    });
+
+    test('should cap the prompt budget with maxTokens', () => {
+      expect(new ContextPacker({ model: 'gemini-2.5-pro' }).getPromptBudget()).toBe(Math.floor(1048576 * 0.6));
+      expect(new ContextPacker({ model: 'gemini-2.5-pro', maxTokens: 5000 }).getPromptBudget()).toBe(5000);
+    });
+  });
+
+  describe('estimateTokens', () => {
+    test('should count ASCII by four characters and other characters one by one', () => {
+      expect(ContextPacker.estimateTokens('abcdefgh')).toBe(2);
+      expect(ContextPacker.estimateTokens('日本語')).toBe(3);
+      expect(ContextPacker.estimateTokens('')).toBe(0);
+    });
+  });
+
+  describe('pack', () => {
+    const packer = new ContextPacker();
+
+    test('should include small files whole in score order', () => {
+      const result = packer.pack([
+        { path: 'low.js', content: 'const low = 1;', score: 1 },
+        { path: 'high.js', content: 'const high = 1;', score: 10 }
+      ], 1000);
+
+      expect(result.files.map(file => [file.path, file.mode])).toEqual([['high.js', 'full'], ['low.js', 'full']]);
+      expect(result.files[1].content).toBe('const low = 1;');
+      expect(result.omitted).toEqual([]);
+    });
+
+    test('should excerpt declarations and keyword lines of big files instead of a prefix', () => {
+      const result = packer.pack([{ path: 'report.js', content: bigFile(), score: 5 }], 600, ['timestamp']);
+
+      const [file] = result.files;
+      expect(file.mode).toBe('excerpt');
+      expect(file.content).toContain('3| class ReportBuilder {');
+      expect(file.content).toContain('307|   formatTimestamp(date) {');
+      expect(file.content).toContain('308|     return date.toISOString();');
+      expect(file.content).toContain('312| module.exports = { ReportBuilder };');
+      expect(file.content).toMatch(/\.\.\. \(\d+ lines omitted\)/);
+      expect(file.content).not.toContain('this.option150');
+      expect(result.usedTokens).toBeLessThanOrEqual(600);
+    });
+
+    test('should omit files once the budget is exhausted', () => {
+      const result = packer.pack([
+        { path: 'a.js', content: 'x'.repeat(800), score: 2 },
+        { path: 'b.js', content: 'y'.repeat(800), score: 1 }
+      ], 250);
+
+      expect(result.files.map(file => file.path)).toEqual(['a.js']);
+      expect(result.omitted).toEqual(['b.js']);
+    });
+  });
+});
+
+describe('IssueSolver code context', () => {
+  test('should pack file contents according to the model context window', () => {
+    const provider = { displayName: 'Stub', triggerName: 'stub', model: 'tiny-model', fileFormat: 'object' };
+    const solver = new IssueSolver(provider, { contextMaxTokens: 3000 });
+    solver.issueAnalysis = {
+      title: 'formatTimestamp ignores time zones',
+      body: 'report.js formatTimestamp should use the local time zone',
+      labels: [],
+      relevantFiles: ['report.js', 'small.js'],
+      fileContents: { 'report.js': bigFile(), 'small.js': 'module.exports = 42;' },
+      errorInfo: [],
+      technicalContext: { technologies: [] }
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const prompt = solver.buildSolutionPrompt();
+
+    expect(prompt).toContain('=== small.js ===\nmodule.exports = 42;');
+    expect(prompt).toContain('307|   formatTimestamp(date) {');
+    expect(prompt).not.toContain('... (truncated)');
+    expect(ContextPacker.estimateTokens(prompt)).toBeLessThanOrEqual(3000);
+    jest.restoreAllMocks();
+  });
+});
@@ -120,13 +120,84 @@ describe('EnhancedIssueFetcher', () => {
     });
   });
 
+  describe('pull requests', () => {
+    it('should detect pull request payloads', () => {
+      expect(EnhancedIssueFetcher.getPullRequestNumber({ pull_request: { number: 7 } })).toBe(7);
+      expect(EnhancedIssueFetcher.getPullRequestNumber({ issue: { number: 8, pull_request: {} } })).toBe(8);
+      expect(EnhancedIssueFetcher.getPullRequestNumber({ issue: { number: 9 } })).toBeNull();
+    });
+
+    it('should fetch the branch, linked issue and review comment anchor', async () => {
+      mockGithubAPI.rest.pulls = {
+        get: jest.fn().mockResolvedValue({
+          data: {
+            number: 7,
+            title: 'Fix #42: greet',
+            body: 'Closes #42',
+            html_url: 'https://github.com/test-owner/test-repo/pull/7',
+            head: { ref: 'gemini-issue-42-1000', sha: 'abc', repo: { full_name: 'test-owner/test-repo' } },
+            base: { ref: 'develop' }
+          }
+        }),
+        listFiles: jest.fn().mockRejectedValue(new Error('Not Found'))
+      };
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const pullRequest = await fetcher.fetchPullRequestData(7, {
+        id: 91,
+        in_reply_to_id: 90,
+        body: '@gemini handle empty names',
+        path: 'src/greet.js',
+        line: 4,
+        start_line: 2,
+        diff_hunk: '@@ -1 +1 @@',
+        user: { login: 'reviewer' }
+      });
+
+      expect(pullRequest).toMatchObject({
+        number: 7,
+        branch: 'gemini-issue-42-1000',
+        baseBranch: 'develop',
+        isSolverBranch: true,
+        issueNumber: 42,
+        changedFiles: [],
+        comment: { threadId: 90, kind: 'review', path: 'src/greet.js', line: 4, startLine: 2 }
+      });
+      expect(pullRequest.request).toContain('Review comment on src/greet.js lines 2-4:\n```diff\n@@ -1 +1 @@\n```');
+      expect(pullRequest.request).toContain('Request from @reviewer:\n@gemini handle empty names');
+      jest.restoreAllMocks();
+    });
+
+    it('should not treat fork branches as solver branches', async () => {
+      mockGithubAPI.rest.pulls = {
+        get: jest.fn().mockResolvedValue({
+          data: {
+            number: 8,
+            title: 'Fork',
+            body: 'Fixes #3',
+            head: { ref: 'gemini-issue-3-1', sha: 'abc', repo: { full_name: 'someone/test-repo' } },
+            base: { ref: 'main' }
+          }
+        }),
+        listFiles: jest.fn().mockResolvedValue({ data: [{ filename: 'a.js' }] })
+      };
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const pullRequest = await fetcher.fetchPullRequestData(8, { id: 1, body: '@gemini', user: { login: 'user' } });
+
+      expect(pullRequest).toMatchObject({ isSolverBranch: false, issueNumber: 3, changedFiles: ['a.js'], comment: { kind: 'conversation', threadId: 1 } });
+      jest.restoreAllMocks();
+    });
+  });
+
   describe('findGeminiTriggerComments', () => {
     it('should identify @gemini trigger comments', () => {
       const comments = [
         { id: 1, body: 'Regular comment', user: { login: 'user1' } },
         { id: 2, body: '@gemini please help', user: { login: 'user2' } },
         { id: 3, body: 'Another regular comment', user: { login: 'user3' } },
-        { id: 4, body: 'gemini fix this', user: { login: 'user4' } },
+        { id: 4, body: '/solve --dry-run', user: { login: 'user4' } },
         { id: 5, body: '@ai assist with this', user: { login: 'user5' } }
       ];
 
@@ -134,9 +205,20 @@ describe('EnhancedIssueFetcher', () => {
 
       expect(triggers).toHaveLength(3);
       expect(triggers[0].body).toBe('@gemini please help');
-      expect(triggers[1].body).toBe('gemini fix this');
+      expect(triggers[1].command).toMatchObject({ name: 'solve', options: { dryRun: true } });
       expect(triggers[2].body).toBe('@ai assist with this');
     });
+
+    it('should ignore incidental mentions, other commands and bot comments', () => {
+      const comments = [
+        { id: 1, body: 'Gemini told me to fix this in /usr/lib', user: { login: 'user1' } },
+        { id: 2, body: '/assign @someone', user: { login: 'user2' } },
+        { id: 3, body: '**Gemini AI 分析開始**\n/solve', user: { login: 'github-actions[bot]', type: 'Bot' } },
+        { id: 4, body: 'Try this:\n```\n/solve --model pro\n```', user: { login: 'user4' } }
+      ];
+
+      expect(fetcher.findGeminiTriggerComments(comments)).toEqual([]);
+    });
   });
 
   describe('extractErrorsFromAllContent', () => {
@@ -5,9 +5,15 @@ jest.mock('fs');
 
 describe('FileAnalyzer', () => {
   let fileAnalyzer;
+  let searchIndex;
+  let symbolIndex;
+  let fileEnumerator;
 
   beforeEach(() => {
-    fileAnalyzer = new FileAnalyzer();
+    searchIndex = { search: jest.fn().mockReturnValue([]) };
+    symbolIndex = { findMentionedSymbols: jest.fn().mockReturnValue([]) };
+    fileEnumerator = { list: jest.fn().mockReturnValue([]) };
+    fileAnalyzer = new FileAnalyzer({ searchIndex, symbolIndex, fileEnumerator });
     jest.clearAllMocks();
   });
 
@@ -53,6 +59,74 @@ describe('FileAnalyzer', () => {
       
       expect(result).toContain('README.md');
     });
+
+    test('should rank files from the content search index with the original casing and error text', () => {
+      fs.existsSync.mockReturnValue(true);
+      searchIndex.search.mockReturnValue([
+        { path: 'src/auth/session-store.js', score: 8 },
+        { path: 'src/report.js', score: 2 }
+      ]);
+
+      const title = 'refreshToken fails';
+      const body = 'TypeError: Cannot read properties of undefined (reading \'userId\')';
+      const result = fileAnalyzer.findRelevantFiles(title, body);
+
+      const query = searchIndex.search.mock.calls[0][0];
+      expect(query).toContain('refreshToken fails');
+      expect(query.match(/reading 'userId'/g).length).toBeGreaterThan(1);
+      expect(result.indexOf('src/auth/session-store.js')).toBeLessThan(result.indexOf('src/report.js'));
+      expect(fileAnalyzer.calculateFileScore('src/auth/session-store.js', '', {}))
+        .toBeGreaterThan(fileAnalyzer.calculateFileScore('src/report.js', '', {}));
+    });
+
+    test('should include the definition and importers of symbols mentioned in the issue', () => {
+      fs.existsSync.mockReturnValue(true);
+      symbolIndex.findMentionedSymbols.mockReturnValue([{
+        name: 'parseConfig',
+        definitions: [{ name: 'parseConfig', kind: 'function', path: 'src/config/parser.js', line: 12, signature: 'function parseConfig(raw)' }],
+        importers: ['src/cli.js']
+      }]);
+
+      const result = fileAnalyzer.findRelevantFiles('Crash in parseConfig', 'It throws on empty input');
+
+      expect(symbolIndex.findMentionedSymbols).toHaveBeenCalledWith('Crash in parseConfig\nIt throws on empty input');
+      expect(result[0]).toBe('src/config/parser.js');
+      expect(result).toContain('src/cli.js');
+    });
+  });
+
+  describe('stack traces', () => {
+    const trace = [
+      'TypeError: Cannot read properties of undefined (reading \'name\')',
+      '    at formatUser (/home/runner/work/app/app/src/user.js:3:18)',
+      '    at Object.<anonymous> (/home/runner/work/app/app/node_modules/jest-circus/build/run.js:1:1)'
+    ].join('\n');
+
+    beforeEach(() => {
+      fileEnumerator.list.mockReturnValue(['src/user.js', 'src/index.js']);
+    });
+
+    test('should map CI paths in stack frames to repository files', () => {
+      fs.existsSync.mockReturnValue(true);
+
+      const result = fileAnalyzer.findRelevantFiles('Crash when formatting users', trace);
+
+      expect(result[0]).toBe('src/user.js');
+      expect(result.some(file => file.startsWith('/home/runner'))).toBe(false);
+      expect(result.some(file => file.includes('node_modules'))).toBe(false);
+    });
+
+    test('should return the source window around the top frames', () => {
+      fs.statSync.mockReturnValue({ size: 100 });
+      fs.readFileSync.mockReturnValue('function formatUser(user) {\n  const profile = user.profile;\n  return profile.name;\n}\n');
+
+      const [site, ...rest] = fileAnalyzer.getCrashSites(trace);
+
+      expect(rest).toEqual([]);
+      expect(site).toMatchObject({ path: 'src/user.js', line: 3, frame: 'formatUser (src/user.js:3:18)', startLine: 1, endLine: 5 });
+      expect(site.snippet).toContain('>3|   return profile.name;');
+      expect(fs.readFileSync).toHaveBeenCalledWith('src/user.js', 'utf8');
+    });
   });
 
   describe('readRelevantFiles', () => {
@@ -68,15 +142,25 @@ describe('FileAnalyzer', () => {
       expect(result['config.json']).toBe('content of config.json');
     });
 
-    test('should truncate large files', () => {
+    test('should leave large files whole for the context packer', () => {
       const filePaths = ['large.js'];
       fs.existsSync.mockReturnValue(true);
       fs.statSync.mockReturnValue({ size: 25000, isDirectory: () => false });
-      fs.readFileSync.mockReturnValue('x'.repeat(5000));
+      fs.readFileSync.mockReturnValue('x'.repeat(25000));
       
       const result = fileAnalyzer.readRelevantFiles(filePaths);
       
-      expect(result['large.js']).toMatch(/\.\.\. \(truncated for brevity\)$/);
+      expect(result['large.js']).toHaveLength(25000);
+    });
+
+    test('should skip files too large for any context', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.statSync.mockReturnValue({ size: 2 * 1024 * 1024, isDirectory: () => false });
+      
+      const result = fileAnalyzer.readRelevantFiles(['bundle.js']);
+      
+      expect(result['bundle.js']).toBe('(File too large for context: 2097152 bytes)');
+      expect(fs.readFileSync).not.toHaveBeenCalled();
     });
 
     test('should handle file read errors', () => {
@@ -126,5 +210,12 @@ describe('FileAnalyzer', () => {
       expect(result.errors).toHaveLength(3);
       expect(result.hasErrorInfo).toBe(true);
     });
+
+    test('should include structured frames and Python traceback lines', () => {
+      const result = fileAnalyzer.extractErrorInfo('Traceback (most recent call last):\n  File "app/main.py", line 3, in <module>\nValueError: bad value');
+
+      expect(result.frames).toEqual([expect.objectContaining({ file: 'app/main.py', line: 3, function: '<module>' })]);
+      expect(result.stackTraces).toContain('File "app/main.py", line 3, in <module>');
+    });
   });
 });
\ No newline at end of file
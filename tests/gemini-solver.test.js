@@ -300,4 +300,63 @@ describe('GeminiIssueSolver', () => {
       await expect(solver.generateSolution()).rejects.toThrow(/タイムアウト/);
     });
   });
+
+  describe('generateWithTools', () => {
+    const tools = [{
+      name: 'propose_edit',
+      description: 'Propose an edit',
+      parameters: {
+        type: 'object',
+        properties: {
+          modification_type: { type: 'string', enum: ['patch', ''] },
+          edits: { type: 'array', items: { type: 'object', properties: { search: { type: 'string' } } } }
+        },
+        required: ['modification_type']
+      }
+    }];
+
+    test('should send function declarations and return function calls', async () => {
+      const content = { role: 'model', parts: [{ functionCall: { name: 'read_file', args: { path: 'a.js' } } }] };
+      mockAi.models.generateContent.mockResolvedValue({ candidates: [{ content }] });
+
+      const response = await solver.provider.generateWithTools([{ role: 'user', content: 'solve' }], tools);
+
+      const request = mockAi.models.generateContent.mock.calls[0][0];
+      expect(request.contents).toEqual([{ role: 'user', parts: [{ text: 'solve' }] }]);
+      expect(request.config.responseMimeType).toBeUndefined();
+      expect(request.config.tools[0].functionDeclarations[0].parameters).toEqual({
+        type: 'OBJECT',
+        properties: {
+          modification_type: { type: 'STRING', enum: ['patch'] },
+          edits: { type: 'ARRAY', items: { type: 'OBJECT', properties: { search: { type: 'STRING' } } } }
+        },
+        required: ['modification_type']
+      });
+      expect(response.toolCalls).toEqual([{ id: 'read_file-0', name: 'read_file', args: { path: 'a.js' } }]);
+      expect(response.raw).toBe(content);
+    });
+
+    test('should replay model turns and send tool results as function responses', async () => {
+      const raw = { role: 'model', parts: [{ functionCall: { name: 'grep', args: { pattern: 'x' } } }] };
+      mockAi.models.generateContent.mockResolvedValue({ candidates: [{ content: { parts: [{ text: '{}' }] } }] });
+
+      const response = await solver.provider.generateWithTools([
+        { role: 'user', content: 'solve' },
+        { role: 'assistant', content: '', toolCalls: [], raw },
+        { role: 'tool', results: [{ id: 'grep-0', name: 'grep', error: 'no match' }], content: 'budget exhausted' }
+      ], []);
+
+      const request = mockAi.models.generateContent.mock.calls[0][0];
+      expect(request.contents[1]).toBe(raw);
+      expect(request.contents[2]).toEqual({
+        role: 'user',
+        parts: [
+          { functionResponse: { name: 'grep', response: { error: 'no match' } } },
+          { text: 'budget exhausted' }
+        ]
+      });
+      expect(request.config.tools).toBeUndefined();
+      expect(response).toMatchObject({ text: '{}', toolCalls: [] });
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { GitDataCommitter } = require('../scripts/git-data-committer');
+const { createGitDataApi } = require('./helpers/git-data-octokit');
+
+describe('GitDataCommitter', () => {
+  let tmpRoot;
+  let workDir;
+  let remoteDir;
+  let committer;
+  let baseSha;
+
+  const git = (command, cwd = workDir) => execSync(`git ${command}`, { cwd, encoding: 'utf8' }).trim();
+
+  beforeEach(() => {
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'git-data-committer-'));
+    workDir = path.join(tmpRoot, 'work');
+    remoteDir = path.join(tmpRoot, 'remote.git');
+
+    execSync(`git init -q --bare "${remoteDir}"`);
+    fs.mkdirSync(workDir);
+    fs.writeFileSync(path.join(workDir, 'a.js'), 'module.exports = 1;\n');
+    fs.writeFileSync(path.join(workDir, 'old.md'), '# old\n');
+    git('init -q -b main');
+    git('config user.email "test@example.com"');
+    git('config user.name "Test"');
+    git('add -A');
+    git('commit -q -m initial');
+    git(`push -q "${remoteDir}" main`);
+    baseSha = git('rev-parse HEAD');
+
+    committer = new GitDataCommitter({ rest: { git: createGitDataApi(remoteDir) } }, { repo: { owner: 'o', repo: 'r' } }, workDir);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should create a branch with modified, new, executable and deleted files', async () => {
+    fs.writeFileSync(path.join(workDir, 'a.js'), 'module.exports = 2;\n');
+    fs.mkdirSync(path.join(workDir, 'bin'));
+    fs.writeFileSync(path.join(workDir, 'bin', 'run.sh'), '#!/bin/sh\necho ok\n', { mode: 0o755 });
+    fs.rmSync(path.join(workDir, 'old.md'));
+    const message = 'fix: resolve issue #1 - "quoted" title with `backticks` and $HOME';
+
+    const sha = await committer.commit({ branch: 'gemini-issue-1-1', parentSha: baseSha, files: ['a.js', 'bin/run.sh', 'old.md'], message });
+
+    expect(git('rev-parse gemini-issue-1-1', remoteDir)).toBe(sha);
+    expect(git(`log -1 --format=%B ${sha}`, remoteDir)).toBe(message);
+    expect(git(`log -1 --format=%P%x20%an ${sha}`, remoteDir)).toBe(`${baseSha} github-actions[bot]`);
+    expect(git(`ls-tree -r --name-only ${sha}`, remoteDir).split('\n')).toEqual(['a.js', 'bin/run.sh']);
+    expect(git(`ls-tree ${sha} bin/run.sh`, remoteDir)).toMatch(/^100755 /);
+    expect(git(`show ${sha}:a.js`, remoteDir)).toBe('module.exports = 2;');
+  });
+
+  test('should only replace a branch that has not moved since it was read', async () => {
+    fs.writeFileSync(path.join(workDir, 'a.js'), 'module.exports = 2;\n');
+    const first = await committer.commit({ branch: 'topic', parentSha: baseSha, files: ['a.js'], message: 'first' });
+    fs.writeFileSync(path.join(workDir, 'a.js'), 'module.exports = 3;\n');
+
+    await expect(committer.commit({ branch: 'topic', parentSha: baseSha, files: ['a.js'], message: 'second', force: true, expectedSha: baseSha }))
+      .rejects.toThrow(`ブランチ topic は ${baseSha.substring(0, 7)} から ${first.substring(0, 7)} に更新されています`);
+    await expect(committer.commit({ branch: 'topic', parentSha: baseSha, files: ['a.js'], message: 'second' }))
+      .rejects.toThrow('Update is not a fast forward');
+
+    const replaced = await committer.commit({ branch: 'topic', parentSha: baseSha, files: ['a.js'], message: 'second', force: true, expectedSha: first });
+    expect(git('log --format=%s topic', remoteDir).split('\n')).toEqual(['second', 'initial']);
+    expect(git('rev-parse topic', remoteDir)).toBe(replaced);
+  });
+
+  test('should add commits on top of an existing branch', async () => {
+    fs.writeFileSync(path.join(workDir, 'a.js'), 'module.exports = 2;\n');
+    const first = await committer.commit({ branch: 'topic', parentSha: baseSha, files: ['a.js'], message: 'first' });
+    fs.writeFileSync(path.join(workDir, 'b.js'), 'module.exports = 3;\n');
+
+    await committer.commit({ branch: 'topic', parentSha: first, files: ['b.js'], message: 'second' });
+
+    expect(git('log --format=%s topic', remoteDir).split('\n')).toEqual(['second', 'first', 'initial']);
+    expect(git('ls-tree -r --name-only topic', remoteDir).split('\n')).toEqual(['a.js', 'b.js', 'old.md']);
+  });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { GitHistory } = require('../scripts/git-history');
+
+describe('GitHistory', () => {
+  let tmpDir;
+
+  const commit = (file, content, message, author, date) => {
+    fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, file), content);
+    execSync(`git add -A && git -c user.email=${author.toLowerCase()}@example.com -c user.name=${author} commit -qm "${message}"`, {
+      cwd: tmpDir,
+      env: { ...process.env, GIT_AUTHOR_DATE: `${date}T12:00:00Z`, GIT_COMMITTER_DATE: `${date}T12:00:00Z` }
+    });
+  };
+
+  const lines = (count, overrides = {}) => Array.from({ length: count }, (_, i) => overrides[i + 1] || `line ${i + 1}`).join('\n') + '\n';
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-history-'));
+    execSync('git init -q', { cwd: tmpDir });
+    commit('src/user.js', lines(20), 'Add user module', 'Alice', '2026-01-10');
+    commit('src/other.js', 'x\n', 'Add other module', 'Bob', '2026-02-01');
+    commit('src/user.js', lines(20, { 12: 'return profile.name;' }), 'Read name from profile', 'Bob', '2026-03-05');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should list the latest commits touching each file', () => {
+    const history = new GitHistory({ root: tmpDir });
+
+    expect(history.getFileCommits('src/user.js')).toEqual([
+      { sha: expect.stringMatching(/^[0-9a-f]{7,}$/), date: '2026-03-05', author: 'Bob', subject: 'Read name from profile' },
+      { sha: expect.stringMatching(/^[0-9a-f]{7,}$/), date: '2026-01-10', author: 'Alice', subject: 'Add user module' }
+    ]);
+    expect(history.getFileCommits('src/missing.js')).toEqual([]);
+  });
+
+  test('should summarize blame near a frame with the newest change first', () => {
+    fs.appendFileSync(path.join(tmpDir, 'src/user.js'), 'local edit\n');
+
+    const commits = new GitHistory({ root: tmpDir, blameRadius: 3 }).blame('src/user.js', 9, 15, 12);
+
+    expect(commits.map(({ sha, date, author, summary, lines: ranges, containsLine }) => ({ sha: sha.length, date, author, summary, ranges, containsLine }))).toEqual([
+      { sha: 7, date: '2026-03-05', author: 'Bob', summary: 'Read name from profile', ranges: [[12, 12]], containsLine: true },
+      { sha: 7, date: '2026-01-10', author: 'Alice', summary: 'Add user module', ranges: [[9, 11], [13, 15]], containsLine: false }
+    ]);
+  });
+
+  test('should clamp the blame range at the end of the file and mark uncommitted lines', () => {
+    fs.appendFileSync(path.join(tmpDir, 'src/user.js'), 'local edit\n');
+
+    const commits = new GitHistory({ root: tmpDir }).blame('src/user.js', 18, 30, 21);
+
+    expect(commits[0]).toEqual({ sha: 'uncommitted', date: '', author: '', summary: 'Not committed yet', lines: [[21, 21]], containsLine: true });
+    expect(commits[1].lines).toEqual([[18, 20]]);
+  });
+
+  test('should collect file history and blame for crash sites', () => {
+    const history = new GitHistory({ root: tmpDir, maxFiles: 1 }).collect(['src/user.js', 'src/other.js'], [{ path: 'src/user.js', line: 12 }]);
+
+    expect(history.files.map(file => file.path)).toEqual(['src/user.js']);
+    expect(history.blame).toEqual([
+      expect.objectContaining({ path: 'src/user.js', line: 12, startLine: 7, endLine: 17 })
+    ]);
+    expect(GitHistory.formatRanges(history.blame[0].commits[1].lines)).toBe('7-11, 13-17');
+  });
+
+  test('should return nothing outside a git repository', () => {
+    const plainDir = fs.mkdtempSync(path.join(os.tmpdir(), 'no-git-'));
+    try {
+      expect(new GitHistory({ root: plainDir }).collect(['a.js'], [{ path: 'a.js', line: 1 }])).toEqual({ files: [], blame: [] });
+    } finally {
+      fs.rmSync(plainDir, { recursive: true, force: true });
+    }
+  });
+});
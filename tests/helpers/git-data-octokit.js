@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+/**
+ * ベアリポジトリを GitHub のリポジトリに見立てた Git Data API のモック
+ * blob・tree・commit・ref を git のプラミングコマンドで実際に作成する
+ */
+function createGitDataApi(repoDir) {
+  const git = (args, options = {}) => execFileSync('git', args, {
+    cwd: repoDir,
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    ...options,
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'github-actions[bot]',
+      GIT_AUTHOR_EMAIL: 'github-actions[bot]@users.noreply.github.com',
+      GIT_COMMITTER_NAME: 'GitHub',
+      GIT_COMMITTER_EMAIL: 'noreply@github.com',
+      ...options.env
+    }
+  }).trim();
+
+  const httpError = (status, message) => Object.assign(new Error(message), { status });
+  const refSha = ref => {
+    try {
+      return git(['rev-parse', '--verify', '--quiet', `refs/${ref}`]);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  return {
+    getCommit: jest.fn(async ({ commit_sha }) => {
+      try {
+        return { data: { sha: commit_sha, tree: { sha: git(['show', '-s', '--format=%T', commit_sha]) } } };
+      } catch (error) {
+        throw httpError(404, 'Not Found');
+      }
+    }),
+
+    createBlob: jest.fn(async ({ content, encoding }) => ({
+      data: { sha: git(['hash-object', '-w', '--stdin'], { input: Buffer.from(content, encoding === 'base64' ? 'base64' : 'utf8') }) }
+    })),
+
+    createTree: jest.fn(async ({ base_tree, tree }) => {
+      const indexFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'git-data-index-')), 'index');
+      const env = { GIT_INDEX_FILE: indexFile };
+      try {
+        git(['read-tree', base_tree], { env });
+        // sha: null の項目はモード 0 で削除する
+        const info = tree.map(entry => (entry.sha === null ? `0 ${'0'.repeat(40)}\t${entry.path}` : `${entry.mode} ${entry.sha}\t${entry.path}`));
+        git(['update-index', '--index-info'], { env, input: `${info.join('\n')}\n` });
+        return { data: { sha: git(['write-tree'], { env }) } };
+      } finally {
+        fs.rmSync(path.dirname(indexFile), { recursive: true, force: true });
+      }
+    }),
+
+    createCommit: jest.fn(async ({ message, tree, parents }) => ({
+      data: { sha: git(['commit-tree', tree, ...parents.flatMap(parent => ['-p', parent]), '-m', message]) }
+    })),
+
+    getRef: jest.fn(async ({ ref }) => {
+      const sha = refSha(ref);
+      if (!sha) {
+        throw httpError(404, 'Not Found');
+      }
+      return { data: { ref: `refs/${ref}`, object: { sha } } };
+    }),
+
+    createRef: jest.fn(async ({ ref, sha }) => {
+      if (refSha(ref.replace(/^refs\//, ''))) {
+        throw httpError(422, 'Reference already exists');
+      }
+      git(['update-ref', ref, sha]);
+      return { data: { ref, object: { sha } } };
+    }),
+
+    updateRef: jest.fn(async ({ ref, sha, force }) => {
+      const current = refSha(ref);
+      if (!force) {
+        try {
+          git(['merge-base', '--is-ancestor', current, sha]);
+        } catch (error) {
+          throw httpError(422, 'Update is not a fast forward');
+        }
+      }
+      git(['update-ref', `refs/${ref}`, sha]);
+      return { data: { ref: `refs/${ref}`, object: { sha } } };
+    })
+  };
+}
+
+module.exports = { createGitDataApi };
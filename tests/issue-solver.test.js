@@ -0,0 +1,439 @@
+const { IssueSolver, SOLUTION_SCHEMA } = require('../scripts/issue-solver');
+const { createProvider, createSolver, registerProvider, hasProvider } = require('../scripts/provider-registry');
+const { GeminiProvider } = require('../scripts/gemini-solver');
+const { OpenAIProvider } = require('../scripts/openai-solver');
+
+describe('IssueSolver', () => {
+  let solver;
+  let provider;
+  let mockConfig;
+
+  const baseAnalysis = () => ({
+    title: 'Test Issue',
+    body: 'Test issue body',
+    labels: [],
+    relevantFiles: [],
+    fileContents: {},
+    errorInfo: [],
+    technicalContext: {
+      technologies: [],
+      hasCodeBlocks: false,
+      hasStackTrace: false,
+      hasFileReferences: false
+    }
+  });
+
+  beforeEach(() => {
+    mockConfig = {
+      issueTitle: 'Test Issue',
+      issueBody: 'Test issue body',
+      executionMode: 'auto',
+      getTargetFiles: jest.fn().mockReturnValue([])
+    };
+
+    provider = {
+      name: 'stub',
+      displayName: 'Stub',
+      triggerName: 'stub',
+      model: 'stub-model',
+      fileFormat: 'object',
+      maxRetries: 3,
+      retryDelay: 1,
+      timeout: 1000,
+      generate: jest.fn()
+    };
+
+    solver = new IssueSolver(provider, mockConfig);
+    solver.issueAnalysis = baseAnalysis();
+  });
+
+  describe('generateSolution', () => {
+    test('should pass prompt and schema to the provider', async () => {
+      provider.generate.mockResolvedValue(JSON.stringify({ type: 'bug_fix', confidence: 'high' }));
+
+      const result = await solver.generateSolution();
+
+      expect(provider.generate).toHaveBeenCalledTimes(1);
+      const [prompt, schema, options] = provider.generate.mock.calls[0];
+      expect(prompt).toContain('Test Issue');
+      expect(schema).toBe(SOLUTION_SCHEMA);
+      expect(options.timeout).toBe(1000);
+      expect(result.type).toBe('bug_fix');
+    });
+
+    test('should retry with adjusted prompt after provider errors', async () => {
+      provider.generate
+        .mockRejectedValueOnce(new Error('JSON parse failure'))
+        .mockResolvedValueOnce(JSON.stringify({ type: 'feature', confidence: 'medium' }));
+
+      const result = await solver.generateSolution();
+
+      expect(provider.generate).toHaveBeenCalledTimes(2);
+      expect(provider.generate.mock.calls[1][0]).toContain('Previous attempt failed due to JSON parsing issues');
+      expect(result.type).toBe('feature');
+    });
+
+    test('should retry when the solution fails validation', async () => {
+      provider.generate
+        .mockResolvedValueOnce(JSON.stringify({
+          type: 'feature',
+          files: [{ path: 'a.js', action: 'modify', content: 'string content' }]
+        }))
+        .mockResolvedValueOnce(JSON.stringify({ type: 'feature', files: [] }));
+
+      await solver.generateSolution();
+
+      expect(provider.generate).toHaveBeenCalledTimes(2);
+      expect(provider.generate.mock.calls[1][0]).toContain('CRITICAL FIX REQUIRED');
+    });
+
+    test('should feed search/replace mismatches back to the model', async () => {
+      provider.generate
+        .mockResolvedValueOnce(JSON.stringify({
+          type: 'bug',
+          files: [{
+            path: 'package.json',
+            action: 'modify',
+            content: { type: 'search_replace', blocks: [{ search: '"name": "no-such-package"', replace: '"name": "x"' }] }
+          }]
+        }))
+        .mockResolvedValueOnce(JSON.stringify({ type: 'bug', files: [] }));
+
+      await solver.generateSolution();
+
+      expect(provider.generate).toHaveBeenCalledTimes(2);
+      const retryPrompt = provider.generate.mock.calls[1][0];
+      expect(retryPrompt).toContain('Some search/replace blocks could not be applied');
+      expect(retryPrompt).toContain('package.json ブロック #1: searchに一致する箇所が見つかりません');
+    });
+
+    test('should report the provider name on failure', async () => {
+      provider.generate.mockRejectedValue(new Error('boom'));
+
+      await expect(solver.generateSolution()).rejects.toThrow('ソリューション生成に失敗 (3回試行): boom');
+    });
+  });
+
+  describe('repairOperations', () => {
+    const failure = {
+      path: 'missing-file.js',
+      action: 'modify',
+      operation: { path: 'missing-file.js', action: 'modify', content: { type: 'patch', diff: '@@ -1 +1 @@\n-a\n+b' } },
+      reason: 'パッチの適用に失敗 (1/1ハンク): missing-file.js',
+      blocks: [{ block: 1, header: '@@ -1 +1 @@', reason: 'コンテキストが一致しません (fuzz 2)', line: 1, expected: ['a'], nearby: '1| x' }],
+      nearby: null
+    };
+
+    test('should send diagnostics and keep only operations for failed files', async () => {
+      solver.solution = { files: [{ path: 'ok.js', action: 'create', content: 'ok' }, failure.operation] };
+      provider.generate.mockResolvedValue(JSON.stringify({
+        type: 'bug',
+        files: [
+          { path: 'missing-file.js', action: 'create', content: 'b' },
+          { path: 'unrelated.js', action: 'create', content: 'x' }
+        ]
+      }));
+
+      const operations = await solver.repairOperations([failure], 1);
+
+      const prompt = provider.generate.mock.calls[0][0];
+      expect(prompt).toContain('Regenerate ONLY the failed operations');
+      expect(prompt).toContain('Hunk #1 @@ -1 +1 @@: コンテキストが一致しません (fuzz 2)');
+      expect(prompt).toContain('Actual content near line 1:\n1| x');
+      expect(prompt).toContain('missing-file.js does not exist');
+      expect(operations).toEqual([{ path: 'missing-file.js', action: 'create', content: 'b' }]);
+      expect(solver.solution.files.map(file => file.path)).toEqual(['ok.js', 'missing-file.js']);
+    });
+
+    test('should return null when the repair request fails', async () => {
+      provider.generate.mockRejectedValue(new Error('boom'));
+
+      await expect(solver.repairOperations([failure], 1)).resolves.toBeNull();
+    });
+  });
+
+  describe('generateTestFix', () => {
+    test('should include the failing output and current diff and keep previous files', async () => {
+      solver.solution = { files: [{ path: 'missing-file.js', action: 'create', content: 'a' }] };
+      provider.generate.mockResolvedValue(JSON.stringify({
+        type: 'bug',
+        files: [{ path: 'missing-helper.js', action: 'create', content: 'b' }]
+      }));
+
+      const fix = await solver.generateTestFix({
+        command: 'npm test',
+        output: '● greet › uses the name\n  Expected: "Hello, Alice"',
+        diff: '+++ b/missing-file.js\n+a',
+        attempt: 1
+      });
+
+      const prompt = provider.generate.mock.calls[0][0];
+      expect(prompt).toContain('ALREADY APPLIED');
+      expect(prompt).toContain('=== TEST COMMAND ===\nnpm test');
+      expect(prompt).toContain('Expected: "Hello, Alice"');
+      expect(prompt).toContain('+++ b/missing-file.js');
+      expect(fix.files.map(file => file.path)).toEqual(['missing-helper.js']);
+      expect(solver.solution.files.map(file => file.path)).toEqual(['missing-file.js', 'missing-helper.js']);
+    });
+  });
+
+  describe('agent mode', () => {
+    const finalAnswer = { text: JSON.stringify({ type: 'feature', confidence: 'high', files: [] }), toolCalls: [] };
+
+    beforeEach(() => {
+      mockConfig.agentMode = true;
+      provider.generateWithTools = jest.fn();
+    });
+
+    test('should run tools, feed results back and collect proposed edits', async () => {
+      provider.generateWithTools
+        .mockResolvedValueOnce({
+          text: '',
+          toolCalls: [
+            { id: 'call-1', name: 'read_file', args: { path: 'package.json', start_line: 1, end_line: 2 } },
+            { id: 'call-2', name: 'propose_edit', args: { path: 'package.json', action: 'modify', changes: 'x', content: 'whole file' } }
+          ]
+        })
+        .mockResolvedValueOnce({
+          text: '',
+          toolCalls: [{ id: 'call-3', name: 'propose_edit', args: { path: 'docs/agent.md', action: 'create', changes: '追加', content: '# Agent' } }]
+        })
+        .mockResolvedValueOnce(finalAnswer);
+
+      const result = await solver.generateSolution();
+
+      expect(provider.generate).not.toHaveBeenCalled();
+      const [messages, tools, options] = provider.generateWithTools.mock.calls[1];
+      expect(messages[0].content).toContain('AGENT MODE');
+      expect(tools.map(tool => tool.name)).toEqual(['read_file', 'list_dir', 'grep', 'propose_edit']);
+      expect(options.schema).toBe(SOLUTION_SCHEMA);
+      const toolMessage = messages[2];
+      expect(toolMessage.role).toBe('tool');
+      expect(toolMessage.results[0]).toMatchObject({ id: 'call-1', name: 'read_file', output: expect.stringContaining('1| {') });
+      expect(toolMessage.results[1].error).toContain('modifyアクションでは文字列contentは許可されません');
+      expect(result.files).toEqual([{ path: 'docs/agent.md', action: 'create', changes: '追加', content: '# Agent' }]);
+      expect(solver.solution).toBe(result);
+    });
+
+    test('should stop offering tools once the budget is used up', async () => {
+      mockConfig.agentMaxToolCalls = 2;
+      const readCall = { text: '', toolCalls: [{ id: 'r', name: 'list_dir', args: { path: '.' } }] };
+      provider.generateWithTools
+        .mockResolvedValueOnce(readCall)
+        .mockResolvedValueOnce(readCall)
+        .mockResolvedValueOnce(finalAnswer);
+
+      await solver.generateSolution();
+
+      expect(provider.generateWithTools).toHaveBeenCalledTimes(3);
+      const [messages, tools] = provider.generateWithTools.mock.calls[2];
+      expect(tools).toEqual([]);
+      expect(messages[messages.length - 1].content).toContain('Tool call budget exhausted');
+    });
+
+    test('should fall back to a single request when the provider has no tool support', async () => {
+      delete provider.generateWithTools;
+      provider.generate.mockResolvedValue(JSON.stringify({ type: 'feature', files: [] }));
+
+      const result = await solver.generateSolution();
+
+      expect(provider.generate).toHaveBeenCalledTimes(1);
+      expect(result.type).toBe('feature');
+    });
+  });
+
+  describe('normalizeSolution', () => {
+    test('should convert flat modification fields into content objects', () => {
+      const solution = solver.normalizeSolution({
+        files: [
+          {
+            path: 'README.md',
+            action: 'modify',
+            changes: 'append',
+            content: '',
+            modification_type: 'append',
+            modification_content: 'new line',
+            replace_from: '',
+            replace_to: ''
+          },
+          {
+            path: 'a.js',
+            action: 'modify',
+            changes: 'replace',
+            content: '',
+            modification_type: 'replace',
+            modification_content: '',
+            replace_from: 'foo',
+            replace_to: 'bar'
+          },
+          {
+            path: 'b.js',
+            action: 'create',
+            changes: 'create',
+            content: 'x',
+            modification_type: '',
+            modification_content: '',
+            replace_from: '',
+            replace_to: ''
+          }
+        ]
+      });
+
+      expect(solution.files[0].content).toEqual({ type: 'append', content: 'new line' });
+      expect(solution.files[1].content).toEqual({ type: 'replace', from: 'foo', to: 'bar' });
+      expect(solution.files[2].content).toBe('x');
+    });
+
+    test('should convert flat patch fields into diff content', () => {
+      const solution = solver.normalizeSolution({
+        files: [
+          {
+            path: 'a.js',
+            action: 'modify',
+            changes: 'patch',
+            content: '',
+            modification_type: 'patch',
+            modification_content: '@@ -1 +1 @@\n-a\n+b',
+            replace_from: '',
+            replace_to: ''
+          }
+        ]
+      });
+
+      expect(solution.files[0].content).toEqual({ type: 'patch', diff: '@@ -1 +1 @@\n-a\n+b' });
+    });
+  });
+
+  describe('getPromptTemplate', () => {
+    test('should use object rules for object-format providers', () => {
+      expect(solver.getPromptTemplate()).toContain('NEVER USE STRING CONTENT');
+    });
+
+    test('should use flat field rules for structured-output providers', () => {
+      provider.fileFormat = 'flat';
+      expect(solver.getPromptTemplate()).toContain('modification_type');
+    });
+
+    test('should mention the provider trigger in the prompt', () => {
+      solver.issueAnalysis.hasGeminiTrigger = true;
+      solver.issueAnalysis.latestRequest = 'please fix';
+      const prompt = solver.buildSolutionPrompt();
+
+      expect(prompt).toContain('Has @stub trigger: YES');
+      expect(prompt).toContain('triggered by @stub comment');
+    });
+
+    test('should include the crash site windows', () => {
+      solver.issueAnalysis.crashSites = [{
+        path: 'src/user.js', line: 3, frame: 'formatUser (src/user.js:3:18)', startLine: 1, endLine: 4,
+        snippet: ' 1| function formatUser(user) {\n 2|   const profile = user.profile;\n>3|   return profile.name;\n 4| }'
+      }];
+
+      const prompt = solver.buildSolutionPrompt();
+
+      expect(prompt).toContain('CRASH SITE CONTEXT');
+      expect(prompt).toContain('=== formatUser (src/user.js:3:18) [lines 1-4] ===\n 1| function formatUser(user) {');
+      expect(prompt).toContain('>3|   return profile.name;');
+    });
+
+    test('should list mentioned symbols with their signatures and importers', () => {
+      solver.issueAnalysis.symbols = [{
+        name: 'ConfigLoader.load',
+        definitions: [{ name: 'load', kind: 'method', container: 'ConfigLoader', path: 'src/config.js', line: 14, signature: 'async load(filePath)' }],
+        importers: ['src/cli.js', 'src/server.js']
+      }];
+      solver.issueAnalysis.repositoryContext = {
+        framework: null,
+        symbolGraph: { mostImported: [{ path: 'src/config.js', importers: 2, exports: ['ConfigLoader'] }] }
+      };
+
+      const prompt = solver.buildSolutionPrompt();
+
+      expect(prompt).toContain('SYMBOLS MENTIONED IN THE ISSUE:\n- ConfigLoader.load\n  method of ConfigLoader at src/config.js:14: async load(filePath)\n  imported by: src/cli.js, src/server.js');
+      expect(prompt).toContain('- Most imported modules: src/config.js (2 importers; exports ConfigLoader)');
+    });
+
+    test('should include recent changes and blame near stack frames', () => {
+      solver.issueAnalysis.history = {
+        files: [{ path: 'src/user.js', commits: [{ sha: 'a1b2c3d', date: '2026-03-05', author: 'Bob', subject: 'Read name from profile' }] }],
+        blame: [{
+          path: 'src/user.js', line: 12, startLine: 7, endLine: 17,
+          commits: [
+            { sha: 'uncommitted', date: '', author: '', summary: 'Not committed yet', lines: [[16, 17]], containsLine: false },
+            { sha: 'a1b2c3d', date: '2026-03-05', author: 'Bob', summary: 'Read name from profile', lines: [[12, 12]], containsLine: true }
+          ]
+        }]
+      };
+
+      const prompt = solver.buildSolutionPrompt();
+
+      expect(prompt).toContain('RECENT CHANGES TO RELEVANT FILES');
+      expect(prompt).toContain('- src/user.js\n  a1b2c3d 2026-03-05 Bob: Read name from profile\n');
+      expect(prompt).toContain('- src/user.js:12 (lines 7-17)\n  uncommitted: Not committed yet — lines 16-17\n  a1b2c3d 2026-03-05 Bob: Read name from profile — lines 12 (includes the frame line)\n');
+    });
+
+    test('should point the model at the target workspace package', () => {
+      solver.issueAnalysis.repositoryContext = {
+        framework: 'Express',
+        packageInfo: { name: '@acme/api', moduleType: 'ES6' },
+        targetPackage: { name: '@acme/api', path: 'packages/api', tool: 'pnpm', scripts: ['test'] }
+      };
+
+      const prompt = solver.buildSolutionPrompt();
+
+      expect(prompt).toContain('- Module Type: ES6');
+      expect(prompt).toContain('- Target package: packages/api (@acme/api, pnpm workspace)');
+    });
+
+    test('should add the repository instructions from the config file', () => {
+      solver.config.promptAdditions = 'Use the logger in src/log.js instead of console.log.\n';
+
+      expect(solver.buildSolutionPrompt()).toContain('REPOSITORY INSTRUCTIONS (from the repository config):\nUse the logger in src/log.js instead of console.log.\n\n');
+    });
+
+    test('should include the repository map after the project context', () => {
+      solver.issueAnalysis.repositoryContext = {
+        framework: null,
+        repoMap: [
+          { path: 'src/config.js', size: 2048, exports: ['ConfigLoader'] },
+          { path: 'package.json', size: 300, exports: [] }
+        ]
+      };
+
+      const prompt = solver.buildSolutionPrompt();
+
+      expect(prompt).toContain('REPOSITORY MAP');
+      expect(prompt).toContain('src/\n  config.js (2.0KB) — ConfigLoader\npackage.json (300B)');
+      expect(prompt.indexOf('REPOSITORY MAP')).toBeLessThan(prompt.indexOf('RELEVANT FILES'));
+    });
+  });
+});
+
+describe('provider registry', () => {
+  const config = {
+    geminiApiKey: 'gemini-key',
+    openaiApiKey: 'openai-key',
+    geminiModel: 'gemini-test',
+    openaiModel: 'gpt-test'
+  };
+
+  test('should create built-in providers', () => {
+    expect(createProvider('gemini', config)).toBeInstanceOf(GeminiProvider);
+    expect(createProvider('OpenAI', config)).toBeInstanceOf(OpenAIProvider);
+  });
+
+  test('should throw for unknown providers', () => {
+    expect(() => createProvider('unknown', config)).toThrow('未対応のAIプロバイダーです: unknown');
+  });
+
+  test('should create solvers from registered providers', () => {
+    const stub = { name: 'custom', model: 'custom-model' };
+    registerProvider('custom-test', { label: 'Custom', create: () => stub });
+
+    const solver = createSolver({ ...config, aiProvider: 'custom-test' });
+
+    expect(hasProvider('custom-test')).toBe(true);
+    expect(solver).toBeInstanceOf(IssueSolver);
+    expect(solver.provider).toBe(stub);
+  });
+});
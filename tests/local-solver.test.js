@@ -0,0 +1,110 @@
+const http = require('http');
+const { LocalProvider } = require('../scripts/local-solver');
+const { IssueSolver, SOLUTION_SCHEMA } = require('../scripts/issue-solver');
+
+describe('LocalProvider', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let respond;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const parsed = JSON.parse(body || '{}');
+        requests.push({ url: req.url, body: parsed });
+        const { status, payload } = respond(parsed);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const createConfig = (overrides = {}) => ({
+    localBaseUrl: baseUrl,
+    localModel: 'test-model',
+    localJsonMode: 'json_object',
+    localMaxRetries: 2,
+    localRetryDelay: 1,
+    localTimeout: 5000,
+    ...overrides
+  });
+
+  const completion = content => ({
+    status: 200,
+    payload: {
+      id: 'chatcmpl-test',
+      object: 'chat.completion',
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+    }
+  });
+
+  test('should call chat completions with JSON mode', async () => {
+    respond = () => completion('{"type":"feature"}');
+    const provider = new LocalProvider(createConfig());
+
+    const text = await provider.generate('solve it', SOLUTION_SCHEMA, {});
+
+    expect(text).toBe('{"type":"feature"}');
+    expect(requests).toHaveLength(1);
+    expect(requests[0].url).toBe('/v1/chat/completions');
+    expect(requests[0].body.model).toBe('test-model');
+    expect(requests[0].body.response_format).toEqual({ type: 'json_object' });
+    expect(requests[0].body.messages[0].content).toContain('JSON schema');
+  });
+
+  test('should fall back to prompt-enforced JSON when JSON mode is rejected', async () => {
+    respond = body => body.response_format
+      ? { status: 400, payload: { error: { message: 'response_format is not supported' } } }
+      : completion('{"type":"bug"}');
+    const provider = new LocalProvider(createConfig());
+
+    const text = await provider.generate('solve it', SOLUTION_SCHEMA, {});
+
+    expect(text).toBe('{"type":"bug"}');
+    expect(requests).toHaveLength(2);
+    expect(requests[1].body.response_format).toBeUndefined();
+    expect(provider.jsonMode).toBe('prompt');
+  });
+
+  test('should skip response_format in prompt mode', async () => {
+    respond = () => completion('{}');
+    const provider = new LocalProvider(createConfig({ localJsonMode: 'prompt' }));
+
+    await provider.generate('solve it', SOLUTION_SCHEMA, {});
+
+    expect(requests[0].body.response_format).toBeUndefined();
+  });
+
+  test('should parse fenced JSON through the shared solver fallbacks', async () => {
+    respond = () => completion('Here you go:\n```json\n{"type":"feature","confidence":"high","files":[]}\n```');
+    const config = createConfig();
+    const solver = new IssueSolver(new LocalProvider(config), config);
+    solver.issueAnalysis = {
+      title: 'Local issue',
+      body: 'body',
+      labels: [],
+      relevantFiles: [],
+      fileContents: {},
+      errorInfo: [],
+      technicalContext: { technologies: [] }
+    };
+
+    const solution = await solver.generateSolution();
+
+    expect(solution.type).toBe('feature');
+    expect(solution.confidence).toBe('high');
+  });
+});
@@ -0,0 +1,58 @@
+const { OpenAIProvider } = require('../scripts/openai-solver');
+
+describe('OpenAIProvider', () => {
+  let provider;
+  let create;
+
+  beforeEach(() => {
+    provider = new OpenAIProvider('test-key', { openaiModel: 'gpt-test', openaiTimeout: 5000 });
+    create = jest.fn();
+    provider.client = { responses: { create } };
+  });
+
+  describe('generateWithTools', () => {
+    const tools = [{ name: 'read_file', description: 'Read a file', parameters: { type: 'object', properties: { path: { type: 'string' } } } }];
+
+    test('should send function tools and parse function calls', async () => {
+      const output = [
+        { type: 'reasoning', id: 'rs_1', summary: [] },
+        { type: 'function_call', call_id: 'call_1', name: 'read_file', arguments: '{"path":"a.js"}' }
+      ];
+      create.mockResolvedValue({ output, output_text: '' });
+
+      const response = await provider.generateWithTools([{ role: 'user', content: 'solve' }], tools, { schema: { type: 'object' } });
+
+      const request = create.mock.calls[0][0];
+      expect(request.model).toBe('gpt-test');
+      expect(request.input[1]).toEqual({ role: 'user', content: 'solve' });
+      expect(request.tools).toEqual([{ type: 'function', name: 'read_file', description: 'Read a file', parameters: tools[0].parameters, strict: false }]);
+      expect(request.text.format).toMatchObject({ type: 'json_schema', name: 'issue_solution' });
+      expect(response.toolCalls).toEqual([{ id: 'call_1', name: 'read_file', args: { path: 'a.js' } }]);
+      expect(response.raw).toBe(output);
+    });
+
+    test('should replay output items and send tool results as function_call_output', async () => {
+      const raw = [{ type: 'function_call', call_id: 'call_1', name: 'read_file', arguments: '{' }];
+      create.mockResolvedValue({ output: [], output_text: '{"type":"bug"}' });
+
+      const response = await provider.generateWithTools([
+        { role: 'user', content: 'solve' },
+        { role: 'assistant', content: '', toolCalls: [], raw },
+        { role: 'tool', results: [{ id: 'call_1', name: 'read_file', output: '1| x' }], content: 'budget exhausted' }
+      ], []);
+
+      const request = create.mock.calls[0][0];
+      expect(request.input.slice(2)).toEqual([
+        raw[0],
+        { type: 'function_call_output', call_id: 'call_1', output: '1| x' },
+        { role: 'user', content: 'budget exhausted' }
+      ]);
+      expect(request.tools).toBeUndefined();
+      expect(response).toMatchObject({ text: '{"type":"bug"}', toolCalls: [] });
+    });
+
+    test('should tolerate malformed tool arguments', () => {
+      expect(provider.parseArguments('{')).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PatchApplier } = require('../scripts/patch-applier');
+const { SafeFileManager } = require('../scripts/safe-file-manager');
+const { SolutionValidator } = require('../scripts/solution-validator');
+
+const numbered = count => Array.from({ length: count }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+describe('PatchApplier', () => {
+  let patcher;
+
+  beforeEach(() => {
+    patcher = new PatchApplier();
+  });
+
+  describe('parse', () => {
+    test('should parse hunks and skip file headers', () => {
+      const hunks = patcher.parse([
+        'diff --git a/src/app.js b/src/app.js',
+        '--- a/src/app.js',
+        '+++ b/src/app.js',
+        '@@ -1,2 +1,2 @@',
+        ' keep',
+        '-old',
+        '+new',
+        '\\ No newline at end of file'
+      ].join('\n'));
+
+      expect(hunks).toHaveLength(1);
+      expect(hunks[0]).toMatchObject({ oldStart: 1, oldCount: 2, newStart: 1, newCount: 2 });
+      expect(hunks[0].lines.map(l => l.type)).toEqual([' ', '-', '+']);
+    });
+
+    test('should end a hunk at the next file header of a two-file patch', () => {
+      const hunks = patcher.parse([
+        '--- a/src/a.js',
+        '+++ b/src/a.js',
+        '@@ -1,2 +1,2 @@',
+        ' keep',
+        '-old a',
+        '+new a',
+        '--- a/src/b.js',
+        '+++ b/src/b.js',
+        '@@ -3 +3 @@',
+        '-old b',
+        '+new b',
+        'diff --git a/src/c.js b/src/c.js',
+        '--- a/src/c.js',
+        '+++ b/src/c.js',
+        '@@ -1,2 +1,1 @@',
+        ' keep',
+        '--- not a header while the hunk is open'
+      ].join('\n'));
+
+      expect(hunks.map(hunk => [hunk.file, hunk.lines.map(l => `${l.type}${l.text}`)])).toEqual([
+        ['src/a.js', [' keep', '-old a', '+new a']],
+        ['src/b.js', ['-old b', '+new b']],
+        ['src/c.js', [' keep', '--- not a header while the hunk is open']]
+      ]);
+    });
+
+    test('should reject diffs without hunks', () => {
+      expect(() => patcher.parse('--- a/x\n+++ b/x\n')).toThrow('@@');
+    });
+  });
+
+  describe('apply', () => {
+    test('should apply multiple hunks to a large file', () => {
+      const diff = [
+        '@@ -2,3 +2,3 @@',
+        ' line 2',
+        '-line 3',
+        '+line three',
+        ' line 4',
+        '@@ -50,3 +50,4 @@',
+        ' line 50',
+        ' line 51',
+        '+inserted',
+        ' line 52'
+      ].join('\n');
+
+      const result = patcher.apply(numbered(100), diff);
+
+      expect(result.success).toBe(true);
+      const lines = result.content.split('\n');
+      expect(lines[2]).toBe('line three');
+      expect(lines[51]).toBe('inserted');
+      expect(lines[52]).toBe('line 52');
+      expect(result.content.endsWith('line 100\n')).toBe(true);
+    });
+
+    test('should locate hunks when line numbers are off', () => {
+      const diff = '@@ -10,3 +10,3 @@\n line 29\n-line 30\n+line thirty\n line 31\n';
+
+      const result = patcher.apply(numbered(40), diff);
+
+      expect(result.success).toBe(true);
+      expect(result.applied[0].offset).toBe(19);
+      expect(result.content).toContain('line 29\nline thirty\nline 31');
+    });
+
+    test('should apply with fuzz when outer context differs', () => {
+      const diff = '@@ -4,5 +4,5 @@\n stale context\n line 5\n-line 6\n+line six\n line 7\n line 8\n';
+
+      const strict = patcher.apply(numbered(10), diff, { fuzz: 0 });
+      const fuzzy = patcher.apply(numbered(10), diff, { fuzz: 1 });
+
+      expect(strict.success).toBe(false);
+      expect(fuzzy.success).toBe(true);
+      expect(fuzzy.applied[0].fuzz).toBe(1);
+      expect(fuzzy.content).toContain('line 5\nline six\nline 7');
+    });
+
+    test('should report rejected hunks without touching applied ones', () => {
+      const diff = [
+        '@@ -1,2 +1,2 @@',
+        '-line 1',
+        '+line one',
+        ' line 2',
+        '@@ -5,2 +5,2 @@',
+        ' missing line',
+        '-another missing line',
+        '+replacement'
+      ].join('\n');
+
+      const result = patcher.apply(numbered(6), diff, { fuzz: 0 });
+
+      expect(result.success).toBe(false);
+      expect(result.applied.map(h => h.hunk)).toEqual([1]);
+      expect(result.rejected).toEqual([expect.objectContaining({ hunk: 2, header: '@@ -5,2 +5,2 @@' })]);
+      expect(patcher.formatRejectionReport(result)).toContain('ハンク #2');
+      expect(patcher.formatRejectionReport(result)).toContain('| another missing line');
+    });
+
+    test('should preserve CRLF line endings', () => {
+      const result = patcher.apply('a\r\nb\r\nc\r\n', '@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+
+      expect(result.content).toBe('a\r\nB\r\nc\r\n');
+    });
+
+    test('should add content to an empty file', () => {
+      const result = patcher.apply('', '@@ -0,0 +1,2 @@\n+first\n+second\n');
+
+      expect(result.content).toBe('first\nsecond\n');
+    });
+  });
+});
+
+describe('patch modify content', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'patch-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('SafeFileManager should apply patch content', () => {
+    const filePath = path.join(tmpDir, 'app.js');
+    fs.writeFileSync(filePath, 'const a = 1;\nconst b = 2;\n');
+
+    new SafeFileManager().modifyFile(filePath, { type: 'patch', diff: '@@ -1,2 +1,2 @@\n const a = 1;\n-const b = 2;\n+const b = 3;\n' });
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('const a = 1;\nconst b = 3;\n');
+  });
+
+  test('SafeFileManager should apply only the hunks for the file from a two-file patch', () => {
+    const filePath = path.join(tmpDir, 'src', 'b.js');
+    fs.mkdirSync(path.dirname(filePath));
+    fs.writeFileSync(filePath, 'const b = 1;\n');
+    const diff = [
+      '--- a/src/a.js',
+      '+++ b/src/a.js',
+      '@@ -1 +1 @@',
+      '-const a = 1;',
+      '+const a = 2;',
+      '--- a/src/b.js',
+      '+++ b/src/b.js',
+      '@@ -1 +1 @@',
+      '-const b = 1;',
+      '+const b = 2;',
+      ''
+    ].join('\n');
+
+    new SafeFileManager().modifyFile(filePath, { type: 'patch', diff });
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('const b = 2;\n');
+
+    fs.writeFileSync(path.join(tmpDir, 'c.js'), 'const c = 1;\n');
+    expect(() => new SafeFileManager().modifyFile(path.join(tmpDir, 'c.js'), { type: 'patch', diff }))
+      .toThrow('のハンクが含まれていません（diff のファイル: src/a.js, src/b.js）');
+  });
+
+  test('SafeFileManager should leave the file untouched when a hunk is rejected', () => {
+    const filePath = path.join(tmpDir, 'app.js');
+    fs.writeFileSync(filePath, 'const a = 1;\n');
+
+    expect(() => new SafeFileManager().modifyFile(filePath, { type: 'patch', diff: '@@ -1,1 +1,1 @@\n-const z = 1;\n+const z = 2;\n' }))
+      .toThrow(/パッチの適用に失敗 \(1\/1ハンク\)[\s\S]*ハンク #1/);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('const a = 1;\n');
+  });
+
+  test('SolutionValidator should accept patch content with hunks only', () => {
+    const validator = new SolutionValidator();
+
+    expect(validator.validateModifyContent({ type: 'patch', diff: '@@ -1 +1 @@\n-a\n+b' }).valid).toBe(true);
+    expect(validator.validateModifyContent({ type: 'patch', diff: 'replace a with b' }).valid).toBe(false);
+    expect(validator.validateModifyContent({ type: 'patch' }).valid).toBe(false);
+  });
+});
@@ -0,0 +1,88 @@
+const { PlanComment } = require('../scripts/plan-comment');
+
+describe('PlanComment', () => {
+  const plan = {
+    issueNumber: '42',
+    provider: 'gemini',
+    model: 'gemini-2.5-pro-preview-06-05',
+    baseSha: 'abc1234',
+    createdAt: '2024-01-01T00:00:00Z',
+    solution: {
+      type: 'bug',
+      confidence: 'high',
+      analysis: '戻り値が固定されている',
+      planning: ['引数を使う'],
+      files: [
+        { path: 'src/a.js', action: 'modify', changes: 'a | b\nを修正', content: { type: 'replace', from: 'x', to: 'y' } },
+        { path: 'docs/b.md', action: 'create', changes: '追加', content: '# B\n' }
+      ]
+    }
+  };
+
+  test('should round-trip the plan through the hidden payload', () => {
+    const body = PlanComment.format(plan, []);
+
+    expect(body).toMatch(/<!-- issue-solver-plan:v1:[A-Za-z0-9+/=]+ -->$/);
+    expect(PlanComment.decode(body)).toEqual(plan);
+    expect(PlanComment.decode('no payload')).toBeNull();
+    expect(PlanComment.decode('<!-- issue-solver-plan:v1:bm90IGd6aXA= -->')).toBeNull();
+  });
+
+  test('should render the file table and per-file previews', () => {
+    const body = PlanComment.format(plan, [
+      { path: 'src/a.js', action: 'modify', diff: '--- a/src/a.js\n+++ b/src/a.js\n@@ -1 +1 @@\n-x\n+y ```', error: null },
+      { path: 'docs/b.md', action: 'create', diff: '', error: 'No match' }
+    ]);
+
+    expect(body).toContain('| `src/a.js` | modify | a \\| b を修正 |');
+    expect(body).toContain('<summary><code>src/a.js</code> (+1 −1)</summary>');
+    expect(body).toContain('````diff\n--- a/src/a.js');
+    expect(body).toContain('⚠️ `docs/b.md`: 現在のファイルに適用できませんでした（No match）');
+  });
+
+  test('should shrink previews to fit and drop the payload when it cannot be stored', () => {
+    const diff = `@@ -1 +1 @@\n${'+line\n'.repeat(2000)}`;
+    const previews = [{ path: 'src/a.js', action: 'modify', diff, error: null }];
+
+    const shrunk = PlanComment.format(plan, previews, 5000);
+    expect(shrunk.length).toBeLessThanOrEqual(5000);
+    expect(PlanComment.decode(shrunk)).toEqual(plan);
+
+    const unstorable = PlanComment.format(plan, [], 600);
+    expect(PlanComment.decode(unstorable)).toBeNull();
+    expect(unstorable).toContain('プランが大きすぎるため保存できませんでした');
+  });
+
+  test('should only read plans from the solver bot comments, newest first', () => {
+    const older = { ...plan, baseSha: 'old' };
+    const comments = [
+      { id: 1, body: PlanComment.encode(older), user: { login: 'github-actions[bot]', type: 'Bot' } },
+      { id: 2, body: PlanComment.encode(plan), user: { login: 'github-actions[bot]', type: 'Bot' }, html_url: 'https://example.com/2' },
+      { id: 3, body: PlanComment.encode({ solution: { files: [] } }), user: { login: 'github-actions[bot]', type: 'User' } },
+      { id: 4, body: PlanComment.encode(older), user: { login: 'other-app[bot]', type: 'Bot' } }
+    ];
+
+    expect(PlanComment.findLatest(comments)).toEqual({ plan, commentId: 2, url: 'https://example.com/2' });
+    expect(PlanComment.findLatest([comments[2]])).toBeNull();
+    expect(PlanComment.findLatest(comments, 'other-app[bot]')).toMatchObject({ plan: older, commentId: 4 });
+  });
+
+  describe('applyEdits', () => {
+    test('should skip or keep only the given files', () => {
+      expect(PlanComment.applyEdits(plan, { skip: ['docs/b.md'] })).toMatchObject({
+        solution: { type: 'bug', files: [{ path: 'src/a.js' }] },
+        skipped: ['docs/b.md'],
+        errors: []
+      });
+      expect(PlanComment.applyEdits(plan, { only: ['docs/b.md'] }).solution.files.map(file => file.path)).toEqual(['docs/b.md']);
+      expect(PlanComment.applyEdits(plan).solution.files).toHaveLength(2);
+    });
+
+    test('should report files that are not part of the plan', () => {
+      expect(PlanComment.applyEdits(plan, { skip: ['src/c.js'] }).errors).toEqual([
+        '--skip: "src/c.js" はプランに含まれていません（プランのファイル: src/a.js, docs/b.md）'
+      ]);
+      expect(PlanComment.applyEdits(plan, { skip: ['src/a.js', 'docs/b.md'] }).errors).toEqual(['すべてのファイルが除外されました']);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RepoConfig, DEFAULT_REPO_CONFIG } = require('../scripts/repo-config');
+
+describe('RepoConfig', () => {
+  describe('parse', () => {
+    test('should accept a complete configuration', () => {
+      const settings = RepoConfig.parse([
+        'provider: anthropic',
+        'model: claude-sonnet-4-20250514',
+        'test_command: npm run test:unit',
+        'lint_command: npm run lint',
+        'allowed_paths: [src/, tests/]',
+        'protected_paths:',
+        '  - src/generated/',
+        'allowed_extensions: [.js, .ts]',
+        'max_files_changed: 10',
+        'base_branch: develop',
+        'pull_request:',
+        '  labels: [ai-generated]',
+        '  reviewers: [octocat]',
+        'prompt_additions: |',
+        '  Use the logger in src/log.js.'
+      ].join('\n'));
+
+      expect(settings).toMatchObject({
+        provider: 'anthropic',
+        allowed_paths: ['src/', 'tests/'],
+        max_files_changed: 10,
+        pull_request: { labels: ['ai-generated'], reviewers: ['octocat'] },
+        prompt_additions: 'Use the logger in src/log.js.\n'
+      });
+    });
+
+    test('should treat an empty file as no settings', () => {
+      expect(RepoConfig.parse('# nothing yet\n')).toEqual({});
+    });
+
+    test('should report every schema violation with its path', () => {
+      const error = (() => {
+        try {
+          RepoConfig.parse([
+            'provider: copilot',
+            'model: gpt-4.1',
+            'max_files_changed: 0',
+            'allowed_extensions: [js]',
+            'protected_paths: migrations/',
+            'pull_request:',
+            '  reviewrs: [octocat]',
+            'colour: blue'
+          ].join('\n'));
+        } catch (e) {
+          return e;
+        }
+        return null;
+      })();
+
+      expect(error.message).toContain('.issue-solver.yml の設定が不正です');
+      expect(error.errors).toEqual([
+        'provider: "copilot" は使用できません（gemini, openai, anthropic, local, fake のいずれか）',
+        'max_files_changed: 1 以上を指定してください',
+        'allowed_extensions[0]: "js" の形式が正しくありません（例: ".js"）',
+        'protected_paths: リストで指定してください（文字列が指定されています）',
+        'pull_request.reviewrs: 不明な設定項目です（reviewers の誤りではありませんか？）',
+        expect.stringMatching(/^colour: 不明な設定項目です（使用できる項目: provider, model, /)
+      ]);
+    });
+
+    test('should require provider when model is set', () => {
+      expect(() => RepoConfig.parse('model: gpt-4.1\n')).toThrow('model: provider も指定してください');
+    });
+
+    test('should point at the line of a YAML syntax error', () => {
+      expect(() => RepoConfig.parse('provider: gemini\nallowed_paths: [src/\n', '.github/issue-solver.yml'))
+        .toThrow(/^\.github\/issue-solver\.yml の設定が不正です:\n {2}- YAMLの構文エラー \(\d+行目\)/);
+    });
+  });
+
+  describe('load', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-config-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    test('should return the defaults without a config file', () => {
+      expect(RepoConfig.load(tmpDir)).toEqual({ file: null, settings: DEFAULT_REPO_CONFIG });
+    });
+
+    test('should merge the file over the defaults', () => {
+      fs.mkdirSync(path.join(tmpDir, '.github'));
+      fs.writeFileSync(path.join(tmpDir, '.github', 'issue-solver.yml'), 'base_branch: develop\npull_request:\n  labels: [bot]\n');
+
+      const { file, settings } = RepoConfig.load(tmpDir);
+
+      expect(file).toBe('.github/issue-solver.yml');
+      expect(settings.base_branch).toBe('develop');
+      expect(settings.pull_request).toEqual({ labels: ['bot'], reviewers: [], team_reviewers: [] });
+      expect(settings.protected_paths).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { RepoFileEnumerator, GitignoreMatcher } = require('../scripts/repo-file-enumerator');
+
+describe('GitignoreMatcher', () => {
+  const matcher = new GitignoreMatcher()
+    .add([
+      '# comment',
+      'node_modules/',
+      '*.log',
+      '!keep.log',
+      '/coverage',
+      'docs/**/*.tmp',
+      'cache/'
+    ].join('\n'))
+    .add('generated.js\n', 'packages/api');
+
+  test.each([
+    ['node_modules', true, true],
+    ['packages/web/node_modules', true, true],
+    ['error.log', false, true],
+    ['logs/debug.log', false, true],
+    ['keep.log', false, false],
+    ['coverage', true, true],
+    ['src/coverage', true, false],
+    ['docs/a/b/draft.tmp', false, true],
+    ['docs/draft.tmp', false, true],
+    ['cache', false, false],
+    ['cache', true, true],
+    ['packages/api/generated.js', false, true],
+    ['packages/api/src/generated.js', false, true],
+    ['packages/web/generated.js', false, false],
+    ['src/index.js', false, false]
+  ])('%s (directory: %s) → ignored: %s', (file, isDirectory, expected) => {
+    expect(matcher.ignores(file, isDirectory)).toBe(expected);
+  });
+});
+
+describe('RepoFileEnumerator', () => {
+  let tmpDir;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, file), content);
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-files-'));
+    write('.gitignore', 'tmp/\n*.log\n');
+    write('src/app.js', 'module.exports = 1;\n');
+    write('src/lib/util.ts', 'export const util = 1;\n');
+    write('scripts/tool.py', 'print(1)\n');
+    write('tmp/scratch.js', 'ignored\n');
+    write('debug.log', 'ignored\n');
+    write('node_modules/dep/index.js', 'module.exports = 1;\n');
+    write('dist/index.js', '/******/ (() => { // webpackBootstrap\n');
+    write('public/app.min.js', 'x');
+    write('public/bundle.js', `${'var a=1;'.repeat(400)}\n`);
+    write('lib/compiled.js', `${'"use strict";\n'.repeat(1000)}//# sourceMappingURL=compiled.js.map\n`);
+    write('assets/logo.svg', '<svg></svg>\n');
+    write('assets/raw.dat', Buffer.from([1, 2, 0, 3]));
+    write('package-lock.json', '{}\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const expected = ['.gitignore', 'assets/logo.svg', 'scripts/tool.py', 'src/app.js', 'src/lib/util.ts'];
+
+  test('should honor .gitignore and skip generated and binary files without git', () => {
+    expect(new RepoFileEnumerator({ root: tmpDir }).list()).toEqual(expected);
+  });
+
+  test('should use git ls-files including untracked files that are not ignored', () => {
+    execSync('git init -q && git add src .gitignore && git -c user.email=t@example.com -c user.name=T commit -qm init', { cwd: tmpDir });
+
+    const enumerator = new RepoFileEnumerator({ root: tmpDir });
+    jest.spyOn(enumerator, 'listWithGitignore');
+
+    expect(enumerator.list()).toEqual(expected);
+    expect(enumerator.listWithGitignore).not.toHaveBeenCalled();
+  });
+
+  test('should cache the list until refreshed', () => {
+    const enumerator = new RepoFileEnumerator({ root: tmpDir });
+    enumerator.list();
+    write('src/new.js', 'module.exports = 2;\n');
+
+    expect(enumerator.list()).not.toContain('src/new.js');
+    expect(enumerator.refresh()).toContain('src/new.js');
+  });
+
+  test('should derive extensions counts and directories from the same list', () => {
+    const enumerator = new RepoFileEnumerator({ root: tmpDir });
+
+    expect(enumerator.listByExtension(['.js', '.ts'])).toEqual(['src/app.js', 'src/lib/util.ts']);
+    expect(enumerator.countByExtension()).toEqual({ svg: 1, py: 1, js: 1, ts: 1 });
+    expect(enumerator.listDirectories(1)).toEqual(['assets', 'scripts', 'src']);
+    expect(enumerator.listDirectories()).toContain('src/lib');
+  });
+
+  test('should include generated files when asked', () => {
+    const files = new RepoFileEnumerator({ root: tmpDir, includeGenerated: true }).list();
+
+    expect(files).toEqual(expect.arrayContaining(['dist/index.js', 'public/bundle.js', 'lib/compiled.js']));
+    expect(files).not.toContain('assets/raw.dat');
+  });
+});
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RepoMap } = require('../scripts/repo-map');
+const { RepoFileEnumerator } = require('../scripts/repo-file-enumerator');
+const { SymbolIndex } = require('../scripts/symbol-index');
+const { ContextPacker } = require('../scripts/context-packer');
+
+describe('RepoMap', () => {
+  const files = [
+    { path: 'src/api/users.js', size: 1536, exports: ['listUsers', 'getUser', 'createUser', 'deleteUser'] },
+    { path: 'src/api/orders.js', size: 900, exports: ['listOrders'] },
+    { path: 'src/index.js', size: 120, exports: [] },
+    { path: 'package.json', size: 400, exports: [] },
+    ...Array.from({ length: 40 }, (_, i) => ({ path: `tests/case-${String(i).padStart(2, '0')}.test.js`, size: 2048, exports: [] }))
+  ];
+
+  test('should render directories before files with sizes and exports', () => {
+    const map = RepoMap.render(files, 10000);
+
+    expect(map.split('\n').slice(0, 6)).toEqual([
+      'src/',
+      '  api/',
+      '    orders.js (900B) — listOrders',
+      '    users.js (1.5KB) — listUsers, getUser, createUser, deleteUser',
+      '  index.js (120B)',
+      'tests/'
+    ]);
+    expect(map).toContain('package.json (400B)');
+  });
+
+  test('should collapse directories and exports to fit a tight budget', () => {
+    const map = RepoMap.render(files, 60);
+
+    expect(ContextPacker.estimateTokens(map)).toBeLessThanOrEqual(60);
+    expect(map).toContain('tests/ (40 files, 80.0KB)');
+    expect(map).not.toContain('listUsers');
+  });
+
+  test('should truncate when even the collapsed tree does not fit', () => {
+    const map = RepoMap.render(files, 15);
+
+    expect(map).toMatch(/\.\.\. \(\d+ more entries\)$/);
+  });
+
+  test('should collect sizes and exports from the repository', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-map-'));
+    try {
+      fs.mkdirSync(path.join(tmpDir, 'lib'));
+      fs.writeFileSync(path.join(tmpDir, 'lib/math.js'), 'function add(a, b) { return a + b; }\nmodule.exports = { add };\n');
+      fs.writeFileSync(path.join(tmpDir, 'README.md'), '# Demo\n');
+      const fileEnumerator = new RepoFileEnumerator({ root: tmpDir });
+
+      const collected = RepoMap.collect(fileEnumerator, new SymbolIndex({ root: tmpDir, fileEnumerator }));
+
+      expect(collected).toEqual([
+        { path: 'README.md', size: 7, exports: [] },
+        { path: 'lib/math.js', size: 63, exports: ['add'] }
+      ]);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RepoTools, REPO_TOOLS } = require('../scripts/repo-tools');
+
+describe('RepoTools', () => {
+  const originalCwd = process.cwd();
+  let tmpDir;
+  let outsideDir;
+  let tools;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-tools-'));
+    outsideDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-tools-outside-'));
+    process.chdir(tmpDir);
+    fs.mkdirSync('src');
+    fs.mkdirSync('node_modules/dep', { recursive: true });
+    fs.writeFileSync('src/app.js', Array.from({ length: 10 }, (_, i) => `const line${i + 1} = ${i + 1};`).join('\n') + '\n');
+    fs.writeFileSync('src/util.js', 'function parseUserName(input) {\n  return input.trim();\n}\n');
+    fs.writeFileSync('node_modules/dep/index.js', 'function parseUserName() {}\n');
+    fs.writeFileSync('.env', 'SECRET=1\n');
+    fs.writeFileSync('image.bin', Buffer.from([0, 1, 2, 3]));
+    fs.writeFileSync(path.join(outsideDir, 'secret.txt'), 'outside\n');
+    tools = new RepoTools();
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    fs.rmSync(outsideDir, { recursive: true, force: true });
+  });
+
+  test('should expose read_file, list_dir, grep and propose_edit', () => {
+    expect(REPO_TOOLS.map(tool => tool.name)).toEqual(['read_file', 'list_dir', 'grep', 'propose_edit']);
+  });
+
+  describe('read_file', () => {
+    test('should return numbered lines for the requested range', () => {
+      const { output } = tools.execute('read_file', { path: 'src/app.js', start_line: 3, end_line: 4 });
+
+      expect(output).toContain('src/app.js (3-4行目 / 全11行)');
+      expect(output).toContain('3| const line3 = 3;\n4| const line4 = 4;');
+      expect(output).not.toContain('5| ');
+    });
+
+    test('should cap long reads and tell the model where to continue', () => {
+      const { output } = new RepoTools({ maxReadLines: 2 }).execute('read_file', { path: 'src/app.js' });
+
+      expect(output).toContain('start_line=3');
+    });
+
+    test.each([
+      ['../outside.txt', 'Path is outside project directory'],
+      ['/etc/passwd', 'Path is outside project directory'],
+      ['.env', 'Access to protected path: .env'],
+      ['node_modules/dep/index.js', 'Access to protected path: node_modules']
+    ])('should refuse %s', (filePath, reason) => {
+      expect(tools.execute('read_file', { path: filePath }).error).toContain(reason);
+    });
+
+    test('should refuse symlinks that point outside the project', () => {
+      fs.symlinkSync(path.join(outsideDir, 'secret.txt'), 'link.txt');
+
+      expect(tools.execute('read_file', { path: 'link.txt' }).error).toContain('outside project directory');
+    });
+
+    test('should refuse binary files', () => {
+      expect(tools.execute('read_file', { path: 'image.bin' }).error).toContain('バイナリファイル');
+    });
+
+    test('should refuse files larger than maxFileSize without reading them', () => {
+      fs.writeFileSync('src/dump.log', 'x'.repeat(200));
+      const readFileSync = jest.spyOn(fs, 'readFileSync');
+
+      const { error } = new RepoTools({ maxFileSize: 100 }).execute('read_file', { path: 'src/dump.log' });
+
+      expect(error).toContain('src/dump.log は大きすぎます（200バイト。上限は100バイト）');
+      expect(readFileSync).not.toHaveBeenCalledWith('src/dump.log', 'utf8');
+      readFileSync.mockRestore();
+    });
+  });
+
+  describe('list_dir', () => {
+    test('should list entries without protected paths', () => {
+      const { output } = tools.execute('list_dir', { path: '.' });
+
+      expect(output).toContain('src/');
+      expect(output).toContain('image.bin (4 bytes)');
+      expect(output).not.toContain('node_modules');
+      expect(output).not.toContain('.env');
+    });
+  });
+
+  describe('grep', () => {
+    test('should return matches with file and line, skipping node_modules', () => {
+      const { output } = tools.execute('grep', { pattern: 'parseUser\\w+' });
+
+      expect(output).toBe('src/util.js:1: function parseUserName(input) {');
+    });
+
+    test('should fall back to a literal search for invalid regular expressions', () => {
+      expect(tools.execute('grep', { pattern: 'trim(', path: 'src' }).output).toContain('src/util.js:2:');
+    });
+
+    test('should search nested quantifiers as literal text instead of backtracking', () => {
+      fs.writeFileSync('src/slow.txt', `${'a'.repeat(5000)}!\n`);
+
+      const started = Date.now();
+      const { output } = tools.execute('grep', { pattern: '(a+)+$', path: 'src' });
+
+      expect(Date.now() - started).toBeLessThan(1000);
+      expect(output).toContain('文字列として検索しました');
+      expect(output).toContain('一致する行はありません');
+      expect(RepoTools.hasNestedQuantifier('(\\w*)*x')).toBe(true);
+      expect(RepoTools.hasNestedQuantifier('(a|aa)+')).toBe(true);
+      expect(RepoTools.hasNestedQuantifier('(foo)+ \\(a+\\)+ [(a+)]+')).toBe(false);
+    });
+
+    test('should reject overly long patterns', () => {
+      expect(tools.execute('grep', { pattern: 'a'.repeat(201) }).error).toContain('patternが長すぎます');
+    });
+
+    test('should report unknown tools as errors', () => {
+      expect(tools.execute('rm_rf', {}).error).toContain('不明なツール');
+    });
+  });
+});
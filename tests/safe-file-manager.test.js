@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SafeFileManager } = require('../scripts/safe-file-manager');
+
+describe('SafeFileManager', () => {
+  const originalCwd = process.cwd();
+  let tmpDir;
+  let manager;
+
+  const read = file => fs.readFileSync(path.join(tmpDir, file), 'utf8');
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safe-file-manager-'));
+    process.chdir(tmpDir);
+    fs.writeFileSync('app.js', 'const a = 1;\nconst b = 2;\nconst c = 3;\n');
+    fs.writeFileSync('notes.md', '# Notes\n');
+    manager = new SafeFileManager();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const badEdit = {
+    path: 'app.js',
+    action: 'modify',
+    changes: 'update b',
+    content: { type: 'search_replace', blocks: [{ search: 'const b = 20;', replace: 'const b = 200;' }] }
+  };
+  const goodAppend = {
+    path: 'notes.md',
+    action: 'modify',
+    changes: 'add note',
+    content: { type: 'append', content: '- added' }
+  };
+
+  describe('executeOperations', () => {
+    test('should collect structured failures without stopping the batch', async () => {
+      const { results, failures } = await manager.executeOperations([badEdit, goodAppend]);
+
+      expect(results).toEqual([{ action: 'modified', path: 'notes.md' }]);
+      expect(failures).toHaveLength(1);
+      expect(failures[0]).toMatchObject({
+        path: 'app.js',
+        action: 'modify',
+        operation: badEdit,
+        reason: expect.stringContaining('search/replaceの適用に失敗')
+      });
+      expect(failures[0].blocks[0]).toMatchObject({
+        block: 1,
+        reason: 'searchに一致する箇所が見つかりません',
+        line: 2
+      });
+      expect(failures[0].blocks[0].nearby).toContain('2| const b = 2;');
+    });
+
+    test('should include the file head when the failure is not block specific', async () => {
+      const { failures } = await manager.executeOperations([{ path: 'app.js', action: 'modify', content: { type: 'unknown' } }]);
+
+      expect(failures[0].blocks).toEqual([]);
+      expect(failures[0].nearby).toContain('1| const a = 1;');
+    });
+  });
+
+  describe('safeExecute with repair', () => {
+    test('should re-apply only the regenerated operations', async () => {
+      const repair = jest.fn().mockResolvedValue([{
+        path: 'app.js',
+        action: 'modify',
+        changes: 'update b',
+        content: { type: 'search_replace', blocks: [{ search: 'const b = 2;', replace: 'const b = 200;' }] }
+      }]);
+
+      const results = await manager.safeExecute([badEdit, goodAppend], { repair, maxRepairTurns: 2 });
+
+      expect(repair).toHaveBeenCalledTimes(1);
+      expect(repair.mock.calls[0][0].map(failure => failure.path)).toEqual(['app.js']);
+      expect(results).toHaveLength(2);
+      expect(read('app.js')).toContain('const b = 200;');
+      expect(read('notes.md')).toBe('# Notes\n\n- added');
+    });
+
+    test('should stop after the configured number of turns and roll back', async () => {
+      const repair = jest.fn().mockResolvedValue([badEdit]);
+
+      const error = await manager.safeExecute([goodAppend, badEdit], { repair, maxRepairTurns: 2 }).catch(e => e);
+
+      expect(repair).toHaveBeenCalledTimes(2);
+      expect(error.message).toContain('操作失敗 (app.js)');
+      expect(error.failures[0].path).toBe('app.js');
+      expect(read('notes.md')).toBe('# Notes\n');
+    });
+
+    test('should roll back immediately without a repair handler', async () => {
+      await expect(manager.safeExecute([goodAppend, badEdit])).rejects.toThrow('操作失敗 (app.js)');
+
+      expect(read('notes.md')).toBe('# Notes\n');
+    });
+  });
+
+  describe('repository config rules', () => {
+    test('should reject protected paths and paths outside allowed_paths', () => {
+      const restricted = new SafeFileManager({ allowedPaths: ['src/', '*.md'], protectedPaths: ['src/generated/'] });
+      const create = file => ({ path: file, action: 'create', content: 'module.exports = 1;\n' });
+
+      expect(restricted.validator.validateFileOperation(create('src/app.js')).valid).toBe(true);
+      expect(restricted.validator.validateFileOperation(create('docs/guide.md')).valid).toBe(true);
+      expect(restricted.validator.validateFileOperation(create('src/generated/api.js')).reason).toContain('protected by the repository config');
+      expect(restricted.validator.validateFileOperation(create('lib/app.js')).reason).toContain('outside allowed_paths');
+    });
+
+    test('should attach the rejected paths to the validation error', async () => {
+      const restricted = new SafeFileManager({ protectedPaths: ['src/generated/'] });
+      const rejected = restricted.safeExecute([{ path: 'src/generated/api.js', action: 'create', content: 'module.exports = 1;\n' }]);
+
+      await expect(rejected).rejects.toMatchObject({
+        message: expect.stringContaining('ファイル操作の検証に失敗'),
+        rejections: [{ path: 'src/generated/api.js', reason: expect.stringContaining('protected by the repository config') }]
+      });
+    });
+
+    test('should replace the allowed extensions', () => {
+      const restricted = new SafeFileManager({ allowedExtensions: ['.py'] });
+
+      expect(restricted.validator.validateFileOperation({ path: 'app.py', action: 'create', content: 'x = 1\n' }).valid).toBe(true);
+      expect(restricted.validator.validateFileOperation({ path: 'notes.md', action: 'create', content: '# x\n' }).reason).toBe('File type .md is not allowed');
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SearchReplaceApplier } = require('../scripts/search-replace-applier');
+const { SafeFileManager } = require('../scripts/safe-file-manager');
+const { SolutionValidator } = require('../scripts/solution-validator');
+
+describe('SearchReplaceApplier', () => {
+  let applier;
+
+  const source = [
+    'function add(a, b) {',
+    '  return a + b;',
+    '}',
+    '',
+    'function sub(a, b) {',
+    '  return a - b;',
+    '}',
+    ''
+  ].join('\n');
+
+  beforeEach(() => {
+    applier = new SearchReplaceApplier();
+  });
+
+  test('should apply ordered blocks that match exactly once', () => {
+    const result = applier.apply(source, [
+      { search: '  return a + b;', replace: '  return Number(a) + Number(b);' },
+      { search: 'function sub(a, b) {\n  return a - b;', replace: 'function sub(a, b) {\n  return Number(a) - Number(b);' }
+    ]);
+
+    expect(result.success).toBe(true);
+    expect(result.applied.map(block => block.strategy)).toEqual(['exact', 'exact']);
+    expect(result.content).toContain('return Number(a) + Number(b);');
+    expect(result.content).toContain('return Number(a) - Number(b);');
+  });
+
+  test('should apply later blocks to the result of earlier ones', () => {
+    const result = applier.apply(source, [
+      { search: 'return a + b;', replace: 'return sum(a, b);' },
+      { search: 'return sum(a, b);', replace: 'return sum(a, b, 0);' }
+    ]);
+
+    expect(result.content).toContain('return sum(a, b, 0);');
+  });
+
+  test('should tolerate trailing whitespace drift', () => {
+    const result = applier.apply('const a = 1;   \nconst b = 2;\n', [
+      { search: 'const a = 1;\nconst b = 2;', replace: 'const a = 10;\nconst b = 20;' }
+    ]);
+
+    expect(result.success).toBe(true);
+    expect(result.applied[0].strategy).toBe('trailing-whitespace');
+    expect(result.content).toBe('const a = 10;\nconst b = 20;\n');
+  });
+
+  test('should tolerate indentation drift and re-indent the replacement', () => {
+    const content = 'class A {\n    run() {\n        return 1;\n    }\n}\n';
+
+    const result = applier.apply(content, [
+      { search: 'run() {\n    return 1;\n}', replace: 'run() {\n    const value = 2;\n    return value;\n}' }
+    ]);
+
+    expect(result.success).toBe(true);
+    expect(result.applied[0].strategy).toBe('indentation');
+    expect(result.content).toBe('class A {\n    run() {\n        const value = 2;\n        return value;\n    }\n}\n');
+  });
+
+  test('should reject ambiguous blocks with the matching line numbers', () => {
+    const result = applier.apply(source, [{ search: '}', replace: '};' }]);
+
+    expect(result.success).toBe(false);
+    expect(result.failures[0].reason).toContain('2箇所に一致しました');
+    expect(result.failures[0].lines).toEqual([3, 7]);
+    expect(result.content).toBe(source);
+  });
+
+  test('should explain missing blocks with the closest region', () => {
+    const result = applier.apply(source, [
+      { search: 'function sub(a, b) {\n  return b - a;\n}', replace: '' }
+    ]);
+
+    expect(result.success).toBe(false);
+    expect(result.failures[0].hint).toMatchObject({ line: 5, matchedLines: 2, totalLines: 3 });
+    const report = applier.formatFailureReport(result, 'math.js');
+    expect(report).toContain('math.js ブロック #1: searchに一致する箇所が見つかりません');
+    expect(report).toContain('最も近い箇所 (5行目, 2/3行一致)');
+    expect(report).toContain('|   return a - b;');
+  });
+
+  test('should reject empty search text', () => {
+    const result = applier.apply(source, [{ search: '  ', replace: 'x' }]);
+
+    expect(result.failures[0].reason).toContain('searchが空です');
+  });
+});
+
+describe('search_replace modify content', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-replace-'));
+    filePath = path.join(tmpDir, 'app.js');
+    fs.writeFileSync(filePath, 'const a = 1;\nconst b = 1;\n');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('SafeFileManager should fail hard instead of silently skipping', () => {
+    const manager = new SafeFileManager();
+
+    expect(() => manager.modifyFile(filePath, {
+      type: 'search_replace',
+      blocks: [
+        { search: 'const a = 1;', replace: 'const a = 2;' },
+        { search: 'const c = 1;', replace: 'const c = 2;' }
+      ]
+    })).toThrow(/search\/replaceの適用に失敗 \(1\/2ブロック\)[\s\S]*ブロック #2/);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('const a = 1;\nconst b = 1;\n');
+  });
+
+  test('SolutionValidator should check blocks against the current file', () => {
+    const validator = new SolutionValidator();
+    const solution = {
+      files: [{
+        path: filePath,
+        action: 'modify',
+        content: { type: 'search_replace', blocks: [{ search: '= 1;', replace: '= 2;' }] }
+      }]
+    };
+
+    const validation = validator.validateSolution(solution);
+
+    expect(validation.valid).toBe(false);
+    expect(validation.errors[0]).toContain('searchが2箇所に一致しました');
+  });
+
+  test('SolutionValidator should check later operations against the earlier edits of the same file', () => {
+    const validator = new SolutionValidator();
+    const edit = (search, replace) => ({ path: filePath, action: 'modify', content: { type: 'search_replace', blocks: [{ search, replace }] } });
+    const newFile = path.join(tmpDir, 'new.js');
+
+    expect(validator.validateSolution({
+      files: [
+        edit('const a = 1;', 'const a = 1;\nconst helper = () => a;'),
+        edit('const helper = () => a;', 'const helper = () => a + 1;'),
+        { path: newFile, action: 'create', content: 'module.exports = 1;\n' },
+        { path: newFile, action: 'modify', content: { type: 'search_replace', blocks: [{ search: '= 1;', replace: '= 2;' }] } }
+      ]
+    })).toMatchObject({ valid: true, errors: [] });
+
+    const stale = validator.validateSolution({ files: [edit('const a = 1;', 'const a = 2;'), edit('const a = 1;', 'const a = 3;')] });
+    expect(stale.errors).toEqual([expect.stringMatching(/^files\[1\]: search\/replaceブロックを適用できません/)]);
+  });
+});
@@ -0,0 +1,121 @@
+const { SlashCommandParser } = require('../scripts/slash-command-parser');
+
+describe('SlashCommandParser', () => {
+  describe('parse', () => {
+    test('should parse /solve with all options', () => {
+      const command = SlashCommandParser.parse('/solve --model pro --files src/a.js,src/b.js --dry-run --no-tests');
+
+      expect(command).toEqual({
+        name: 'solve',
+        options: {
+          provider: 'gemini',
+          model: 'gemini-2.5-pro-preview-06-05',
+          files: ['src/a.js', 'src/b.js'],
+          dryRun: true,
+          noTests: true
+        },
+        errors: [],
+        line: '/solve --model pro --files src/a.js,src/b.js --dry-run --no-tests'
+      });
+    });
+
+    test.each([
+      ['/plan', 'plan'],
+      ['/retry', 'retry'],
+      ['/cancel', 'cancel'],
+      ['Thanks!\n\n  /SOLVE', 'solve']
+    ])('%j → %s', (text, name) => {
+      expect(SlashCommandParser.parse(text)).toMatchObject({ name, options: {}, errors: [] });
+    });
+
+    test.each([
+      ['no command', 'Please fix this'],
+      ['a word mentioning OpenAI', 'We use OpenAI elsewhere, use gpt naming'],
+      ['another bot command', '/assign @me'],
+      ['a path', '/usr/bin/node crashed'],
+      ['a mid-line command', 'run /solve later'],
+      ['a fenced code block', '```\n/solve --dry-run\n```']
+    ])('should ignore %s', (_, text) => {
+      expect(SlashCommandParser.parse(text)).toBeNull();
+    });
+
+    test('should accept --flag=value and quoted values', () => {
+      const command = SlashCommandParser.parse('/solve --provider=local --model "qwen2.5-coder:14b" --files=\'a.js, b.js\'');
+
+      expect(command.options).toEqual({ provider: 'local', model: 'qwen2.5-coder:14b', files: ['a.js', 'b.js'] });
+    });
+
+    test('should accept branch names for --base and reject option-like values', () => {
+      expect(SlashCommandParser.parse('/solve --base release/1.2').options).toEqual({ base: 'release/1.2' });
+      expect(SlashCommandParser.parse('/solve --base=--force').errors).toEqual(['--base: "--force" はブランチ名として使用できません']);
+      expect(SlashCommandParser.parse('/approve --base develop').errors[0]).toContain('--base: 不明なオプションです');
+    });
+
+    test('should infer providers from full model names', () => {
+      expect(SlashCommandParser.parse('/solve --model claude-opus-4-20250514').options.provider).toBe('anthropic');
+      expect(SlashCommandParser.parse('/solve --model gpt-4.1').options.provider).toBe('openai');
+      expect(SlashCommandParser.parse('/solve --model o4-mini').options.provider).toBe('openai');
+    });
+  });
+
+  describe('errors', () => {
+    const errorsOf = text => SlashCommandParser.parse(text).errors;
+
+    test('should suggest the closest flag for a typo', () => {
+      expect(errorsOf('/solve --dryrun')).toEqual(['--dryrun: 不明なオプションです（--dry-run の誤りではありませんか？）']);
+    });
+
+    test('should list the flags a command accepts', () => {
+      expect(errorsOf('/plan --no-tests')).toEqual(['--no-tests: 不明なオプションです（/plan で使用できるオプション: --model, --provider, --files, --base）']);
+      expect(errorsOf('/cancel --force')).toEqual(['--force: /cancel にはオプションを指定できません']);
+    });
+
+    test('should report missing values, values on switches and stray arguments', () => {
+      expect(errorsOf('/solve --model --dry-run=yes please')).toEqual([
+        '--model: 値を指定してください（例: --model pro）',
+        '--dry-run: 値は指定できません',
+        '"please": 不明な引数です（オプションは --名前 の形式で指定してください）'
+      ]);
+    });
+
+    test('should reject unknown providers and models', () => {
+      expect(errorsOf('/solve --provider copilot')).toEqual(['--provider: "copilot" は使用できません（gemini, openai, anthropic, local のいずれか）']);
+      expect(errorsOf('/solve --model turbo')[0]).toContain('"turbo" のプロバイダーを判別できません');
+      expect(errorsOf('/solve --provider gemini --model opus')).toEqual(['--model: "opus" は anthropic のモデルです（--provider gemini と一致しません）']);
+    });
+
+    test('should format a reply with the errors and usage', () => {
+      const reply = SlashCommandParser.formatErrorReply(SlashCommandParser.parse('/solve --dryrun'));
+
+      expect(reply).toContain('❌ `/solve` コマンドを解釈できませんでした。');
+      expect(reply).toContain('- --dryrun: 不明なオプションです');
+      expect(reply).toContain('/solve [--model <モデル>] [--provider <プロバイダー>] [--files <a.js,b.js>] [--base <ブランチ>] [--dry-run] [--no-tests]');
+      // 返信に含まれる使い方がコマンドとして解釈されないこと
+      expect(SlashCommandParser.parse(reply)).toBeNull();
+    });
+  });
+
+  describe('resolve', () => {
+    const parse = text => SlashCommandParser.parse(text);
+
+    test('should repeat the previous /solve or /plan with the /retry options on top', () => {
+      const history = [parse('/plan --model flash'), parse('/solve --model opus --files a.js'), parse('/cancel')];
+
+      expect(SlashCommandParser.resolve(parse('/retry --dry-run'), history)).toMatchObject({
+        name: 'solve',
+        retry: true,
+        options: { provider: 'anthropic', model: 'claude-opus-4-20250514', files: ['a.js'], dryRun: true }
+      });
+    });
+
+    test('should fall back to /solve when there is nothing to retry', () => {
+      expect(SlashCommandParser.resolve(parse('/retry'), [null])).toMatchObject({ name: 'solve', retry: true });
+    });
+
+    test('should leave other commands unchanged', () => {
+      const command = parse('/plan');
+      expect(SlashCommandParser.resolve(command, [parse('/solve')])).toBe(command);
+      expect(SlashCommandParser.resolve(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { StackTraceParser } = require('../scripts/stack-trace-parser');
+
+describe('StackTraceParser', () => {
+  describe('parse', () => {
+    test('should parse Node.js frames with and without function names', () => {
+      const frames = StackTraceParser.parse([
+        'TypeError: Cannot read properties of undefined (reading \'name\')',
+        '    at formatUser (/home/runner/work/app/app/src/user.js:12:18)',
+        '    at async Promise.all (index 0)',
+        '    at async main (file:///home/runner/work/app/app/src/cli.mjs:3:9)',
+        '    at /home/runner/work/app/app/src/index.js:7:1',
+        '    at formatUser (/home/runner/work/app/app/src/user.js:12:18)'
+      ].join('\n'));
+
+      expect(frames.map(({ file, line, column, function: fn }) => ({ file, line, column, fn }))).toEqual([
+        { file: '/home/runner/work/app/app/src/user.js', line: 12, column: 18, fn: 'formatUser' },
+        { file: '/home/runner/work/app/app/src/cli.mjs', line: 3, column: 9, fn: 'main' },
+        { file: '/home/runner/work/app/app/src/index.js', line: 7, column: 1, fn: null }
+      ]);
+    });
+
+    test('should order Python frames from the raising frame outward', () => {
+      const frames = StackTraceParser.parse([
+        'Traceback (most recent call last):',
+        '  File "/github/workspace/app/main.py", line 10, in <module>',
+        '    run()',
+        '  File "/github/workspace/app/service.py", line 22, in build',
+        '    total = rows[0]',
+        'IndexError: list index out of range'
+      ].join('\n'));
+
+      expect(frames.map(frame => [frame.file, frame.line, frame.function])).toEqual([
+        ['/github/workspace/app/service.py', 22, 'build'],
+        ['/github/workspace/app/main.py', 10, '<module>']
+      ]);
+    });
+
+    test('should parse Java frames into package paths', () => {
+      const [frame] = StackTraceParser.parse('java.lang.NullPointerException\n\tat com.example.report.ReportService.build(ReportService.java:42)');
+
+      expect(frame).toMatchObject({ file: 'com/example/report/ReportService.java', line: 42, function: 'ReportService.build', language: 'java' });
+    });
+  });
+
+  describe('toRepoPath', () => {
+    const repoFiles = ['src/user.js', 'app/service.py', 'src/main/java/com/example/report/ReportService.java', 'lib/index.js', 'test/index.js'];
+
+    test.each([
+      ['/home/runner/work/app/app/src/user.js', 'src/user.js'],
+      ['/github/workspace/app/service.py', 'app/service.py'],
+      ['C:\\actions-runner\\_work\\app\\app\\src\\user.js', 'src/user.js'],
+      ['/root/repo/src/user.js', 'src/user.js'],
+      ['com/example/report/ReportService.java', 'src/main/java/com/example/report/ReportService.java'],
+      ['/home/runner/work/app/app/node_modules/jest/build/index.js', null],
+      ['node:internal/modules/cjs/loader', null],
+      ['/usr/lib/python3.11/json/decoder.py', null],
+      ['/somewhere/else/index.js', null]
+    ])('%s → %s', (file, expected) => {
+      expect(StackTraceParser.toRepoPath(file, repoFiles, '/root/repo')).toBe(expected);
+    });
+  });
+
+  describe('getSourceWindow', () => {
+    test('should return numbered lines around the frame and mark the frame line', () => {
+      const content = Array.from({ length: 100 }, (_, i) => `line ${i + 1}`).join('\n');
+
+      const window = StackTraceParser.getSourceWindow(content, 50, 30);
+
+      expect(window.startLine).toBe(20);
+      expect(window.endLine).toBe(80);
+      expect(window.snippet).toContain('>50| line 50');
+      expect(window.snippet).toContain(' 49| line 49');
+      expect(window.snippet.split('\n')).toHaveLength(61);
+    });
+
+    test('should clamp at the file boundaries and reject lines outside the file', () => {
+      expect(StackTraceParser.getSourceWindow('a\nb\nc', 2, 30)).toEqual({ startLine: 1, endLine: 3, snippet: ' 1| a\n>2| b\n 3| c' });
+      expect(StackTraceParser.getSourceWindow('a\nb', 10, 30)).toBeNull();
+    });
+  });
+});
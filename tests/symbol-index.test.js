@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SymbolIndex } = require('../scripts/symbol-index');
+
+describe('SymbolIndex', () => {
+  describe('extract', () => {
+    test('should extract JavaScript definitions, exports and require edges', () => {
+      const result = SymbolIndex.extract([
+        'const fs = require(\'fs\');',
+        'const { loadDefaults, MERGE_KEYS: keys } = require(\'./defaults\');',
+        '',
+        '/**',
+        ' * class Ignored {',
+        ' */',
+        'class ConfigLoader {',
+        '  constructor(options) {',
+        '    if (options) {',
+        '      this.options = options;',
+        '    }',
+        '  }',
+        '',
+        '  async load(filePath) {',
+        '    return parseConfig(fs.readFileSync(filePath, \'utf8\'));',
+        '  }',
+        '}',
+        '',
+        'const parseConfig = (raw) => JSON.parse(raw);',
+        '',
+        'module.exports = { ConfigLoader, parseConfig };'
+      ].join('\n'), 'src/config.js');
+
+      expect(result.definitions.map(d => [d.kind, d.name, d.line, d.container])).toEqual([
+        ['class', 'ConfigLoader', 7, undefined],
+        ['method', 'constructor', 8, 'ConfigLoader'],
+        ['method', 'load', 14, 'ConfigLoader'],
+        ['function', 'parseConfig', 19, undefined]
+      ]);
+      expect(result.definitions[2].signature).toBe('async load(filePath)');
+      expect(result.exports).toEqual(['ConfigLoader', 'parseConfig']);
+      expect(result.imports).toEqual([
+        { source: 'fs', names: ['fs'], line: 1 },
+        { source: './defaults', names: ['loadDefaults', 'MERGE_KEYS'], line: 2 }
+      ]);
+    });
+
+    test('should extract TypeScript exports and multi-line imports', () => {
+      const result = SymbolIndex.extract([
+        'import {',
+        '  formatDate,',
+        '  type DateOptions as Options',
+        '} from \'./date\';',
+        'import * as api from \'../api\';',
+        '',
+        'export interface Report { total: number }',
+        'export function buildReport(rows: Row[]): Report {',
+        '  return { total: rows.length };',
+        '}',
+        'export { formatDate as format };',
+        'export * from \'./shared\';'
+      ].join('\n'), 'src/report.ts');
+
+      expect(result.definitions.map(d => `${d.kind}:${d.name}`)).toEqual(['interface:Report', 'function:buildReport']);
+      expect(result.definitions[1].signature).toBe('export function buildReport(rows: Row[]): Report');
+      expect(result.exports).toEqual(expect.arrayContaining(['Report', 'buildReport', 'format']));
+      expect(result.imports.map(i => [i.source, i.names])).toEqual([
+        ['./date', ['formatDate', 'DateOptions']],
+        ['../api', ['*']],
+        ['./shared', ['*']]
+      ]);
+    });
+
+    test('should extract Python classes, methods, __all__ and imports', () => {
+      const result = SymbolIndex.extract([
+        'import os, json as j',
+        'from .storage import save_report, load_report as load',
+        '',
+        '__all__ = ["ReportService"]',
+        '',
+        'class ReportService:',
+        '    def build(self, rows):',
+        '        return rows',
+        '',
+        'def _helper():',
+        '    pass'
+      ].join('\n'), 'app/service.py');
+
+      expect(result.definitions.map(d => [d.kind, d.name, d.container])).toEqual([
+        ['class', 'ReportService', undefined],
+        ['method', 'build', 'ReportService'],
+        ['function', '_helper', undefined]
+      ]);
+      expect(result.exports).toEqual(['ReportService']);
+      expect(result.imports).toEqual([
+        { source: 'os', names: [], line: 1 },
+        { source: 'json', names: [], line: 1 },
+        { source: '.storage', names: ['save_report', 'load_report'], line: 2 }
+      ]);
+    });
+  });
+
+  describe('repository index', () => {
+    let tmpDir;
+    let index;
+
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, file), content);
+    };
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'symbol-index-'));
+      write('src/config/parser.js', 'function parseConfig(raw, options = {}) {\n  return JSON.parse(raw);\n}\nmodule.exports = { parseConfig };\n');
+      write('src/config/index.js', 'module.exports = require(\'./parser\');\n');
+      write('src/cli.js', 'const { parseConfig } = require(\'./config/parser\');\nparseConfig(process.argv[2]);\n');
+      write('src/server.ts', 'import config from \'./config\';\nexport const start = () => config;\n');
+      write('app/__init__.py', '');
+      write('app/storage.py', 'def save_report(report):\n    pass\n');
+      write('app/service.py', 'from .storage import save_report\n');
+      write('scripts/run.py', 'from app.storage import save_report\n');
+      index = new SymbolIndex({
+        root: tmpDir,
+        files: ['src/config/parser.js', 'src/config/index.js', 'src/cli.js', 'src/server.ts', 'app/__init__.py', 'app/storage.py', 'app/service.py', 'scripts/run.py']
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should resolve relative JS and Python imports to repository files', () => {
+      const edges = index.load().edges.map(edge => `${edge.from} -> ${edge.to}`);
+
+      expect(edges).toEqual(expect.arrayContaining([
+        'src/config/index.js -> src/config/parser.js',
+        'src/cli.js -> src/config/parser.js',
+        'src/server.ts -> src/config/index.js',
+        'app/service.py -> app/storage.py',
+        'scripts/run.py -> app/storage.py'
+      ]));
+    });
+
+    test('should find mentioned symbols with their definitions and importers', () => {
+      const [symbol, ...rest] = index.findMentionedSymbols('`parseConfig` crashes on empty input. save_report is fine. The parser is slow.');
+
+      expect(symbol.name).toBe('parseConfig');
+      expect(symbol.definitions[0]).toMatchObject({ path: 'src/config/parser.js', line: 1, signature: 'function parseConfig(raw, options = {})', exported: true });
+      expect(symbol.importers).toEqual(['src/cli.js', 'src/config/index.js']);
+      expect(rest.map(s => s.name)).toEqual(['save_report']);
+    });
+
+    test('should summarize the most imported modules', () => {
+      const summary = index.getSummary();
+
+      expect(summary.files).toBe(8);
+      expect(summary.mostImported[0]).toEqual({ path: 'app/storage.py', importers: 2, exports: ['save_report'] });
+    });
+  });
+});
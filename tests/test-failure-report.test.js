@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { TestFailureReport } = require('../scripts/test-failure-report');
+
+describe('TestFailureReport', () => {
+  describe('trim', () => {
+    test('should keep failing jest tests and project stack frames only', () => {
+      const output = [
+        'PASS tests/other.test.js',
+        ...Array.from({ length: 50 }, (_, i) => `  ✓ passing test ${i}`),
+        'FAIL tests/greet.test.js',
+        '  ● greet › uses the name',
+        '',
+        '    expect(received).toBe(expected)',
+        '',
+        '    Expected: "Hello, Alice"',
+        '    Received: "Hello, world"',
+        '',
+        '      at Object.<anonymous> (tests/greet.test.js:5:24)',
+        '      at Promise.then.completed (node_modules/jest-circus/build/utils.js:298:28)',
+        '      at processTicksAndRejections (node:internal/process/task_queues:95:5)',
+        '',
+        'Tests:       1 failed, 50 passed, 51 total'
+      ].join('\n');
+
+      const trimmed = TestFailureReport.trim(output);
+
+      expect(trimmed).toContain('● greet › uses the name');
+      expect(trimmed).toContain('Received: "Hello, world"');
+      expect(trimmed).toContain('tests/greet.test.js:5:24');
+      expect(trimmed).toContain('Tests:       1 failed');
+      expect(trimmed).not.toContain('passing test 10');
+      expect(trimmed).not.toContain('node_modules');
+      expect(trimmed).not.toContain('node:internal');
+    });
+
+    test('should keep pytest failure lines', () => {
+      const output = [
+        '============================= test session starts ==============================',
+        'collected 3 items',
+        'tests/test_app.py ..F',
+        '_________________________________ test_total _________________________________',
+        '    def test_total():',
+        '>       assert total([1, 2]) == 4',
+        'E       assert 3 == 4',
+        '  File "app/total.py", line 3, in total',
+        'FAILED tests/test_app.py::test_total - assert 3 == 4',
+        '========================= 1 failed, 2 passed in 0.05s ========================='
+      ].join('\n');
+
+      const trimmed = TestFailureReport.trim(output);
+
+      expect(trimmed).toContain('E       assert 3 == 4');
+      expect(trimmed).toContain('File "app/total.py", line 3');
+      expect(trimmed).toContain('FAILED tests/test_app.py::test_total');
+      expect(trimmed).toContain('1 failed, 2 passed');
+    });
+
+    test('should fall back to the tail and respect the size limit', () => {
+      const output = Array.from({ length: 200 }, (_, i) => `log line ${i}`).join('\n');
+
+      const trimmed = TestFailureReport.trim(output, { maxChars: 100 });
+
+      expect(trimmed).toContain('log line 199');
+      expect(trimmed).not.toContain('log line 0\n');
+      expect(trimmed).toMatch(/^\.\.\. \(\d+文字省略\)/);
+    });
+
+    test('should strip ANSI colors', () => {
+      expect(TestFailureReport.trim('\x1b[31m● broken test\x1b[39m')).toBe('● broken test');
+    });
+  });
+
+  describe('getCurrentDiff', () => {
+    const originalCwd = process.cwd();
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-failure-report-'));
+      process.chdir(tmpDir);
+      execSync('git init -q && git config user.email "test@example.com" && git config user.name "Test"');
+      fs.writeFileSync('app.js', 'const a = 1;\n');
+      execSync('git add -A && git commit -q -m initial');
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should include modified and untracked files', () => {
+      fs.writeFileSync('app.js', 'const a = 2;\n');
+      fs.writeFileSync('helper.js', 'module.exports = {};\n');
+
+      const diff = TestFailureReport.getCurrentDiff();
+
+      expect(diff).toContain('-const a = 1;\n+const a = 2;');
+      expect(diff).toContain('+++ b/helper.js');
+      expect(diff).toContain('+module.exports = {};');
+    });
+
+    test('should not run shell syntax in untracked file names', () => {
+      const name = 'x$(touch pwned)`touch pwned2`\\".js';
+      fs.writeFileSync(name, 'module.exports = {};\n');
+
+      const diff = TestFailureReport.getCurrentDiff();
+
+      expect(diff).toContain('+module.exports = {};');
+      expect(fs.existsSync('pwned')).toBe(false);
+      expect(fs.existsSync('pwned2')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WorkspaceDetector } = require('../scripts/workspace-detector');
+
+describe('WorkspaceDetector', () => {
+  let tmpDir;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(tmpDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  };
+
+  const detect = () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const detector = new WorkspaceDetector({ root: tmpDir });
+    const workspace = detector.detect();
+    jest.restoreAllMocks();
+    return { detector, workspace };
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should return no packages for a single-package repository', () => {
+    write('package.json', { name: 'app', scripts: { test: 'jest' } });
+    write('src/index.js', 'module.exports = 1;\n');
+
+    expect(detect().workspace).toEqual({ tool: null, packages: [] });
+  });
+
+  test('should expand npm workspaces globs with negations', () => {
+    write('package.json', { name: 'root', private: true, workspaces: ['packages/*', 'apps/**', '!packages/legacy'] });
+    write('packages/api/package.json', { name: '@acme/api', type: 'module', scripts: { test: 'vitest', lint: 'eslint .' } });
+    write('packages/legacy/package.json', { name: '@acme/legacy' });
+    write('apps/web/client/package.json', { name: 'web-client' });
+    write('tools/package.json', { name: 'tools' });
+
+    const { workspace } = detect();
+
+    expect(workspace.tool).toBe('npm');
+    expect(workspace.packages.map(pkg => [pkg.path, pkg.name])).toEqual([
+      ['apps/web/client', 'web-client'],
+      ['packages/api', '@acme/api']
+    ]);
+    expect(workspace.packages[1]).toMatchObject({ scripts: ['test', 'lint'], manifest: { moduleType: 'ES6' } });
+  });
+
+  test('should read yarn workspaces.packages and pnpm-workspace.yaml', () => {
+    write('package.json', { workspaces: { packages: ['libs/*'] } });
+    write('yarn.lock', '');
+    write('libs/core/package.json', { name: 'core' });
+    expect(detect().workspace).toMatchObject({ tool: 'yarn', packages: [{ name: 'core', path: 'libs/core' }] });
+
+    fs.rmSync(path.join(tmpDir, 'yarn.lock'));
+    write('pnpm-workspace.yaml', ['packages:', '  - \'services/*\' # services', '  - "!services/old"', 'catalog:', '  - ignored/*', ''].join('\n'));
+    write('services/billing/package.json', { name: 'billing' });
+    write('services/old/package.json', { name: 'old' });
+    expect(detect().workspace.packages.map(pkg => pkg.name)).toEqual(['core', 'billing']);
+  });
+
+  test('should use lerna defaults and nx project.json targets', () => {
+    write('lerna.json', { version: 'independent' });
+    write('packages/ui/package.json', { name: 'ui', scripts: { test: 'jest' } });
+    expect(detect().workspace).toMatchObject({ tool: 'lerna', packages: [{ name: 'ui' }] });
+
+    write('nx.json', {});
+    write('apps/admin/project.json', { name: 'admin', targets: { test: {}, lint: {} } });
+    const { packages } = detect().workspace;
+    expect(packages.map(pkg => [pkg.name, pkg.tool, pkg.manifest])).toEqual([['admin', 'nx', null], ['ui', 'nx', expect.any(Object)]]);
+    expect(packages[0].scripts).toEqual(['test', 'lint']);
+  });
+
+  test('should pick the package owning the highest ranked relevant files', () => {
+    write('package.json', { workspaces: ['packages/*', 'packages/api/plugins/*'] });
+    write('packages/api/package.json', { name: 'api' });
+    write('packages/api/plugins/auth/package.json', { name: 'auth-plugin' });
+    write('packages/web/package.json', { name: 'web' });
+    const { detector } = detect();
+
+    expect(detector.findPackage(['packages/web/src/app.js', 'packages/api/src/a.js', 'packages/api/src/b.js', 'packages/api/src/c.js']).name).toBe('api');
+    expect(detector.findPackage(['packages/web/src/app.js', 'packages/api/src/a.js']).name).toBe('web');
+    expect(detector.findPackage(['packages/api/plugins/auth/index.js']).name).toBe('auth-plugin');
+    expect(detector.findPackage(['README.md'])).toBeNull();
+  });
+
+  test.each([
+    ['npm', 'npm run test --workspace=packages/api'],
+    ['yarn', 'yarn workspace @acme/api run test'],
+    ['pnpm', 'pnpm --filter @acme/api run test'],
+    ['lerna', 'npx lerna run test --scope @acme/api'],
+    ['nx', 'npx nx run @acme/api:test']
+  ])('should build the %s command for a package script', (tool, expected) => {
+    const pkg = { name: '@acme/api', path: 'packages/api', scripts: ['test'], tool };
+
+    expect(WorkspaceDetector.getScriptCommand(pkg, 'test')).toBe(expected);
+    expect(WorkspaceDetector.getScriptCommand(pkg, 'lint')).toBeNull();
+    expect(WorkspaceDetector.getScriptCommand({ ...pkg, name: 'api; rm -rf /' }, 'test')).toBeNull();
+  });
+});